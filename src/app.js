@@ -16,10 +16,16 @@ import chatRoutes from './routes/chat.routes.js';
 import categoriesRoutes from './routes/categories.routes.js';
 import shareRoutes from './routes/share.routes.js';
 import integrationsRoutes from './routes/integrations.routes.js';
+import savedSearchRoutes from './routes/savedSearch.routes.js';
+import exchangeRatesRoutes from './routes/exchangeRates.routes.js';
+import adminRoutes from './routes/admin.routes.js';
+import reportsRoutes from './routes/reports.routes.js';
 import { errorHandler, notFound } from './middlewares/error.middleware.js';
 import { requestLogger } from './middlewares/logger.middleware.js';
+import { setLocale } from './middlewares/locale.middleware.js';
 import { apiLimiter } from './middlewares/rateLimit.middleware.js';
 import corsOptions from './config/cors.js';
+import { getStorageDriverName, getLocalStorageDir, LOCAL_STORAGE_ROUTE } from './config/storage.js';
 
 // Debug routes (imported but only mounted in development)
 // Using try-catch to gracefully handle if file doesn't exist
@@ -96,10 +102,28 @@ app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 // Request logging (only important requests)
 app.use(requestLogger);
 
+// Response language (?lang= or Accept-Language) - sets req.locale (Romanian fallback)
+// and req.messageLocale (error messages, English fallback)
+app.use(setLocale);
+
 // ============================================
 // ROUTES
 // ============================================
 
+// Uploaded images (local storage driver only - Cloudinary serves its own URLs)
+// GET /uploads/ads/<file> - Static files, no directory listing
+if (getStorageDriverName() === 'local') {
+  app.use(
+    LOCAL_STORAGE_ROUTE,
+    express.static(getLocalStorageDir(), {
+      index: false,
+      dotfiles: 'deny',
+      maxAge: '30d',
+      immutable: true,
+    })
+  );
+}
+
 // Health check (no rate limiting)
 app.get('/', (req, res) => {
   res.json({ message: 'API is running' });
@@ -108,17 +132,32 @@ app.get('/', (req, res) => {
 // Authentication routes (rate limiting applied per route in auth.routes.js)
 // POST /api/auth/register - Register new user (no rate limit)
 // POST /api/auth/login - Login user (rate limited)
+// POST /api/auth/refresh - Rotate refresh token, get a new access token (rate limited)
+// POST /api/auth/logout|logout-all - Revoke one session / all sessions
+// POST /api/auth/change-password - Change password, log out other sessions
 app.use('/api/auth', authRoutes);
 
-// Categories routes (public, no rate limiting needed)
-// GET /api/categories - Get all categories with subcategories
+// Categories routes (public read, admin-only management - rate limited in categories.routes.js)
+// GET /api/categories - Get all active categories with subcategories
+// GET /api/categories/admin - All categories incl. archived (admin)
+// POST/PATCH/DELETE /api/categories[/:slug[/subcategories/:subSlug]] - Manage categories (admin)
+// PUT /api/categories/order, PUT /api/categories/:slug/subcategories/order - Reorder (admin)
+// POST /api/categories/:slug[/subcategories/:subSlug]/archive|unarchive - Archive/restore (admin)
 app.use('/api/categories', categoriesRoutes);
 
 // Ads routes
 // GET /api/ads - List ads (with filters, pagination) - NO rate limiting
+// GET /api/ads/facets - Facet counts for the same filters - NO rate limiting
+// GET /api/ads/localities - Moldova localities for ad locations - NO rate limiting
 // GET /api/ads/:id - Get ad by ID - NO rate limiting
+// GET /api/ads/:id/history - Status history (owner) - NO rate limiting
+// GET /api/ads/:id/price-history - Public price timeline - NO rate limiting
+// GET /api/ads/:id/revisions[/diff] - Content revisions and diffs (owner) - NO rate limiting
 // POST /api/ads - Create ad (protected) - rate limited (writeLimiter)
 // PATCH /api/ads/:id/status - Update ad status (protected) - rate limited (writeLimiter)
+// POST/DELETE /api/ads/:id/schedule - Schedule/cancel draft publication (protected) - rate limited (writeLimiter)
+// POST /api/ads/:id/renew - Renew active/expired ad (protected) - rate limited (writeLimiter)
+// POST /api/ads/:id/images, PUT /api/ads/:id/images/order - Add/reorder images (protected) - rate limited (writeLimiter)
 // DELETE /api/ads/:id - Delete ad (protected) - rate limited (writeLimiter)
 // Note: Rate limiting is applied only to write operations in ads.routes.js
 app.use('/api/ads', adsRoutes);
@@ -141,6 +180,38 @@ app.use('/api/favorites', favoritesRoutes);
 // IMPORTANT: Mount chat routes BEFORE 404 handler
 app.use('/api/chats', chatRoutes);
 
+// Saved searches routes
+// GET /api/saved-searches - List current user's saved searches (protected)
+// POST /api/saved-searches - Save a search with alert frequency (protected) - rate limited (writeLimiter)
+// GET /api/saved-searches/:id - Get saved search (protected)
+// PATCH /api/saved-searches/:id - Update saved search (protected) - rate limited (writeLimiter)
+// DELETE /api/saved-searches/:id - Delete saved search (protected) - rate limited (writeLimiter)
+// GET /api/saved-searches/unsubscribe/:token - Unsubscribe link from alert emails (public)
+app.use('/api/saved-searches', savedSearchRoutes);
+
+// Exchange rates routes (public read, admin-only updates - rate limited in exchangeRates.routes.js)
+// GET /api/exchange-rates - Current rates (units per 1 EUR)
+// PUT /api/exchange-rates - Set rates manually (admin)
+// POST /api/exchange-rates/refresh - Pull rates from the configured provider (admin)
+app.use('/api/exchange-rates', exchangeRatesRoutes);
+
+// Admin routes (moderators/admins by permission - protect + rate limited in admin.routes.js)
+// GET /api/admin/users[/:id] - List/search users, user details
+// PATCH /api/admin/users/:id/role - Change role (admin)
+// POST /api/admin/users/:id/suspend|ban|shadow-ban|reinstate - Change account status (with reason)
+// DELETE /api/admin/ads/:id - Force-remove an ad
+// GET /api/admin/moderation - Moderation queue
+// POST /api/admin/moderation/:id/approve|reject - Review decisions
+// GET /api/admin/reports[/:id] - Report triage queue, report details
+// POST /api/admin/reports/:id/resolve|dismiss|escalate - Triage decisions
+// GET/POST /api/admin/content-rules, PATCH/DELETE /api/admin/content-rules/:id - Banned-content rules (admin)
+// GET /api/admin/rule-hits, POST /api/admin/rule-hits/:id/review - Recorded rule hits
+app.use('/api/admin', adminRoutes);
+
+// Reports routes
+// POST /api/reports - Report an ad, user or message (protected) - rate limited per user (reportLimiter)
+app.use('/api/reports', reportsRoutes);
+
 // Share routes (public, no rate limiting needed)
 // GET /share/ads/:id - Share page with OpenGraph meta tags
 app.use('/share', shareRoutes);
@@ -176,6 +247,10 @@ app.get('/api/__routes', (req, res) => {
       'USE /api/ads',
       'USE /api/favorites',
       'USE /api/chats',
+      'USE /api/saved-searches',
+      'USE /api/exchange-rates',
+      'USE /api/admin',
+      'USE /api/reports',
       'USE /share',
       'USE /api/integrations',
     ],
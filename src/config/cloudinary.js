@@ -1,5 +1,6 @@
 import { v2 as cloudinary } from 'cloudinary';
 import logger from './logger.js';
+import { getStorageDriverName } from './storage.js';
 
 /**
  * Configure Cloudinary with environment variables
@@ -40,14 +41,16 @@ const configureCloudinary = () => {
   });
 };
 
-// Initialize Cloudinary configuration
-try {
-  configureCloudinary();
-} catch (error) {
-  logger.error('Failed to configure Cloudinary', {
-    message: error.message,
-  });
-  // Don't exit process - allow server to start but uploads will fail
+// Initialize Cloudinary configuration (only when Cloudinary is the active storage driver)
+if (getStorageDriverName() === 'cloudinary') {
+  try {
+    configureCloudinary();
+  } catch (error) {
+    logger.error('Failed to configure Cloudinary', {
+      message: error.message,
+    });
+    // Don't exit process - allow server to start but uploads will fail
+  }
 }
 
 export default cloudinary;
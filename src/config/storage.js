@@ -0,0 +1,35 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Image storage drivers and the environment variables each one requires
+ * The active driver is selected with STORAGE_DRIVER (default: cloudinary)
+ */
+export const STORAGE_DRIVERS = {
+  cloudinary: ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'],
+  local: [],
+};
+
+/**
+ * Name of the active storage driver (not validated - see validateEnv)
+ * @returns {string}
+ */
+export const getStorageDriverName = () => String(process.env.STORAGE_DRIVER || 'cloudinary').trim().toLowerCase();
+
+/**
+ * Directory used by the local driver (STORAGE_LOCAL_DIR, default: <project>/uploads)
+ * @returns {string} Absolute path
+ */
+export const getLocalStorageDir = () => (
+  process.env.STORAGE_LOCAL_DIR
+    ? path.resolve(process.env.STORAGE_LOCAL_DIR)
+    : path.join(__dirname, '../../uploads')
+);
+
+/**
+ * URL path the local driver's files are served from
+ */
+export const LOCAL_STORAGE_ROUTE = '/uploads';
@@ -1,17 +1,24 @@
 import logger from './logger.js';
+import { STORAGE_DRIVERS, getStorageDriverName } from './storage.js';
 
 /**
  * Validate required environment variables
  * Throws error with clear message if any required vars are missing
+ * Storage credentials are only required for the active STORAGE_DRIVER
  * FRONTEND_URL is optional - only warns if missing
  */
 const validateEnv = () => {
+  const storageDriver = getStorageDriverName();
+  if (!STORAGE_DRIVERS[storageDriver]) {
+    throw new Error(
+      `Invalid STORAGE_DRIVER "${storageDriver}". Use one of: ${Object.keys(STORAGE_DRIVERS).join(', ')}`
+    );
+  }
+
   const required = [
     'MONGO_URI',
     'JWT_SECRET',
-    'CLOUDINARY_CLOUD_NAME',
-    'CLOUDINARY_API_KEY',
-    'CLOUDINARY_API_SECRET',
+    ...STORAGE_DRIVERS[storageDriver],
   ];
 
   // Check required variables
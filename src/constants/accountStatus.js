@@ -0,0 +1,13 @@
+/**
+ * Account states (User.accountStatus)
+ *
+ * active        - normal account
+ * suspended     - can't use authenticated routes until suspendedUntil (or until reinstated)
+ * banned        - can't use authenticated routes; ads are hidden from everyone
+ * shadow_banned - can use the site normally, but ads are hidden from everyone except the owner
+ *                 and messages are held back from their receivers (the user is not told)
+ */
+export const ACCOUNT_STATUSES = ['active', 'suspended', 'banned', 'shadow_banned'];
+
+// States whose ads are hidden from listings (Ad.sellerHidden)
+export const SELLER_HIDDEN_STATUSES = ['banned', 'shadow_banned'];
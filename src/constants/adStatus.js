@@ -0,0 +1,76 @@
+/**
+ * Ad status state machine
+ *
+ * draft          - being prepared, never published (or rejected by a moderator)
+ * pending_review - waiting in the moderation queue (set by services/moderation.service.js only)
+ * active         - publicly listed (until expiresAt)
+ * reserved       - pending deal, hidden from listings
+ * paused         - temporarily hidden by the seller
+ * sold           - closed; can be reopened within the grace window
+ * expired        - lifetime ended (set by the expiration sweep only)
+ */
+export const AD_STATUSES = ['draft', 'pending_review', 'active', 'reserved', 'paused', 'sold', 'expired'];
+
+/**
+ * Statuses a seller may request through PATCH /api/ads/:id/status
+ * ('expired' and 'pending_review' are only set by the system - requesting 'active'
+ * for a draft may put the ad in review instead, see services/moderation.service.js)
+ */
+export const USER_SETTABLE_STATUSES = ['draft', 'active', 'reserved', 'paused', 'sold'];
+
+/**
+ * Allowed transitions: current status -> statuses it may move to
+ * sold -> active is additionally limited to the reopen grace window (see isTransitionAllowed)
+ */
+export const AD_STATUS_TRANSITIONS = {
+  draft: ['active'],
+  pending_review: ['draft'], // Seller withdraws the ad from review
+  active: ['reserved', 'paused', 'sold'],
+  reserved: ['active', 'sold'],
+  paused: ['active', 'sold'],
+  sold: ['active'],
+  expired: ['active', 'sold'],
+};
+
+/**
+ * How long after being marked sold an ad can be reopened (AD_SOLD_REOPEN_HOURS, default 72)
+ * @returns {number} Milliseconds
+ */
+export const getSoldReopenWindowMs = () => {
+  const hours = parseFloat(process.env.AD_SOLD_REOPEN_HOURS);
+  return (isNaN(hours) || hours < 0 ? 72 : hours) * 60 * 60 * 1000;
+};
+
+/**
+ * Check whether a sold ad is still inside the reopen grace window
+ * @param {object} ad - Ad with soldAt
+ * @param {Date} [now=new Date()]
+ * @returns {boolean}
+ */
+export const isWithinSoldReopenWindow = (ad, now = new Date()) => {
+  if (!ad.soldAt) {
+    return false;
+  }
+  return now.getTime() - new Date(ad.soldAt).getTime() <= getSoldReopenWindowMs();
+};
+
+/**
+ * List the statuses an ad may move to right now
+ * @param {object} ad - Ad document or plain object
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (ad) => {
+  const transitions = AD_STATUS_TRANSITIONS[ad.status] || [];
+  if (ad.status === 'sold' && !isWithinSoldReopenWindow(ad)) {
+    return transitions.filter((status) => status !== 'active');
+  }
+  return transitions;
+};
+
+/**
+ * Check whether an ad may move to the given status
+ * @param {object} ad
+ * @param {string} status
+ * @returns {boolean}
+ */
+export const isTransitionAllowed = (ad, status) => getAllowedTransitions(ad).includes(status);
@@ -0,0 +1,425 @@
+/**
+ * Attribute schemas per category and subcategory
+ * This is the single source of truth for ad attributes (validation, storage types, filters, forms)
+ *
+ * Definition fields:
+ * - type: 'number' | 'enum' | 'boolean' | 'string'
+ * - label: Display label (Romanian; translations in attributeLabelTranslations)
+ * - unit: Display unit (number only, optional)
+ * - min / max: Inclusive bounds (number only, optional)
+ * - integer: Whole numbers only (number only, optional)
+ * - maxLength: Maximum length (string only, optional)
+ * - values: Allowed values (enum only)
+ * - required: Must be provided when creating an ad
+ *
+ * Category attributes apply to every subcategory; subcategory attributes are merged on top
+ * (same key = subcategory definition wins).
+ */
+
+const currentYear = new Date().getFullYear();
+
+// Reusable definitions
+const brand = { type: 'string', label: 'Marcă', maxLength: 60 };
+const model = { type: 'string', label: 'Model', maxLength: 60 };
+const color = { type: 'string', label: 'Culoare', maxLength: 30 };
+const material = { type: 'string', label: 'Material', maxLength: 60 };
+const condition = {
+  type: 'enum',
+  label: 'Stare',
+  values: ['new', 'used', 'refurbished', 'for-parts'],
+};
+const manufactureYear = { type: 'number', label: 'An fabricație', integer: true, min: 1900, max: currentYear + 1 };
+const mileage = { type: 'number', label: 'Rulaj', unit: 'km', integer: true, min: 0, max: 2000000 };
+const transmission = { type: 'enum', label: 'Cutie de viteze', values: ['manual', 'automatic'] };
+const area = { type: 'number', label: 'Suprafață', unit: 'm²', min: 1, max: 1000000 };
+const rooms = { type: 'number', label: 'Camere', integer: true, min: 1, max: 50 };
+const floor = { type: 'number', label: 'Etaj', integer: true, min: -5, max: 200 };
+const totalFloors = { type: 'number', label: 'Număr etaje', integer: true, min: 1, max: 200 };
+const storageGb = { type: 'number', label: 'Memorie internă', unit: 'GB', integer: true, min: 1, max: 100000 };
+const ramGb = { type: 'number', label: 'Memorie RAM', unit: 'GB', integer: true, min: 1, max: 2048 };
+const screenSize = { type: 'number', label: 'Diagonală', unit: '"', min: 1, max: 150 };
+const experienceYears = { type: 'number', label: 'Experiență', unit: 'ani', integer: true, min: 0, max: 60 };
+const clothingSize = { type: 'string', label: 'Mărime', maxLength: 20 };
+const animalDetails = {
+  breed: { type: 'string', label: 'Rasă', maxLength: 60 },
+  ageMonths: { type: 'number', label: 'Vârstă', unit: 'luni', integer: true, min: 0, max: 600 },
+  sex: { type: 'enum', label: 'Sex', values: ['male', 'female'] },
+  vaccinated: { type: 'boolean', label: 'Vaccinat' },
+};
+
+export const attributeSchemas = {
+  'real-estate': {
+    attributes: { area, rooms },
+    subcategories: {
+      'apartments-sale': {
+        attributes: {
+          rooms: { ...rooms, required: true },
+          area: { ...area, required: true },
+          floor,
+          totalFloors,
+          buildingType: { type: 'enum', label: 'Tip clădire', values: ['new-build', 'secondary'] },
+          heating: { type: 'enum', label: 'Încălzire', values: ['autonomous', 'central', 'none'] },
+        },
+      },
+      'apartments-rent': {
+        attributes: {
+          rooms: { ...rooms, required: true },
+          area,
+          floor,
+          totalFloors,
+          furnished: { type: 'boolean', label: 'Mobilat' },
+          petsAllowed: { type: 'boolean', label: 'Animale permise' },
+        },
+      },
+      'houses-villas': {
+        attributes: {
+          landArea: { type: 'number', label: 'Suprafață teren', unit: 'ari', min: 0, max: 100000 },
+          floors: { ...totalFloors, label: 'Niveluri' },
+          yearBuilt: { ...manufactureYear, label: 'An construcție', min: 1800 },
+        },
+      },
+      lands: {
+        attributes: {
+          area: { ...area, required: true },
+          landUse: { type: 'enum', label: 'Destinație', values: ['construction', 'agricultural', 'garden', 'industrial'] },
+        },
+      },
+      'commercial-spaces': { attributes: { floor } },
+      offices: { attributes: { floor, furnished: { type: 'boolean', label: 'Mobilat' } } },
+      'garages-parking': { attributes: {} },
+      abroad: { attributes: { country: { type: 'string', label: 'Țară', maxLength: 60 } } },
+    },
+  },
+  auto: {
+    attributes: {
+      brand,
+      model,
+      year: manufactureYear,
+      fuel: { type: 'enum', label: 'Combustibil', values: ['petrol', 'diesel', 'hybrid', 'electric', 'lpg', 'cng'] },
+      condition,
+    },
+    subcategories: {
+      cars: {
+        attributes: {
+          brand: { ...brand, required: true },
+          year: { ...manufactureYear, required: true },
+          mileage,
+          transmission,
+          bodyType: {
+            type: 'enum',
+            label: 'Caroserie',
+            values: ['sedan', 'hatchback', 'wagon', 'suv', 'coupe', 'convertible', 'minivan', 'pickup'],
+          },
+          engineCapacity: { type: 'number', label: 'Capacitate motor', unit: 'l', min: 0.1, max: 10 },
+          drive: { type: 'enum', label: 'Tracțiune', values: ['fwd', 'rwd', 'awd'] },
+        },
+      },
+      motorcycles: {
+        attributes: {
+          mileage,
+          engineCapacity: { type: 'number', label: 'Capacitate motor', unit: 'cm³', integer: true, min: 1, max: 3000 },
+        },
+      },
+      'trucks-buses': {
+        attributes: {
+          mileage,
+          transmission,
+          payload: { type: 'number', label: 'Capacitate încărcare', unit: 't', min: 0, max: 100 },
+        },
+      },
+      'agri-machinery': {
+        attributes: {
+          operatingHours: { type: 'number', label: 'Ore de funcționare', unit: 'h', integer: true, min: 0, max: 100000 },
+        },
+      },
+      'auto-parts': {
+        attributes: {
+          partNumber: { type: 'string', label: 'Cod piesă', maxLength: 60 },
+        },
+      },
+      'tires-rims': {
+        attributes: {
+          diameter: { type: 'number', label: 'Diametru', unit: '"', integer: true, min: 10, max: 24 },
+          width: { type: 'number', label: 'Lățime', unit: 'mm', integer: true, min: 100, max: 400 },
+          season: { type: 'enum', label: 'Sezon', values: ['summer', 'winter', 'all-season'] },
+        },
+      },
+      'auto-accessories': { attributes: {} },
+      'auto-services': { attributes: {} },
+    },
+  },
+  electronics: {
+    attributes: { brand, model, condition },
+    subcategories: {
+      phones: { attributes: { storage: storageGb, ram: ramGb, color } },
+      'laptops-pc': {
+        attributes: {
+          storage: storageGb,
+          ram: ramGb,
+          processor: { type: 'string', label: 'Procesor', maxLength: 60 },
+          screenSize,
+        },
+      },
+      tablets: { attributes: { storage: storageGb, screenSize } },
+      tvs: {
+        attributes: {
+          screenSize,
+          resolution: { type: 'enum', label: 'Rezoluție', values: ['hd', 'full-hd', '4k', '8k'] },
+          smartTv: { type: 'boolean', label: 'Smart TV' },
+        },
+      },
+      'audio-video': { attributes: {} },
+      'large-appliances': {
+        attributes: {
+          energyClass: { type: 'enum', label: 'Clasă energetică', values: ['a+++', 'a++', 'a+', 'a', 'b', 'c', 'd'] },
+        },
+      },
+      'small-appliances': { attributes: {} },
+      'smart-home': { attributes: {} },
+      'games-consoles': {
+        attributes: {
+          platform: { type: 'enum', label: 'Platformă', values: ['playstation', 'xbox', 'nintendo', 'pc', 'other'] },
+        },
+      },
+    },
+  },
+  fashion: {
+    attributes: {
+      brand,
+      condition,
+      color,
+      gender: { type: 'enum', label: 'Pentru', values: ['women', 'men', 'unisex', 'kids'] },
+    },
+    subcategories: {
+      'women-clothing': { attributes: { size: clothingSize } },
+      'men-clothing': { attributes: { size: clothingSize } },
+      'kids-clothing': { attributes: { size: clothingSize } },
+      shoes: { attributes: { shoeSize: { type: 'number', label: 'Mărime', min: 15, max: 52 } } },
+      'bags-accessories': { attributes: { material } },
+      watches: { attributes: { material } },
+      jewelry: { attributes: { material } },
+      'cosmetics-perfume': { attributes: { volume: { type: 'number', label: 'Volum', unit: 'ml', min: 1, max: 5000 } } },
+    },
+  },
+  'home-garden': {
+    attributes: { brand, condition, material },
+    subcategories: {
+      furniture: { attributes: {} },
+      decor: { attributes: {} },
+      textiles: { attributes: {} },
+      tools: { attributes: { powerSource: { type: 'enum', label: 'Alimentare', values: ['manual', 'electric', 'battery', 'petrol'] } } },
+      'building-materials': { attributes: {} },
+      gardening: { attributes: {} },
+      lighting: { attributes: {} },
+      'heating-climate': { attributes: { power: { type: 'number', label: 'Putere', unit: 'kW', min: 0, max: 1000 } } },
+    },
+  },
+  jobs: {
+    attributes: {
+      employmentType: {
+        type: 'enum',
+        label: 'Tip angajare',
+        values: ['full-time', 'part-time', 'contract', 'internship', 'temporary'],
+      },
+      experienceYears,
+      remote: { type: 'boolean', label: 'La distanță' },
+    },
+    subcategories: {
+      it: { attributes: {} },
+      'sales-marketing': { attributes: {} },
+      construction: { attributes: {} },
+      logistics: { attributes: {} },
+      horeca: { attributes: {} },
+      finance: { attributes: {} },
+      legal: { attributes: {} },
+      education: { attributes: {} },
+      medical: { attributes: {} },
+      freelance: { attributes: {} },
+    },
+  },
+  services: {
+    attributes: {
+      experienceYears,
+      onSite: { type: 'boolean', label: 'La domiciliu' },
+    },
+    subcategories: {
+      'it-services': { attributes: {} },
+      repairs: { attributes: {} },
+      cleaning: { attributes: {} },
+      renovation: { attributes: {} },
+      transport: { attributes: {} },
+      'legal-services': { attributes: {} },
+      'accounting-services': { attributes: {} },
+      marketing: { attributes: {} },
+      'photo-video': { attributes: {} },
+      events: { attributes: {} },
+    },
+  },
+  business: {
+    attributes: { brand, condition, year: manufactureYear },
+    subcategories: {
+      turnkey: { attributes: { employees: { type: 'number', label: 'Angajați', integer: true, min: 0, max: 100000 } } },
+      industrial: { attributes: {} },
+      'commercial-equipment': { attributes: {} },
+      'machine-tools': { attributes: {} },
+      franchises: { attributes: {} },
+      'raw-materials': { attributes: { quantity: { type: 'number', label: 'Cantitate', unit: 'kg', min: 0 } } },
+    },
+  },
+  kids: {
+    attributes: {
+      brand,
+      condition,
+      ageGroup: { type: 'enum', label: 'Vârstă', values: ['0-6m', '6-12m', '1-3y', '3-6y', '6-12y', '12y+'] },
+    },
+    subcategories: {
+      strollers: { attributes: {} },
+      cribs: { attributes: {} },
+      toys: { attributes: {} },
+      'kids-clothes': { attributes: { size: clothingSize } },
+      newborn: { attributes: {} },
+      'education-games': { attributes: {} },
+    },
+  },
+  sports: {
+    attributes: { brand, condition },
+    subcategories: {
+      bikes: {
+        attributes: {
+          wheelSize: { type: 'number', label: 'Diametru roată', unit: '"', min: 12, max: 29 },
+          frameSize: { type: 'string', label: 'Mărime cadru', maxLength: 10 },
+          electric: { type: 'boolean', label: 'Electrică' },
+        },
+      },
+      fitness: { attributes: {} },
+      fishing: { attributes: {} },
+      hunting: { attributes: {} },
+      camping: { attributes: {} },
+      'winter-sports': { attributes: { size: clothingSize } },
+      'board-games': { attributes: {} },
+    },
+  },
+  pets: {
+    attributes: {},
+    subcategories: {
+      dogs: { attributes: { ...animalDetails, pedigree: { type: 'boolean', label: 'Pedigree' } } },
+      cats: { attributes: { ...animalDetails, pedigree: { type: 'boolean', label: 'Pedigree' } } },
+      birds: { attributes: animalDetails },
+      'farm-animals': { attributes: animalDetails },
+      'pet-products': { attributes: { brand, condition } },
+      'vet-services': { attributes: {} },
+    },
+  },
+  agriculture: {
+    attributes: {
+      organic: { type: 'boolean', label: 'Ecologic' },
+    },
+    subcategories: {
+      'agri-tools': { attributes: { brand, condition, year: manufactureYear } },
+      'seeds-plants': { attributes: { quantity: { type: 'number', label: 'Cantitate', unit: 'kg', min: 0 } } },
+      'agri-products': { attributes: { quantity: { type: 'number', label: 'Cantitate', unit: 'kg', min: 0 } } },
+      feed: { attributes: { quantity: { type: 'number', label: 'Cantitate', unit: 'kg', min: 0 } } },
+      'agri-services': { attributes: {} },
+    },
+  },
+  courses: {
+    attributes: {
+      format: { type: 'enum', label: 'Format', values: ['online', 'offline', 'hybrid'] },
+      level: { type: 'enum', label: 'Nivel', values: ['beginner', 'intermediate', 'advanced'] },
+      durationHours: { type: 'number', label: 'Durată', unit: 'ore', min: 1, max: 10000 },
+      certificate: { type: 'boolean', label: 'Certificat' },
+    },
+    subcategories: {
+      tutoring: { attributes: {} },
+      online: { attributes: {} },
+      languages: { attributes: { language: { type: 'string', label: 'Limbă', maxLength: 40 } } },
+      'it-coding': { attributes: {} },
+      'self-development': { attributes: {} },
+    },
+  },
+  misc: {
+    attributes: { condition },
+    subcategories: {
+      collectibles: { attributes: { year: { ...manufactureYear, min: 1 } } },
+      antiques: { attributes: { year: { ...manufactureYear, min: 1 } } },
+      books: {
+        attributes: {
+          author: { type: 'string', label: 'Autor', maxLength: 100 },
+          language: { type: 'string', label: 'Limbă', maxLength: 40 },
+        },
+      },
+      music: { attributes: { brand } },
+      other: { attributes: {} },
+    },
+  },
+};
+
+// Label translations (label -> { ru, en }) - used for forms and validation messages in
+// the request locale, like category labels (src/i18n localizeLabel)
+export const attributeLabelTranslations = {
+  'Alimentare': { ru: 'Питание', en: 'Power source' },
+  'An construcție': { ru: 'Год постройки', en: 'Year built' },
+  'An fabricație': { ru: 'Год выпуска', en: 'Year of manufacture' },
+  'Angajați': { ru: 'Сотрудники', en: 'Employees' },
+  'Animale permise': { ru: 'Можно с животными', en: 'Pets allowed' },
+  'Autor': { ru: 'Автор', en: 'Author' },
+  'Camere': { ru: 'Комнаты', en: 'Rooms' },
+  'Cantitate': { ru: 'Количество', en: 'Quantity' },
+  'Capacitate motor': { ru: 'Объём двигателя', en: 'Engine capacity' },
+  'Capacitate încărcare': { ru: 'Грузоподъёмность', en: 'Payload' },
+  'Caroserie': { ru: 'Тип кузова', en: 'Body type' },
+  'Certificat': { ru: 'Сертификат', en: 'Certificate' },
+  'Clasă energetică': { ru: 'Класс энергопотребления', en: 'Energy class' },
+  'Cod piesă': { ru: 'Номер детали', en: 'Part number' },
+  'Combustibil': { ru: 'Топливо', en: 'Fuel' },
+  'Culoare': { ru: 'Цвет', en: 'Color' },
+  'Cutie de viteze': { ru: 'Коробка передач', en: 'Transmission' },
+  'Destinație': { ru: 'Назначение', en: 'Land use' },
+  'Diagonală': { ru: 'Диагональ', en: 'Screen size' },
+  'Diametru roată': { ru: 'Диаметр колеса', en: 'Wheel size' },
+  'Diametru': { ru: 'Диаметр', en: 'Diameter' },
+  'Durată': { ru: 'Продолжительность', en: 'Duration' },
+  'Ecologic': { ru: 'Органический', en: 'Organic' },
+  'Electrică': { ru: 'Электрический', en: 'Electric' },
+  'Etaj': { ru: 'Этаж', en: 'Floor' },
+  'Experiență': { ru: 'Опыт', en: 'Experience' },
+  'Format': { ru: 'Формат', en: 'Format' },
+  'La distanță': { ru: 'Удалённо', en: 'Remote' },
+  'La domiciliu': { ru: 'С выездом на дом', en: 'On site' },
+  'Limbă': { ru: 'Язык', en: 'Language' },
+  'Lățime': { ru: 'Ширина', en: 'Width' },
+  'Marcă': { ru: 'Марка', en: 'Brand' },
+  'Material': { ru: 'Материал', en: 'Material' },
+  'Memorie RAM': { ru: 'Оперативная память', en: 'RAM' },
+  'Memorie internă': { ru: 'Встроенная память', en: 'Storage' },
+  'Mobilat': { ru: 'С мебелью', en: 'Furnished' },
+  'Model': { ru: 'Модель', en: 'Model' },
+  'Mărime cadru': { ru: 'Размер рамы', en: 'Frame size' },
+  'Mărime': { ru: 'Размер', en: 'Size' },
+  'Nivel': { ru: 'Уровень', en: 'Level' },
+  'Niveluri': { ru: 'Этажность', en: 'Floors' },
+  'Număr etaje': { ru: 'Этажей в доме', en: 'Total floors' },
+  'Ore de funcționare': { ru: 'Моточасы', en: 'Operating hours' },
+  'Pedigree': { ru: 'Родословная', en: 'Pedigree' },
+  'Pentru': { ru: 'Для кого', en: 'Gender' },
+  'Platformă': { ru: 'Платформа', en: 'Platform' },
+  'Procesor': { ru: 'Процессор', en: 'Processor' },
+  'Putere': { ru: 'Мощность', en: 'Power' },
+  'Rasă': { ru: 'Порода', en: 'Breed' },
+  'Rezoluție': { ru: 'Разрешение', en: 'Resolution' },
+  'Rulaj': { ru: 'Пробег', en: 'Mileage' },
+  'Sex': { ru: 'Пол', en: 'Sex' },
+  'Sezon': { ru: 'Сезон', en: 'Season' },
+  'Smart TV': { ru: 'Smart TV', en: 'Smart TV' },
+  'Stare': { ru: 'Состояние', en: 'Condition' },
+  'Suprafață teren': { ru: 'Площадь участка', en: 'Land area' },
+  'Suprafață': { ru: 'Площадь', en: 'Area' },
+  'Tip angajare': { ru: 'Тип занятости', en: 'Employment type' },
+  'Tip clădire': { ru: 'Тип здания', en: 'Building type' },
+  'Tracțiune': { ru: 'Привод', en: 'Drive' },
+  'Vaccinat': { ru: 'Привит', en: 'Vaccinated' },
+  'Volum': { ru: 'Объём', en: 'Volume' },
+  'Vârstă': { ru: 'Возраст', en: 'Age' },
+  'Încălzire': { ru: 'Отопление', en: 'Heating' },
+  'Țară': { ru: 'Страна', en: 'Country' },
+};
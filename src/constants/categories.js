@@ -1,202 +1,242 @@
+import { getAttributeSchemaPublic } from '../utils/attributeValidator.js';
+import { DEFAULT_LOCALE, localizeLabel } from '../i18n/index.js';
+
 /**
- * Categories and subcategories constants
- * This is the single source of truth for all categories in the system
+ * Default categories and subcategories
+ * `label` is Romanian (default locale); `labels` holds the other translations
+ * Used to seed the Category collection on first startup (see services/category.service.js)
+ * and as a fallback until the category cache has been loaded from MongoDB
  */
 export const categories = [
   {
     slug: 'real-estate',
     label: 'Imobiliare',
+    labels: { ru: 'Недвижимость', en: 'Real estate' },
     subcategories: [
-      { slug: 'apartments-sale', label: 'Apartamente vânzare' },
-      { slug: 'apartments-rent', label: 'Apartamente închiriat' },
-      { slug: 'houses-villas', label: 'Case & vile' },
-      { slug: 'lands', label: 'Terenuri' },
-      { slug: 'commercial-spaces', label: 'Spații comerciale' },
-      { slug: 'offices', label: 'Birouri' },
-      { slug: 'garages-parking', label: 'Garaje & parcări' },
-      { slug: 'abroad', label: 'Peste hotare' },
+      { slug: 'apartments-sale', label: 'Apartamente vânzare', labels: { ru: 'Квартиры на продажу', en: 'Apartments for sale' } },
+      { slug: 'apartments-rent', label: 'Apartamente închiriat', labels: { ru: 'Квартиры в аренду', en: 'Apartments for rent' } },
+      { slug: 'houses-villas', label: 'Case & vile', labels: { ru: 'Дома и виллы', en: 'Houses & villas' } },
+      { slug: 'lands', label: 'Terenuri', labels: { ru: 'Земельные участки', en: 'Land' } },
+      { slug: 'commercial-spaces', label: 'Spații comerciale', labels: { ru: 'Коммерческие помещения', en: 'Commercial spaces' } },
+      { slug: 'offices', label: 'Birouri', labels: { ru: 'Офисы', en: 'Offices' } },
+      { slug: 'garages-parking', label: 'Garaje & parcări', labels: { ru: 'Гаражи и парковки', en: 'Garages & parking' } },
+      { slug: 'abroad', label: 'Peste hotare', labels: { ru: 'За рубежом', en: 'Abroad' } },
     ],
   },
   {
     slug: 'auto',
     label: 'Auto & Transport',
+    labels: { ru: 'Авто и транспорт', en: 'Auto & Transport' },
     subcategories: [
-      { slug: 'cars', label: 'Autoturisme' },
-      { slug: 'motorcycles', label: 'Motociclete & scutere' },
-      { slug: 'trucks-buses', label: 'Camioane & autobuze' },
-      { slug: 'agri-machinery', label: 'Utilaje agricole' },
-      { slug: 'auto-parts', label: 'Piese auto' },
-      { slug: 'tires-rims', label: 'Anvelope & jante' },
-      { slug: 'auto-accessories', label: 'Accesorii auto' },
-      { slug: 'auto-services', label: 'Servicii auto' },
+      { slug: 'cars', label: 'Autoturisme', labels: { ru: 'Легковые автомобили', en: 'Cars' } },
+      { slug: 'motorcycles', label: 'Motociclete & scutere', labels: { ru: 'Мотоциклы и скутеры', en: 'Motorcycles & scooters' } },
+      { slug: 'trucks-buses', label: 'Camioane & autobuze', labels: { ru: 'Грузовики и автобусы', en: 'Trucks & buses' } },
+      { slug: 'agri-machinery', label: 'Utilaje agricole', labels: { ru: 'Сельхозтехника', en: 'Agricultural machinery' } },
+      { slug: 'auto-parts', label: 'Piese auto', labels: { ru: 'Автозапчасти', en: 'Car parts' } },
+      { slug: 'tires-rims', label: 'Anvelope & jante', labels: { ru: 'Шины и диски', en: 'Tires & rims' } },
+      { slug: 'auto-accessories', label: 'Accesorii auto', labels: { ru: 'Автоаксессуары', en: 'Car accessories' } },
+      { slug: 'auto-services', label: 'Servicii auto', labels: { ru: 'Автоуслуги', en: 'Car services' } },
     ],
   },
   {
     slug: 'electronics',
     label: 'Electronice & Tehnică',
+    labels: { ru: 'Электроника и техника', en: 'Electronics & Appliances' },
     subcategories: [
-      { slug: 'phones', label: 'Telefoane mobile' },
-      { slug: 'laptops-pc', label: 'Laptopuri & PC' },
-      { slug: 'tablets', label: 'Tablete' },
-      { slug: 'tvs', label: 'Televizoare' },
-      { slug: 'audio-video', label: 'Audio & video' },
-      { slug: 'large-appliances', label: 'Electrocasnice mari' },
-      { slug: 'small-appliances', label: 'Electrocasnice mici' },
-      { slug: 'smart-home', label: 'Gadgeturi smart home' },
-      { slug: 'games-consoles', label: 'Jocuri & console' },
+      { slug: 'phones', label: 'Telefoane mobile', labels: { ru: 'Мобильные телефоны', en: 'Mobile phones' } },
+      { slug: 'laptops-pc', label: 'Laptopuri & PC', labels: { ru: 'Ноутбуки и ПК', en: 'Laptops & PCs' } },
+      { slug: 'tablets', label: 'Tablete', labels: { ru: 'Планшеты', en: 'Tablets' } },
+      { slug: 'tvs', label: 'Televizoare', labels: { ru: 'Телевизоры', en: 'TVs' } },
+      { slug: 'audio-video', label: 'Audio & video', labels: { ru: 'Аудио и видео', en: 'Audio & video' } },
+      { slug: 'large-appliances', label: 'Electrocasnice mari', labels: { ru: 'Крупная бытовая техника', en: 'Large appliances' } },
+      { slug: 'small-appliances', label: 'Electrocasnice mici', labels: { ru: 'Мелкая бытовая техника', en: 'Small appliances' } },
+      { slug: 'smart-home', label: 'Gadgeturi smart home', labels: { ru: 'Гаджеты для умного дома', en: 'Smart home gadgets' } },
+      { slug: 'games-consoles', label: 'Jocuri & console', labels: { ru: 'Игры и приставки', en: 'Games & consoles' } },
     ],
   },
   {
     slug: 'fashion',
     label: 'Modă & Frumusețe',
+    labels: { ru: 'Мода и красота', en: 'Fashion & Beauty' },
     subcategories: [
-      { slug: 'women-clothing', label: 'Îmbrăcăminte femei' },
-      { slug: 'men-clothing', label: 'Îmbrăcăminte bărbați' },
-      { slug: 'kids-clothing', label: 'Îmbrăcăminte copii' },
-      { slug: 'shoes', label: 'Încălțăminte' },
-      { slug: 'bags-accessories', label: 'Genți & accesorii' },
-      { slug: 'watches', label: 'Ceasuri' },
-      { slug: 'jewelry', label: 'Bijuterii' },
-      { slug: 'cosmetics-perfume', label: 'Cosmetice & parfumuri' },
+      { slug: 'women-clothing', label: 'Îmbrăcăminte femei', labels: { ru: 'Женская одежда', en: 'Women\'s clothing' } },
+      { slug: 'men-clothing', label: 'Îmbrăcăminte bărbați', labels: { ru: 'Мужская одежда', en: 'Men\'s clothing' } },
+      { slug: 'kids-clothing', label: 'Îmbrăcăminte copii', labels: { ru: 'Детская одежда', en: 'Kids\' clothing' } },
+      { slug: 'shoes', label: 'Încălțăminte', labels: { ru: 'Обувь', en: 'Shoes' } },
+      { slug: 'bags-accessories', label: 'Genți & accesorii', labels: { ru: 'Сумки и аксессуары', en: 'Bags & accessories' } },
+      { slug: 'watches', label: 'Ceasuri', labels: { ru: 'Часы', en: 'Watches' } },
+      { slug: 'jewelry', label: 'Bijuterii', labels: { ru: 'Украшения', en: 'Jewelry' } },
+      { slug: 'cosmetics-perfume', label: 'Cosmetice & parfumuri', labels: { ru: 'Косметика и парфюмерия', en: 'Cosmetics & perfume' } },
     ],
   },
   {
     slug: 'home-garden',
     label: 'Casă & Grădină',
+    labels: { ru: 'Дом и сад', en: 'Home & Garden' },
     subcategories: [
-      { slug: 'furniture', label: 'Mobilă' },
-      { slug: 'decor', label: 'Decorațiuni' },
-      { slug: 'textiles', label: 'Textile' },
-      { slug: 'tools', label: 'Unelte & scule' },
-      { slug: 'building-materials', label: 'Materiale construcții' },
-      { slug: 'gardening', label: 'Grădinărit' },
-      { slug: 'lighting', label: 'Iluminat' },
-      { slug: 'heating-climate', label: 'Încălzire & climatizare' },
+      { slug: 'furniture', label: 'Mobilă', labels: { ru: 'Мебель', en: 'Furniture' } },
+      { slug: 'decor', label: 'Decorațiuni', labels: { ru: 'Декор', en: 'Decor' } },
+      { slug: 'textiles', label: 'Textile', labels: { ru: 'Текстиль', en: 'Textiles' } },
+      { slug: 'tools', label: 'Unelte & scule', labels: { ru: 'Инструменты', en: 'Tools' } },
+      { slug: 'building-materials', label: 'Materiale construcții', labels: { ru: 'Стройматериалы', en: 'Building materials' } },
+      { slug: 'gardening', label: 'Grădinărit', labels: { ru: 'Садоводство', en: 'Gardening' } },
+      { slug: 'lighting', label: 'Iluminat', labels: { ru: 'Освещение', en: 'Lighting' } },
+      { slug: 'heating-climate', label: 'Încălzire & climatizare', labels: { ru: 'Отопление и климат', en: 'Heating & climate' } },
     ],
   },
   {
     slug: 'jobs',
     label: 'Locuri de muncă',
+    labels: { ru: 'Работа', en: 'Jobs' },
     subcategories: [
-      { slug: 'it', label: 'IT & Tehnologie' },
-      { slug: 'sales-marketing', label: 'Vânzări & marketing' },
-      { slug: 'construction', label: 'Construcții' },
-      { slug: 'logistics', label: 'Transport & logistică' },
-      { slug: 'horeca', label: 'HORECA' },
-      { slug: 'finance', label: 'Contabilitate & finanțe' },
-      { slug: 'legal', label: 'Juridic' },
-      { slug: 'education', label: 'Educație' },
-      { slug: 'medical', label: 'Medicină' },
-      { slug: 'freelance', label: 'Freelance & remote' },
+      { slug: 'it', label: 'IT & Tehnologie', labels: { ru: 'IT и технологии', en: 'IT & Technology' } },
+      { slug: 'sales-marketing', label: 'Vânzări & marketing', labels: { ru: 'Продажи и маркетинг', en: 'Sales & marketing' } },
+      { slug: 'construction', label: 'Construcții', labels: { ru: 'Строительство', en: 'Construction' } },
+      { slug: 'logistics', label: 'Transport & logistică', labels: { ru: 'Транспорт и логистика', en: 'Transport & logistics' } },
+      { slug: 'horeca', label: 'HORECA', labels: { ru: 'HORECA', en: 'HORECA' } },
+      { slug: 'finance', label: 'Contabilitate & finanțe', labels: { ru: 'Бухгалтерия и финансы', en: 'Accounting & finance' } },
+      { slug: 'legal', label: 'Juridic', labels: { ru: 'Юриспруденция', en: 'Legal' } },
+      { slug: 'education', label: 'Educație', labels: { ru: 'Образование', en: 'Education' } },
+      { slug: 'medical', label: 'Medicină', labels: { ru: 'Медицина', en: 'Healthcare' } },
+      { slug: 'freelance', label: 'Freelance & remote', labels: { ru: 'Фриланс и удалённая работа', en: 'Freelance & remote' } },
     ],
   },
   {
     slug: 'services',
     label: 'Servicii',
+    labels: { ru: 'Услуги', en: 'Services' },
     subcategories: [
-      { slug: 'it-services', label: 'Servicii IT' },
-      { slug: 'repairs', label: 'Reparații' },
-      { slug: 'cleaning', label: 'Curățenie' },
-      { slug: 'renovation', label: 'Construcții & renovări' },
-      { slug: 'transport', label: 'Transport' },
-      { slug: 'legal-services', label: 'Juridice' },
-      { slug: 'accounting-services', label: 'Contabile' },
-      { slug: 'marketing', label: 'Marketing & publicitate' },
-      { slug: 'photo-video', label: 'Foto & video' },
-      { slug: 'events', label: 'Evenimente' },
+      { slug: 'it-services', label: 'Servicii IT', labels: { ru: 'IT-услуги', en: 'IT services' } },
+      { slug: 'repairs', label: 'Reparații', labels: { ru: 'Ремонт', en: 'Repairs' } },
+      { slug: 'cleaning', label: 'Curățenie', labels: { ru: 'Уборка', en: 'Cleaning' } },
+      { slug: 'renovation', label: 'Construcții & renovări', labels: { ru: 'Строительство и ремонт', en: 'Construction & renovation' } },
+      { slug: 'transport', label: 'Transport', labels: { ru: 'Перевозки', en: 'Transport' } },
+      { slug: 'legal-services', label: 'Juridice', labels: { ru: 'Юридические', en: 'Legal' } },
+      { slug: 'accounting-services', label: 'Contabile', labels: { ru: 'Бухгалтерские', en: 'Accounting' } },
+      { slug: 'marketing', label: 'Marketing & publicitate', labels: { ru: 'Маркетинг и реклама', en: 'Marketing & advertising' } },
+      { slug: 'photo-video', label: 'Foto & video', labels: { ru: 'Фото и видео', en: 'Photo & video' } },
+      { slug: 'events', label: 'Evenimente', labels: { ru: 'Мероприятия', en: 'Events' } },
     ],
   },
   {
     slug: 'business',
     label: 'Afaceri & Echipamente',
+    labels: { ru: 'Бизнес и оборудование', en: 'Business & Equipment' },
     subcategories: [
-      { slug: 'turnkey', label: 'Afaceri la cheie' },
-      { slug: 'industrial', label: 'Echipamente industriale' },
-      { slug: 'commercial-equipment', label: 'Echipamente comerciale' },
-      { slug: 'machine-tools', label: 'Mașini & unelte' },
-      { slug: 'franchises', label: 'Francize' },
-      { slug: 'raw-materials', label: 'Materii prime' },
+      { slug: 'turnkey', label: 'Afaceri la cheie', labels: { ru: 'Готовый бизнес', en: 'Turnkey businesses' } },
+      { slug: 'industrial', label: 'Echipamente industriale', labels: { ru: 'Промышленное оборудование', en: 'Industrial equipment' } },
+      { slug: 'commercial-equipment', label: 'Echipamente comerciale', labels: { ru: 'Торговое оборудование', en: 'Commercial equipment' } },
+      { slug: 'machine-tools', label: 'Mașini & unelte', labels: { ru: 'Станки и инструменты', en: 'Machinery & tools' } },
+      { slug: 'franchises', label: 'Francize', labels: { ru: 'Франшизы', en: 'Franchises' } },
+      { slug: 'raw-materials', label: 'Materii prime', labels: { ru: 'Сырьё', en: 'Raw materials' } },
     ],
   },
   {
     slug: 'kids',
     label: 'Copii & Bebeluși',
+    labels: { ru: 'Детский мир', en: 'Kids' },
     subcategories: [
-      { slug: 'strollers', label: 'Cărucioare' },
-      { slug: 'cribs', label: 'Pătuțuri' },
-      { slug: 'toys', label: 'Jucării' },
-      { slug: 'kids-clothes', label: 'Haine copii' },
-      { slug: 'newborn', label: 'Nou-născuți' },
-      { slug: 'education-games', label: 'Educație & jocuri' },
+      { slug: 'strollers', label: 'Cărucioare', labels: { ru: 'Коляски', en: 'Strollers' } },
+      { slug: 'cribs', label: 'Pătuțuri', labels: { ru: 'Кроватки', en: 'Cribs' } },
+      { slug: 'toys', label: 'Jucării', labels: { ru: 'Игрушки', en: 'Toys' } },
+      { slug: 'kids-clothes', label: 'Haine copii', labels: { ru: 'Детская одежда', en: 'Kids\' clothes' } },
+      { slug: 'newborn', label: 'Nou-născuți', labels: { ru: 'Для новорождённых', en: 'Newborn' } },
+      { slug: 'education-games', label: 'Educație & jocuri', labels: { ru: 'Развивающие игры', en: 'Education & games' } },
     ],
   },
   {
     slug: 'sports',
     label: 'Sport & Timp liber',
+    labels: { ru: 'Спорт и отдых', en: 'Sports & Leisure' },
     subcategories: [
-      { slug: 'bikes', label: 'Biciclete' },
-      { slug: 'fitness', label: 'Fitness' },
-      { slug: 'fishing', label: 'Pescuit' },
-      { slug: 'hunting', label: 'Vânătoare' },
-      { slug: 'camping', label: 'Turism & camping' },
-      { slug: 'winter-sports', label: 'Sporturi iarnă' },
-      { slug: 'board-games', label: 'Jocuri de societate' },
+      { slug: 'bikes', label: 'Biciclete', labels: { ru: 'Велосипеды', en: 'Bikes' } },
+      { slug: 'fitness', label: 'Fitness', labels: { ru: 'Фитнес', en: 'Fitness' } },
+      { slug: 'fishing', label: 'Pescuit', labels: { ru: 'Рыбалка', en: 'Fishing' } },
+      { slug: 'hunting', label: 'Vânătoare', labels: { ru: 'Охота', en: 'Hunting' } },
+      { slug: 'camping', label: 'Turism & camping', labels: { ru: 'Туризм и кемпинг', en: 'Hiking & camping' } },
+      { slug: 'winter-sports', label: 'Sporturi iarnă', labels: { ru: 'Зимние виды спорта', en: 'Winter sports' } },
+      { slug: 'board-games', label: 'Jocuri de societate', labels: { ru: 'Настольные игры', en: 'Board games' } },
     ],
   },
   {
     slug: 'pets',
     label: 'Animale',
+    labels: { ru: 'Животные', en: 'Pets' },
     subcategories: [
-      { slug: 'dogs', label: 'Câini' },
-      { slug: 'cats', label: 'Pisici' },
-      { slug: 'birds', label: 'Păsări' },
-      { slug: 'farm-animals', label: 'Fermă' },
-      { slug: 'pet-products', label: 'Produse' },
-      { slug: 'vet-services', label: 'Veterinare' },
+      { slug: 'dogs', label: 'Câini', labels: { ru: 'Собаки', en: 'Dogs' } },
+      { slug: 'cats', label: 'Pisici', labels: { ru: 'Кошки', en: 'Cats' } },
+      { slug: 'birds', label: 'Păsări', labels: { ru: 'Птицы', en: 'Birds' } },
+      { slug: 'farm-animals', label: 'Fermă', labels: { ru: 'Сельскохозяйственные животные', en: 'Farm animals' } },
+      { slug: 'pet-products', label: 'Produse', labels: { ru: 'Товары для животных', en: 'Pet supplies' } },
+      { slug: 'vet-services', label: 'Veterinare', labels: { ru: 'Ветеринарные услуги', en: 'Vet services' } },
     ],
   },
   {
     slug: 'agriculture',
     label: 'Agricultură',
+    labels: { ru: 'Сельское хозяйство', en: 'Agriculture' },
     subcategories: [
-      { slug: 'agri-tools', label: 'Utilaje' },
-      { slug: 'seeds-plants', label: 'Semințe & plante' },
-      { slug: 'agri-products', label: 'Produse' },
-      { slug: 'feed', label: 'Furaje' },
-      { slug: 'agri-services', label: 'Servicii' },
+      { slug: 'agri-tools', label: 'Utilaje', labels: { ru: 'Техника', en: 'Machinery' } },
+      { slug: 'seeds-plants', label: 'Semințe & plante', labels: { ru: 'Семена и растения', en: 'Seeds & plants' } },
+      { slug: 'agri-products', label: 'Produse', labels: { ru: 'Продукция', en: 'Produce' } },
+      { slug: 'feed', label: 'Furaje', labels: { ru: 'Корма', en: 'Animal feed' } },
+      { slug: 'agri-services', label: 'Servicii', labels: { ru: 'Услуги', en: 'Services' } },
     ],
   },
   {
     slug: 'courses',
     label: 'Educație & Cursuri',
+    labels: { ru: 'Обучение и курсы', en: 'Education & Courses' },
     subcategories: [
-      { slug: 'tutoring', label: 'Meditații' },
-      { slug: 'online', label: 'Cursuri online' },
-      { slug: 'languages', label: 'Limbi străine' },
-      { slug: 'it-coding', label: 'IT & programare' },
-      { slug: 'self-development', label: 'Dezvoltare personală' },
+      { slug: 'tutoring', label: 'Meditații', labels: { ru: 'Репетиторство', en: 'Tutoring' } },
+      { slug: 'online', label: 'Cursuri online', labels: { ru: 'Онлайн-курсы', en: 'Online courses' } },
+      { slug: 'languages', label: 'Limbi străine', labels: { ru: 'Иностранные языки', en: 'Foreign languages' } },
+      { slug: 'it-coding', label: 'IT & programare', labels: { ru: 'IT и программирование', en: 'IT & coding' } },
+      { slug: 'self-development', label: 'Dezvoltare personală', labels: { ru: 'Личностный рост', en: 'Personal development' } },
     ],
   },
   {
     slug: 'misc',
     label: 'Diverse',
+    labels: { ru: 'Разное', en: 'Miscellaneous' },
     subcategories: [
-      { slug: 'collectibles', label: 'Colecție' },
-      { slug: 'antiques', label: 'Antichități' },
-      { slug: 'books', label: 'Cărți' },
-      { slug: 'music', label: 'Instrumente muzicale' },
-      { slug: 'other', label: 'Altele' },
+      { slug: 'collectibles', label: 'Colecție', labels: { ru: 'Коллекционирование', en: 'Collectibles' } },
+      { slug: 'antiques', label: 'Antichități', labels: { ru: 'Антиквариат', en: 'Antiques' } },
+      { slug: 'books', label: 'Cărți', labels: { ru: 'Книги', en: 'Books' } },
+      { slug: 'music', label: 'Instrumente muzicale', labels: { ru: 'Музыкальные инструменты', en: 'Musical instruments' } },
+      { slug: 'other', label: 'Altele', labels: { ru: 'Другое', en: 'Other' } },
     ],
   },
 ];
 
+// Active (non-archived) category tree loaded from MongoDB, in display order
+// null until the first load - lookups fall back to the seed constants above
+let categoryCache = null;
+
+/**
+ * Replace the in-process category cache
+ * Called by the category service after loading or changing categories
+ * @param {array} activeCategories - [{ slug, label, labels, subcategories: [{ slug, label, labels }] }]
+ */
+export const setCategoryCache = (activeCategories) => {
+  categoryCache = activeCategories;
+};
+
+/**
+ * Get the active category tree (cache, or seed constants before first load)
+ * @returns {array}
+ */
+const getActiveCategories = () => {
+  return categoryCache || categories;
+};
+
 /**
  * Get category by slug
  * @param {string} categorySlug
  * @returns {object|null}
  */
 const getCategoryBySlug = (categorySlug) => {
-  return categories.find((cat) => cat.slug === categorySlug) || null;
+  return getActiveCategories().find((cat) => cat.slug === categorySlug) || null;
 };
 
 /**
@@ -212,7 +252,7 @@ const getSubCategoryBySlugs = (categorySlug, subCategorySlug) => {
 };
 
 /**
- * Check if category slug is valid
+ * Check if category slug is valid (exists and is not archived)
  * @param {string} categorySlug
  * @returns {boolean}
  */
@@ -224,7 +264,7 @@ export const isValidCategorySlug = (categorySlug) => {
 };
 
 /**
- * Check if subcategory slug is valid for given category
+ * Check if subcategory slug is valid for given category (exists and is not archived)
  * @param {string} categorySlug
  * @param {string} subCategorySlug
  * @returns {boolean}
@@ -240,16 +280,21 @@ export const isValidSubcategorySlug = (categorySlug, subCategorySlug) => {
 };
 
 /**
- * Get categories for public API (only slug, label, and subcategories)
+ * Get categories for public API (slug, label, attribute schemas and subcategories)
+ * Labels are returned in the requested locale, falling back to Romanian
+ * Subcategory attribute lists already include the category-level attributes
+ * @param {string} [locale] - 'ro' | 'ru' | 'en'
  * @returns {array} Array of categories with subcategories (public format)
  */
-export const getCategoriesPublic = () => {
-  return categories.map((category) => ({
+export const getCategoriesPublic = (locale = DEFAULT_LOCALE) => {
+  return getActiveCategories().map((category) => ({
     slug: category.slug,
-    label: category.label,
+    label: localizeLabel(category.label, category.labels, locale),
+    attributes: getAttributeSchemaPublic(category.slug, undefined, locale),
     subcategories: category.subcategories.map((sub) => ({
       slug: sub.slug,
-      label: sub.label,
+      label: localizeLabel(sub.label, sub.labels, locale),
+      attributes: getAttributeSchemaPublic(category.slug, sub.slug, locale),
     })),
   }));
 };
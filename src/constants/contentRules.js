@@ -0,0 +1,24 @@
+/**
+ * Banned-content rules (services/contentRule.service.js)
+ *
+ * Types:
+ * keyword - list of words/phrases, matched case-insensitively as whole words
+ * regex   - a regular expression (pattern + flags)
+ *
+ * Actions (when several rules match, the strictest wins: block > mask > flag):
+ * block - the request is rejected (400 CONTENT_BLOCKED)
+ * mask  - matched text is replaced with asterisks and the request goes through
+ * flag  - the request goes through; flagged ads always go to the moderation queue
+ */
+export const CONTENT_RULE_TYPES = ['keyword', 'regex'];
+
+export const CONTENT_RULE_ACTIONS = ['block', 'mask', 'flag'];
+
+// Text fields a rule can apply to
+export const CONTENT_RULE_FIELDS = ['title', 'description', 'message'];
+
+// Where a hit happened
+export const CONTENT_RULE_CONTEXTS = ['ad_create', 'ad_update', 'message'];
+
+// Flags accepted for regex rules ('g' is always added by the engine)
+export const CONTENT_RULE_REGEX_FLAGS = ['i', 'm', 's', 'u'];
@@ -0,0 +1,107 @@
+import { normalizeSearchText } from '../utils/searchText.js';
+
+/**
+ * Moldova localities used for ad locations
+ * Municipalities and district (raion) centers with approximate center coordinates.
+ * region is the municipality, district or autonomous unit the locality belongs to.
+ * Slugs are stable identifiers - names may be corrected without breaking stored ads
+ */
+export const localities = [
+  // Municipalities
+  { slug: 'chisinau', name: 'Chișinău', region: 'Chișinău', lat: 47.0105, lng: 28.8638 },
+  { slug: 'balti', name: 'Bălți', region: 'Bălți', lat: 47.7617, lng: 27.9289 },
+  { slug: 'comrat', name: 'Comrat', region: 'Găgăuzia', lat: 46.2956, lng: 28.655 },
+  { slug: 'bender', name: 'Bender', region: 'Bender', lat: 46.8316, lng: 29.4777 },
+  { slug: 'tiraspol', name: 'Tiraspol', region: 'Stânga Nistrului', lat: 46.8403, lng: 29.6433 },
+  { slug: 'cahul', name: 'Cahul', region: 'Cahul', lat: 45.9075, lng: 28.1944 },
+  { slug: 'ungheni', name: 'Ungheni', region: 'Ungheni', lat: 47.2106, lng: 27.8003 },
+  { slug: 'soroca', name: 'Soroca', region: 'Soroca', lat: 48.1558, lng: 28.2975 },
+  { slug: 'orhei', name: 'Orhei', region: 'Orhei', lat: 47.3831, lng: 28.8231 },
+  { slug: 'edinet', name: 'Edineț', region: 'Edineț', lat: 48.1681, lng: 27.3036 },
+  { slug: 'hincesti', name: 'Hîncești', region: 'Hîncești', lat: 46.83, lng: 28.5908 },
+  { slug: 'straseni', name: 'Strășeni', region: 'Strășeni', lat: 47.1414, lng: 28.6103 },
+  { slug: 'causeni', name: 'Căușeni', region: 'Căușeni', lat: 46.6367, lng: 29.4111 },
+  // Suburbs of Chișinău
+  { slug: 'durlesti', name: 'Durlești', region: 'Chișinău', lat: 47.0178, lng: 28.7625 },
+  { slug: 'codru', name: 'Codru', region: 'Chișinău', lat: 46.975, lng: 28.819 },
+  { slug: 'cricova', name: 'Cricova', region: 'Chișinău', lat: 47.1389, lng: 28.8614 },
+  { slug: 'singera', name: 'Sîngera', region: 'Chișinău', lat: 46.9153, lng: 28.9706 },
+  { slug: 'vadul-lui-voda', name: 'Vadul lui Vodă', region: 'Chișinău', lat: 47.0919, lng: 29.0756 },
+  // District centers
+  { slug: 'anenii-noi', name: 'Anenii Noi', region: 'Anenii Noi', lat: 46.8789, lng: 29.2311 },
+  { slug: 'basarabeasca', name: 'Basarabeasca', region: 'Basarabeasca', lat: 46.3336, lng: 28.9617 },
+  { slug: 'briceni', name: 'Briceni', region: 'Briceni', lat: 48.36, lng: 27.085 },
+  { slug: 'calarasi', name: 'Călărași', region: 'Călărași', lat: 47.2544, lng: 28.3081 },
+  { slug: 'cantemir', name: 'Cantemir', region: 'Cantemir', lat: 46.2781, lng: 28.2011 },
+  { slug: 'cimislia', name: 'Cimișlia', region: 'Cimișlia', lat: 46.52, lng: 28.7836 },
+  { slug: 'criuleni', name: 'Criuleni', region: 'Criuleni', lat: 47.2136, lng: 29.1592 },
+  { slug: 'donduseni', name: 'Dondușeni', region: 'Dondușeni', lat: 48.2236, lng: 27.5853 },
+  { slug: 'drochia', name: 'Drochia', region: 'Drochia', lat: 48.0353, lng: 27.8125 },
+  { slug: 'dubasari', name: 'Dubăsari', region: 'Dubăsari', lat: 47.2667, lng: 29.1667 },
+  { slug: 'falesti', name: 'Fălești', region: 'Fălești', lat: 47.5736, lng: 27.7092 },
+  { slug: 'floresti', name: 'Florești', region: 'Florești', lat: 47.8933, lng: 28.3014 },
+  { slug: 'glodeni', name: 'Glodeni', region: 'Glodeni', lat: 47.7708, lng: 27.5144 },
+  { slug: 'ialoveni', name: 'Ialoveni', region: 'Ialoveni', lat: 46.9431, lng: 28.7781 },
+  { slug: 'leova', name: 'Leova', region: 'Leova', lat: 46.4786, lng: 28.2553 },
+  { slug: 'nisporeni', name: 'Nisporeni', region: 'Nisporeni', lat: 47.0817, lng: 28.1783 },
+  { slug: 'ocnita', name: 'Ocnița', region: 'Ocnița', lat: 48.3853, lng: 27.4381 },
+  { slug: 'otaci', name: 'Otaci', region: 'Ocnița', lat: 48.4306, lng: 27.7931 },
+  { slug: 'rezina', name: 'Rezina', region: 'Rezina', lat: 47.7492, lng: 28.9622 },
+  { slug: 'riscani', name: 'Rîșcani', region: 'Rîșcani', lat: 47.9561, lng: 27.5536 },
+  { slug: 'singerei', name: 'Sîngerei', region: 'Sîngerei', lat: 47.6358, lng: 28.1431 },
+  { slug: 'soldanesti', name: 'Șoldănești', region: 'Șoldănești', lat: 47.8158, lng: 28.7967 },
+  { slug: 'stefan-voda', name: 'Ștefan Vodă', region: 'Ștefan Vodă', lat: 46.5153, lng: 29.6631 },
+  { slug: 'taraclia', name: 'Taraclia', region: 'Taraclia', lat: 45.9, lng: 28.6689 },
+  { slug: 'telenesti', name: 'Telenești', region: 'Telenești', lat: 47.4997, lng: 28.3656 },
+  // Găgăuzia
+  { slug: 'ceadir-lunga', name: 'Ceadîr-Lunga', region: 'Găgăuzia', lat: 46.0617, lng: 28.8306 },
+  { slug: 'vulcanesti', name: 'Vulcănești', region: 'Găgăuzia', lat: 45.6842, lng: 28.4042 },
+  // Stânga Nistrului
+  { slug: 'ribnita', name: 'Rîbnița', region: 'Stânga Nistrului', lat: 47.7667, lng: 29.0 },
+  { slug: 'slobozia', name: 'Slobozia', region: 'Stânga Nistrului', lat: 46.7297, lng: 29.7047 },
+  { slug: 'grigoriopol', name: 'Grigoriopol', region: 'Stânga Nistrului', lat: 47.1536, lng: 29.2964 },
+  { slug: 'camenca', name: 'Camenca', region: 'Stânga Nistrului', lat: 48.0319, lng: 28.6978 },
+];
+
+/**
+ * Approximate bounding box of Moldova (with a small margin)
+ * Coordinates outside it are rejected for ad locations
+ */
+export const MOLDOVA_BOUNDS = {
+  minLat: 45.4,
+  maxLat: 48.55,
+  minLng: 26.6,
+  maxLng: 30.2,
+};
+
+const localityIndex = new Map();
+localities.forEach((locality) => {
+  localityIndex.set(locality.slug, locality);
+  localityIndex.set(normalizeSearchText(locality.name), locality);
+});
+
+/**
+ * Find a locality by slug or name (case and diacritics insensitive)
+ * e.g. 'chisinau', 'Chișinău', 'CHISINAU' all match
+ *
+ * @param {string} value
+ * @returns {object|null}
+ */
+export const findLocality = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = normalizeSearchText(value);
+  return localityIndex.get(normalized) || localityIndex.get(normalized.replace(/\s+/g, '-')) || null;
+};
+
+/**
+ * Check whether coordinates fall inside Moldova
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {boolean}
+ */
+export const isWithinMoldova = (lat, lng) => {
+  return lat >= MOLDOVA_BOUNDS.minLat && lat <= MOLDOVA_BOUNDS.maxLat
+    && lng >= MOLDOVA_BOUNDS.minLng && lng <= MOLDOVA_BOUNDS.maxLng;
+};
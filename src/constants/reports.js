@@ -0,0 +1,50 @@
+/**
+ * User reports (POST /api/reports) and their triage
+ *
+ * Targets:
+ * ad      - a listed ad
+ * user    - a user profile
+ * message - a single chat message (only the receiver can report it)
+ *
+ * Statuses:
+ * open      - waiting for a moderator
+ * escalated - handed over to an admin by a moderator
+ * resolved  - action was taken
+ * dismissed - nothing to act on
+ */
+export const REPORT_TARGET_TYPES = ['ad', 'user', 'message'];
+
+export const REPORT_REASONS = [
+  'scam',
+  'counterfeit',
+  'prohibited_item',
+  'misleading',
+  'wrong_category',
+  'spam',
+  'offensive',
+  'harassment',
+  'other',
+];
+
+export const REPORT_STATUSES = ['open', 'escalated', 'resolved', 'dismissed'];
+
+// Reports that still count towards auto-hiding and block repeated reports
+export const ACTIVE_REPORT_STATUSES = ['open', 'escalated'];
+
+/**
+ * Allowed triage transitions: current status -> statuses it may move to
+ * Escalated reports can only be closed by staff with reports:escalated (admins)
+ */
+export const REPORT_STATUS_TRANSITIONS = {
+  open: ['resolved', 'dismissed', 'escalated'],
+  escalated: ['resolved', 'dismissed'],
+  resolved: [],
+  dismissed: [],
+};
+
+// Triage actions exposed by the admin API and the status they lead to
+export const REPORT_TRIAGE_ACTIONS = {
+  resolve: 'resolved',
+  dismiss: 'dismissed',
+  escalate: 'escalated',
+};
@@ -0,0 +1,58 @@
+/**
+ * User roles and permissions
+ *
+ * user      - regular account
+ * moderator - reviews ads and handles abusive accounts
+ * admin     - everything a moderator can do, plus role management and site configuration
+ */
+export const ROLES = ['user', 'moderator', 'admin'];
+
+/**
+ * Permissions checked by requirePermission (auth.middleware.js)
+ */
+export const PERMISSIONS = {
+  USERS_READ: 'users:read',
+  USERS_SUSPEND: 'users:suspend',
+  USERS_MANAGE_ROLES: 'users:manage_roles',
+  ADS_MODERATE: 'ads:moderate',
+  ADS_REMOVE: 'ads:remove',
+  REPORTS_TRIAGE: 'reports:triage',
+  REPORTS_ESCALATED: 'reports:escalated',
+  RULE_HITS_READ: 'rule_hits:read',
+  CONTENT_RULES_MANAGE: 'content_rules:manage',
+};
+
+const MODERATOR_PERMISSIONS = [
+  PERMISSIONS.USERS_READ,
+  PERMISSIONS.USERS_SUSPEND,
+  PERMISSIONS.ADS_MODERATE,
+  PERMISSIONS.ADS_REMOVE,
+  PERMISSIONS.REPORTS_TRIAGE,
+  PERMISSIONS.RULE_HITS_READ,
+];
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: MODERATOR_PERMISSIONS,
+  admin: [
+    ...MODERATOR_PERMISSIONS,
+    PERMISSIONS.USERS_MANAGE_ROLES,
+    PERMISSIONS.REPORTS_ESCALATED,
+    PERMISSIONS.CONTENT_RULES_MANAGE,
+  ],
+};
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+/**
+ * Staff roles (moderator, admin)
+ * @param {string} role
+ * @returns {boolean}
+ */
+export const isStaffRole = (role) => role === 'moderator' || role === 'admin';
@@ -0,0 +1,366 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Ad from '../models/Ad.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import logger from '../config/logger.js';
+import { approveAd, rejectAd } from '../services/moderation.service.js';
+import { buildStatusHistoryEntry } from '../services/adStatus.service.js';
+import { changeAccountStatus } from '../services/accountStatus.service.js';
+import { parseLimit } from '../utils/cursor.js';
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const USER_ADMIN_FIELDS = 'name email role accountStatus suspendedUntil statusReason statusChangedBy createdAt updatedAt';
+
+/**
+ * Validate an ObjectId route parameter
+ * @returns {AppError|null}
+ */
+const checkObjectId = (id) => (
+  mongoose.Types.ObjectId.isValid(id)
+    ? null
+    : new AppError('Invalid ID format', 400, { type: 'INVALID_ID' })
+);
+
+/**
+ * List and search users
+ * Query: search (name or email), role, accountStatus, page, limit
+ * GET /api/admin/users
+ */
+export const listUsers = async (req, res, next) => {
+  try {
+    const { search, role, accountStatus, page } = req.query;
+    const query = {};
+
+    if (typeof search === 'string' && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      query.$or = [{ name: pattern }, { email: pattern }];
+    }
+    if (typeof role === 'string' && role) {
+      query.role = role;
+    }
+    if (typeof accountStatus === 'string' && accountStatus) {
+      query.accountStatus = accountStatus;
+    }
+
+    const limitNum = parseLimit(req.query.limit);
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select(USER_ADMIN_FIELDS)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      User.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      users,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get one user with ad counts per status and account status history
+ * GET /api/admin/users/:id
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const idError = checkObjectId(req.params.id);
+    if (idError) {
+      return next(idError);
+    }
+
+    const user = await User.findById(req.params.id)
+      .select(`${USER_ADMIN_FIELDS} +accountStatusHistory`)
+      .populate('accountStatusHistory.changedBy', 'name email')
+      .lean();
+    if (!user) {
+      return next(new AppError('User not found', 404, { type: 'NOT_FOUND' }));
+    }
+
+    const adCounts = await Ad.aggregate([
+      { $match: { user: user._id, isDeleted: false } },
+      { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    res.json({
+      success: true,
+      user,
+      ads: Object.fromEntries(adCounts.map(({ _id, count }) => [_id, count])),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a user's role (admin only)
+ * Admins can't change their own role, so the last admin can't lock everyone out
+ * PATCH /api/admin/users/:id/role
+ */
+export const updateUserRole = async (req, res, next) => {
+  try {
+    const idError = checkObjectId(req.params.id);
+    if (idError) {
+      return next(idError);
+    }
+
+    if (req.params.id === req.user.id) {
+      return next(
+        new AppError('You cannot change your own role', 400, {
+          type: 'SELF_ROLE_CHANGE',
+        })
+      );
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return next(new AppError('User not found', 404, { type: 'NOT_FOUND' }));
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    await user.save();
+
+    logger.info('[ADMIN] User role changed', {
+      userId: user._id,
+      from: previousRole,
+      to: user.role,
+      adminId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      user: { _id: user._id, name: user.name, email: user.email, role: user.role },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load the target of an account status change
+ * Nobody can change their own status; only admins can restrict staff accounts
+ * @returns {Promise<object>} User document
+ * @throws {AppError}
+ */
+const findStatusChangeTarget = async (req) => {
+  const idError = checkObjectId(req.params.id);
+  if (idError) {
+    throw idError;
+  }
+
+  if (req.params.id === req.user.id) {
+    throw new AppError('You cannot change your own account status', 400, {
+      type: 'SELF_STATUS_CHANGE',
+    });
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    throw new AppError('User not found', 404, { type: 'NOT_FOUND' });
+  }
+
+  if (user.role !== 'user' && req.user.role !== 'admin') {
+    throw new AppError('Only admins can restrict staff accounts', 403, {
+      type: 'FORBIDDEN',
+    });
+  }
+  return user;
+};
+
+/**
+ * Build a handler that moves a user to an account status (with reason, recorded in history)
+ * @param {string} status - Target status (constants/accountStatus.js)
+ * @returns {Function} Express handler
+ */
+const accountStatusHandler = (status) => async (req, res, next) => {
+  try {
+    const user = await findStatusChangeTarget(req);
+
+    await changeAccountStatus(user, status, {
+      reason: req.body.reason,
+      until: req.body.until,
+      changedBy: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      user: await User.findById(user._id).select(USER_ADMIN_FIELDS).lean(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suspend a user (optionally until a date) - protected routes and login answer ACCOUNT_SUSPENDED
+ * POST /api/admin/users/:id/suspend
+ */
+export const suspendUser = accountStatusHandler('suspended');
+
+/**
+ * Ban a user - protected routes and login answer ACCOUNT_BANNED, their ads are hidden
+ * POST /api/admin/users/:id/ban
+ */
+export const banUser = accountStatusHandler('banned');
+
+/**
+ * Shadow-ban a user - they keep using the site, but their ads are hidden from everyone else
+ * and their messages are held back
+ * POST /api/admin/users/:id/shadow-ban
+ */
+export const shadowBanUser = accountStatusHandler('shadow_banned');
+
+/**
+ * Lift a suspension, ban or shadow-ban
+ * POST /api/admin/users/:id/reinstate
+ */
+export const reinstateUser = accountStatusHandler('active');
+
+/**
+ * Force-remove an ad (soft delete with reason, any status)
+ * DELETE /api/admin/ads/:id
+ */
+export const removeAd = async (req, res, next) => {
+  try {
+    const idError = checkObjectId(req.params.id);
+    if (idError) {
+      return next(idError);
+    }
+
+    // History is selected so the audit entry is saved together with the removal ($push)
+    const ad = await Ad.findOne({ _id: req.params.id, isDeleted: false }).select('+statusHistory');
+    if (!ad) {
+      return next(new AppError('Ad not found', 404, { type: 'NOT_FOUND' }));
+    }
+
+    ad.isDeleted = true;
+    ad.removal = {
+      reason: req.body.reason,
+      removedBy: req.user.id,
+      removedAt: new Date(),
+    };
+    // Keep the audit trail in the status history (status itself is unchanged)
+    ad.statusHistory.push(
+      buildStatusHistoryEntry(ad.status, 'removed', {
+        actor: req.user.id,
+        source: req.user.role === 'admin' ? 'admin' : 'moderator',
+      })
+    );
+    await ad.save();
+
+    logger.info('[ADMIN] Ad removed', {
+      adId: ad._id,
+      adminId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Ad removed successfully',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Moderation queue - ads waiting for review, oldest submission first
+ * Query: trigger (activation|edit|reports), page, limit
+ * GET /api/admin/moderation
+ */
+export const getModerationQueue = async (req, res, next) => {
+  try {
+    const { trigger, page } = req.query;
+    const query = { status: 'pending_review', isDeleted: false };
+    if (['activation', 'edit', 'reports'].includes(trigger)) {
+      query['moderation.trigger'] = trigger;
+    }
+
+    const limitNum = parseLimit(req.query.limit);
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [ads, total] = await Promise.all([
+      Ad.find(query)
+        .select('+moderation +duplicateOf')
+        .populate('user', 'name email createdAt')
+        .sort({ 'moderation.submittedAt': 1, _id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Ad.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      ads,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve an ad waiting for review
+ * POST /api/admin/moderation/:id/approve
+ */
+export const approveModeration = async (req, res, next) => {
+  try {
+    const idError = checkObjectId(req.params.id);
+    if (idError) {
+      return next(idError);
+    }
+
+    const ad = await approveAd(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Ad approved',
+      ad,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject an ad waiting for review - it returns to draft with the reason
+ * POST /api/admin/moderation/:id/reject
+ */
+export const rejectModeration = async (req, res, next) => {
+  try {
+    const idError = checkObjectId(req.params.id);
+    if (idError) {
+      return next(idError);
+    }
+
+    const ad = await rejectAd(req.params.id, req.user.id, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'Ad rejected',
+      ad,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
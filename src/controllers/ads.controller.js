@@ -3,26 +3,65 @@ import User from '../models/User.js';
 import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
 import { AppError } from '../middlewares/error.middleware.js';
-import cloudinary from '../config/cloudinary.js';
+import { getStorage } from '../services/storage.service.js';
+import { getImageVariantUrl, IMAGE_VARIANTS } from '../services/imageProcessing.service.js';
+import {
+  getDuplicateAction,
+  findDuplicateAd,
+  buildDuplicateError,
+  buildDuplicateFlag,
+  logDuplicate,
+} from '../services/duplicateAd.service.js';
+import { buildAdFingerprint } from '../utils/fingerprint.js';
+import { MAX_AD_IMAGES } from '../middlewares/upload.middleware.js';
 import logger from '../config/logger.js';
 import { getCategoriesPublic, isValidCategorySlug, isValidSubcategorySlug } from '../constants/categories.js';
+import { buildAdQuery, isAdExpired } from '../utils/adQuery.js';
+import { parseDisplayCurrency, addDisplayPrice, toBaseCurrency } from '../utils/currency.js';
+import { toGeoPoint } from '../utils/location.js';
+import { localities } from '../constants/localities.js';
+import { publishAd, prepareEditReview } from '../services/moderation.service.js';
+import { startAdLifetime } from '../services/adExpiry.service.js';
+import { validateStatusChange, changeAdStatus, buildStatusHistoryEntry } from '../services/adStatus.service.js';
+import { getAllowedTransitions } from '../constants/adStatus.js';
+import {
+  buildAdSnapshot,
+  recordAdRevisionSafe,
+  listAdRevisions,
+  diffAdRevisions,
+  getLatestRevisionNumber,
+} from '../services/adRevision.service.js';
+import { handlePriceChange, getPriceHistory } from '../services/priceHistory.service.js';
+import { recordRuleHits } from '../services/contentRule.service.js';
+import { isAccessTokenRevoked } from '../services/authToken.service.js';
+import {
+  toSortObject,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  applyCursorFilter,
+  parseLimit,
+  paginateResults,
+} from '../utils/cursor.js';
 
 /**
- * Escape regex special characters to prevent regex injection
- * @param {string} str - String to escape
- * @returns {string} Escaped string safe for use in regex
+ * Keyset sort specs for ad listings (sort key + _id tiebreaker)
+ * Prices sort on the normalized (EUR) price so MDL/USD/EUR ads sort together correctly
  */
-const escapeRegex = (str) => {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const AD_SORTS = {
+  newest: [['createdAt', -1], ['_id', -1]],
+  price_asc: [['priceNormalized', 1], ['_id', -1]],
+  price_desc: [['priceNormalized', -1], ['_id', -1]],
 };
 
 /**
  * Get all categories with subcategories
+ * Labels follow the request locale (?lang= or Accept-Language)
  * GET /api/categories
  */
 export const getCategories = async (req, res, next) => {
   try {
-    const categories = getCategoriesPublic();
+    const categories = getCategoriesPublic(req.locale);
 
     res.status(200).json({
       success: true,
@@ -33,244 +72,314 @@ export const getCategories = async (req, res, next) => {
   }
 };
 
+/**
+ * Get Moldova localities accepted for ad locations and the city filter
+ * GET /api/ads/localities
+ */
+export const getLocalities = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      localities,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Attribute keys exposed as facets
+ */
+const FACET_ATTRIBUTES = ['brand', 'condition', 'year', 'rooms'];
+
+/**
+ * Price range bucket boundaries (lower bound inclusive, upper bound exclusive)
+ * Applied to the normalized EUR price so ads in all currencies land in the right bucket
+ * Prices at or above the last boundary fall into the open-ended bucket
+ */
+const PRICE_FACET_BOUNDARIES = [0, 100, 500, 1000, 5000, 10000, 50000, 100000];
+
+/**
+ * Compute facet counts for a listing query in a single aggregation
+ * Uses the exact filter built by buildAdQuery so counts always match results
+ *
+ * @param {object} query - MongoDB filter from buildAdQuery
+ * @returns {Promise<object>} Facet counts (total, categories, subcategories, currencies, attributes, priceRanges)
+ */
+const computeAdFacets = async (query) => {
+  const countBy = (field) => [
+    { $match: { [field.slice(1)]: { $exists: true, $nin: [null, ''] } } },
+    { $group: { _id: field, count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ];
+
+  const attributeFacets = {};
+  FACET_ATTRIBUTES.forEach((key) => {
+    attributeFacets[`attr_${key}`] = countBy(`$attributes.${key}`);
+  });
+
+  const lastBoundary = PRICE_FACET_BOUNDARIES[PRICE_FACET_BOUNDARIES.length - 1];
+
+  const [result] = await Ad.aggregate([
+    // $text (if present) must be in the first $match stage
+    { $match: query },
+    {
+      $facet: {
+        total: [{ $count: 'count' }],
+        categories: countBy('$categorySlug'),
+        subcategories: [
+          { $match: { subCategorySlug: { $exists: true, $nin: [null, ''] } } },
+          {
+            $group: {
+              _id: { categorySlug: '$categorySlug', subCategorySlug: '$subCategorySlug' },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1, '_id.subCategorySlug': 1 } },
+        ],
+        currencies: countBy('$currency'),
+        priceRanges: [
+          // Ads without a normalized price (unknown rate) would land in the 'above' bucket
+          { $match: { priceNormalized: { $type: 'number' } } },
+          {
+            $bucket: {
+              groupBy: '$priceNormalized',
+              boundaries: PRICE_FACET_BOUNDARIES,
+              default: 'above',
+              output: { count: { $sum: 1 } },
+            },
+          },
+        ],
+        ...attributeFacets,
+      },
+    },
+  ]);
+
+  const toValueCounts = (items = []) => items.map((item) => ({ value: item._id, count: item.count }));
+
+  const attributes = {};
+  FACET_ATTRIBUTES.forEach((key) => {
+    attributes[key] = toValueCounts(result[`attr_${key}`]);
+  });
+
+  return {
+    total: result.total[0]?.count || 0,
+    categories: toValueCounts(result.categories),
+    subcategories: (result.subcategories || []).map((item) => ({
+      categorySlug: item._id.categorySlug,
+      value: item._id.subCategorySlug,
+      count: item.count,
+    })),
+    currencies: toValueCounts(result.currencies),
+    attributes,
+    priceRanges: (result.priceRanges || []).map((bucket) => {
+      if (bucket._id === 'above') {
+        return { min: lastBoundary, max: null, count: bucket.count };
+      }
+      const index = PRICE_FACET_BOUNDARIES.indexOf(bucket._id);
+      return { min: bucket._id, max: PRICE_FACET_BOUNDARIES[index + 1], count: bucket.count };
+    }),
+  };
+};
+
+/**
+ * Get facet counts for the current filters
+ * GET /api/ads/facets
+ * Accepts the same query parameters as GET /api/ads (pagination/sort are ignored)
+ */
+export const getAdFacets = async (req, res, next) => {
+  try {
+    const { query } = buildAdQuery(req.query, { locale: req.messageLocale });
+    const facets = await computeAdFacets(query);
+
+    res.json({
+      success: true,
+      facets,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Find ads ordered by distance from a point (nearest first)
+ * Uses $geoNear, so the query must not contain $text
+ *
+ * @param {object} query - Filter from buildAdQuery
+ * @param {{lat: number, lng: number}} near
+ * @param {number} skip
+ * @param {number} limit
+ * @returns {Promise<Array>} Plain ads with user populated and distanceKm set
+ */
+const findAdsByDistance = async (query, near, skip, limit) => {
+  const ads = await Ad.aggregate([
+    {
+      $geoNear: {
+        near: toGeoPoint(near.lat, near.lng),
+        key: 'location.point',
+        distanceField: 'distance',
+        spherical: true,
+        query,
+      },
+    },
+    { $skip: skip },
+    { $limit: limit },
+    // Aggregation ignores select: false - drop internal fields explicitly
+    { $project: { searchTitle: 0, searchContent: 0, statusHistory: 0, fingerprint: 0, duplicateOf: 0, moderation: 0, removal: 0, sellerHidden: 0 } },
+  ]);
+
+  await Ad.populate(ads, { path: 'user', select: 'name email' });
+
+  ads.forEach((ad) => {
+    ad.distanceKm = Math.round(ad.distance / 100) / 10;
+    delete ad.distance;
+  });
+  return ads;
+};
+
 export const getAds = async (req, res, next) => {
   try {
     const {
-      q,
-      search,
       minPrice,
       maxPrice,
       currency,
-      categoryId, // Filter by category ObjectId (if category field exists as ObjectId)
-      category, // Support both 'category' and 'categorySlug' for compatibility (slug-based)
       categorySlug,
       subCategorySlug,
       sort,
       page,
       limit,
-      // Attribute filters
-      brand,
-      condition,
-      year,
-      rooms,
-      areaMin,
-      areaMax,
+      cursor,
+      includeTotal,
+      facets,
+      displayCurrency,
     } = req.query;
 
-    // Build query object - only active, non-deleted ads
-    const query = {
-      status: 'active',
-      isDeleted: false,
-    };
+    // Build filter from query params (shared with facets and saved searches)
+    const { query, searchTerm, normalizedSearch, categoryFilter, near } = buildAdQuery(req.query, { locale: req.messageLocale });
 
-    // Text search by title (case-insensitive)
-    // Support both 'search' and legacy 'q' parameter (search takes precedence)
-    const searchRaw = (typeof search === 'string' && search.trim().length > 0)
-      ? search
-      : q;
-    const searchTerm = (typeof searchRaw === 'string' ? searchRaw.trim() : '');
-    if (searchTerm.length > 0) {
-      const searchEscaped = escapeRegex(searchTerm);
-      query.title = { $regex: searchEscaped, $options: 'i' };
-    }
-
-    // Filter by price range
-    // Ignore invalid values (NaN) instead of throwing 400
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) {
-        const minPriceNum = parseFloat(minPrice);
-        if (!isNaN(minPriceNum) && minPriceNum >= 0) {
-          query.price.$gte = minPriceNum;
-        }
-      }
-      if (maxPrice) {
-        const maxPriceNum = parseFloat(maxPrice);
-        if (!isNaN(maxPriceNum) && maxPriceNum >= 0) {
-          query.price.$lte = maxPriceNum;
-        }
-      }
-      // If price object is empty, remove it
-      if (Object.keys(query.price).length === 0) {
-        delete query.price;
-      }
-    }
-
-    // Filter by currency (exact match if provided)
-    // Trim string and validate it's one of allowed values
-    if (currency && typeof currency === 'string' && currency.trim().length > 0) {
-      const currencyTrimmed = currency.trim();
-      const allowedCurrencies = ['EUR', 'USD', 'MDL'];
-      if (allowedCurrencies.includes(currencyTrimmed)) {
-        query.currency = currencyTrimmed;
-      }
-    }
-
-    // Filter by categoryId (ObjectId) - if category field exists as ObjectId reference
-    // NOTE: Ad model currently uses categorySlug (String), not category (ObjectId)
-    // To enable categoryId filtering, add category field to Ad model:
-    // category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' }
-    if (categoryId) {
-      if (!mongoose.Types.ObjectId.isValid(categoryId)) {
-        return next(
-          new AppError('Invalid categoryId format', 400, {
-            type: 'INVALID_ID',
-            field: 'categoryId',
-          })
-        );
-      }
-      // Apply filter - will work when Ad model has 'category' ObjectId field
-      // For now, this won't match anything since Ad model only has categorySlug
-      query.category = new mongoose.Types.ObjectId(categoryId);
+    // Shadow-banned sellers keep seeing their own ads (req.user is set by optionalAuth)
+    if (req.user?.accountStatus === 'shadow_banned') {
+      delete query.sellerHidden;
+      query.$and = [
+        ...(query.$and || []),
+        { $or: [{ sellerHidden: { $ne: true } }, { user: new mongoose.Types.ObjectId(req.user.id) }] },
+      ];
     }
 
-    // Filter by category slug (support both 'category' and 'categorySlug' for compatibility)
-    // Use category if provided, otherwise fall back to categorySlug
-    // Only apply slug filter if categoryId was not provided (categoryId takes precedence)
-    const categoryFilter = !categoryId ? (category || categorySlug) : null;
-
-    // If subCategorySlug is provided without category, return error
-    if (subCategorySlug && !categoryFilter && !categoryId) {
-      return next(
-        new AppError('category required when filtering by subCategorySlug', 400, {
-          type: 'INVALID_FILTER',
-          field: 'subCategorySlug',
-        })
-      );
-    }
-
-    // Apply category slug filter using regex (case-insensitive) on categorySlug field
-    if (categoryFilter) {
-      if (typeof categoryFilter !== 'string' || categoryFilter.trim().length === 0) {
-        return next(
-          new AppError('Invalid category parameter', 400, {
-            type: 'INVALID_CATEGORY',
-            field: 'category',
-          })
-        );
-      }
-
-      const categoryTrimmed = categoryFilter.trim();
-      const categoryEscaped = escapeRegex(categoryTrimmed);
-      // Use regex for case-insensitive matching on categorySlug field
-      query.categorySlug = new RegExp(`^${categoryEscaped}$`, 'i');
-
-      // If subCategorySlug is provided, validate it belongs to category
-      if (subCategorySlug) {
-        if (typeof subCategorySlug !== 'string' || subCategorySlug.trim().length === 0) {
+    // Sorting logic
+    // Default: newest (createdAt desc)
+    // Options: newest, price_asc, price_desc, relevance, distance
+    let sortKey = 'newest';
+    if (sort && typeof sort === 'string') {
+      const sortValue = sort.trim().toLowerCase();
+      if (AD_SORTS[sortValue]) {
+        sortKey = sortValue;
+      } else if (sortValue === 'relevance' && query.$text) {
+        // Relevance only makes sense with a search term - otherwise fall back to newest
+        sortKey = 'relevance';
+      } else if (sortValue === 'distance' && near) {
+        // Distance needs a reference point (near=lat,lng) - otherwise fall back to newest
+        if (query.$text) {
           return next(
-            new AppError('Invalid subCategorySlug parameter', 400, {
-              type: 'INVALID_SUBCATEGORY',
-              field: 'subCategorySlug',
+            new AppError('Distance sort cannot be combined with text search', 400, {
+              type: 'INVALID_FILTER',
+              field: 'sort',
             })
           );
         }
-
-        const subCategorySlugTrimmed = subCategorySlug.trim();
-        // For subcategory, also use regex matching
-        const subCategoryEscaped = escapeRegex(subCategorySlugTrimmed);
-        query.subCategorySlug = new RegExp(`^${subCategoryEscaped}$`, 'i');
+        sortKey = 'distance';
       }
     }
 
-    // Filter by attributes
-    // Build attributes query object
-    const attributesQuery = {};
-    if (brand && typeof brand === 'string' && brand.trim().length > 0) {
-      attributesQuery['attributes.brand'] = brand.trim();
-    }
-    if (condition && typeof condition === 'string' && condition.trim().length > 0) {
-      attributesQuery['attributes.condition'] = condition.trim();
-    }
-    if (year && typeof year === 'string' && year.trim().length > 0) {
-      // Year can be a string or number, validate it's a valid year
-      const yearNum = parseInt(year.trim(), 10);
-      if (!isNaN(yearNum) && yearNum > 1900 && yearNum <= new Date().getFullYear() + 1) {
-        attributesQuery['attributes.year'] = yearNum.toString();
-      }
-    }
-    if (rooms && typeof rooms === 'string' && rooms.trim().length > 0) {
-      const roomsNum = parseInt(rooms.trim(), 10);
-      if (!isNaN(roomsNum) && roomsNum > 0) {
-        attributesQuery['attributes.rooms'] = roomsNum.toString();
-      }
-    }
-    // Area range filter
-    // For MVP: Since attributes are stored as Map<String>, use $expr for numeric comparison
-    const areaConditions = [];
-    if (areaMin) {
-      const areaMinNum = parseFloat(areaMin);
-      if (!isNaN(areaMinNum) && areaMinNum >= 0) {
-        areaConditions.push({ $gte: [{ $toDouble: { $ifNull: ['$attributes.area', '0'] } }, areaMinNum] });
-      }
-    }
-    if (areaMax) {
-      const areaMaxNum = parseFloat(areaMax);
-      if (!isNaN(areaMaxNum) && areaMaxNum >= 0) {
-        areaConditions.push({ $lte: [{ $toDouble: { $ifNull: ['$attributes.area', '0'] } }, areaMaxNum] });
+    // Pagination logic
+    // cursor (opaque, from a previous response's nextCursor) takes precedence over page
+    const limitNum = parseLimit(limit);
+    const useCursor = cursor !== undefined && cursor !== '';
+    const pageNum = useCursor ? 1 : Math.max(1, parseInt(page, 10) || 1);
+
+    let sortOptions;
+    let cursorFilter = null;
+    const pageOnly = sortKey === 'relevance' || sortKey === 'distance';
+    if (pageOnly) {
+      // Text score and distance are not stable keys - these results are paged by page number only
+      if (useCursor) {
+        return next(
+          new AppError(`Cursor pagination is not supported for ${sortKey} sort`, 400, {
+            type: 'INVALID_CURSOR',
+            field: 'cursor',
+          })
+        );
       }
-    }
-    if (areaConditions.length > 0) {
-      if (areaConditions.length === 1) {
-        query.$expr = areaConditions[0];
-      } else {
-        query.$expr = { $and: areaConditions };
+      // Distance order comes from $geoNear (see findAdsByDistance)
+      sortOptions = sortKey === 'relevance' ? { score: { $meta: 'textScore' }, createdAt: -1 } : null;
+    } else {
+      sortOptions = toSortObject(AD_SORTS[sortKey]);
+      if (useCursor) {
+        cursorFilter = buildCursorFilter(AD_SORTS[sortKey], decodeCursor(cursor, AD_SORTS[sortKey], sortKey));
       }
     }
 
-    // Merge attributes query into main query
-    if (Object.keys(attributesQuery).length > 0) {
-      Object.assign(query, attributesQuery);
-    }
+    // Total count is optional: on by default for page mode, off for cursor mode
+    // (includeTotal=false skips the countDocuments on large result sets)
+    const withTotal = includeTotal === undefined || includeTotal === ''
+      ? !useCursor
+      : includeTotal === 'true' || includeTotal === '1';
 
-    // Pagination logic
-    // Validate page >= 1
-    const pageNum = Math.max(1, parseInt(page, 10) || 1);
-    
-    // Validate limit: default 20, clamp 1..50
-    let limitNum = parseInt(limit, 10);
-    if (isNaN(limitNum) || limitNum < 1) {
-      limitNum = 20;
-    }
-    limitNum = Math.min(50, Math.max(1, limitNum));
-    
+    // Execute query with pagination and sorting
+    // One extra item is fetched to know whether a next page exists
     const skip = (pageNum - 1) * limitNum;
+    const findPromise = sortKey === 'distance'
+      ? findAdsByDistance(query, near, skip, limitNum + 1)
+      : Ad.find(applyCursorFilter(query, cursorFilter))
+        .populate('user', 'name email')
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(limitNum + 1)
+        .lean();
+
+    // Optional facets mode: facets=true adds facet counts computed from the same query
+    const includeFacets = facets === 'true' || facets === '1';
+
+    const [results, total, facetCounts] = await Promise.all([
+      findPromise,
+      withTotal ? Ad.countDocuments(query) : null,
+      includeFacets ? computeAdFacets(query) : null,
+    ]);
 
-    // Sorting logic
-    // Default: newest (createdAt desc)
-    // Options: newest, price_asc, price_desc
-    let sortOptions = { createdAt: -1 }; // Default: newest first
-    if (sort && typeof sort === 'string') {
-      const sortValue = sort.trim().toLowerCase();
-      switch (sortValue) {
-        case 'price_asc':
-          sortOptions = { price: 1, createdAt: -1 }; // Price ascending, then newest first
-          break;
-        case 'price_desc':
-          sortOptions = { price: -1, createdAt: -1 }; // Price descending, then newest first
-          break;
-        case 'newest':
-        default:
-          sortOptions = { createdAt: -1 }; // Newest first (default)
-          break;
-      }
-    }
+    const hasMore = results.length > limitNum;
+    const ads = hasMore ? results.slice(0, limitNum) : results;
+    const nextCursor = hasMore && !pageOnly
+      ? encodeCursor(ads[ads.length - 1], AD_SORTS[sortKey], sortKey)
+      : null;
 
-    // Execute query with pagination and sorting
-    const findQuery = Ad.find(query)
-      .populate('user', 'name email')
-      .sort(sortOptions)
-      .skip(skip);
-    
-    findQuery.limit(limitNum);
-    
-    const [ads, total] = await Promise.all([
-      findQuery.lean(),
-      Ad.countDocuments(query),
-    ]);
+    // Optional price conversion: displayCurrency=MDL adds ad.displayPrice (original price is kept)
+    const targetCurrency = parseDisplayCurrency(displayCurrency);
+    ads.forEach((ad) => addDisplayPrice(ad, targetCurrency));
+
+    // Listings only need the cover thumbnail - full variants are returned by GET /api/ads/:id
+    ads.forEach((ad) => {
+      ad.thumbnail = getImageVariantUrl(ad, ad.images?.[0], 'thumbnail');
+      delete ad.imageVariants;
+    });
 
     // Calculate pagination metadata
-    const pages = Math.ceil(total / limitNum);
+    const pages = total !== null ? Math.ceil(total / limitNum) : null;
+    const pagination = useCursor
+      ? {
+          limit: limitNum,
+          ...(withTotal && { total }),
+          hasNext: hasMore,
+          nextCursor,
+        }
+      : {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          pages,
+          hasNext: hasMore,
+          hasPrev: pageNum > 1,
+          nextCursor,
+        };
 
     // Build response with both formats for backward compatibility
     const response = {
@@ -280,37 +389,30 @@ export const getAds = async (req, res, next) => {
       // New data wrapper format
       data: {
         ads,
-        pagination: {
-          page: pageNum,
-          limit: limitNum,
-          total,
-          pages,
-          hasNext: pageNum < pages,
-          hasPrev: pageNum > 1,
-        },
+        pagination,
       },
       // Also include pagination at top level for backward compatibility
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        pages,
-        hasNext: pageNum < pages,
-        hasPrev: pageNum > 1,
-      },
+      pagination,
     };
 
+    if (facetCounts) {
+      response.facets = facetCounts;
+      response.data.facets = facetCounts;
+    }
+
     // Add filters object for debugging in development only
     if (process.env.NODE_ENV !== 'production') {
       response.filters = {
         search: searchTerm || null,
+        normalizedSearch: normalizedSearch || null,
         category: categoryFilter ? categoryFilter.trim() : null,
         categorySlug: categorySlug ? categorySlug.trim() : null,
         subCategorySlug: subCategorySlug ? subCategorySlug.trim() : null,
         minPrice: minPrice ? parseFloat(minPrice) : null,
         maxPrice: maxPrice ? parseFloat(maxPrice) : null,
         currency: currency ? currency.trim() : null,
-        sort: sort ? sort.trim() : 'newest',
+        displayCurrency: targetCurrency,
+        sort: sortKey,
         status: query.status,
         isDeleted: query.isDeleted,
       };
@@ -333,20 +435,62 @@ export const getMyAds = async (req, res, next) => {
       );
     }
 
-    // Fetch all ads for the authenticated user
-    // Include all statuses (draft/active/sold)
-    // Exclude soft-deleted ads
-    const ads = await Ad.find({
+    // Fetch ads for the authenticated user
+    // Include all statuses (draft/active/sold/...)
+    // Exclude soft-deleted ads; scheduled drafts are listed separately
+    const query = {
       user: req.user.id,
       isDeleted: false,
-    })
+      publishAt: null,
+    };
+
+    // Scheduled drafts, next publication first (only on the first page)
+    const { limit, cursor } = req.query;
+    const scheduled = cursor
+      ? undefined
+      : await Ad.find({ user: req.user.id, isDeleted: false, status: 'draft', publishAt: { $ne: null } })
+        .populate('user', 'name email')
+        .sort({ publishAt: 1 })
+        .lean();
+
+    // Without limit/cursor the full list is returned (backward compatible)
+    if (limit === undefined && cursor === undefined) {
+      const ads = await Ad.find(query)
+        .select('+moderation') // Owner sees moderation status and rejection reasons
+        .populate('user', 'name email')
+        .sort(toSortObject(AD_SORTS.newest)) // Sort by newest first
+        .lean();
+
+      return res.json({
+        success: true,
+        ads,
+        scheduled,
+      });
+    }
+
+    const limitNum = parseLimit(limit);
+    const cursorFilter = cursor
+      ? buildCursorFilter(AD_SORTS.newest, decodeCursor(cursor, AD_SORTS.newest, 'newest'))
+      : null;
+
+    const results = await Ad.find(applyCursorFilter(query, cursorFilter))
+      .select('+moderation')
       .populate('user', 'name email')
-      .sort({ createdAt: -1 }) // Sort by newest first
+      .sort(toSortObject(AD_SORTS.newest))
+      .limit(limitNum + 1)
       .lean();
 
+    const { items: ads, nextCursor, hasMore } = paginateResults(results, limitNum, AD_SORTS.newest, 'newest');
+
     res.json({
       success: true,
       ads,
+      ...(scheduled && { scheduled }),
+      pagination: {
+        limit: limitNum,
+        hasNext: hasMore,
+        nextCursor,
+      },
     });
   } catch (error) {
     next(error);
@@ -365,10 +509,13 @@ export const getAdById = async (req, res, next) => {
     }
 
     // Find ad (excluding deleted) - don't filter by status yet
+    // Hidden fields are loaded for the visibility check and the owner, not for the response
     const ad = await Ad.findOne({
       _id: req.params.id,
       isDeleted: false,
-    }).populate('user', 'name email');
+    })
+      .select('+sellerHidden +moderation')
+      .populate('user', 'name email');
 
     // If ad doesn't exist, return 404
     if (!ad) {
@@ -379,15 +526,21 @@ export const getAdById = async (req, res, next) => {
       );
     }
 
-    // If ad is ACTIVE: return it publicly (no auth required)
-    if (ad.status === 'active') {
+    // Optional price conversion: displayCurrency=MDL adds ad.displayPrice (original price is kept)
+    const { sellerHidden, moderation = null, ...adJson } = ad.toJSON();
+    const targetCurrency = parseDisplayCurrency(req.query.displayCurrency);
+    const adResponse = targetCurrency ? addDisplayPrice(adJson, targetCurrency) : adJson;
+
+    // If ad is ACTIVE (not expired, category not archived, seller not banned/shadow-banned):
+    // return it publicly (no auth required) - hidden sellers' ads are only shown to the owner below
+    if (ad.status === 'active' && !ad.categoryArchived && !sellerHidden && !isAdExpired(ad)) {
       return res.json({
         success: true,
-        ad,
+        ad: adResponse,
       });
     }
 
-    // If ad is NOT active (draft/sold): check if user is authenticated and is owner
+    // If ad is NOT active (draft/sold/expired): check if user is authenticated and is owner
     // Extract token from Authorization header (optional - no error if missing)
     let token;
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -416,10 +569,10 @@ export const getAdById = async (req, res, next) => {
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Check if user still exists
-      const user = await User.findById(decoded.id).select('-password');
-      if (!user) {
-        // User doesn't exist, return 404 (don't leak ad existence)
+      // Check if user still exists and the token was not revoked
+      const user = await User.findById(decoded.id).select('-password +passwordChangedAt +tokenVersion');
+      if (!user || isAccessTokenRevoked(user, decoded)) {
+        // User doesn't exist or token revoked, return 404 (don't leak ad existence)
         return next(
           new AppError('Ad not found', 404, {
             type: 'NOT_FOUND',
@@ -432,11 +585,12 @@ export const getAdById = async (req, res, next) => {
       const currentUserId = user._id.toString();
 
       if (adUserId === currentUserId) {
-        // User is owner: return ad (any status)
+        // User is owner: return ad (any status) with its moderation state (rejection reason)
         return res.json({
-      success: true,
-      ad,
-    });
+          success: true,
+          ad: adResponse,
+          moderation,
+        });
       } else {
         // User is authenticated but not owner: return 404 (don't leak ad existence)
         return next(
@@ -489,6 +643,7 @@ export const createAd = async (req, res, next) => {
       categorySlug: req.body.categorySlug,
       subCategorySlug: req.body.subCategorySlug, // Optional
       attributes: req.body.attributes, // Optional
+      location: req.body.location, // Optional, normalized by validateCreateAd
     };
 
     // Validate required fields
@@ -500,7 +655,7 @@ export const createAd = async (req, res, next) => {
       );
     }
 
-    // Validate that images array exists and is not empty (set by uploadToCloudinary middleware)
+    // Validate that images array exists and is not empty (set by uploadToStorage middleware)
     const images = req.body.images;
     if (!images || !Array.isArray(images) || images.length === 0) {
       return next(
@@ -521,12 +676,16 @@ export const createAd = async (req, res, next) => {
       categorySlug: allowedFields.categorySlug.trim(),
       ...(allowedFields.subCategorySlug && { subCategorySlug: allowedFields.subCategorySlug.trim() }),
       ...(allowedFields.attributes && { attributes: allowedFields.attributes }),
+      ...(allowedFields.location && { location: allowedFields.location }),
       
       // Images from upload middleware (NOT from request body directly)
-      images: images, // Array of Cloudinary URLs from uploadToCloudinary middleware
+      images: images, // Array of image URLs from uploadToStorage middleware
+      imageVariants: req.imageVariants || [],
       
       // Protected fields - set explicitly, NEVER from request body
       status: 'draft', // Always create as draft - cannot be changed at creation
+      sellerHidden: req.user.accountStatus === 'shadow_banned', // Hidden from everyone but the seller
+      statusHistory: [buildStatusHistoryEntry(null, 'draft', { actor: req.user.id })],
       user: req.user.id, // User comes ONLY from req.user.id (JWT token)
       // isDeleted defaults to false in schema
     };
@@ -540,8 +699,45 @@ export const createAd = async (req, res, next) => {
       );
     }
 
+    // Duplicate detection (DUPLICATE_AD_ACTION) against the seller's ads and the catalog
+    const duplicateAction = getDuplicateAction();
+    const duplicate = duplicateAction !== 'off'
+      ? await findDuplicateAd({ ...adData, fingerprint: buildAdFingerprint(adData) })
+      : null;
+
+    if (duplicate) {
+      logDuplicate(duplicate, { userId: req.user.id, action: duplicateAction });
+
+      if (duplicateAction === 'reject') {
+        await destroyUploadedImages(getUploadedImageUrls(req));
+        return next(buildDuplicateError(duplicate));
+      }
+
+      // merge: keep the seller's existing ad instead of creating a second copy
+      if (duplicateAction === 'merge' && duplicate.scope === 'own') {
+        await destroyUploadedImages(getUploadedImageUrls(req));
+        const existingAd = await Ad.findById(duplicate.ad._id).populate('user', 'name email');
+        return res.status(200).json({
+          success: true,
+          message: 'Duplicate of an existing ad - the existing ad was kept',
+          merged: true,
+          ad: existingAd,
+        });
+      }
+
+      adData.duplicateOf = buildDuplicateFlag(duplicate);
+    }
+
     // Create ad using controlled object (no protected fields from request)
     const ad = await Ad.create(adData);
+    await recordAdRevisionSafe(ad, { actor: req.user.id, source: 'create' });
+    // Flag/mask hits from validateCreateAd (flagged ads always go to moderation)
+    await recordRuleHits(req.contentRuleHits, {
+      context: 'ad_create',
+      user: req.user.id,
+      ad: ad._id,
+      categorySlug: ad.categorySlug,
+    });
 
     const populatedAd = await Ad.findById(ad._id).populate('user', 'name email');
 
@@ -581,10 +777,11 @@ export const updateAdStatus = async (req, res, next) => {
     }
 
     // Find ad in database - exclude deleted ads
+    // duplicateOf is select: false and keeps a published draft out of auto-approval
     const ad = await Ad.findOne({
       _id: req.params.id,
       isDeleted: false,
-    });
+    }).select('+duplicateOf');
 
     // Check if ad exists (404 - not found)
     if (!ad) {
@@ -619,67 +816,278 @@ export const updateAdStatus = async (req, res, next) => {
     // Extract status from request body (already validated by middleware)
     const { status } = req.body;
 
-    // Validate status is one of allowed values (double-check, should be validated by middleware)
-    const allowedStatuses = ['draft', 'active', 'sold'];
-    if (!allowedStatuses.includes(status)) {
+    // Validate the transition against the state machine (constants/adStatus.js)
+    const statusError = validateStatusChange(ad, status);
+    if (statusError) {
+      return next(statusError);
+    }
+
+    // Publishing a draft goes through moderation (pending_review unless auto-approved);
+    // newly published ads are matched against saved searches in the background
+    // Other changes update the status and record it in the status history
+    // Activation starts the ad's lifetime (expiresAt)
+    const previousStatus = ad.status;
+    let moderation = null;
+    if (status === 'active' && previousStatus === 'draft') {
+      moderation = await publishAd(ad, { actor: req.user.id, source: 'owner' });
+    } else {
+      if (previousStatus === 'pending_review') {
+        ad.moderation = undefined; // Withdrawn from review
+      }
+      await changeAdStatus(ad, status, { actor: req.user.id, source: 'owner' });
+    }
+
+    // Populate user data for response
+    const populatedAd = await Ad.findById(ad._id).populate('user', 'name email');
+
+    // Return consistent JSON format
+    res.json({
+      success: true,
+      data: populatedAd,
+      ...(moderation && { moderation }),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Schedule a draft ad to be published at publishAt
+ * The ad must be publishable now (same rules as PATCH /api/ads/:id/status);
+ * the scheduler re-checks them at publication time
+ * POST /api/ads/:id/schedule
+ */
+export const scheduleAd = async (req, res, next) => {
+  try {
+    // Use ad from checkAdOwnership middleware (already verified for ownership and existence)
+    const ad = req.ad;
+
+    if (ad.status !== 'draft') {
       return next(
-        new AppError(`Status must be one of: ${allowedStatuses.join(', ')}`, 400, {
+        new AppError('Only draft ads can be scheduled', 400, {
           type: 'INVALID_STATUS',
+          currentStatus: ad.status,
         })
       );
     }
 
-    // Status transition validation
-    // Allowed transitions:
-    // - draft -> active (OK)
-    // - active -> sold (OK)
-    // - draft -> sold (NOT ALLOWED)
-    // - active -> draft (NOT ALLOWED)
-    // - sold -> anything (NOT ALLOWED)
-    const validTransitions = {
-      draft: ['active'], // draft can only become active
-      active: ['sold'], // active can only become sold
-      sold: [], // sold cannot change status
-    };
+    const statusError = validateStatusChange(ad, 'active');
+    if (statusError) {
+      return next(statusError);
+    }
 
-    // Check if current status allows transition to new status
-    if (ad.status === 'sold') {
+    // publishAt is validated and converted to a Date by validateScheduleAd
+    ad.publishAt = req.body.publishAt;
+    ad.publishError = undefined;
+    await ad.save();
+
+    res.json({
+      success: true,
+      message: 'Ad scheduled successfully',
+      data: {
+        _id: ad._id,
+        status: ad.status,
+        publishAt: ad.publishAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a scheduled publication (the ad stays a draft)
+ * DELETE /api/ads/:id/schedule
+ */
+export const cancelAdSchedule = async (req, res, next) => {
+  try {
+    const ad = req.ad;
+
+    if (ad.status !== 'draft' || !ad.publishAt) {
       return next(
-        new AppError('Cannot change status of sold ad', 400, {
-          type: 'INVALID_STATUS_TRANSITION',
-          currentStatus: ad.status,
-          requestedStatus: status,
+        new AppError('Ad is not scheduled', 400, {
+          type: 'NOT_SCHEDULED',
         })
       );
     }
 
-    // Check if transition is valid
-    if (!validTransitions[ad.status] || !validTransitions[ad.status].includes(status)) {
-      const allowed = validTransitions[ad.status]?.join(', ') || 'none';
+    ad.publishAt = undefined;
+    await ad.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule cancelled',
+      data: {
+        _id: ad._id,
+        status: ad.status,
+        publishAt: null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status history of an ad (owner only)
+ * Also returns the statuses the ad may move to next
+ * GET /api/ads/:id/history
+ */
+export const getAdStatusHistory = async (req, res, next) => {
+  try {
+    // Ownership verified by checkAdOwnership; history is select: false, so load it explicitly
+    const ad = await Ad.findById(req.ad._id)
+      .select('+statusHistory status soldAt expiresAt')
+      .populate('statusHistory.actor', 'name')
+      .lean();
+
+    res.json({
+      success: true,
+      status: ad.status,
+      allowedTransitions: getAllowedTransitions(ad),
+      expiresAt: ad.expiresAt || null,
+      history: ad.statusHistory || [],
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Public price timeline of a listed ad, oldest first
+ * GET /api/ads/:id/price-history
+ */
+export const getAdPriceHistory = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return next(
-        new AppError(
-          `Invalid status transition. Current status: "${ad.status}", Allowed transitions: ${allowed}`,
-          400,
-          {
-            type: 'INVALID_STATUS_TRANSITION',
-            currentStatus: ad.status,
-            requestedStatus: status,
-            allowedTransitions: validTransitions[ad.status] || [],
-          }
-        )
+        new AppError('Invalid ID format', 400, {
+          type: 'INVALID_ID',
+        })
       );
     }
 
-    // Update status
-    ad.status = status;
-    await ad.save();
+    const ad = await Ad.findOne({
+      _id: req.params.id,
+      isDeleted: false,
+      sellerHidden: { $ne: true },
+    });
+
+    // Same visibility as the public listing - other ads don't leak their existence
+    if (!ad || ad.status !== 'active' || ad.categoryArchived || isAdExpired(ad)) {
+      return next(
+        new AppError('Ad not found', 404, {
+          type: 'NOT_FOUND',
+        })
+      );
+    }
+
+    const history = await getPriceHistory(ad);
+
+    res.json({
+      success: true,
+      adId: ad._id,
+      currentPrice: ad.price,
+      currency: ad.currency,
+      priceChange: ad.priceChange || null,
+      history,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List revisions of an ad (owner only), newest first
+ * GET /api/ads/:id/revisions
+ */
+export const getAdRevisions = async (req, res, next) => {
+  try {
+    const revisions = await listAdRevisions(req.ad._id);
+
+    res.json({
+      success: true,
+      revisions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Field-level diff between two revisions (owner only)
+ * Query: from, to - revision numbers (default: latest vs. the one before it)
+ * GET /api/ads/:id/revisions/diff
+ */
+export const getAdRevisionDiff = async (req, res, next) => {
+  try {
+    const latest = await getLatestRevisionNumber(req.ad._id);
+    const toRevision = req.query.to !== undefined ? parseInt(req.query.to, 10) : latest;
+    const fromRevision = req.query.from !== undefined ? parseInt(req.query.from, 10) : toRevision - 1;
+
+    if (!Number.isInteger(fromRevision) || !Number.isInteger(toRevision) || fromRevision < 1 || toRevision < 1) {
+      return next(
+        new AppError('from and to must be revision numbers', 400, {
+          type: 'INVALID_REVISION',
+        })
+      );
+    }
+
+    const diff = await diffAdRevisions(req.ad._id, fromRevision, toRevision);
+    if (!diff) {
+      return next(
+        new AppError('Revision not found', 404, {
+          type: 'NOT_FOUND',
+          resource: 'AdRevision',
+        })
+      );
+    }
+
+    res.json({
+      success: true,
+      ...diff,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Renew an ad: extend an active ad or reactivate an expired one
+ * Starts a new lifetime (expiresAt = now + AD_TTL_DAYS)
+ * POST /api/ads/:id/renew
+ */
+export const renewAd = async (req, res, next) => {
+  try {
+    // Use ad from checkAdOwnership middleware (already verified for ownership and existence)
+    const ad = req.ad;
+
+    if (ad.status !== 'active' && ad.status !== 'expired') {
+      return next(
+        new AppError('Only active or expired ads can be renewed', 400, {
+          type: 'INVALID_STATUS_TRANSITION',
+          currentStatus: ad.status,
+        })
+      );
+    }
+
+    if (ad.status === 'expired') {
+      // Reactivation follows the same rules as PATCH /api/ads/:id/status (e.g. archived categories)
+      const statusError = validateStatusChange(ad, 'active');
+      if (statusError) {
+        return next(statusError);
+      }
+      await changeAdStatus(ad, 'active', { actor: req.user.id, source: 'owner' });
+    } else {
+      startAdLifetime(ad);
+      await ad.save();
+    }
 
-    // Populate user data for response
     const populatedAd = await Ad.findById(ad._id).populate('user', 'name email');
 
-    // Return consistent JSON format
     res.json({
       success: true,
+      message: 'Ad renewed successfully',
       data: populatedAd,
     });
   } catch (error) {
@@ -695,8 +1103,9 @@ export const updateAdStatus = async (req, res, next) => {
  */
 export const updateAd = async (req, res, next) => {
   try {
-    // Use ad from checkAdOwnership middleware (already verified for ownership and existence)
-    const ad = req.ad;
+    // Ownership verified by checkAdOwnership; duplicateOf is select: false, so load it explicitly
+    // (the duplicate check below may clear it before the edit is checked for auto-approval)
+    const ad = await Ad.findById(req.ad._id).select('+duplicateOf');
 
     // Check if ad is sold - sold ads cannot be edited
     if (ad.status === 'sold') {
@@ -710,7 +1119,10 @@ export const updateAd = async (req, res, next) => {
 
     // Extract ONLY allowed fields from request body
     // Protected fields (user, status, isDeleted, images) are NOT allowed
-    const { title, description, price, currency, categorySlug, subCategorySlug, attributes } = req.body;
+    const { title, description, price, currency, categorySlug, subCategorySlug, attributes, location } = req.body;
+
+    // State before the update - stored as baseline revision for ads without revisions
+    const before = buildAdSnapshot(ad);
 
     // Check if at least one field is being updated (should be validated by middleware, but double-check)
     const hasUpdates =
@@ -720,7 +1132,8 @@ export const updateAd = async (req, res, next) => {
       currency !== undefined ||
       categorySlug !== undefined ||
       subCategorySlug !== undefined ||
-      attributes !== undefined;
+      attributes !== undefined ||
+      location !== undefined;
 
     if (!hasUpdates) {
       return next(
@@ -767,6 +1180,10 @@ export const updateAd = async (req, res, next) => {
         ad.attributes = {};
       }
     }
+    if (location !== undefined) {
+      // Normalized by validateAdUpdate; null removes the location
+      ad.location = location || undefined;
+    }
 
     // Validate category/subcategory combination if both are being updated
     if (categorySlug !== undefined || subCategorySlug !== undefined) {
@@ -781,10 +1198,73 @@ export const updateAd = async (req, res, next) => {
           })
         );
       }
+
+      // Moving an ad out of an archived category makes it listable again
+      if (isValidCategorySlug(finalCategorySlug)) {
+        ad.categoryArchived = false;
+      }
+    }
+
+    // Duplicate detection when the text or category changed (merge can't combine two
+    // existing ads, so it is handled like flag here)
+    const contentChanged = ad.title !== before.title
+      || ad.description !== before.description
+      || ad.categorySlug !== before.categorySlug;
+    const duplicateAction = getDuplicateAction();
+    if (contentChanged && duplicateAction !== 'off') {
+      const duplicate = await findDuplicateAd({
+        _id: ad._id,
+        user: ad.user,
+        categorySlug: ad.categorySlug,
+        fingerprint: buildAdFingerprint(ad),
+      });
+
+      if (duplicate) {
+        logDuplicate(duplicate, { adId: ad._id, userId: req.user.id, action: duplicateAction });
+        if (duplicateAction === 'reject') {
+          return next(buildDuplicateError(duplicate));
+        }
+        ad.duplicateOf = buildDuplicateFlag(duplicate);
+      } else {
+        // The edit resolved an earlier duplicate flag
+        ad.duplicateOf = undefined;
+      }
     }
 
+    // Public "price changed" indicator (shown on the ad until the next price change)
+    const priceChanged = ad.price !== before.price || ad.currency !== before.currency;
+    if (priceChanged) {
+      const previousNormalized = toBaseCurrency(before.price, before.currency || 'EUR');
+      const currentNormalized = toBaseCurrency(ad.price, ad.currency || 'EUR');
+      ad.priceChange = {
+        previousPrice: before.price,
+        previousCurrency: before.currency || 'EUR',
+        changedAt: new Date(),
+        direction: currentNormalized < previousNormalized ? 'down' : 'up',
+      };
+    }
+
+    // Flag/mask hits from validateAdUpdate - recorded first so flags keep the edit out of auto-approval
+    await recordRuleHits(req.contentRuleHits, {
+      context: 'ad_update',
+      user: req.user.id,
+      ad: ad._id,
+      categorySlug: ad.categorySlug,
+    });
+
+    // Major edits (title, description, category) of listed ads go back to moderation
+    const needsReview = await prepareEditReview(ad, before);
+
     // Save changes (Mongoose will validate schema constraints)
-    await ad.save();
+    if (needsReview) {
+      await changeAdStatus(ad, 'pending_review', { actor: req.user.id, source: 'owner' });
+    } else {
+      await ad.save();
+    }
+    await recordAdRevisionSafe(ad, { before, actor: req.user.id, source: 'update' });
+    if (priceChanged) {
+      await handlePriceChange(ad, { price: before.price, currency: before.currency || 'EUR' });
+    }
 
     // Populate user data for response
     const populatedAd = await Ad.findById(ad._id).populate('user', 'name email');
@@ -792,8 +1272,9 @@ export const updateAd = async (req, res, next) => {
     // Return success response
     res.json({
       success: true,
-      message: 'Ad updated successfully',
+      message: needsReview ? 'Ad updated and sent to moderation' : 'Ad updated successfully',
       ad: populatedAd,
+      ...(needsReview && { moderation: { status: 'pending_review' } }),
     });
   } catch (error) {
     next(error);
@@ -861,43 +1342,42 @@ export const deleteAd = async (req, res, next) => {
 };
 
 /**
- * Extract public_id from Cloudinary URL
- * Cloudinary URL format: https://res.cloudinary.com/{cloud_name}/image/upload/{folder}/{public_id}.{format}
- * Or: https://res.cloudinary.com/{cloud_name}/image/upload/v{version}/{folder}/{public_id}.{format}
- * 
- * @param {string} imageUrl - Full Cloudinary URL
- * @returns {string} public_id (with folder if present)
+ * All stored files of the images uploaded with this request (originals and variants)
+ * @param {object} req - Request after uploadToStorage
+ * @returns {Array<string>}
  */
-const extractPublicIdFromUrl = (imageUrl) => {
-  try {
-    // Parse Cloudinary URL
-    // Format: https://res.cloudinary.com/{cloud_name}/image/upload/{path}
-    const url = new URL(imageUrl);
-    
-    // Extract path after /image/upload/
-    const pathParts = url.pathname.split('/image/upload/');
-    if (pathParts.length !== 2) {
-      throw new Error('Invalid Cloudinary URL format');
-    }
-    
-    // Get the path after /image/upload/
-    let uploadPath = pathParts[1];
-    
-    // Remove version prefix if present (v1234567890/)
-    uploadPath = uploadPath.replace(/^v\d+\//, '');
-    
-    // Remove file extension (.jpg, .png, etc.)
-    uploadPath = uploadPath.replace(/\.[^/.]+$/, '');
-    
-    return uploadPath;
-  } catch (error) {
-    throw new Error(`Invalid Cloudinary URL: ${error.message}`);
-  }
+const getUploadedImageUrls = (req) => [
+  ...(req.body.images || []),
+  ...(req.imageVariants || []).flatMap((entry) => (
+    Object.keys(IMAGE_VARIANTS).map((name) => entry[name]).filter(Boolean)
+  )),
+];
+
+/**
+ * Remove uploaded images from image storage (best effort)
+ * Used when images were uploaded but could not be attached to the ad,
+ * and for the variants of deleted images
+ * @param {Array<string>} imageUrls
+ */
+const destroyUploadedImages = async (imageUrls) => {
+  const storage = getStorage();
+  await Promise.all(
+    imageUrls.map(async (imageUrl) => {
+      try {
+        await storage.delete(storage.getPublicId(imageUrl));
+      } catch (error) {
+        logger.error('Image storage cleanup error', {
+          message: error.message,
+          imageUrl,
+        });
+      }
+    })
+  );
 };
 
 /**
  * Delete an image from an ad
- * Removes image from Cloudinary and from ad.images array
+ * Removes image from image storage and from ad.images array
  * Only owner can delete images
  * Cannot delete last image (minimum 1 image required)
  * Cannot delete from sold ads
@@ -966,63 +1446,74 @@ export const deleteAdImage = async (req, res, next) => {
       );
     }
 
-    // Extract public_id from Cloudinary URL
+    // Extract public_id from the image URL (format depends on the storage driver)
+    const storage = getStorage();
     let publicId;
     try {
-      publicId = extractPublicIdFromUrl(imageUrl);
+      publicId = storage.getPublicId(imageUrl);
     } catch (error) {
       return next(
-        new AppError(`Invalid Cloudinary URL: ${error.message}`, 400, {
-          type: 'INVALID_CLOUDINARY_URL',
+        new AppError(`Invalid image URL: ${error.message}`, 400, {
+          type: 'INVALID_IMAGE_URL',
         })
       );
     }
 
-    // Delete image from Cloudinary
+    // Delete image from storage
     try {
-      const result = await cloudinary.uploader.destroy(publicId, {
-        resource_type: 'image',
-      });
+      const result = await storage.delete(publicId);
 
       // Check if deletion was successful
       if (result.result !== 'ok' && result.result !== 'not found') {
         // 'not found' is acceptable (image might already be deleted)
-        logger.warn('Cloudinary delete result', {
+        logger.warn('Image storage delete result', {
+          driver: storage.name,
           result: result.result,
           publicId,
           adId: ad._id,
         });
       }
 
-      logger.info('Image deleted from Cloudinary', {
+      logger.info('Image deleted from storage', {
+        driver: storage.name,
         publicId,
         result: result.result,
         adId: ad._id,
       });
-    } catch (cloudinaryError) {
-      // Log error but don't fail the request if image doesn't exist in Cloudinary
-      logger.error('Cloudinary delete error', {
-        message: cloudinaryError.message,
+    } catch (storageError) {
+      // Log error but don't fail the request if image doesn't exist in storage
+      logger.error('Image storage delete error', {
+        driver: storage.name,
+        message: storageError.message,
         publicId,
         adId: ad._id,
       });
 
       // If it's not a "not found" error, fail the request
-      if (!cloudinaryError.message?.includes('not found')) {
+      if (!storageError.message?.includes('not found')) {
         return next(
-          new AppError('Failed to delete image from Cloudinary', 500, {
-            type: 'CLOUDINARY_DELETE_ERROR',
+          new AppError('Failed to delete image from storage', 500, {
+            type: 'STORAGE_DELETE_ERROR',
           })
         );
       }
-      // If image not found in Cloudinary, continue (might already be deleted)
+      // If image not found in storage, continue (might already be deleted)
+    }
+
+    // Remove processed variants of the image (best effort - the original is already gone)
+    const variants = (ad.imageVariants || []).find((entry) => entry.url === imageUrl);
+    if (variants) {
+      await destroyUploadedImages(Object.keys(IMAGE_VARIANTS).map((name) => variants[name]).filter(Boolean));
     }
 
     // Remove image from ad.images array
+    const before = buildAdSnapshot(ad);
     ad.images = ad.images.filter((url) => url !== imageUrl);
+    ad.imageVariants = (ad.imageVariants || []).filter((entry) => entry.url !== imageUrl);
 
     // Save ad with updated images array
     await ad.save();
+    await recordAdRevisionSafe(ad, { before, actor: req.user.id, source: 'images' });
 
     // Return success response with updated images list
     res.json({
@@ -1125,10 +1616,12 @@ export const setAdCover = async (req, res, next) => {
     updatedImages.unshift(imageUrl);
 
     // Update ad.images array
+    const before = buildAdSnapshot(ad);
     ad.images = updatedImages;
 
     // Save ad with reordered images array
     await ad.save();
+    await recordAdRevisionSafe(ad, { before, actor: req.user.id, source: 'images' });
 
     // Return success response with updated images list
     res.json({
@@ -1141,3 +1634,220 @@ export const setAdCover = async (req, res, next) => {
   }
 };
 
+
+/**
+ * Explain why a conditional image update matched nothing (the ad changed in the meantime)
+ * @param {string} adId
+ * @param {AppError} conflictError - Error when the ad is still editable (its images changed)
+ * @returns {Promise<AppError>}
+ */
+const getImageUpdateError = async (adId, conflictError) => {
+  const current = await Ad.findById(adId).select('status isDeleted').lean();
+  if (!current || current.isDeleted) {
+    return new AppError('Ad not found', 404, { type: 'NOT_FOUND' });
+  }
+  if (current.status === 'sold') {
+    return new AppError('Cannot modify sold ad', 400, {
+      type: 'SOLD_AD_NOT_EDITABLE',
+      message: 'Sold ads cannot be modified',
+    });
+  }
+  return conflictError;
+};
+
+/**
+ * Add images to an existing ad
+ * Images are uploaded by uploadToStorage and appended to ad.images
+ * The append is conditional (not sold, still within MAX_AD_IMAGES), so concurrent
+ * uploads can't exceed the cap - images that don't fit are removed from storage
+ * The new images go through duplicate detection like on create (merge is handled like flag)
+ * Only owner can add images
+ */
+export const addAdImages = async (req, res, next) => {
+  try {
+    // Use ad from checkAdOwnership middleware (already verified for ownership and existence)
+    const ad = req.ad;
+    const imageUrls = req.body.images || [];
+    const imageVariants = req.imageVariants || [];
+
+    if (imageUrls.length === 0) {
+      return next(
+        new AppError('At least one image is required', 400, {
+          type: 'IMAGES_REQUIRED',
+        })
+      );
+    }
+
+    // Check if ad is sold - sold ads cannot be edited
+    if (ad.status === 'sold') {
+      await destroyUploadedImages(getUploadedImageUrls(req));
+      return next(
+        new AppError('Cannot modify sold ad', 400, {
+          type: 'SOLD_AD_NOT_EDITABLE',
+          message: 'Sold ads cannot be modified',
+        })
+      );
+    }
+
+    // Duplicate detection (DUPLICATE_AD_ACTION) on the added images only - the text was
+    // checked on create and edit
+    const duplicateAction = getDuplicateAction();
+    const duplicate = duplicateAction !== 'off'
+      ? await findDuplicateAd({
+        _id: ad._id,
+        user: ad.user,
+        categorySlug: ad.categorySlug,
+        fingerprint: buildAdFingerprint({ imageVariants }),
+      })
+      : null;
+
+    if (duplicate) {
+      logDuplicate(duplicate, { adId: ad._id, userId: req.user.id, action: duplicateAction });
+      if (duplicateAction === 'reject') {
+        await destroyUploadedImages(getUploadedImageUrls(req));
+        return next(buildDuplicateError(duplicate));
+      }
+    }
+
+    const before = buildAdSnapshot(ad);
+    const updatedAd = await Ad.findOneAndUpdate(
+      {
+        _id: ad._id,
+        isDeleted: false,
+        status: { $ne: 'sold' },
+        $expr: { $lte: [{ $add: [{ $size: '$images' }, imageUrls.length] }, MAX_AD_IMAGES] },
+      },
+      { $push: { images: { $each: imageUrls }, imageVariants: { $each: imageVariants } } },
+      { new: true }
+    );
+
+    if (!updatedAd) {
+      await destroyUploadedImages(getUploadedImageUrls(req));
+      return next(
+        await getImageUpdateError(
+          ad._id,
+          new AppError(`Too many images. An ad can have at most ${MAX_AD_IMAGES} images`, 409, {
+            type: 'IMAGES_CHANGED',
+            message: 'The ad changed while uploading. Reload it and try again',
+          })
+        )
+      );
+    }
+
+    // The conditional update bypasses the pre-save hook - refresh the fingerprint explicitly
+    updatedAd.fingerprint = buildAdFingerprint(updatedAd);
+    if (duplicate) {
+      updatedAd.duplicateOf = buildDuplicateFlag(duplicate);
+    }
+    await updatedAd.save();
+
+    await recordAdRevisionSafe(updatedAd, { before, actor: req.user.id, source: 'images' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully',
+      images: updatedAd.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the full order of an ad's images
+ * Body: { "images": [...] } - must contain exactly the ad's current images
+ * Written with a single conditional update, so the order is applied only to
+ * the image set it was computed from
+ * Only owner can reorder images
+ * Cannot modify sold ads
+ */
+export const reorderAdImages = async (req, res, next) => {
+  try {
+    // Use ad from checkAdOwnership middleware (already verified for ownership and existence)
+    const ad = req.ad;
+
+    // Check if ad is sold - sold ads cannot be edited
+    if (ad.status === 'sold') {
+      return next(
+        new AppError('Cannot modify sold ad', 400, {
+          type: 'SOLD_AD_NOT_EDITABLE',
+          message: 'Sold ads cannot be modified',
+        })
+      );
+    }
+
+    // Only allow images field - reject any extra fields
+    const bodyKeys = Object.keys(req.body || {});
+    const extraFields = bodyKeys.filter((key) => key !== 'images');
+
+    if (extraFields.length > 0) {
+      return next(
+        new AppError('Extra fields not allowed', 400, {
+          type: 'EXTRA_FIELDS',
+          errors: extraFields.map((field) => ({
+            field,
+            message: `Field '${field}' is not allowed. Only 'images' is accepted.`,
+          })),
+        })
+      );
+    }
+
+    const { images } = req.body;
+
+    if (!Array.isArray(images) || images.length === 0 || images.some((url) => typeof url !== 'string' || url.trim() === '')) {
+      return next(
+        new AppError('images must be a non-empty array of image URLs', 400, {
+          type: 'INVALID_IMAGE_ORDER',
+        })
+      );
+    }
+
+    // The new order must be a permutation of the current images
+    const currentImages = ad.images || [];
+    const isPermutation = images.length === currentImages.length
+      && new Set(images).size === images.length
+      && images.every((url) => currentImages.includes(url));
+
+    if (!isPermutation) {
+      return next(
+        new AppError('images must contain exactly the current images of the ad', 400, {
+          type: 'INVALID_IMAGE_ORDER',
+          message: 'Every current image must appear exactly once',
+        })
+      );
+    }
+
+    const before = buildAdSnapshot(ad);
+    const updatedAd = await Ad.findOneAndUpdate(
+      {
+        _id: ad._id,
+        isDeleted: false,
+        status: { $ne: 'sold' },
+        images: { $all: images, $size: images.length },
+      },
+      { $set: { images } },
+      { new: true }
+    );
+
+    if (!updatedAd) {
+      return next(
+        await getImageUpdateError(
+          ad._id,
+          new AppError('Images changed while reordering. Reload the ad and try again', 409, {
+            type: 'IMAGES_CHANGED',
+          })
+        )
+      );
+    }
+
+    await recordAdRevisionSafe(updatedAd, { before, actor: req.user.id, source: 'images' });
+
+    res.json({
+      success: true,
+      message: 'Image order updated successfully',
+      images: updatedAd.images,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,33 +1,23 @@
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import User from '../models/User.js';
 import { AppError } from '../middlewares/error.middleware.js';
 import { sendPasswordResetEmail } from '../services/email.service.js';
 import { sendToMakeWebhook } from '../services/makeWebhook.service.js';
-
-/**
- * Generate JWT token for user
- * @param {string} userId - User ID to encode in token
- * @returns {string} JWT token
- */
-const generateToken = (userId) => {
-  // Validate JWT_SECRET exists
-  if (!process.env.JWT_SECRET) {
-    throw new Error('JWT_SECRET is not defined in environment variables');
-  }
-
-  // Sign token with user ID
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '1h',
-  });
-};
+import { getAccountRestrictionError } from '../services/accountStatus.service.js';
+import {
+  issueSessionTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  getClientInfo,
+} from '../services/authToken.service.js';
 
 /**
  * Register a new user
  * - Validates email uniqueness
  * - Hashes password (automatically via User model)
  * - Creates user
- * - Returns JWT token + user data (without password)
+ * - Returns access token, refresh token + user data (without password)
  */
 export const register = async (req, res, next) => {
   try {
@@ -51,10 +41,10 @@ export const register = async (req, res, next) => {
       password, // Will be hashed automatically
     });
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Start a session (access token + refresh token)
+    const session = await issueSessionTokens(user, getClientInfo(req));
 
-    // Return user data without password + token
+    // Return user data without password + tokens
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -65,7 +55,7 @@ export const register = async (req, res, next) => {
           email: user.email,
           createdAt: user.createdAt,
         },
-        token,
+        ...session,
       },
     });
   } catch (error) {
@@ -76,14 +66,14 @@ export const register = async (req, res, next) => {
 /**
  * Login user
  * - Validates email and password
- * - Returns JWT token + user data (without password)
+ * - Returns access token, refresh token + user data (without password)
  */
 export const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
     // Find user by email and include password field for comparison
-    const user = await User.findOne({ email }).select('+password');
+    const user = await User.findOne({ email }).select('+password +tokenVersion');
 
     // Check if user exists and password matches
     if (!user) {
@@ -97,10 +87,16 @@ export const login = async (req, res, next) => {
       return next(new AppError('Invalid email or password', 401));
     }
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Banned and suspended accounts get the same error as on protected routes
+    const restrictionError = getAccountRestrictionError(user);
+    if (restrictionError) {
+      return next(restrictionError);
+    }
+
+    // Start a session (access token + refresh token)
+    const session = await issueSessionTokens(user, getClientInfo(req));
 
-    // Return user data without password + token
+    // Return user data without password + tokens
     res.json({
       success: true,
       message: 'Login successful',
@@ -111,7 +107,7 @@ export const login = async (req, res, next) => {
           email: user.email,
           createdAt: user.createdAt,
         },
-        token,
+        ...session,
       },
     });
   } catch (error) {
@@ -119,6 +115,64 @@ export const login = async (req, res, next) => {
   }
 };
 
+/**
+ * Refresh tokens
+ * - Exchanges a refresh token for a new access token and a new refresh token (rotation)
+ * - A refresh token that was already used revokes its whole session (REFRESH_TOKEN_REUSED)
+ * POST /api/auth/refresh - Body: { refreshToken }
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const session = await rotateRefreshToken(req.body.refreshToken, getClientInfo(req));
+
+    res.json({
+      success: true,
+      data: session,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Logout
+ * - Revokes the session of the given refresh token (always succeeds, unknown tokens are ignored)
+ * - The current access token stays valid until it expires (JWT_EXPIRES_IN)
+ * POST /api/auth/logout - Body: { refreshToken }
+ */
+export const logout = async (req, res, next) => {
+  try {
+    await revokeSession(req.body.refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Logout from all devices
+ * - Revokes every refresh token of the current user and every access token issued so far
+ *   (the one used for this request included)
+ * POST /api/auth/logout-all
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: revoked },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Forgot password
  * - Validates email exists in body (400 if missing)
@@ -175,14 +229,12 @@ export const forgotPassword = async (req, res, next) => {
     if (!user && strict) {
       // Strict mode: return 404 immediately
       // DO NOT send email, DO NOT send Make webhook, DO NOT generate token
-      return res.status(404).json({
-        success: false,
-        message: 'Cont cu emailul dat nu există',
-        details: {
+      return next(
+        new AppError('No account found with this email', 404, {
           type: 'EMAIL_NOT_FOUND',
           field: 'email',
-        },
-      });
+        })
+      );
     }
 
     // If user not found and strict mode is disabled, return 200 (anti-enumeration)
@@ -261,7 +313,7 @@ export const forgotPassword = async (req, res, next) => {
  * - Validates token and password
  * - Finds user by hashed token and checks expiration
  * - Updates password and clears reset token fields
- * - Returns JWT token + user data
+ * - Revokes all sessions (tokens issued before the reset stop working)
  */
 export const resetPassword = async (req, res, next) => {
   try {
@@ -331,6 +383,9 @@ export const resetPassword = async (req, res, next) => {
     // Save user (token is already cleared, so even if save fails, token is invalidated)
     await user.save();
 
+    // Whoever knew the old password may hold tokens - end every session
+    await revokeAllSessions(user._id, 'password_change');
+
     // Return success
     res.status(200).json({
       success: true,
@@ -341,3 +396,53 @@ export const resetPassword = async (req, res, next) => {
   }
 };
 
+/**
+ * Change password
+ * - Requires the current password
+ * - Revokes all sessions, then starts a new one for this client (other devices are logged out)
+ * - Returns new access token + refresh token
+ * POST /api/auth/change-password - Body: { currentPassword, newPassword }
+ */
+export const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id).select('+password');
+    if (!user) {
+      return next(new AppError('User not found', 404, { type: 'NOT_FOUND' }));
+    }
+
+    const isPasswordValid = await user.matchPassword(currentPassword);
+    if (!isPasswordValid) {
+      return next(
+        new AppError('Current password is incorrect', 400, {
+          type: 'INVALID_PASSWORD',
+          field: 'currentPassword',
+        })
+      );
+    }
+
+    // Hashed via pre-save hook, which also sets passwordChangedAt
+    user.password = newPassword;
+    await user.save();
+
+    const revoked = await revokeAllSessions(user._id, 'password_change');
+
+    // Reload for the bumped tokenVersion
+    const session = await issueSessionTokens(
+      await User.findById(user._id).select('+tokenVersion'),
+      getClientInfo(req)
+    );
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      data: {
+        ...session,
+        revokedSessions: revoked,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,418 @@
+import Ad from '../models/Ad.js';
+import Category from '../models/Category.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import { refreshCategoryCache, syncAdsArchivedFlag } from '../services/category.service.js';
+
+/**
+ * Load a category by slug (including archived)
+ * @returns {Promise<object|null>} Category document or null
+ */
+const findCategory = async (req, next) => {
+  const category = await Category.findOne({ slug: req.params.slug });
+
+  if (!category) {
+    next(
+      new AppError('Category not found', 404, {
+        type: 'NOT_FOUND',
+      })
+    );
+    return null;
+  }
+
+  return category;
+};
+
+/**
+ * Find a subcategory inside a loaded category
+ * @returns {object|null} Subcategory subdocument or null
+ */
+const findSubcategory = (category, req, next) => {
+  const subcategory = category.subcategories.find((sub) => sub.slug === req.params.subSlug);
+
+  if (!subcategory) {
+    next(
+      new AppError('Subcategory not found', 404, {
+        type: 'NOT_FOUND',
+      })
+    );
+    return null;
+  }
+
+  return subcategory;
+};
+
+/**
+ * Validate that a reorder request lists every slug exactly once
+ * @param {string[]} requested - Slugs from the request body
+ * @param {string[]} existing - Current slugs
+ * @returns {boolean}
+ */
+const isPermutation = (requested, existing) => {
+  return requested.length === existing.length
+    && new Set(requested).size === requested.length
+    && existing.every((slug) => requested.includes(slug));
+};
+
+/**
+ * Get all categories including archived ones (admin view)
+ * GET /api/categories/admin
+ */
+export const getAllCategoriesAdmin = async (req, res, next) => {
+  try {
+    const categories = await Category.find().sort({ order: 1, label: 1 }).lean();
+
+    categories.forEach((category) => {
+      category.subcategories.sort((a, b) => a.order - b.order);
+    });
+
+    res.json({
+      success: true,
+      categories,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a category
+ * POST /api/categories
+ */
+export const createCategory = async (req, res, next) => {
+  try {
+    const { slug, label, labels, subcategories = [] } = req.body;
+
+    const existing = await Category.exists({ slug });
+    if (existing) {
+      return next(
+        new AppError(`Category '${slug}' already exists`, 409, {
+          type: 'CATEGORY_EXISTS',
+          field: 'slug',
+        })
+      );
+    }
+
+    // New categories go to the end of the list
+    const last = await Category.findOne().sort({ order: -1 }).select('order').lean();
+
+    const category = await Category.create({
+      slug,
+      label,
+      labels,
+      order: last ? last.order + 1 : 0,
+      subcategories: subcategories.map((sub, index) => ({
+        slug: sub.slug,
+        label: sub.label,
+        labels: sub.labels,
+        order: index,
+      })),
+    });
+
+    await refreshCategoryCache();
+
+    res.status(201).json({
+      success: true,
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Apply label / label translation changes from the request body
+ * @param {object} target - Category or subcategory document
+ * @param {object} body - { label?, labels?: { ru?, en? } }
+ */
+const applyLabels = (target, { label, labels }) => {
+  if (label !== undefined) {
+    target.label = label;
+  }
+  if (labels) {
+    Object.entries(labels).forEach(([locale, value]) => {
+      target.set(`labels.${locale}`, value || undefined);
+    });
+  }
+};
+
+/**
+ * Rename a category or change its label translations (slug is immutable - ads reference it)
+ * PATCH /api/categories/:slug
+ */
+export const updateCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req, next);
+    if (!category) return;
+
+    applyLabels(category, req.body);
+    await category.save();
+    await refreshCategoryCache();
+
+    res.json({
+      success: true,
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a category
+ * Only allowed when no ads use it - otherwise archive it instead
+ * DELETE /api/categories/:slug
+ */
+export const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req, next);
+    if (!category) return;
+
+    const adCount = await Ad.countDocuments({ categorySlug: category.slug, isDeleted: false });
+    if (adCount > 0) {
+      return next(
+        new AppError('Category is used by existing ads. Archive it instead', 409, {
+          type: 'CATEGORY_IN_USE',
+          adCount,
+        })
+      );
+    }
+
+    await category.deleteOne();
+    await refreshCategoryCache();
+
+    res.json({
+      success: true,
+      message: 'Category deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder categories
+ * PUT /api/categories/order
+ * Body: { "slugs": ["auto", "real-estate", ...] } - every category slug exactly once
+ */
+export const reorderCategories = async (req, res, next) => {
+  try {
+    const { slugs } = req.body;
+    const categories = await Category.find().select('slug').lean();
+
+    if (!isPermutation(slugs, categories.map((category) => category.slug))) {
+      return next(
+        new AppError('slugs must list every category exactly once', 400, {
+          type: 'INVALID_ORDER',
+        })
+      );
+    }
+
+    await Category.bulkWrite(
+      slugs.map((slug, index) => ({
+        updateOne: {
+          filter: { slug },
+          update: { $set: { order: index } },
+        },
+      }))
+    );
+    await refreshCategoryCache();
+
+    res.json({
+      success: true,
+      message: 'Categories reordered',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Archive or restore a category
+ * Ads in an archived category are flagged (Ad.categoryArchived) and hidden from listings
+ * POST /api/categories/:slug/archive, POST /api/categories/:slug/unarchive
+ */
+const setCategoryArchived = (archived) => async (req, res, next) => {
+  try {
+    const category = await findCategory(req, next);
+    if (!category) return;
+
+    category.isArchived = archived;
+    category.archivedAt = archived ? new Date() : null;
+    await category.save();
+
+    const affectedAds = await syncAdsArchivedFlag(category);
+    await refreshCategoryCache();
+
+    res.json({
+      success: true,
+      category,
+      affectedAds,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const archiveCategory = setCategoryArchived(true);
+export const unarchiveCategory = setCategoryArchived(false);
+
+/**
+ * Add a subcategory
+ * POST /api/categories/:slug/subcategories
+ */
+export const addSubcategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req, next);
+    if (!category) return;
+
+    const { slug, label, labels } = req.body;
+    if (category.subcategories.some((sub) => sub.slug === slug)) {
+      return next(
+        new AppError(`Subcategory '${slug}' already exists`, 409, {
+          type: 'SUBCATEGORY_EXISTS',
+          field: 'slug',
+        })
+      );
+    }
+
+    const maxOrder = category.subcategories.reduce((max, sub) => Math.max(max, sub.order), -1);
+    category.subcategories.push({ slug, label, labels, order: maxOrder + 1 });
+    await category.save();
+    await refreshCategoryCache();
+
+    res.status(201).json({
+      success: true,
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Rename a subcategory or change its label translations
+ * PATCH /api/categories/:slug/subcategories/:subSlug
+ */
+export const updateSubcategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req, next);
+    if (!category) return;
+    const subcategory = findSubcategory(category, req, next);
+    if (!subcategory) return;
+
+    applyLabels(subcategory, req.body);
+    await category.save();
+    await refreshCategoryCache();
+
+    res.json({
+      success: true,
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a subcategory
+ * Only allowed when no ads use it - otherwise archive it instead
+ * DELETE /api/categories/:slug/subcategories/:subSlug
+ */
+export const deleteSubcategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req, next);
+    if (!category) return;
+    const subcategory = findSubcategory(category, req, next);
+    if (!subcategory) return;
+
+    const adCount = await Ad.countDocuments({
+      categorySlug: category.slug,
+      subCategorySlug: subcategory.slug,
+      isDeleted: false,
+    });
+    if (adCount > 0) {
+      return next(
+        new AppError('Subcategory is used by existing ads. Archive it instead', 409, {
+          type: 'SUBCATEGORY_IN_USE',
+          adCount,
+        })
+      );
+    }
+
+    category.subcategories = category.subcategories.filter((sub) => sub.slug !== subcategory.slug);
+    await category.save();
+    await refreshCategoryCache();
+
+    res.json({
+      success: true,
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reorder subcategories of a category
+ * PUT /api/categories/:slug/subcategories/order
+ * Body: { "slugs": ["cars", "motorcycles", ...] } - every subcategory slug exactly once
+ */
+export const reorderSubcategories = async (req, res, next) => {
+  try {
+    const category = await findCategory(req, next);
+    if (!category) return;
+
+    const { slugs } = req.body;
+    if (!isPermutation(slugs, category.subcategories.map((sub) => sub.slug))) {
+      return next(
+        new AppError('slugs must list every subcategory exactly once', 400, {
+          type: 'INVALID_ORDER',
+        })
+      );
+    }
+
+    category.subcategories.forEach((sub) => {
+      sub.order = slugs.indexOf(sub.slug);
+    });
+    await category.save();
+    await refreshCategoryCache();
+
+    res.json({
+      success: true,
+      category,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Archive or restore a subcategory
+ * POST /api/categories/:slug/subcategories/:subSlug/archive (and /unarchive)
+ */
+const setSubcategoryArchived = (archived) => async (req, res, next) => {
+  try {
+    const category = await findCategory(req, next);
+    if (!category) return;
+    const subcategory = findSubcategory(category, req, next);
+    if (!subcategory) return;
+
+    subcategory.isArchived = archived;
+    subcategory.archivedAt = archived ? new Date() : null;
+    await category.save();
+
+    const affectedAds = await syncAdsArchivedFlag(category);
+    await refreshCategoryCache();
+
+    res.json({
+      success: true,
+      category,
+      affectedAds,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const archiveSubcategory = setSubcategoryArchived(true);
+export const unarchiveSubcategory = setSubcategoryArchived(false);
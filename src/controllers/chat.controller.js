@@ -5,6 +5,34 @@ import mongoose from 'mongoose';
 import { AppError } from '../middlewares/error.middleware.js';
 import logger from '../config/logger.js';
 import { getReqUserId } from '../utils/getReqUserId.js';
+import { applyContentRules, buildContentBlockedError, recordRuleHits } from '../services/contentRule.service.js';
+import {
+  toSortObject,
+  decodeCursor,
+  buildCursorFilter,
+  applyCursorFilter,
+  parseLimit,
+  paginateResults,
+} from '../utils/cursor.js';
+
+// Keyset sort specs: chat list by last message, messages newest first (cursor pages go back in time)
+const CHAT_SORT = [['lastMessageAt', -1], ['_id', -1]];
+const MESSAGE_SORT = [['createdAt', -1], ['_id', -1]];
+
+/**
+ * Find a chat by ID as seen by a user
+ * A held-back chat (started by a shadow-banned user) is missing for everyone but its starter
+ * @param {string} chatId
+ * @param {string|ObjectId} userId
+ * @returns {Promise<object|null>} Chat document or null
+ */
+const findVisibleChat = async (chatId, userId) => {
+  const chat = await Chat.findById(chatId).select('+heldBack');
+  if (chat?.heldBack && chat.startedBy?.toString() !== userId.toString()) {
+    return null;
+  }
+  return chat;
+};
 
 /**
  * Start or get existing direct message chat between two users
@@ -29,6 +57,7 @@ import { getReqUserId } from '../utils/getReqUserId.js';
  *       "participants": [...],
  *       "lastMessage": null,
  *       "createdAt": "...",
+ *       "lastMessageAt": "...",
  *       "updatedAt": "..."
  *     }
  *   }
@@ -42,6 +71,7 @@ import { getReqUserId } from '../utils/getReqUserId.js';
  *       "participants": [...],
  *       "lastMessage": null,
  *       "createdAt": "...",
+ *       "lastMessageAt": "...",
  *       "updatedAt": "..."
  *     }
  *   }
@@ -97,11 +127,7 @@ export const startChat = async (req, res, next) => {
       if (process.env.NODE_ENV !== 'production') {
         console.log('[CHAT_START] 401: Authentication failed - req.user missing or invalid');
       }
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required',
-        details: { type: 'AUTH_REQUIRED' },
-      });
+      return next(new AppError('Authentication required', 401, { type: 'AUTH_REQUIRED' }));
     }
 
     // Extract receiverId - ONLY field required
@@ -127,15 +153,13 @@ export const startChat = async (req, res, next) => {
       if (process.env.NODE_ENV !== 'production') {
         console.log('[CHAT_START] 400: receiverId is required', { receiverId: receiverIdRaw });
       }
-      return res.status(400).json({
-        success: false,
-        message: 'receiverId is required and must be a non-empty string',
-        details: {
+      return next(
+        new AppError('receiverId is required and must be a non-empty string', 400, {
           type: 'VALIDATION_ERROR',
           field: 'receiverId',
           value: receiverIdRaw,
-        },
-      });
+        })
+      );
     }
 
     // Trim if string
@@ -146,15 +170,13 @@ export const startChat = async (req, res, next) => {
       if (process.env.NODE_ENV !== 'production') {
         console.log('[CHAT_START] 400: Invalid receiverId format', { receiverId });
       }
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid receiverId format',
-        details: {
+      return next(
+        new AppError('Invalid receiverId format', 400, {
           type: 'INVALID_ID',
           field: 'receiverId',
           value: receiverIdRaw,
-        },
-      });
+        })
+      );
     }
 
     // Convert to ObjectIds
@@ -166,14 +188,12 @@ export const startChat = async (req, res, next) => {
       if (process.env.NODE_ENV !== 'production') {
         console.log('[CHAT_START] 400: Cannot start chat with yourself');
       }
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot start chat with yourself',
-        details: {
+      return next(
+        new AppError('Cannot start chat with yourself', 400, {
           type: 'VALIDATION_ERROR',
           field: 'receiverId',
-        },
-      });
+        })
+      );
     }
 
     // Build sorted pair (canonical order for user1/user2)
@@ -183,10 +203,13 @@ export const startChat = async (req, res, next) => {
 
     // Create new chat ALWAYS (unlimited chats allowed between same users)
     // Pre-validate hook will validate and set user1/user2
+    // Chats started by shadow-banned users are held back like their messages
     const chat = await Chat.create({
       participants: [user1Id, user2Id],
       user1: user1Id,
       user2: user2Id,
+      startedBy: meObjectId,
+      heldBack: req.user.accountStatus === 'shadow_banned',
     });
 
     // Populate participants (name, email)
@@ -209,6 +232,7 @@ export const startChat = async (req, res, next) => {
         participants: chat.participants,
         lastMessage: chat.lastMessage,
         createdAt: chat.createdAt,
+        lastMessageAt: chat.lastMessageAt,
         updatedAt: chat.updatedAt,
       },
     });
@@ -252,20 +276,17 @@ export const unreadCount = async (req, res, next) => {
     // Get userId using helper (production-safe)
     const userId = getReqUserId(req);
     if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required',
-        details: { type: 'AUTH_REQUIRED' },
-      });
+      return next(new AppError('Authentication required', 401, { type: 'AUTH_REQUIRED' }));
     }
 
     // Convert to ObjectId for query
     const userObjectId = new mongoose.Types.ObjectId(userId);
 
-    // Count unread messages for current user
+    // Count unread messages for current user (held-back messages are never shown)
     const count = await Message.countDocuments({
       receiver: userObjectId,
       isRead: false,
+      heldBack: { $ne: true },
     });
 
     res.status(200).json({
@@ -278,39 +299,54 @@ export const unreadCount = async (req, res, next) => {
 };
 
 /**
- * Get all chats for current user
+ * Get chats for current user (latest message first)
  * GET /api/chats
+ *
+ * Query: limit, cursor - optional cursor pagination; without them all chats are returned
  */
 export const getChats = async (req, res, next) => {
   try {
     // Get userId using helper (production-safe)
     const userId = getReqUserId(req);
     if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required',
-        details: { type: 'AUTH_REQUIRED' },
-      });
+      return next(new AppError('Authentication required', 401, { type: 'AUTH_REQUIRED' }));
     }
 
     // Convert to ObjectId for queries
     const userObjectId = new mongoose.Types.ObjectId(userId);
 
-    // Find all chats where user is a participant (use user1/user2 for index efficiency)
-    const chats = await Chat.find({
-      $or: [
-        { user1: userObjectId },
-        { user2: userObjectId },
+    // Find chats where user is a participant (use user1/user2 for index efficiency)
+    // Held-back chats are only listed for the user who started them
+    const query = {
+      $and: [
+        { $or: [{ user1: userObjectId }, { user2: userObjectId }] },
+        { $or: [{ heldBack: { $ne: true } }, { startedBy: userObjectId }] },
       ],
-    })
+    };
+
+    const { limit, cursor } = req.query;
+    const paginate = limit !== undefined || cursor !== undefined;
+    const limitNum = parseLimit(limit);
+    const cursorFilter = cursor
+      ? buildCursorFilter(CHAT_SORT, decodeCursor(cursor, CHAT_SORT, 'chats'))
+      : null;
+
+    const findQuery = Chat.find(applyCursorFilter(query, cursorFilter))
       .populate('participants', 'name email')
       .populate('lastMessage')
-      .sort({ updatedAt: -1 })
-      .lean();
+      .sort(toSortObject(CHAT_SORT));
+    if (paginate) {
+      findQuery.limit(limitNum + 1);
+    }
+
+    const results = await findQuery.lean();
+    const { items: chats, nextCursor, hasMore } = paginate
+      ? paginateResults(results, limitNum, CHAT_SORT, 'chats')
+      : { items: results, nextCursor: null, hasMore: false };
 
     // Get unread counts via ONE aggregation (fast, not N queries)
     const unreadAgg = await Message.aggregate([
-      { $match: { receiver: userObjectId, isRead: false } },
+      { $match: { receiver: userObjectId, isRead: false, heldBack: { $ne: true } } },
       { $group: { _id: '$chat', count: { $sum: 1 } } },
     ]);
 
@@ -328,30 +364,39 @@ export const getChats = async (req, res, next) => {
       unreadCount: unreadMap.get(String(chat._id)) || 0,
     }));
 
-    res.status(200).json({
+    const response = {
       success: true,
       chats: chatsWithUnread,
       totalUnread,
-    });
+    };
+
+    if (paginate) {
+      response.pagination = {
+        limit: limitNum,
+        hasNext: hasMore,
+        nextCursor,
+      };
+    }
+
+    res.status(200).json(response);
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Get messages for a chat
+ * Get messages for a chat (oldest first)
  * GET /api/chats/:id/messages
+ *
+ * Query: limit, cursor - optional cursor pagination; the first page holds the latest
+ * messages and nextCursor loads older ones. Without them the whole history is returned
  */
 export const getMessages = async (req, res, next) => {
   try {
     // Get userId using helper (production-safe)
     const userId = getReqUserId(req);
     if (!userId) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required',
-        details: { type: 'AUTH_REQUIRED' },
-      });
+      return next(new AppError('Authentication required', 401, { type: 'AUTH_REQUIRED' }));
     }
 
     const chatId = req.params.id;
@@ -368,7 +413,7 @@ export const getMessages = async (req, res, next) => {
     }
 
     // Find chat and verify user is participant
-    const chat = await Chat.findById(chatId);
+    const chat = await findVisibleChat(chatId, currentUserId);
     if (!chat) {
       return next(
         new AppError('Chat not found', 404, {
@@ -391,11 +436,44 @@ export const getMessages = async (req, res, next) => {
       );
     }
 
-    // Get messages sorted by createdAt ascending
-    const messages = await Message.find({ chat: chatId })
-      .populate('sender', 'name email')
-      .sort({ createdAt: 1 })
-      .lean();
+    const { limit, cursor } = req.query;
+    const paginate = limit !== undefined || cursor !== undefined;
+
+    // Messages held back from a shadow-banned sender are only visible to that sender
+    const messageQuery = {
+      chat: chatId,
+      $or: [{ heldBack: { $ne: true } }, { sender: currentUserId }],
+    };
+
+    let messages;
+    let pagination;
+    if (paginate) {
+      const limitNum = parseLimit(limit, 100);
+      const cursorFilter = cursor
+        ? buildCursorFilter(MESSAGE_SORT, decodeCursor(cursor, MESSAGE_SORT, 'messages'))
+        : null;
+
+      const results = await Message.find(applyCursorFilter(messageQuery, cursorFilter))
+        .populate('sender', 'name email')
+        .sort(toSortObject(MESSAGE_SORT))
+        .limit(limitNum + 1)
+        .lean();
+
+      const page = paginateResults(results, limitNum, MESSAGE_SORT, 'messages');
+      // Fetched newest first - return the page in chronological order
+      messages = page.items.reverse();
+      pagination = {
+        limit: limitNum,
+        hasNext: page.hasMore,
+        nextCursor: page.nextCursor,
+      };
+    } else {
+      // Get messages sorted by createdAt ascending
+      messages = await Message.find(messageQuery)
+        .populate('sender', 'name email')
+        .sort({ createdAt: 1 })
+        .lean();
+    }
 
     // Mark messages as read for current user (only messages received by user)
     await Message.updateMany(
@@ -406,6 +484,7 @@ export const getMessages = async (req, res, next) => {
     res.status(200).json({
       success: true,
       messages,
+      ...(pagination && { pagination }),
     });
   } catch (error) {
     next(error);
@@ -419,41 +498,27 @@ export const getMessages = async (req, res, next) => {
 export const getChatById = async (req, res, next) => {
   try {
     if (!req.user || !req.user._id) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required',
-      });
+      return next(new AppError('Authentication required', 401));
     }
 
     const chatId = req.params.id;
 
     // Validate ObjectId format
     if (!mongoose.Types.ObjectId.isValid(chatId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid chat ID format',
-        details: { type: 'INVALID_ID', field: 'id' },
-      });
+      return next(new AppError('Invalid chat ID format', 400, { type: 'INVALID_ID', field: 'id' }));
     }
 
     // Find chat by id
-    const chat = await Chat.findById(chatId);
+    const chat = await findVisibleChat(chatId, req.user._id);
     if (!chat) {
-      return res.status(404).json({
-        success: false,
-        message: 'Chat not found',
-      });
+      return next(new AppError('Chat not found', 404));
     }
 
     // Verify user is participant
     const me = req.user._id.toString();
     const isParticipant = chat.participants?.some((p) => p.toString() === me);
     if (!isParticipant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-        details: { type: 'FORBIDDEN' },
-      });
+      return next(new AppError('Access denied', 403, { type: 'FORBIDDEN' }));
     }
 
     // Populate participants (name, email) and lastMessage
@@ -467,6 +532,7 @@ export const getChatById = async (req, res, next) => {
         participants: chat.participants,
         lastMessage: chat.lastMessage,
         createdAt: chat.createdAt,
+        lastMessageAt: chat.lastMessageAt,
         updatedAt: chat.updatedAt,
       },
     });
@@ -482,39 +548,24 @@ export const getChatById = async (req, res, next) => {
 export const deleteChat = async (req, res, next) => {
   try {
     if (!req.user || !req.user._id) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required',
-      });
+      return next(new AppError('Authentication required', 401));
     }
 
     const chatId = req.params.id;
 
     if (!mongoose.Types.ObjectId.isValid(chatId)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid chat ID format',
-        details: { type: 'INVALID_ID', field: 'id' },
-      });
+      return next(new AppError('Invalid chat ID format', 400, { type: 'INVALID_ID', field: 'id' }));
     }
 
-    const chat = await Chat.findById(chatId);
+    const chat = await findVisibleChat(chatId, req.user._id);
     if (!chat) {
-      return res.status(404).json({
-        success: false,
-        message: 'Chat not found',
-        details: { type: 'NOT_FOUND' },
-      });
+      return next(new AppError('Chat not found', 404, { type: 'NOT_FOUND' }));
     }
 
     const me = req.user._id.toString();
     const isParticipant = chat.participants?.some((p) => p.toString() === me);
     if (!isParticipant) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied',
-        details: { type: 'FORBIDDEN' },
-      });
+      return next(new AppError('Access denied', 403, { type: 'FORBIDDEN' }));
     }
 
     // Log only in development
@@ -596,7 +647,7 @@ export const sendMessage = async (req, res, next) => {
     }
 
     // Find chat and verify user is participant
-    const chat = await Chat.findById(chatId);
+    const chat = await findVisibleChat(chatId, req.user._id);
     if (!chat) {
       return next(
         new AppError('Chat not found', 404, {
@@ -632,23 +683,39 @@ export const sendMessage = async (req, res, next) => {
       );
     }
 
+    // Banned-content rules: block rejects the message, mask replaces the matched text
+    const contentCheck = applyContentRules({ message: text.trim() });
+    if (contentCheck.blocked) {
+      await recordRuleHits(contentCheck.hits, { context: 'message', user: currentUserId });
+      return next(buildContentBlockedError(contentCheck.hits));
+    }
+
+    // Messages of shadow-banned senders are held back: stored and shown to the sender only
+    const heldBack = req.user.accountStatus === 'shadow_banned';
+
     // Create message with receiver
     const message = await Message.create({
       chat: chatId,
       sender: currentUserId,
       receiver: receiverId,
-      text: text.trim(),
+      text: contentCheck.values.message,
       isRead: false, // New message is unread by default
+      heldBack,
     });
+    await recordRuleHits(contentCheck.hits, { context: 'message', user: currentUserId, message: message._id });
 
     // Populate sender
     await message.populate('sender', 'name email');
 
-    // Update chat lastMessage and lastMessageAt
-    await Chat.findByIdAndUpdate(chatId, {
-      lastMessage: message._id,
-      updatedAt: new Date(),
-    });
+    // Update chat lastMessage and lastMessageAt (held-back messages don't surface the chat to the receiver)
+    // A visible message also releases a chat that was started while the sender was shadow-banned
+    if (!heldBack) {
+      await Chat.findByIdAndUpdate(chatId, {
+        lastMessage: message._id,
+        lastMessageAt: message.createdAt,
+        heldBack: false,
+      });
+    }
 
     res.status(201).json({
       success: true,
@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+import ContentRule from '../models/ContentRule.js';
+import RuleHit from '../models/RuleHit.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import logger from '../config/logger.js';
+import { refreshContentRuleCache } from '../services/contentRule.service.js';
+import {
+  CONTENT_RULE_ACTIONS,
+  CONTENT_RULE_CONTEXTS,
+} from '../constants/contentRules.js';
+import { parseLimit } from '../utils/cursor.js';
+
+const RULE_FIELDS = ['name', 'description', 'type', 'keywords', 'pattern', 'flags', 'action', 'fields', 'categories', 'isActive'];
+
+/**
+ * Load the content rule from :id into req.contentRule
+ * Runs before validateUpdateContentRule, which checks the merged definition
+ */
+export const loadContentRule = async (req, res, next) => {
+  try {
+    const rule = await ContentRule.findById(req.params.id);
+    if (!rule) {
+      return next(new AppError('Content rule not found', 404, { type: 'NOT_FOUND' }));
+    }
+    req.contentRule = rule;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List content rules (active and inactive) with their hit counts
+ * GET /api/admin/content-rules
+ */
+export const listContentRules = async (req, res, next) => {
+  try {
+    const [rules, hitCounts] = await Promise.all([
+      ContentRule.find().sort({ createdAt: -1 }).lean(),
+      RuleHit.aggregate([{ $group: { _id: '$rule', count: { $sum: 1 }, lastHitAt: { $max: '$createdAt' } } }]),
+    ]);
+    const hitsByRule = new Map(hitCounts.map((entry) => [String(entry._id), entry]));
+
+    res.json({
+      success: true,
+      rules: rules.map((rule) => ({
+        ...rule,
+        hits: hitsByRule.get(String(rule._id))?.count || 0,
+        lastHitAt: hitsByRule.get(String(rule._id))?.lastHitAt || null,
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a content rule - takes effect right away
+ * POST /api/admin/content-rules
+ */
+export const createContentRule = async (req, res, next) => {
+  try {
+    const data = Object.fromEntries(
+      RULE_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [field, req.body[field]])
+    );
+
+    const rule = await ContentRule.create({
+      ...data,
+      createdBy: req.user.id,
+      updatedBy: req.user.id,
+    });
+    await refreshContentRuleCache();
+
+    logger.info('[CONTENT_RULES] Rule created', {
+      ruleId: rule._id,
+      action: rule.action,
+      adminId: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      rule,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a content rule (any field, isActive: false disables it) - takes effect right away
+ * PATCH /api/admin/content-rules/:id
+ */
+export const updateContentRule = async (req, res, next) => {
+  try {
+    const rule = req.contentRule;
+
+    RULE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        rule[field] = req.body[field];
+      }
+    });
+    // Switching type drops the other type's definition
+    if (rule.type === 'keyword') {
+      rule.pattern = undefined;
+    } else {
+      rule.keywords = undefined;
+    }
+    rule.updatedBy = req.user.id;
+    await rule.save();
+    await refreshContentRuleCache();
+
+    logger.info('[CONTENT_RULES] Rule updated', {
+      ruleId: rule._id,
+      adminId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      rule,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a content rule (recorded hits keep the rule name)
+ * DELETE /api/admin/content-rules/:id
+ */
+export const deleteContentRule = async (req, res, next) => {
+  try {
+    const rule = await ContentRule.findByIdAndDelete(req.params.id);
+    if (!rule) {
+      return next(new AppError('Content rule not found', 404, { type: 'NOT_FOUND' }));
+    }
+    await refreshContentRuleCache();
+
+    logger.info('[CONTENT_RULES] Rule deleted', {
+      ruleId: rule._id,
+      adminId: req.user.id,
+    });
+
+    res.json({
+      success: true,
+      message: 'Content rule deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List recorded rule hits, newest first
+ * Query: reviewed (true|false), action, context, rule, user, ad, page, limit
+ * GET /api/admin/rule-hits
+ */
+export const listRuleHits = async (req, res, next) => {
+  try {
+    const { reviewed, action, context, page } = req.query;
+    const query = {};
+
+    if (reviewed === 'true' || reviewed === 'false') {
+      query.reviewed = reviewed === 'true';
+    }
+    if (CONTENT_RULE_ACTIONS.includes(action)) {
+      query.action = action;
+    }
+    if (CONTENT_RULE_CONTEXTS.includes(context)) {
+      query.context = context;
+    }
+    for (const key of ['rule', 'user', 'ad']) {
+      const value = req.query[key];
+      if (typeof value === 'string' && value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return next(new AppError('Invalid ID format', 400, { type: 'INVALID_ID', field: key }));
+        }
+        query[key] = value;
+      }
+    }
+
+    const limitNum = parseLimit(req.query.limit);
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [hits, total] = await Promise.all([
+      RuleHit.find(query)
+        .populate('user', 'name email')
+        .populate('ad', 'title status')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      RuleHit.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      hits,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a rule hit as reviewed (a reviewed flag no longer keeps its ad out of auto-approval)
+ * POST /api/admin/rule-hits/:id/review
+ */
+export const reviewRuleHit = async (req, res, next) => {
+  try {
+    const hit = await RuleHit.findOneAndUpdate(
+      { _id: req.params.id },
+      { $set: { reviewed: true, reviewedBy: req.user.id, reviewedAt: new Date() } },
+      { new: true }
+    );
+    if (!hit) {
+      return next(new AppError('Rule hit not found', 404, { type: 'NOT_FOUND' }));
+    }
+
+    res.json({
+      success: true,
+      hit,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,95 @@
+import ExchangeRate from '../models/ExchangeRate.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import {
+  saveExchangeRates,
+  refreshExchangeRates,
+  releaseManualRates,
+  getExchangeRateProviderName,
+} from '../services/exchangeRate.service.js';
+import { BASE_CURRENCY, getExchangeRates } from '../utils/currency.js';
+
+/**
+ * Get current exchange rates
+ * GET /api/exchange-rates
+ */
+export const getRates = async (req, res, next) => {
+  try {
+    const docs = await ExchangeRate.find().select('currency source updatedAt').lean();
+
+    res.json({
+      success: true,
+      base: BASE_CURRENCY,
+      provider: getExchangeRateProviderName(),
+      rates: getExchangeRates(),
+      updatedAt: Object.fromEntries(docs.map((doc) => [doc.currency, doc.updatedAt])),
+      // 'manual' marks an override the provider doesn't replace
+      sources: Object.fromEntries(docs.map((doc) => [doc.currency, doc.source])),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set exchange rates manually (offline mode / corrections)
+ * Manual rates override the provider; null releases the override back to the provider
+ * Ads priced in changed currencies get their normalized price recomputed
+ * PUT /api/exchange-rates
+ * Body: { "rates": { "USD": 1.08, "MDL": null } } - units per 1 EUR
+ */
+export const updateRates = async (req, res, next) => {
+  try {
+    const { rates } = req.body;
+    const released = Object.keys(rates).filter((currency) => rates[currency] === null);
+
+    if (released.length > 0 && getExchangeRateProviderName() === 'manual') {
+      return next(
+        new AppError('The configured exchange rate provider does not fetch rates. Set them manually', 400, {
+          type: 'MANUAL_PROVIDER',
+          provider: getExchangeRateProviderName(),
+        })
+      );
+    }
+
+    const result = await saveExchangeRates(rates, 'manual');
+    const refreshed = released.length > 0 ? await releaseManualRates(released) : null;
+
+    res.json({
+      success: true,
+      base: BASE_CURRENCY,
+      rates: refreshed ? refreshed.rates : result.rates,
+      changed: [...new Set([...result.changed, ...(refreshed?.changed || [])])],
+      released,
+      updatedAds: result.updatedAds + (refreshed?.updatedAds || 0),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Pull rates from the configured provider now
+ * POST /api/exchange-rates/refresh
+ */
+export const refreshRates = async (req, res, next) => {
+  try {
+    const result = await refreshExchangeRates();
+    if (!result) {
+      return next(
+        new AppError('The configured exchange rate provider does not fetch rates. Set them manually', 400, {
+          type: 'MANUAL_PROVIDER',
+          provider: getExchangeRateProviderName(),
+        })
+      );
+    }
+
+    res.json({
+      success: true,
+      base: BASE_CURRENCY,
+      provider: getExchangeRateProviderName(),
+      ...result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,6 +2,7 @@ import User from '../models/User.js';
 import Ad from '../models/Ad.js';
 import mongoose from 'mongoose';
 import { AppError } from '../middlewares/error.middleware.js';
+import { isAdExpired } from '../utils/adQuery.js';
 
 /**
  * Add ad to user's favorites
@@ -32,10 +33,11 @@ export const addToFavorites = async (req, res, next) => {
       );
     }
 
-    // Find ad in database
+    // Find ad in database (ads of banned/shadow-banned sellers look like they don't exist)
     const ad = await Ad.findOne({
       _id: adId,
       isDeleted: false,
+      sellerHidden: { $ne: true },
     });
 
     // Check if ad exists -> 404
@@ -47,8 +49,8 @@ export const addToFavorites = async (req, res, next) => {
       );
     }
 
-    // Only allow favoriting active ads -> 400
-    if (ad.status !== 'active') {
+    // Only allow favoriting active, unexpired ads (outside archived categories) -> 400
+    if (ad.status !== 'active' || ad.categoryArchived || isAdExpired(ad)) {
       return next(
         new AppError('Only active ads can be added to favorites', 400, {
           type: 'NOT_ACTIVE',
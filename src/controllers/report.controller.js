@@ -0,0 +1,192 @@
+import mongoose from 'mongoose';
+import Report from '../models/Report.js';
+import Ad from '../models/Ad.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import { createReport as createReportRecord, triageReport, countActiveReporters } from '../services/report.service.js';
+import {
+  REPORT_STATUSES,
+  REPORT_TARGET_TYPES,
+  REPORT_REASONS,
+  ACTIVE_REPORT_STATUSES,
+  REPORT_TRIAGE_ACTIONS,
+} from '../constants/reports.js';
+import { parseLimit } from '../utils/cursor.js';
+
+/**
+ * Report an ad, a user profile or a chat message
+ * POST /api/reports
+ *
+ * Body: { targetType: 'ad'|'user'|'message', targetId, reason, note? }
+ * Response (201): { success, message, report: { _id, targetType, target, reason, status, createdAt } }
+ * Response (409): ALREADY_REPORTED - the user already has an open report on the target
+ */
+export const createReport = async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, note } = req.body;
+
+    const { report } = await createReportRecord({
+      reporterId: req.user.id,
+      targetType,
+      targetId,
+      reason,
+      note: note || undefined,
+    });
+
+    // The reporter doesn't learn whether the ad was hidden or who owns the target
+    res.status(201).json({
+      success: true,
+      message: 'Report submitted',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        target: report.target,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List reports for triage, oldest first
+ * Query: status (default: open and escalated), targetType, reason, targetId, page, limit
+ * GET /api/admin/reports
+ */
+export const listReports = async (req, res, next) => {
+  try {
+    const { status, targetType, reason, targetId, page } = req.query;
+    const query = {
+      status: REPORT_STATUSES.includes(status) ? status : { $in: ACTIVE_REPORT_STATUSES },
+    };
+    if (REPORT_TARGET_TYPES.includes(targetType)) {
+      query.targetType = targetType;
+    }
+    if (REPORT_REASONS.includes(reason)) {
+      query.reason = reason;
+    }
+    if (typeof targetId === 'string' && targetId) {
+      if (!mongoose.Types.ObjectId.isValid(targetId)) {
+        return next(new AppError('Invalid target ID', 400, { type: 'INVALID_ID' }));
+      }
+      query.target = targetId;
+    }
+
+    const limitNum = parseLimit(req.query.limit);
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .populate('reporter', 'name email')
+        .populate('targetOwner', 'name email role accountStatus')
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      Report.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      reports,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Load the current state of a reported target for the triage view
+ * @param {object} report
+ * @returns {Promise<object|null>}
+ */
+const loadReportTarget = (report) => {
+  if (report.targetType === 'ad') {
+    return Ad.findById(report.target)
+      .select('title description status isDeleted images user categorySlug +moderation +removal')
+      .lean();
+  }
+  if (report.targetType === 'user') {
+    return User.findById(report.target).select('name email role accountStatus suspendedUntil createdAt').lean();
+  }
+  return Message.findById(report.target).select('chat sender receiver text createdAt').lean();
+};
+
+/**
+ * Get a report with its target and the number of unique open reporters on the same target
+ * GET /api/admin/reports/:id
+ */
+export const getReport = async (req, res, next) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .populate('reporter', 'name email')
+      .populate('targetOwner', 'name email role accountStatus')
+      .populate('triage.by', 'name role')
+      .lean();
+    if (!report) {
+      return next(new AppError('Report not found', 404, { type: 'NOT_FOUND' }));
+    }
+
+    const [target, activeReporters] = await Promise.all([
+      loadReportTarget(report),
+      countActiveReporters(report.targetType, report.target),
+    ]);
+
+    res.json({
+      success: true,
+      report,
+      target,
+      activeReporters,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Build a triage handler (resolve, dismiss, escalate) - Body: { note? }
+ * @param {string} action - Key of REPORT_TRIAGE_ACTIONS
+ */
+const triageHandler = (action) => async (req, res, next) => {
+  try {
+    const report = await triageReport(req.params.id, REPORT_TRIAGE_ACTIONS[action], {
+      user: req.user,
+      note: req.body?.note || undefined,
+    });
+
+    res.json({
+      success: true,
+      report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Resolve a report (action was taken)
+ * POST /api/admin/reports/:id/resolve
+ */
+export const resolveReport = triageHandler('resolve');
+
+/**
+ * Dismiss a report (nothing to act on)
+ * POST /api/admin/reports/:id/dismiss
+ */
+export const dismissReport = triageHandler('dismiss');
+
+/**
+ * Escalate a report to admins
+ * POST /api/admin/reports/:id/escalate
+ */
+export const escalateReport = triageHandler('escalate');
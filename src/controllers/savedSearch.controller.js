@@ -0,0 +1,231 @@
+import SavedSearch from '../models/SavedSearch.js';
+import mongoose from 'mongoose';
+import { AppError } from '../middlewares/error.middleware.js';
+import { buildAdQuery } from '../utils/adQuery.js';
+import { toAdQueryParams } from '../services/savedSearch.service.js';
+
+// Maximum number of saved searches per user
+const MAX_SAVED_SEARCHES_PER_USER = 20;
+
+/**
+ * Pick only known filter fields from the request body
+ * @param {object} filters - req.body.filters (already validated)
+ * @returns {object} Filters object safe to store
+ */
+const pickFilters = (filters = {}) => {
+  const picked = {};
+  ['search', 'categorySlug', 'subCategorySlug', 'minPrice', 'maxPrice', 'currency'].forEach((key) => {
+    if (filters[key] !== undefined && filters[key] !== null && filters[key] !== '') {
+      picked[key] = filters[key];
+    }
+  });
+  if (filters.attributes) {
+    picked.attributes = Object.fromEntries(
+      Object.entries(filters.attributes).map(([key, value]) => [key, String(value).trim()])
+    );
+  }
+  return picked;
+};
+
+/**
+ * Load a saved search owned by the current user
+ * @returns {Promise<object|null>} SavedSearch document or null
+ */
+const findOwnSavedSearch = async (req, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    next(
+      new AppError('Invalid ID format', 400, {
+        type: 'INVALID_ID',
+      })
+    );
+    return null;
+  }
+
+  const savedSearch = await SavedSearch.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+
+  if (!savedSearch) {
+    next(
+      new AppError('Saved search not found', 404, {
+        type: 'NOT_FOUND',
+      })
+    );
+    return null;
+  }
+
+  return savedSearch;
+};
+
+/**
+ * Create a saved search
+ * POST /api/saved-searches
+ */
+export const createSavedSearch = async (req, res, next) => {
+  try {
+    const count = await SavedSearch.countDocuments({ user: req.user.id });
+    if (count >= MAX_SAVED_SEARCHES_PER_USER) {
+      return next(
+        new AppError(`You can save at most ${MAX_SAVED_SEARCHES_PER_USER} searches`, 400, {
+          type: 'SAVED_SEARCH_LIMIT',
+          limit: MAX_SAVED_SEARCHES_PER_USER,
+        })
+      );
+    }
+
+    const filters = pickFilters(req.body.filters);
+
+    // Make sure the filters produce a valid listing query (throws AppError otherwise)
+    buildAdQuery(toAdQueryParams(filters), { locale: req.messageLocale });
+
+    const savedSearch = await SavedSearch.create({
+      user: req.user.id,
+      name: req.body.name.trim(),
+      filters,
+      frequency: req.body.frequency || 'instant',
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Saved search created',
+      savedSearch: await SavedSearch.findById(savedSearch._id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get current user's saved searches
+ * GET /api/saved-searches
+ */
+export const getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      savedSearches,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a saved search by ID (owner only)
+ * GET /api/saved-searches/:id
+ */
+export const getSavedSearchById = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req, next);
+    if (!savedSearch) return;
+
+    res.json({
+      success: true,
+      savedSearch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a saved search (owner only)
+ * PATCH /api/saved-searches/:id
+ */
+export const updateSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req, next);
+    if (!savedSearch) return;
+
+    const { name, filters, frequency, isActive } = req.body;
+
+    if (name !== undefined) {
+      savedSearch.name = name.trim();
+    }
+    if (frequency !== undefined) {
+      savedSearch.frequency = frequency;
+    }
+    if (isActive !== undefined) {
+      savedSearch.isActive = isActive;
+    }
+    if (filters !== undefined) {
+      const picked = pickFilters(filters);
+      buildAdQuery(toAdQueryParams(picked), { locale: req.messageLocale });
+      savedSearch.filters = picked;
+    }
+
+    await savedSearch.save();
+
+    res.json({
+      success: true,
+      message: 'Saved search updated',
+      savedSearch,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a saved search (owner only)
+ * DELETE /api/saved-searches/:id
+ */
+export const deleteSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req, next);
+    if (!savedSearch) return;
+
+    await SavedSearch.deleteOne({ _id: savedSearch._id });
+
+    res.json({
+      success: true,
+      message: 'Saved search deleted',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unsubscribe from saved-search alerts via email link (no auth required)
+ * GET /api/saved-searches/unsubscribe/:token
+ * Responds with a small HTML page since it is opened from email clients
+ */
+export const unsubscribeSavedSearch = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const savedSearch = typeof token === 'string' && /^[a-f0-9]{64}$/.test(token)
+      ? await SavedSearch.findOneAndUpdate(
+        { unsubscribeToken: token },
+        { $set: { isActive: false } },
+        { new: true }
+      )
+      : null;
+
+    const message = savedSearch
+      ? 'Te-ai dezabonat de la alertele pentru această căutare.'
+      : 'Link de dezabonare invalid sau expirat.';
+
+    res.status(savedSearch ? 200 : 404);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.send(`<!DOCTYPE html>
+<html lang="ro">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Dezabonare</title>
+</head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 2rem;">
+  <p>${message}</p>
+</body>
+</html>`);
+  } catch (error) {
+    next(error);
+  }
+};
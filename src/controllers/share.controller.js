@@ -1,6 +1,8 @@
 import Ad from '../models/Ad.js';
 import mongoose from 'mongoose';
 import { AppError } from '../middlewares/error.middleware.js';
+import { notExpiredCondition } from '../utils/adQuery.js';
+import { getImageVariantUrl } from '../services/imageProcessing.service.js';
 
 /**
  * Escape HTML special characters to prevent XSS
@@ -36,11 +38,15 @@ export const getAdSharePage = async (req, res, next) => {
       return res.status(404).send(getNotFoundHtml());
     }
 
-    // Find ad - only active, non-deleted ads
+    // Find ad - only active, unexpired, non-deleted ads outside archived categories
+    // whose seller isn't banned or shadow-banned
     const ad = await Ad.findOne({
       _id: adId,
       status: 'active',
       isDeleted: false,
+      categoryArchived: { $ne: true },
+      sellerHidden: { $ne: true },
+      expiresAt: notExpiredCondition(),
     }).lean();
 
     if (!ad) {
@@ -67,10 +73,10 @@ export const getAdSharePage = async (req, res, next) => {
       : description;
     const metaDescription = escapeHtml(`${price} ${currency} • ${descriptionPreview}`);
 
-    // Pick image: first image or fallback
+    // Pick image: large (OG-sized) variant of the first image, or fallback
     let imageUrl = `${frontendUrl}/og-fallback.png`; // Default fallback
     if (ad.images && Array.isArray(ad.images) && ad.images.length > 0 && ad.images[0]) {
-      imageUrl = ad.images[0];
+      imageUrl = getImageVariantUrl(ad, ad.images[0], 'large');
     }
 
     // Build HTML with OpenGraph and Twitter meta tags
@@ -0,0 +1,161 @@
+import ro from './ro.js';
+import ru from './ru.js';
+
+/**
+ * Supported locales (English is the source language of all messages)
+ * DEFAULT_LOCALE is the language of content such as category labels; messages stay in
+ * English (MESSAGE_SOURCE_LOCALE) unless the client asks for a locale
+ */
+export const SUPPORTED_LOCALES = ['ro', 'ru', 'en'];
+export const DEFAULT_LOCALE = 'ro';
+export const MESSAGE_SOURCE_LOCALE = 'en';
+
+const catalogs = { ro, ru };
+
+/**
+ * Split a catalog into exact-match entries and compiled {placeholder} templates
+ * @param {object} catalog - { sourceMessage: translation }
+ * @returns {{exact: Map, templates: Array<{regex: RegExp, names: string[], translation: string}>}}
+ */
+const compileCatalog = (catalog) => {
+  const exact = new Map();
+  const templates = [];
+
+  Object.entries(catalog).forEach(([source, translation]) => {
+    const names = [];
+    const pattern = source
+      .split(/(\{\w+\})/)
+      .map((part) => {
+        const placeholder = part.match(/^\{(\w+)\}$/);
+        if (placeholder) {
+          names.push(placeholder[1]);
+          return '(.+?)';
+        }
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+
+    if (names.length === 0) {
+      exact.set(source, translation);
+    } else {
+      templates.push({ regex: new RegExp(`^${pattern}$`), names, translation });
+    }
+  });
+
+  return { exact, templates };
+};
+
+const compiled = Object.fromEntries(
+  Object.entries(catalogs).map(([locale, catalog]) => [locale, compileCatalog(catalog)])
+);
+
+/**
+ * Normalize a language tag to a supported locale ('ru-RU' -> 'ru', 'mo' -> 'ro')
+ * @param {string} tag
+ * @returns {string|null} Supported locale or null
+ */
+export const normalizeLocale = (tag) => {
+  if (!tag || typeof tag !== 'string') {
+    return null;
+  }
+  const primary = tag.trim().toLowerCase().split(/[-_]/)[0];
+  if (primary === 'mo') {
+    return 'ro'; // Legacy code for Moldovan
+  }
+  return SUPPORTED_LOCALES.includes(primary) ? primary : null;
+};
+
+/**
+ * Pick the best supported locale from an Accept-Language header (respects q-values)
+ * @param {string} header - e.g. "ru-RU,ru;q=0.9,en;q=0.8"
+ * @returns {string|null}
+ */
+export const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const candidates = header
+    .split(',')
+    .map((entry, index) => {
+      const [tag, ...params] = entry.trim().split(';');
+      const qParam = params.find((param) => param.trim().startsWith('q='));
+      const q = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+      return { locale: normalizeLocale(tag), q: isNaN(q) ? 0 : q, index };
+    })
+    .filter((candidate) => candidate.locale && candidate.q > 0)
+    .sort((a, b) => (b.q - a.q) || (a.index - b.index));
+
+  return candidates.length > 0 ? candidates[0].locale : null;
+};
+
+/**
+ * Locale the client asked for: ?lang= wins over Accept-Language
+ * @param {object} req - Express request
+ * @returns {string|null} Supported locale, or null when the client expressed no preference
+ */
+export const getRequestedLocale = (req) => {
+  const lang = typeof req.query?.lang === 'string' ? req.query.lang : null;
+  return normalizeLocale(lang) || parseAcceptLanguage(req.headers?.['accept-language']);
+};
+
+/**
+ * Resolve the content locale for a request (category labels) - Romanian is the fallback
+ * @param {object} req - Express request
+ * @returns {string} Supported locale
+ */
+export const resolveLocale = (req) => getRequestedLocale(req) || DEFAULT_LOCALE;
+
+/**
+ * Resolve the locale of API messages (errors) for a request - without a preference
+ * they stay in English, as API clients have always received them
+ * @param {object} req - Express request
+ * @returns {string} Supported locale
+ */
+export const resolveMessageLocale = (req) => getRequestedLocale(req) || MESSAGE_SOURCE_LOCALE;
+
+/**
+ * Translate an English source message into the given locale
+ * Unknown messages are returned unchanged
+ *
+ * @param {string} message - English message (as produced by AppError/validators)
+ * @param {string} locale - Target locale
+ * @returns {string}
+ */
+export const translate = (message, locale) => {
+  if (typeof message !== 'string' || !compiled[locale]) {
+    return message;
+  }
+
+  const { exact, templates } = compiled[locale];
+  if (exact.has(message)) {
+    return exact.get(message);
+  }
+
+  for (const { regex, names, translation } of templates) {
+    const match = message.match(regex);
+    if (match) {
+      return names.reduce(
+        (result, name, index) => result.replaceAll(`{${name}}`, match[index + 1]),
+        translation
+      );
+    }
+  }
+
+  return message;
+};
+
+/**
+ * Pick the label for a locale from a { ru, en } translations object
+ * @param {string} label - Default (Romanian) label
+ * @param {object|Map} labels - Translations keyed by locale
+ * @param {string} locale
+ * @returns {string}
+ */
+export const localizeLabel = (label, labels, locale) => {
+  if (!labels || locale === DEFAULT_LOCALE) {
+    return label;
+  }
+  const translated = labels instanceof Map ? labels.get(locale) : labels[locale];
+  return translated || label;
+};
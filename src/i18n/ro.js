@@ -0,0 +1,292 @@
+/**
+ * Romanian translations of API messages
+ * Keys are the English source messages; {name} placeholders match any text
+ * and are carried over into the translation
+ */
+const ro = {
+  // Generic
+  'Validation failed': 'Validare eșuată',
+  'Extra fields not allowed': 'Câmpuri suplimentare nepermise',
+  "Field '{field}' is not allowed": "Câmpul '{field}' nu este permis",
+  "Field '{field}' is not allowed. Only 'status' field is accepted.": "Câmpul '{field}' nu este permis. Este acceptat doar câmpul 'status'.",
+  'At least one field must be provided for update': 'Trebuie furnizat cel puțin un câmp pentru actualizare',
+  'Invalid ID format': 'Format ID invalid',
+  'ID parameter is required': 'Parametrul ID este obligatoriu',
+  'Authentication required': 'Autentificare necesară',
+  'Authentication failed': 'Autentificare eșuată',
+  'Invalid token. Please login again': 'Token invalid. Vă rugăm să vă autentificați din nou',
+  'Token expired. Please login again': 'Token expirat. Vă rugăm să vă autentificați din nou',
+  'You do not own this resource': 'Nu sunteți proprietarul acestei resurse',
+  'You do not have permission to perform this action': 'Nu aveți permisiunea de a efectua această acțiune',
+  'Route {path} not found': 'Ruta {path} nu a fost găsită',
+  'Something went wrong. Please try again later.': 'Ceva nu a funcționat. Vă rugăm să încercați mai târziu.',
+  'Resource not found with id: {id}': 'Resursa cu id-ul {id} nu a fost găsită',
+  'Token invalid or expired': 'Token invalid sau expirat',
+  'JWT configuration error': 'Eroare de configurare JWT',
+  'Access denied': 'Acces interzis',
+  'Too many requests, try again later': 'Prea multe cereri, încercați mai târziu',
+  'Too many authentication attempts, please try again after 15 minutes': 'Prea multe încercări de autentificare, încercați din nou peste 15 minute',
+
+  // Auth
+  'Name is required': 'Numele este obligatoriu',
+  'Name cannot be empty': 'Numele nu poate fi gol',
+  'Name must be between 2 and 50 characters': 'Numele trebuie să aibă între 2 și 50 de caractere',
+  'Name must not exceed 100 characters': 'Numele nu poate depăși 100 de caractere',
+  'Email is required': 'Emailul este obligatoriu',
+  'Please provide a valid email': 'Vă rugăm să introduceți un email valid',
+  'Invalid email format': 'Format email invalid',
+  'Password is required': 'Parola este obligatorie',
+  'Password must be at least 6 characters long': 'Parola trebuie să aibă cel puțin 6 caractere',
+  'Password must be at least 6 characters': 'Parola trebuie să aibă cel puțin 6 caractere',
+  'Invalid email or password': 'Email sau parolă incorectă',
+  'User with this email already exists': 'Există deja un utilizator cu acest email',
+  'User not found': 'Utilizatorul nu a fost găsit',
+  'Reset token is required': 'Tokenul de resetare este obligatoriu',
+  'Reset token is required in URL': 'Tokenul de resetare trebuie inclus în URL',
+  'Refresh token is required': 'Tokenul de reîmprospătare este obligatoriu',
+  'Refresh token is invalid or expired': 'Tokenul de reîmprospătare este invalid sau a expirat',
+  'Refresh token was already used, please log in again': 'Tokenul de reîmprospătare a fost deja folosit, autentificați-vă din nou',
+  'Logged out': 'V-ați deconectat',
+  'Logged out from all devices': 'V-ați deconectat de pe toate dispozitivele',
+  'Token has been revoked, please log in again': 'Tokenul a fost revocat, autentificați-vă din nou',
+  'Current password is required': 'Parola curentă este obligatorie',
+  'New password is required': 'Parola nouă este obligatorie',
+  'New password must be different from the current password': 'Parola nouă trebuie să difere de cea curentă',
+  'Current password is incorrect': 'Parola curentă este incorectă',
+  'Password changed successfully': 'Parola a fost schimbată cu succes',
+  'No account found with this email': 'Cont cu emailul dat nu există',
+  'Too many reset attempts, try again later': 'Prea multe încercări de resetare, încercați mai târziu',
+  'Too many refresh attempts, try again later': 'Prea multe încercări de reîmprospătare, încercați mai târziu',
+  'Reset token has expired. Please request a new one.': 'Tokenul de resetare a expirat. Solicitați unul nou.',
+  'Reset token is invalid or has already been used.': 'Tokenul de resetare este invalid sau a fost deja folosit.',
+
+  // Ads
+  'Ad not found': 'Anunțul nu a fost găsit',
+  'Title is required': 'Titlul este obligatoriu',
+  'Title cannot be empty': 'Titlul nu poate fi gol',
+  'Title must be between {min} and {max} characters': 'Titlul trebuie să aibă între {min} și {max} caractere',
+  'Description is required': 'Descrierea este obligatorie',
+  'Description cannot be empty': 'Descrierea nu poate fi goală',
+  'Description must be at least 20 characters': 'Descrierea trebuie să aibă cel puțin 20 de caractere',
+  'Description must be between {min} and {max} characters': 'Descrierea trebuie să aibă între {min} și {max} caractere',
+  'Price is required': 'Prețul este obligatoriu',
+  'Price must be a positive number': 'Prețul trebuie să fie un număr pozitiv',
+  'Price must be a positive number greater than 0': 'Prețul trebuie să fie un număr pozitiv mai mare decât 0',
+  'Price must be a valid positive number': 'Prețul trebuie să fie un număr pozitiv valid',
+  'Currency must be one of: {values}': 'Moneda trebuie să fie una dintre: {values}',
+  'Category is required': 'Categoria este obligatorie',
+  'Category cannot be empty': 'Categoria nu poate fi goală',
+  'Invalid category': 'Categorie invalidă',
+  'Subcategory cannot be empty': 'Subcategoria nu poate fi goală',
+  'Invalid subcategory for the selected category': 'Subcategorie invalidă pentru categoria selectată',
+  'Category must be provided before subcategory': 'Categoria trebuie specificată înaintea subcategoriei',
+  'Attributes must be an object': 'Atributele trebuie să fie un obiect',
+  'Images must be an array': 'Imaginile trebuie să fie o listă',
+  'You must provide between 1 and 5 images': 'Trebuie să furnizați între 1 și 5 imagini',
+  'You must upload between 1 and 5 images': 'Trebuie să încărcați între 1 și 5 imagini',
+  'At least one image is required': 'Este necesară cel puțin o imagine',
+  'Status is required': 'Statusul este obligatoriu',
+  'Status must be one of: {values}': 'Statusul trebuie să fie unul dintre: {values}',
+  'Cannot edit sold ad': 'Anunțul vândut nu poate fi editat',
+  'Cannot modify sold ad': 'Anunțul vândut nu poate fi modificat',
+  'Cannot add images to sold ad': 'Nu se pot adăuga imagini la un anunț vândut',
+  'Too many images. An ad can have at most {max} images': 'Prea multe imagini. Un anunț poate avea cel mult {max} imagini',
+  'images must be a non-empty array of image URLs': 'images trebuie să fie o listă nevidă de URL-uri de imagini',
+  'images must contain exactly the current images of the ad': 'images trebuie să conțină exact imaginile curente ale anunțului',
+  'Images changed while reordering. Reload the ad and try again': 'Imaginile s-au modificat între timp. Reîncărcați anunțul și încercați din nou',
+  'Cannot change status of sold ad': 'Statusul unui anunț vândut nu poate fi schimbat',
+  'Sold ads can only be reopened within {hours} hours': 'Anunțurile vândute pot fi redeschise doar în {hours} ore',
+  'Only active ads can be added to favorites': 'Doar anunțurile active pot fi adăugate la favorite',
+  'Only active or expired ads can be renewed': 'Doar anunțurile active sau expirate pot fi reînnoite',
+  'Only draft ads can be scheduled': 'Doar anunțurile ciornă pot fi programate',
+  'Ad is not scheduled': 'Anunțul nu este programat',
+  'from and to must be revision numbers': 'from și to trebuie să fie numere de revizie',
+  'Revision not found': 'Revizia nu a fost găsită',
+  'Duplicate ad detected': 'A fost detectat un anunț duplicat',
+  'Duplicate of an existing ad - the existing ad was kept': 'Duplicat al unui anunț existent - a fost păstrat anunțul existent',
+  'Account suspended': 'Contul este suspendat',
+  'Account banned': 'Contul este blocat',
+  'Ad is not pending review': 'Anunțul nu așteaptă moderarea',
+  'Ad updated and sent to moderation': 'Anunțul a fost actualizat și trimis la moderare',
+  'Ad approved': 'Anunțul a fost aprobat',
+  'Ad rejected': 'Anunțul a fost respins',
+  'Ad removed successfully': 'Anunțul a fost eliminat cu succes',
+  'You cannot change your own role': 'Nu vă puteți schimba propriul rol',
+  'You cannot change your own account status': 'Nu puteți schimba starea propriului cont',
+  'Only admins can restrict staff accounts': 'Doar administratorii pot restricționa conturile echipei',
+  'Reason is required': 'Motivul este obligatoriu',
+  'Reason must be between {min} and {max} characters': 'Motivul trebuie să aibă între {min} și {max} caractere',
+  'Role is required': 'Rolul este obligatoriu',
+  'Role must be one of: {values}': 'Rolul trebuie să fie unul dintre: {values}',
+  'until must be an ISO 8601 date': 'until trebuie să fie o dată ISO 8601',
+  'until must be in the future': 'until trebuie să fie în viitor',
+  'Too many reports, try again later': 'Prea multe raportări, încercați mai târziu',
+  'Report submitted': 'Raportul a fost trimis',
+  'Report not found': 'Raportul nu a fost găsit',
+  'Reported {targetType} not found': 'Obiectul raportat ({targetType}) nu a fost găsit',
+  'You cannot report your own content': 'Nu vă puteți raporta propriul conținut',
+  'You have already reported this': 'Ați raportat deja acest conținut',
+  'Report is already {status}': 'Raportul este deja {status}',
+  'Only admins can close escalated reports': 'Doar administratorii pot închide rapoartele escaladate',
+  'Report was changed by someone else, reload and try again': 'Raportul a fost modificat de altcineva, reîncărcați și încercați din nou',
+  'Target type is required': 'Tipul țintei este obligatoriu',
+  'Target type must be one of: {values}': 'Tipul țintei trebuie să fie unul dintre: {values}',
+  'Target ID is required': 'ID-ul țintei este obligatoriu',
+  'Invalid target ID': 'ID-ul țintei este invalid',
+  'Reason must be one of: {values}': 'Motivul trebuie să fie unul dintre: {values}',
+  'Note must be a string': 'Nota trebuie să fie un text',
+  'Note must not exceed 1000 characters': 'Nota nu poate depăși 1000 de caractere',
+  'Note is required when the reason is "other"': 'Nota este obligatorie când motivul este „other”',
+  'Text contains content that is not allowed': 'Textul conține conținut interzis',
+  'Not allowed: {rule}': 'Interzis: {rule}',
+  'Content rule not found': 'Regula de conținut nu a fost găsită',
+  'Content rule deleted': 'Regula de conținut a fost ștearsă',
+  'Rule hit not found': 'Declanșarea regulii nu a fost găsită',
+  'Name must be a string': 'Numele trebuie să fie un text',
+  'Description must be a string': 'Descrierea trebuie să fie un text',
+  'Description must not exceed 500 characters': 'Descrierea nu poate depăși 500 de caractere',
+  'Type must be one of: {values}': 'Tipul trebuie să fie unul dintre: {values}',
+  'Keywords must be an array of 1 to 500 items': 'Cuvintele cheie trebuie să fie o listă de 1 până la 500 de elemente',
+  'Keywords must be strings': 'Cuvintele cheie trebuie să fie texte',
+  'Each keyword must be between 1 and 100 characters': 'Fiecare cuvânt cheie trebuie să aibă între 1 și 100 de caractere',
+  'Keywords are required for keyword rules': 'Cuvintele cheie sunt obligatorii pentru regulile de tip keyword',
+  'Pattern must be a string': 'Modelul trebuie să fie un text',
+  'Pattern must be between 1 and 500 characters': 'Modelul trebuie să aibă între 1 și 500 de caractere',
+  'Pattern is required for regex rules': 'Modelul este obligatoriu pentru regulile de tip regex',
+  'Invalid pattern: {error}': 'Model invalid: {error}',
+  'Flags must be a string': 'Flags trebuie să fie un text',
+  'Flags may only contain: {flags}': 'Flags poate conține doar: {flags}',
+  'Action must be one of: {values}': 'Acțiunea trebuie să fie una dintre: {values}',
+  'Fields must be a non-empty array': 'Câmpurile trebuie să fie o listă nevidă',
+  'Fields must be one of: {values}': 'Câmpurile trebuie să fie dintre: {values}',
+  'Categories must be an array': 'Categoriile trebuie să fie o listă',
+  'publishAt is required': 'publishAt este obligatoriu',
+  'publishAt must be an ISO 8601 date': 'publishAt trebuie să fie o dată ISO 8601',
+  'publishAt must be in the future': 'publishAt trebuie să fie în viitor',
+  'publishAt must be within {days} days': 'publishAt trebuie să fie în următoarele {days} zile',
+  'Existing attributes are not valid for the new category. Provide attributes for the new category': 'Atributele existente nu sunt valabile pentru noua categorie. Specificați atributele pentru noua categorie',
+  'Location must be an object': 'Locația trebuie să fie un obiect',
+  'Unknown city': 'Localitate necunoscută',
+  'lat and lng must both be valid numbers': 'lat și lng trebuie să fie ambele numere valide',
+  'Coordinates must be within Moldova': 'Coordonatele trebuie să fie în Republica Moldova',
+  'Cannot publish ad in an archived category. Move it to another category first': 'Anunțul dintr-o categorie arhivată nu poate fi publicat. Mutați-l mai întâi în altă categorie',
+  'Title, description, price, and categorySlug are required': 'Titlul, descrierea, prețul și categorySlug sunt obligatorii',
+  'Cannot set status during creation. Ad is created as draft': 'Statusul nu poate fi setat la creare. Anunțul este creat ca ciornă',
+  'Sold ads cannot be edited': 'Anunțurile vândute nu pot fi editate',
+  'Sold ads cannot be modified': 'Anunțurile vândute nu pot fi modificate',
+  'Cannot delete images from sold ad': 'Nu se pot șterge imagini dintr-un anunț vândut',
+  'Invalid status transition. Current status: "{status}", Allowed transitions: {allowed}': 'Tranziție de status invalidă. Statusul curent: "{status}", tranziții permise: {allowed}',
+  "Field '{field}' is not allowed. Only 'imageUrl' is accepted.": "Câmpul '{field}' nu este permis. Este acceptat doar 'imageUrl'.",
+  "Field '{field}' is not allowed. Only 'images' is accepted.": "Câmpul '{field}' nu este permis. Este acceptat doar 'images'.",
+  'imageUrl is required and must be a non-empty string': 'imageUrl este obligatoriu și trebuie să fie un text nevid',
+  'Invalid image URL: {error}': 'URL de imagine invalid: {error}',
+  'Image not found in ad': 'Imaginea nu a fost găsită în anunț',
+  'The specified image URL does not exist in this ad': 'URL-ul imaginii specificate nu există în acest anunț',
+  'Cannot delete last image': 'Ultima imagine nu poate fi ștearsă',
+  'An ad must have at least one image': 'Un anunț trebuie să aibă cel puțin o imagine',
+  'Failed to delete image from storage': 'Imaginea nu a putut fi ștearsă din stocare',
+  'Ad has no images': 'Anunțul nu are imagini',
+  'This ad does not have any images': 'Acest anunț nu are nicio imagine',
+  'The ad changed while uploading. Reload it and try again': 'Anunțul s-a modificat în timpul încărcării. Reîncărcați-l și încercați din nou',
+  'Every current image must appear exactly once': 'Fiecare imagine curentă trebuie să apară o singură dată',
+  'Invalid file extension. Only JPG, JPEG, PNG and WEBP images are allowed': 'Extensie de fișier invalidă. Sunt permise doar imagini JPG, JPEG, PNG și WEBP',
+  'Invalid file type. Only JPG, JPEG, PNG and WEBP images are allowed': 'Tip de fișier invalid. Sunt permise doar imagini JPG, JPEG, PNG și WEBP',
+  'File size too large. Maximum 5MB per file': 'Fișierul este prea mare. Maximum 5MB per fișier',
+  'Too many files. Maximum 5 images allowed': 'Prea multe fișiere. Sunt permise maximum 5 imagini',
+  'Unexpected file field. Use "images" as field name': 'Câmp de fișier neașteptat. Folosiți "images" ca nume de câmp',
+  'Upload error: {error}': 'Eroare la încărcare: {error}',
+  'Image upload service is not configured': 'Serviciul de încărcare a imaginilor nu este configurat',
+  'Image "{name}" could not be processed. Upload a valid JPG, PNG or WEBP image': 'Imaginea "{name}" nu a putut fi procesată. Încărcați o imagine JPG, PNG sau WEBP validă',
+  'Failed to upload image "{name}": {error}': 'Imaginea "{name}" nu a putut fi încărcată: {error}',
+  'Failed to upload images': 'Imaginile nu au putut fi încărcate',
+  'Invalid ad ID format': 'Format ID anunț invalid',
+  'Ad already in favorites': 'Anunțul este deja la favorite',
+  'Ad not in favorites': 'Anunțul nu este la favorite',
+
+  // Attributes
+  "Attribute '{key}' is not allowed for this category": "Atributul '{key}' nu este permis pentru această categorie",
+  "Attribute '{key}' cannot be filtered in this category": "Atributul '{key}' nu poate fi filtrat în această categorie",
+  '{label} is required': '{label} este obligatoriu',
+  '{label} must be a number': '{label} trebuie să fie un număr',
+  '{label} must be a whole number': '{label} trebuie să fie un număr întreg',
+  '{label} must be at least {min}': '{label} trebuie să fie cel puțin {min}',
+  '{label} must be at most {max}': '{label} trebuie să fie cel mult {max}',
+  '{label} must be true or false': '{label} trebuie să fie true sau false',
+  '{label} must be one of: {values}': '{label} trebuie să fie una dintre valorile: {values}',
+  '{label} must be a string': '{label} trebuie să fie text',
+  '{label} cannot be empty': '{label} nu poate fi gol',
+  '{label} must not exceed {max} characters': '{label} nu poate depăși {max} caractere',
+
+  // Listing filters
+  'Invalid categoryId format': 'Format categoryId invalid',
+  'Invalid category parameter': 'Parametru de categorie invalid',
+  'Invalid subCategorySlug parameter': 'Parametru subCategorySlug invalid',
+  'category required when filtering by subCategorySlug': 'Categoria este obligatorie la filtrarea după subCategorySlug',
+  'Range operators are only supported for numeric attributes': 'Operatorii de interval sunt permiși doar pentru atribute numerice',
+  'Too many values (max {max})': 'Prea multe valori (maxim {max})',
+  'Invalid or expired cursor': 'Cursor invalid sau expirat',
+  'Cursor pagination is not supported for {sort} sort': 'Paginarea cu cursor nu este disponibilă pentru sortarea {sort}',
+  'near must be "lat,lng"': 'near trebuie să fie "lat,lng"',
+  'radiusKm must be between 0 and {max}': 'radiusKm trebuie să fie între 0 și {max}',
+  'bbox must be "minLng,minLat,maxLng,maxLat"': 'bbox trebuie să fie "minLng,minLat,maxLng,maxLat"',
+  'Distance sort cannot be combined with text search': 'Sortarea după distanță nu poate fi combinată cu căutarea text',
+  "Unsupported operator '{op}'. Allowed: {values}": "Operator nesuportat '{op}'. Permise: {values}",
+
+  // Saved searches
+  'Saved search not found': 'Căutarea salvată nu a fost găsită',
+  'Filters must be an object': 'Filtrele trebuie să fie un obiect',
+  'Search must be a string': 'Căutarea trebuie să fie text',
+  'Search must not exceed 200 characters': 'Căutarea nu poate depăși 200 de caractere',
+  'minPrice must be a positive number': 'minPrice trebuie să fie un număr pozitiv',
+  'maxPrice must be a positive number': 'maxPrice trebuie să fie un număr pozitiv',
+  'maxPrice must be greater than or equal to minPrice': 'maxPrice trebuie să fie mai mare sau egal cu minPrice',
+  'Frequency must be one of: instant, daily': 'Frecvența trebuie să fie una dintre: instant, daily',
+  'isActive must be a boolean': 'isActive trebuie să fie boolean',
+  'You can save at most {limit} searches': 'Puteți salva cel mult {limit} căutări',
+  'Invalid attribute filters: {keys}': 'Filtre de atribute invalide: {keys}',
+
+  // Categories
+  'Category not found': 'Categoria nu a fost găsită',
+  'Subcategory not found': 'Subcategoria nu a fost găsită',
+  'Slug must be a string': 'Slug-ul trebuie să fie text',
+  'Slug may only contain lowercase letters, digits and hyphens': 'Slug-ul poate conține doar litere mici, cifre și cratime',
+  'Slug must not exceed 60 characters': 'Slug-ul nu poate depăși 60 de caractere',
+  'Label must be a string': 'Denumirea trebuie să fie text',
+  'Label is required': 'Denumirea este obligatorie',
+  'Label must not exceed 100 characters': 'Denumirea nu poate depăși 100 de caractere',
+  'Labels must be an object': 'Traducerile denumirii trebuie să fie un obiect',
+  'Unsupported label locales: {locales}': 'Limbi nesuportate pentru denumire: {locales}',
+  'Subcategories must be an array (max 50)': 'Subcategoriile trebuie să fie o listă (maxim 50)',
+  'Subcategory slugs must be unique': 'Slug-urile subcategoriilor trebuie să fie unice',
+  'slugs must be a non-empty array': 'slugs trebuie să fie o listă nevidă',
+  'Each slug must be a string': 'Fiecare slug trebuie să fie text',
+  "Category '{slug}' already exists": "Categoria '{slug}' există deja",
+  "Subcategory '{slug}' already exists": "Subcategoria '{slug}' există deja",
+  'Category is used by existing ads. Archive it instead': 'Categoria este folosită de anunțuri existente. Arhivați-o în schimb',
+  'Subcategory is used by existing ads. Archive it instead': 'Subcategoria este folosită de anunțuri existente. Arhivați-o în schimb',
+  'slugs must list every category exactly once': 'slugs trebuie să conțină fiecare categorie o singură dată',
+  'slugs must list every subcategory exactly once': 'slugs trebuie să conțină fiecare subcategorie o singură dată',
+
+  // Chats
+  'Chat not found': 'Conversația nu a fost găsită',
+  'Conversation not found': 'Conversația nu a fost găsită',
+  'Message text is required': 'Textul mesajului este obligatoriu',
+  'Message text cannot exceed 2000 characters': 'Textul mesajului nu poate depăși 2000 de caractere',
+  'receiverId is required and must be a non-empty string': 'receiverId este obligatoriu și trebuie să fie un text nevid',
+  'Invalid receiverId format': 'Format receiverId invalid',
+  'Cannot start chat with yourself': 'Nu puteți începe o conversație cu dumneavoastră',
+  'Invalid chat ID format': 'Format ID conversație invalid',
+  'Invalid conversation ID format': 'Format ID conversație invalid',
+  'Access denied. You are not a participant in this chat': 'Acces interzis. Nu participați la această conversație',
+  'Access denied. You are not a participant in this conversation': 'Acces interzis. Nu participați la această conversație',
+  'Cannot determine receiver': 'Destinatarul nu poate fi determinat',
+  'Chat must have exactly 2 different participants': 'Conversația trebuie să aibă exact 2 participanți diferiți',
+  'Conversation must have exactly 2 participants': 'Conversația trebuie să aibă exact 2 participanți',
+
+  // Exchange rates
+  'Rates must be an object': 'Cursurile trebuie să fie un obiect',
+  '{currency} rate must be a positive number': 'Cursul {currency} trebuie să fie un număr pozitiv',
+  'The configured exchange rate provider does not fetch rates. Set them manually': 'Furnizorul de cursuri configurat nu preia cursurile. Setați-le manual',
+};
+
+export default ro;
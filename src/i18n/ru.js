@@ -0,0 +1,292 @@
+/**
+ * Russian translations of API messages
+ * Keys are the English source messages; {name} placeholders match any text
+ * and are carried over into the translation
+ */
+const ru = {
+  // Generic
+  'Validation failed': 'Ошибка валидации',
+  'Extra fields not allowed': 'Лишние поля не допускаются',
+  "Field '{field}' is not allowed": "Поле '{field}' не допускается",
+  "Field '{field}' is not allowed. Only 'status' field is accepted.": "Поле '{field}' не допускается. Принимается только поле 'status'.",
+  'At least one field must be provided for update': 'Для обновления нужно указать хотя бы одно поле',
+  'Invalid ID format': 'Неверный формат ID',
+  'ID parameter is required': 'Параметр ID обязателен',
+  'Authentication required': 'Требуется авторизация',
+  'Authentication failed': 'Ошибка авторизации',
+  'Invalid token. Please login again': 'Недействительный токен. Войдите снова',
+  'Token expired. Please login again': 'Срок действия токена истёк. Войдите снова',
+  'You do not own this resource': 'Вы не являетесь владельцем этого ресурса',
+  'You do not have permission to perform this action': 'У вас нет прав на это действие',
+  'Route {path} not found': 'Маршрут {path} не найден',
+  'Something went wrong. Please try again later.': 'Что-то пошло не так. Попробуйте позже.',
+  'Resource not found with id: {id}': 'Ресурс с id {id} не найден',
+  'Token invalid or expired': 'Токен недействителен или истёк',
+  'JWT configuration error': 'Ошибка конфигурации JWT',
+  'Access denied': 'Доступ запрещён',
+  'Too many requests, try again later': 'Слишком много запросов, попробуйте позже',
+  'Too many authentication attempts, please try again after 15 minutes': 'Слишком много попыток входа, попробуйте снова через 15 минут',
+
+  // Auth
+  'Name is required': 'Имя обязательно',
+  'Name cannot be empty': 'Имя не может быть пустым',
+  'Name must be between 2 and 50 characters': 'Имя должно содержать от 2 до 50 символов',
+  'Name must not exceed 100 characters': 'Название не должно превышать 100 символов',
+  'Email is required': 'Email обязателен',
+  'Please provide a valid email': 'Укажите корректный email',
+  'Invalid email format': 'Неверный формат email',
+  'Password is required': 'Пароль обязателен',
+  'Password must be at least 6 characters long': 'Пароль должен содержать не менее 6 символов',
+  'Password must be at least 6 characters': 'Пароль должен содержать не менее 6 символов',
+  'Invalid email or password': 'Неверный email или пароль',
+  'User with this email already exists': 'Пользователь с таким email уже существует',
+  'User not found': 'Пользователь не найден',
+  'Reset token is required': 'Требуется токен сброса',
+  'Reset token is required in URL': 'Токен сброса должен быть указан в URL',
+  'Refresh token is required': 'Требуется токен обновления',
+  'Refresh token is invalid or expired': 'Токен обновления недействителен или истёк',
+  'Refresh token was already used, please log in again': 'Токен обновления уже использован, войдите снова',
+  'Logged out': 'Вы вышли из системы',
+  'Logged out from all devices': 'Вы вышли из системы на всех устройствах',
+  'Token has been revoked, please log in again': 'Токен отозван, войдите снова',
+  'Current password is required': 'Требуется текущий пароль',
+  'New password is required': 'Требуется новый пароль',
+  'New password must be different from the current password': 'Новый пароль должен отличаться от текущего',
+  'Current password is incorrect': 'Текущий пароль неверен',
+  'Password changed successfully': 'Пароль успешно изменён',
+  'No account found with this email': 'Аккаунт с таким email не найден',
+  'Too many reset attempts, try again later': 'Слишком много попыток сброса, попробуйте позже',
+  'Too many refresh attempts, try again later': 'Слишком много попыток обновления токена, попробуйте позже',
+  'Reset token has expired. Please request a new one.': 'Срок действия токена сброса истёк. Запросите новый.',
+  'Reset token is invalid or has already been used.': 'Токен сброса недействителен или уже использован.',
+
+  // Ads
+  'Ad not found': 'Объявление не найдено',
+  'Title is required': 'Заголовок обязателен',
+  'Title cannot be empty': 'Заголовок не может быть пустым',
+  'Title must be between {min} and {max} characters': 'Заголовок должен содержать от {min} до {max} символов',
+  'Description is required': 'Описание обязательно',
+  'Description cannot be empty': 'Описание не может быть пустым',
+  'Description must be at least 20 characters': 'Описание должно содержать не менее 20 символов',
+  'Description must be between {min} and {max} characters': 'Описание должно содержать от {min} до {max} символов',
+  'Price is required': 'Цена обязательна',
+  'Price must be a positive number': 'Цена должна быть положительным числом',
+  'Price must be a positive number greater than 0': 'Цена должна быть положительным числом больше 0',
+  'Price must be a valid positive number': 'Цена должна быть корректным положительным числом',
+  'Currency must be one of: {values}': 'Валюта должна быть одной из: {values}',
+  'Category is required': 'Категория обязательна',
+  'Category cannot be empty': 'Категория не может быть пустой',
+  'Invalid category': 'Неверная категория',
+  'Subcategory cannot be empty': 'Подкатегория не может быть пустой',
+  'Invalid subcategory for the selected category': 'Неверная подкатегория для выбранной категории',
+  'Category must be provided before subcategory': 'Сначала укажите категорию, затем подкатегорию',
+  'Attributes must be an object': 'Атрибуты должны быть объектом',
+  'Images must be an array': 'Изображения должны быть массивом',
+  'You must provide between 1 and 5 images': 'Нужно указать от 1 до 5 изображений',
+  'You must upload between 1 and 5 images': 'Нужно загрузить от 1 до 5 изображений',
+  'At least one image is required': 'Требуется хотя бы одно изображение',
+  'Status is required': 'Статус обязателен',
+  'Status must be one of: {values}': 'Статус должен быть одним из: {values}',
+  'Cannot edit sold ad': 'Проданное объявление нельзя редактировать',
+  'Cannot modify sold ad': 'Проданное объявление нельзя изменять',
+  'Cannot add images to sold ad': 'Нельзя добавить изображения к проданному объявлению',
+  'Too many images. An ad can have at most {max} images': 'Слишком много изображений. В объявлении может быть не более {max} изображений',
+  'images must be a non-empty array of image URLs': 'images должен быть непустым массивом URL изображений',
+  'images must contain exactly the current images of the ad': 'images должен содержать ровно текущие изображения объявления',
+  'Images changed while reordering. Reload the ad and try again': 'Изображения изменились. Обновите объявление и попробуйте снова',
+  'Cannot change status of sold ad': 'Нельзя изменить статус проданного объявления',
+  'Sold ads can only be reopened within {hours} hours': 'Проданное объявление можно вернуть в продажу только в течение {hours} ч.',
+  'Only active ads can be added to favorites': 'В избранное можно добавлять только активные объявления',
+  'Only active or expired ads can be renewed': 'Продлить можно только активное или истёкшее объявление',
+  'Only draft ads can be scheduled': 'Запланировать можно только черновик',
+  'Ad is not scheduled': 'Публикация объявления не запланирована',
+  'from and to must be revision numbers': 'from и to должны быть номерами ревизий',
+  'Revision not found': 'Ревизия не найдена',
+  'Duplicate ad detected': 'Обнаружено дублирующееся объявление',
+  'Duplicate of an existing ad - the existing ad was kept': 'Дубликат существующего объявления - сохранено существующее объявление',
+  'Account suspended': 'Аккаунт заблокирован',
+  'Account banned': 'Доступ к аккаунту закрыт',
+  'Ad is not pending review': 'Объявление не ожидает модерации',
+  'Ad updated and sent to moderation': 'Объявление обновлено и отправлено на модерацию',
+  'Ad approved': 'Объявление одобрено',
+  'Ad rejected': 'Объявление отклонено',
+  'Ad removed successfully': 'Объявление успешно удалено',
+  'You cannot change your own role': 'Нельзя изменить собственную роль',
+  'You cannot change your own account status': 'Нельзя изменить статус собственного аккаунта',
+  'Only admins can restrict staff accounts': 'Только администраторы могут ограничивать аккаунты сотрудников',
+  'Reason is required': 'Причина обязательна',
+  'Reason must be between {min} and {max} characters': 'Причина должна содержать от {min} до {max} символов',
+  'Role is required': 'Роль обязательна',
+  'Role must be one of: {values}': 'Роль должна быть одной из: {values}',
+  'until must be an ISO 8601 date': 'until должен быть датой в формате ISO 8601',
+  'until must be in the future': 'until должен быть в будущем',
+  'Too many reports, try again later': 'Слишком много жалоб, попробуйте позже',
+  'Report submitted': 'Жалоба отправлена',
+  'Report not found': 'Жалоба не найдена',
+  'Reported {targetType} not found': 'Объект жалобы ({targetType}) не найден',
+  'You cannot report your own content': 'Нельзя пожаловаться на собственный контент',
+  'You have already reported this': 'Вы уже отправили жалобу на этот контент',
+  'Report is already {status}': 'Жалоба уже в статусе {status}',
+  'Only admins can close escalated reports': 'Только администраторы могут закрывать эскалированные жалобы',
+  'Report was changed by someone else, reload and try again': 'Жалоба была изменена другим пользователем, обновите страницу и попробуйте снова',
+  'Target type is required': 'Тип объекта обязателен',
+  'Target type must be one of: {values}': 'Тип объекта должен быть одним из: {values}',
+  'Target ID is required': 'ID объекта обязателен',
+  'Invalid target ID': 'Неверный ID объекта',
+  'Reason must be one of: {values}': 'Причина должна быть одной из: {values}',
+  'Note must be a string': 'Примечание должно быть строкой',
+  'Note must not exceed 1000 characters': 'Примечание не может превышать 1000 символов',
+  'Note is required when the reason is "other"': 'Примечание обязательно, если причина — «other»',
+  'Text contains content that is not allowed': 'Текст содержит запрещённый контент',
+  'Not allowed: {rule}': 'Запрещено: {rule}',
+  'Content rule not found': 'Правило контента не найдено',
+  'Content rule deleted': 'Правило контента удалено',
+  'Rule hit not found': 'Срабатывание правила не найдено',
+  'Name must be a string': 'Название должно быть строкой',
+  'Description must be a string': 'Описание должно быть строкой',
+  'Description must not exceed 500 characters': 'Описание не может превышать 500 символов',
+  'Type must be one of: {values}': 'Тип должен быть одним из: {values}',
+  'Keywords must be an array of 1 to 500 items': 'Ключевые слова должны быть списком от 1 до 500 элементов',
+  'Keywords must be strings': 'Ключевые слова должны быть строками',
+  'Each keyword must be between 1 and 100 characters': 'Каждое ключевое слово должно содержать от 1 до 100 символов',
+  'Keywords are required for keyword rules': 'Для правил типа keyword нужны ключевые слова',
+  'Pattern must be a string': 'Шаблон должен быть строкой',
+  'Pattern must be between 1 and 500 characters': 'Шаблон должен содержать от 1 до 500 символов',
+  'Pattern is required for regex rules': 'Для правил типа regex нужен шаблон',
+  'Invalid pattern: {error}': 'Неверный шаблон: {error}',
+  'Flags must be a string': 'Flags должен быть строкой',
+  'Flags may only contain: {flags}': 'Flags может содержать только: {flags}',
+  'Action must be one of: {values}': 'Действие должно быть одним из: {values}',
+  'Fields must be a non-empty array': 'Поля должны быть непустым списком',
+  'Fields must be one of: {values}': 'Поля должны быть из: {values}',
+  'Categories must be an array': 'Категории должны быть списком',
+  'publishAt is required': 'publishAt обязателен',
+  'publishAt must be an ISO 8601 date': 'publishAt должен быть датой в формате ISO 8601',
+  'publishAt must be in the future': 'publishAt должен быть в будущем',
+  'publishAt must be within {days} days': 'publishAt должен быть не позднее чем через {days} дн.',
+  'Existing attributes are not valid for the new category. Provide attributes for the new category': 'Текущие атрибуты не подходят для новой категории. Укажите атрибуты для новой категории',
+  'Location must be an object': 'Местоположение должно быть объектом',
+  'Unknown city': 'Неизвестный населённый пункт',
+  'lat and lng must both be valid numbers': 'lat и lng должны быть корректными числами',
+  'Coordinates must be within Moldova': 'Координаты должны находиться в пределах Молдовы',
+  'Cannot publish ad in an archived category. Move it to another category first': 'Нельзя опубликовать объявление в архивной категории. Сначала перенесите его в другую категорию',
+  'Title, description, price, and categorySlug are required': 'Заголовок, описание, цена и categorySlug обязательны',
+  'Cannot set status during creation. Ad is created as draft': 'Нельзя задать статус при создании. Объявление создаётся как черновик',
+  'Sold ads cannot be edited': 'Проданные объявления нельзя редактировать',
+  'Sold ads cannot be modified': 'Проданные объявления нельзя изменять',
+  'Cannot delete images from sold ad': 'Нельзя удалять изображения из проданного объявления',
+  'Invalid status transition. Current status: "{status}", Allowed transitions: {allowed}': 'Недопустимая смена статуса. Текущий статус: "{status}", допустимые переходы: {allowed}',
+  "Field '{field}' is not allowed. Only 'imageUrl' is accepted.": "Поле '{field}' не разрешено. Принимается только 'imageUrl'.",
+  "Field '{field}' is not allowed. Only 'images' is accepted.": "Поле '{field}' не разрешено. Принимается только 'images'.",
+  'imageUrl is required and must be a non-empty string': 'imageUrl обязателен и должен быть непустой строкой',
+  'Invalid image URL: {error}': 'Недопустимый URL изображения: {error}',
+  'Image not found in ad': 'Изображение не найдено в объявлении',
+  'The specified image URL does not exist in this ad': 'Указанный URL изображения отсутствует в этом объявлении',
+  'Cannot delete last image': 'Нельзя удалить последнее изображение',
+  'An ad must have at least one image': 'У объявления должно быть хотя бы одно изображение',
+  'Failed to delete image from storage': 'Не удалось удалить изображение из хранилища',
+  'Ad has no images': 'У объявления нет изображений',
+  'This ad does not have any images': 'У этого объявления нет изображений',
+  'The ad changed while uploading. Reload it and try again': 'Объявление изменилось во время загрузки. Обновите его и попробуйте снова',
+  'Every current image must appear exactly once': 'Каждое текущее изображение должно быть указано ровно один раз',
+  'Invalid file extension. Only JPG, JPEG, PNG and WEBP images are allowed': 'Недопустимое расширение файла. Разрешены только изображения JPG, JPEG, PNG и WEBP',
+  'Invalid file type. Only JPG, JPEG, PNG and WEBP images are allowed': 'Недопустимый тип файла. Разрешены только изображения JPG, JPEG, PNG и WEBP',
+  'File size too large. Maximum 5MB per file': 'Файл слишком большой. Максимум 5 МБ на файл',
+  'Too many files. Maximum 5 images allowed': 'Слишком много файлов. Разрешено не более 5 изображений',
+  'Unexpected file field. Use "images" as field name': 'Неожиданное поле файла. Используйте имя поля "images"',
+  'Upload error: {error}': 'Ошибка загрузки: {error}',
+  'Image upload service is not configured': 'Сервис загрузки изображений не настроен',
+  'Image "{name}" could not be processed. Upload a valid JPG, PNG or WEBP image': 'Не удалось обработать изображение "{name}". Загрузите корректное изображение JPG, PNG или WEBP',
+  'Failed to upload image "{name}": {error}': 'Не удалось загрузить изображение "{name}": {error}',
+  'Failed to upload images': 'Не удалось загрузить изображения',
+  'Invalid ad ID format': 'Неверный формат ID объявления',
+  'Ad already in favorites': 'Объявление уже в избранном',
+  'Ad not in favorites': 'Объявления нет в избранном',
+
+  // Attributes
+  "Attribute '{key}' is not allowed for this category": "Атрибут '{key}' не допускается для этой категории",
+  "Attribute '{key}' cannot be filtered in this category": "По атрибуту '{key}' нельзя фильтровать в этой категории",
+  '{label} is required': '{label}: обязательное поле',
+  '{label} must be a number': '{label}: должно быть числом',
+  '{label} must be a whole number': '{label}: должно быть целым числом',
+  '{label} must be at least {min}': '{label}: не меньше {min}',
+  '{label} must be at most {max}': '{label}: не больше {max}',
+  '{label} must be true or false': '{label}: должно быть true или false',
+  '{label} must be one of: {values}': '{label}: допустимые значения: {values}',
+  '{label} must be a string': '{label}: должно быть строкой',
+  '{label} cannot be empty': '{label}: не может быть пустым',
+  '{label} must not exceed {max} characters': '{label}: не более {max} символов',
+
+  // Listing filters
+  'Invalid categoryId format': 'Неверный формат categoryId',
+  'Invalid category parameter': 'Неверный параметр категории',
+  'Invalid subCategorySlug parameter': 'Неверный параметр subCategorySlug',
+  'category required when filtering by subCategorySlug': 'Для фильтра по subCategorySlug нужна категория',
+  'Range operators are only supported for numeric attributes': 'Операторы диапазона поддерживаются только для числовых атрибутов',
+  'Too many values (max {max})': 'Слишком много значений (максимум {max})',
+  'Invalid or expired cursor': 'Недействительный или устаревший курсор',
+  'Cursor pagination is not supported for {sort} sort': 'Постраничная навигация по курсору недоступна для сортировки {sort}',
+  'near must be "lat,lng"': 'near должен иметь вид "lat,lng"',
+  'radiusKm must be between 0 and {max}': 'radiusKm должен быть от 0 до {max}',
+  'bbox must be "minLng,minLat,maxLng,maxLat"': 'bbox должен иметь вид "minLng,minLat,maxLng,maxLat"',
+  'Distance sort cannot be combined with text search': 'Сортировку по расстоянию нельзя сочетать с текстовым поиском',
+  "Unsupported operator '{op}'. Allowed: {values}": "Неподдерживаемый оператор '{op}'. Допустимые: {values}",
+
+  // Saved searches
+  'Saved search not found': 'Сохранённый поиск не найден',
+  'Filters must be an object': 'Фильтры должны быть объектом',
+  'Search must be a string': 'Поисковый запрос должен быть строкой',
+  'Search must not exceed 200 characters': 'Поисковый запрос не должен превышать 200 символов',
+  'minPrice must be a positive number': 'minPrice должно быть положительным числом',
+  'maxPrice must be a positive number': 'maxPrice должно быть положительным числом',
+  'maxPrice must be greater than or equal to minPrice': 'maxPrice должно быть больше или равно minPrice',
+  'Frequency must be one of: instant, daily': 'Частота должна быть одной из: instant, daily',
+  'isActive must be a boolean': 'isActive должно быть логическим значением',
+  'You can save at most {limit} searches': 'Можно сохранить не более {limit} поисков',
+  'Invalid attribute filters: {keys}': 'Недопустимые фильтры атрибутов: {keys}',
+
+  // Categories
+  'Category not found': 'Категория не найдена',
+  'Subcategory not found': 'Подкатегория не найдена',
+  'Slug must be a string': 'Slug должен быть строкой',
+  'Slug may only contain lowercase letters, digits and hyphens': 'Slug может содержать только строчные латинские буквы, цифры и дефисы',
+  'Slug must not exceed 60 characters': 'Slug не должен превышать 60 символов',
+  'Label must be a string': 'Название должно быть строкой',
+  'Label is required': 'Название обязательно',
+  'Label must not exceed 100 characters': 'Название не должно превышать 100 символов',
+  'Labels must be an object': 'Переводы названия должны быть объектом',
+  'Unsupported label locales: {locales}': 'Неподдерживаемые языки названия: {locales}',
+  'Subcategories must be an array (max 50)': 'Подкатегории должны быть массивом (максимум 50)',
+  'Subcategory slugs must be unique': 'Slug подкатегорий должны быть уникальными',
+  'slugs must be a non-empty array': 'slugs должен быть непустым массивом',
+  'Each slug must be a string': 'Каждый slug должен быть строкой',
+  "Category '{slug}' already exists": "Категория '{slug}' уже существует",
+  "Subcategory '{slug}' already exists": "Подкатегория '{slug}' уже существует",
+  'Category is used by existing ads. Archive it instead': 'Категория используется объявлениями. Вместо удаления отправьте её в архив',
+  'Subcategory is used by existing ads. Archive it instead': 'Подкатегория используется объявлениями. Вместо удаления отправьте её в архив',
+  'slugs must list every category exactly once': 'slugs должен содержать каждую категорию ровно один раз',
+  'slugs must list every subcategory exactly once': 'slugs должен содержать каждую подкатегорию ровно один раз',
+
+  // Chats
+  'Chat not found': 'Чат не найден',
+  'Conversation not found': 'Диалог не найден',
+  'Message text is required': 'Текст сообщения обязателен',
+  'Message text cannot exceed 2000 characters': 'Текст сообщения не должен превышать 2000 символов',
+  'receiverId is required and must be a non-empty string': 'receiverId обязателен и должен быть непустой строкой',
+  'Invalid receiverId format': 'Неверный формат receiverId',
+  'Cannot start chat with yourself': 'Нельзя начать чат с самим собой',
+  'Invalid chat ID format': 'Неверный формат ID чата',
+  'Invalid conversation ID format': 'Неверный формат ID диалога',
+  'Access denied. You are not a participant in this chat': 'Доступ запрещён. Вы не участник этого чата',
+  'Access denied. You are not a participant in this conversation': 'Доступ запрещён. Вы не участник этого диалога',
+  'Cannot determine receiver': 'Не удалось определить получателя',
+  'Chat must have exactly 2 different participants': 'В чате должно быть ровно 2 разных участника',
+  'Conversation must have exactly 2 participants': 'В диалоге должно быть ровно 2 участника',
+
+  // Exchange rates
+  'Rates must be an object': 'Курсы должны быть объектом',
+  '{currency} rate must be a positive number': 'Курс {currency} должен быть положительным числом',
+  'The configured exchange rate provider does not fetch rates. Set them manually': 'Настроенный источник курсов не загружает курсы. Задайте их вручную',
+};
+
+export default ru;
@@ -1,6 +1,9 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import { AppError } from './error.middleware.js';
+import { hasPermission } from '../constants/roles.js';
+import { getAccountRestrictionError } from '../services/accountStatus.service.js';
+import { isAccessTokenRevoked } from '../services/authToken.service.js';
 
 /**
  * Middleware to protect routes with JWT authentication
@@ -21,11 +24,7 @@ export const protect = async (req, res, next) => {
 
   // Case 1: No token provided
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication required',
-      details: { type: 'AUTH_REQUIRED' },
-    });
+    return next(new AppError('Authentication required', 401, { type: 'AUTH_REQUIRED' }));
   }
 
   try {
@@ -42,14 +41,22 @@ export const protect = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
     // Check if user still exists in database
-    const user = await User.findById(decoded.id).select('-password');
+    const user = await User.findById(decoded.id).select('-password +passwordChangedAt +tokenVersion');
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token invalid or expired',
-        details: { type: 'TOKEN_INVALID' },
-      });
+      return next(new AppError('Token invalid or expired', 401, { type: 'TOKEN_INVALID' }));
+    }
+
+    // Tokens issued before a password change or a logout everywhere (tokenVersion) are revoked
+    if (isAccessTokenRevoked(user, decoded)) {
+      return next(new AppError('Token has been revoked, please log in again', 401, { type: 'TOKEN_REVOKED' }));
+    }
+
+    // Banned accounts, and suspended ones until the suspension ends, can't use authenticated routes
+    // (ACCOUNT_BANNED / ACCOUNT_SUSPENDED)
+    const restrictionError = getAccountRestrictionError(user);
+    if (restrictionError) {
+      return next(restrictionError);
     }
 
     // Attach user to request object with STRICT structure
@@ -61,25 +68,93 @@ export const protect = async (req, res, next) => {
       _id: userIdString, // Also set _id as string for consistency
       name: user.name,
       email: user.email,
+      role: user.role || 'user',
+      accountStatus: user.accountStatus || 'active',
     };
     
     next();
   } catch (error) {
     // Case 2: Token expired or invalid (malformed, wrong signature, etc.)
     if (error instanceof jwt.TokenExpiredError || error instanceof jwt.JsonWebTokenError) {
-      return res.status(401).json({
-        success: false,
-        message: 'Token invalid or expired',
-        details: { type: 'TOKEN_INVALID' },
-      });
+      return next(new AppError('Token invalid or expired', 401, { type: 'TOKEN_INVALID' }));
     }
 
     // Other unexpected errors
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication failed',
-      details: { type: 'AUTH_ERROR' },
-    });
+    return next(new AppError('Authentication failed', 401, { type: 'AUTH_ERROR' }));
   }
 };
 
+/**
+ * Middleware for public routes that behave differently for a signed-in user
+ * Attaches req.user (same shape as protect) when a valid token is sent, never rejects the request
+ *
+ * @returns {Function} Express middleware
+ */
+export const optionalAuth = async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header || !header.startsWith('Bearer') || !process.env.JWT_SECRET) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(header.split(' ')[1], process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id)
+      .select('name email role accountStatus suspendedUntil +passwordChangedAt +tokenVersion');
+    if (user && !isAccessTokenRevoked(user, decoded) && !getAccountRestrictionError(user)) {
+      const userIdString = user._id.toString();
+      req.user = {
+        id: userIdString,
+        _id: userIdString,
+        name: user.name,
+        email: user.email,
+        role: user.role || 'user',
+        accountStatus: user.accountStatus || 'active',
+      };
+    }
+  } catch (error) {
+    // Invalid, expired or revoked token - continue as a guest
+  }
+  next();
+};
+
+/**
+ * Middleware to restrict routes to specific roles
+ * Must be used AFTER protect (relies on req.user.role)
+ *
+ * @param {...string} roles - Allowed roles (e.g. 'admin')
+ * @returns {Function} Express middleware
+ */
+export const restrictTo = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(
+        new AppError('You do not have permission to perform this action', 403, {
+          type: 'FORBIDDEN',
+        })
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Middleware to restrict routes to roles that grant ALL given permissions
+ * Must be used AFTER protect (relies on req.user.role)
+ * Roles and their permissions are defined in constants/roles.js
+ *
+ * @param {...string} permissions - Required permissions (e.g. PERMISSIONS.ADS_MODERATE)
+ * @returns {Function} Express middleware
+ */
+export const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user || !permissions.every((permission) => hasPermission(req.user.role, permission))) {
+      return next(
+        new AppError('You do not have permission to perform this action', 403, {
+          type: 'FORBIDDEN',
+          requiredPermissions: permissions,
+        })
+      );
+    }
+    next();
+  };
+};
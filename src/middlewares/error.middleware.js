@@ -1,6 +1,7 @@
 import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
 import logger from '../config/logger.js';
+import { resolveMessageLocale, translate } from '../i18n/index.js';
 
 // Custom error class
 export class AppError extends Error {
@@ -115,17 +116,26 @@ export const errorHandler = (err, req, res, next) => {
     ? 'Something went wrong. Please try again later.'
     : message;
 
+  // Messages are written in English and translated only when the client asks for a locale
+  const locale = req.messageLocale || resolveMessageLocale(req);
+
   // Standardize response format
   const response = {
     success: false,
-    message: errorMessage,
+    message: translate(errorMessage, locale),
   };
 
   // Standardize validation errors: ensure details.errors format
     if (details) {
     // If details has errors array, use it directly
     if (details.errors && Array.isArray(details.errors)) {
-      response.details = { errors: details.errors };
+      response.details = {
+        errors: details.errors.map((item) => (
+          item && typeof item.message === 'string'
+            ? { ...item, message: translate(item.message, locale) }
+            : item
+        )),
+      };
     }
     // If details is an object with other properties, include them
     else if (typeof details === 'object') {
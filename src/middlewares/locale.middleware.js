@@ -0,0 +1,14 @@
+import { resolveLocale, resolveMessageLocale } from '../i18n/index.js';
+
+/**
+ * Middleware to negotiate the response language
+ * Sets req.locale (content, Romanian fallback) and req.messageLocale (errors, English fallback)
+ * from ?lang= or Accept-Language and advertises the content locale via Content-Language
+ */
+export const setLocale = (req, res, next) => {
+  req.locale = resolveLocale(req);
+  req.messageLocale = resolveMessageLocale(req);
+  res.set('Content-Language', req.locale);
+  res.vary('Accept-Language');
+  next();
+};
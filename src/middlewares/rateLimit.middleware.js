@@ -1,14 +1,19 @@
 import rateLimit from 'express-rate-limit';
+import { translate } from '../i18n/index.js';
+
+// Limiters answer without going through the error handler, so they translate their own messages
+// (req.messageLocale is set by the locale middleware, which runs before the routes)
+const localize = (req, message) => translate(message, req.messageLocale);
 
 // Rate limiting for auth routes (anti brute force)
 // Disabled in development, active in production
 const authRateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // Limit each IP to 5 requests per windowMs
-  message: {
+  message: (req) => ({
     success: false,
-    message: 'Too many authentication attempts, please try again after 15 minutes',
-  },
+    message: localize(req, 'Too many authentication attempts, please try again after 15 minutes'),
+  }),
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
   skipSuccessfulRequests: false, // Count successful requests too
@@ -40,7 +45,7 @@ const readRateLimiter = rateLimit({
       : 60;
     res.status(429).json({
       success: false,
-      message: 'Too many requests, try again later',
+      message: localize(req, 'Too many requests, try again later'),
       details: {
         type: 'RATE_LIMIT',
         retryAfterSeconds: retryAfter > 0 ? retryAfter : 60,
@@ -65,7 +70,7 @@ const writeRateLimiter = rateLimit({
       : 900;
     res.status(429).json({
       success: false,
-      message: 'Too many requests, try again later',
+      message: localize(req, 'Too many requests, try again later'),
       details: {
         type: 'RATE_LIMIT',
         retryAfterSeconds: retryAfter > 0 ? retryAfter : 900,
@@ -119,13 +124,13 @@ export const writeLimiter = (req, res, next) => {
 const forgotPasswordRateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: process.env.NODE_ENV === 'production' ? 5 : 20, // 5 in production, 20 in development
-  message: {
+  message: (req) => ({
     success: false,
-    message: 'Too many reset attempts, try again later',
+    message: localize(req, 'Too many reset attempts, try again later'),
     details: {
       type: 'RATE_LIMIT',
     },
-  },
+  }),
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: false, // Count successful requests too
@@ -146,13 +151,13 @@ export const forgotPasswordLimiter = (req, res, next) => {
 const resetPasswordRateLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: process.env.NODE_ENV === 'production' ? 10 : 30, // 10 in production, 30 in development
-  message: {
+  message: (req) => ({
     success: false,
-    message: 'Too many reset attempts, try again later',
+    message: localize(req, 'Too many reset attempts, try again later'),
     details: {
       type: 'RATE_LIMIT',
     },
-  },
+  }),
   standardHeaders: true,
   legacyHeaders: false,
   skipSuccessfulRequests: false, // Count successful requests too
@@ -169,3 +174,65 @@ export const resetPasswordLimiter = (req, res, next) => {
   return resetPasswordRateLimiter(req, res, next);
 };
 
+// Rate limiting for refresh-token rotation (anti token guessing)
+// Only failed attempts count, so clients refreshing on every access-token expiry are never blocked
+const refreshTokenRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'production' ? 10 : 30, // 10 failed attempts in production, 30 in development
+  message: (req) => ({
+    success: false,
+    message: localize(req, 'Too many refresh attempts, try again later'),
+    details: {
+      type: 'RATE_LIMIT',
+    },
+  }),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true, // Don't count successful refreshes
+  validate: false, // Disable validation to prevent ERR_ERL_UNEXPECTED_X_FORWARDED_FOR crash
+  keyGenerator: (req) => req.ip, // Safe key generator that does not depend on X-Forwarded-For
+});
+
+// Wrapper for refresh-token limiter
+export const refreshTokenLimiter = (req, res, next) => {
+  // Skip OPTIONS requests (preflight)
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+  return refreshTokenRateLimiter(req, res, next);
+};
+
+
+// Rate limiting for user reports (POST /api/reports)
+// Keyed by user (protect must run first) so shared IPs don't block each other
+const reportRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // Limit each user to 20 reports per hour
+  handler: (req, res) => {
+    const retryAfter = req.rateLimit?.resetTime
+      ? Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000)
+      : 3600;
+    res.status(429).json({
+      success: false,
+      message: localize(req, 'Too many reports, try again later'),
+      details: {
+        type: 'RATE_LIMIT',
+        retryAfterSeconds: retryAfter > 0 ? retryAfter : 3600,
+      },
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: false, // Count all reports (including successful)
+  validate: false,
+  keyGenerator: (req) => req.user?.id || req.ip,
+});
+
+// Wrapper for report limiter
+export const reportLimiter = (req, res, next) => {
+  // Skip OPTIONS requests (preflight)
+  if (req.method === 'OPTIONS') {
+    return next();
+  }
+  return reportRateLimiter(req, res, next);
+};
@@ -1,9 +1,12 @@
 import multer from 'multer';
 import { AppError } from './error.middleware.js';
-import cloudinary from '../config/cloudinary.js';
-import { Readable } from 'stream';
+import { getStorage } from '../services/storage.service.js';
+import { processImage, IMAGE_VARIANTS } from '../services/imageProcessing.service.js';
 import logger from '../config/logger.js';
 
+// Maximum number of images per ad (create and later uploads combined)
+export const MAX_AD_IMAGES = 5;
+
 // Configure multer to use memory storage
 const storage = multer.memoryStorage();
 
@@ -95,11 +98,63 @@ export const uploadImages = (req, res, next) => {
 };
 
 /**
- * Middleware to upload images to Cloudinary
+ * Middleware to check that uploaded files fit into an existing ad
+ * Runs after checkAdOwnership and uploadImages, before uploadToStorage,
+ * so nothing is uploaded for sold ads or over the image cap
+ */
+export const checkAdImageCapacity = (req, res, next) => {
+  const ad = req.ad;
+
+  if (ad.status === 'sold') {
+    return next(
+      new AppError('Cannot add images to sold ad', 400, {
+        type: 'SOLD_AD_NOT_EDITABLE',
+        message: 'Sold ads cannot be modified',
+      })
+    );
+  }
+
+  const currentCount = (ad.images || []).length;
+  const uploadedCount = (req.files || []).length;
+  if (currentCount + uploadedCount > MAX_AD_IMAGES) {
+    return next(
+      new AppError(`Too many images. An ad can have at most ${MAX_AD_IMAGES} images`, 400, {
+        type: 'FILE_COUNT_ERROR',
+        currentCount,
+        remaining: Math.max(MAX_AD_IMAGES - currentCount, 0),
+      })
+    );
+  }
+
+  next();
+};
+
+/**
+ * Wrap a processed image as a file for the storage driver
+ * @param {{buffer: Buffer}} image - Output of processImage
+ * @param {object} file - Original multer file
+ * @param {string} suffix - Variant name ('' for the original)
+ * @returns {{buffer: Buffer, originalname: string, mimetype: string}}
+ */
+const toWebpFile = (image, file, suffix) => {
+  const baseName = file.originalname.replace(/\.[^/.]+$/, '') || 'image';
+  return {
+    buffer: image.buffer,
+    originalname: `${baseName}${suffix ? `-${suffix}` : ''}.webp`,
+    mimetype: 'image/webp',
+  };
+};
+
+/**
+ * Middleware to process images and upload them to the active storage driver (STORAGE_DRIVER)
+ * Each file is stripped of metadata, auto-oriented, capped in size and stored as WebP
+ * together with its thumbnail/medium/large variants
+ * Sets req.body.images (URLs of the processed originals) and req.imageVariants
+ * ([{ url, thumbnail, medium, large, hash }], one per image - hash is the perceptual hash)
  * Handles both required (create) and optional (update) image uploads
  * @param {boolean} required - Whether images are required (default: true)
  */
-export const uploadToCloudinary = (required = true) => {
+export const uploadToStorage = (required = true) => {
   return async (req, res, next) => {
     try {
       // Check if files were uploaded
@@ -116,7 +171,7 @@ export const uploadToCloudinary = (required = true) => {
       }
 
       // Validate image count (1-5)
-      if (req.files.length < 1 || req.files.length > 5) {
+      if (req.files.length < 1 || req.files.length > MAX_AD_IMAGES) {
         return next(
           new AppError('You must upload between 1 and 5 images', 400, {
             type: 'INVALID_IMAGE_COUNT',
@@ -124,99 +179,91 @@ export const uploadToCloudinary = (required = true) => {
         );
       }
 
-      // Validate Cloudinary configuration
-      if (!cloudinary.config().cloud_name) {
-        logger.error('Cloudinary not configured', {
-          message: 'Cloudinary credentials are missing',
+      // Validate storage configuration
+      const storage = getStorage();
+      if (!storage.isConfigured()) {
+        logger.error('Image storage not configured', {
+          driver: storage.name,
         });
         return next(
           new AppError('Image upload service is not configured', 500, {
-            type: 'CLOUDINARY_CONFIG_ERROR',
+            type: 'STORAGE_CONFIG_ERROR',
           })
         );
       }
 
-      // Upload all images to Cloudinary
-      const uploadPromises = req.files.map((file, index) => {
-        return new Promise((resolve, reject) => {
-          // Create upload stream
-          // Note: Don't use 'format: auto' - it causes "Invalid extension in transformation: auto" error
-          // Cloudinary will preserve the original format (png, jpg, jpeg, webp)
-          // Optimizations can be applied at delivery time using URL transformations
-          const uploadStream = cloudinary.uploader.upload_stream(
-            {
-              folder: 'ads',
-              resource_type: 'image',
-              // No format specified - Cloudinary preserves original format
-              // Optimizations (quality, fetch_format) are applied at delivery via URL transformations
-            },
-            (error, result) => {
-              if (error) {
-                logger.error('Cloudinary upload error', {
-                  message: error.message,
-                  fileIndex: index,
-                  fileName: file.originalname,
-                });
-                reject(
-                  new AppError(
-                    `Failed to upload image "${file.originalname}" to Cloudinary: ${error.message}`,
-                    500,
-                    {
-                      type: 'CLOUDINARY_UPLOAD_ERROR',
-                      fileName: file.originalname,
-                    }
-                  )
-                );
-              } else if (!result || !result.secure_url) {
-                logger.error('Cloudinary upload incomplete', {
-                  fileIndex: index,
-                  fileName: file.originalname,
-                });
-                reject(
-                  new AppError(
-                    `Failed to upload image "${file.originalname}": No URL returned`,
-                    500,
-                    {
-                      type: 'CLOUDINARY_UPLOAD_ERROR',
-                      fileName: file.originalname,
-                    }
-                  )
-                );
-              } else {
-                resolve(result.secure_url);
-              }
-            }
+      // Process images one at a time (decoding is memory heavy)
+      const uploads = [];
+      const hashes = [];
+      for (const [fileIndex, file] of req.files.entries()) {
+        let processed;
+        try {
+          processed = await processImage(file.buffer);
+        } catch (error) {
+          logger.warn('Image processing failed', {
+            message: error.message,
+            fileIndex,
+            fileName: file.originalname,
+          });
+          return next(
+            new AppError(`Image "${file.originalname}" could not be processed. Upload a valid JPG, PNG or WEBP image`, 400, {
+              type: 'INVALID_IMAGE',
+              fileName: file.originalname,
+            })
           );
+        }
 
-          // Convert buffer to stream and pipe to Cloudinary
-          const bufferStream = new Readable();
-          bufferStream.push(file.buffer);
-          bufferStream.push(null);
-          bufferStream.pipe(uploadStream);
+        hashes.push(processed.hash);
+        uploads.push({ fileIndex, variant: 'url', file: toWebpFile(processed.original, file, '') });
+        Object.keys(IMAGE_VARIANTS).forEach((variant) => {
+          uploads.push({ fileIndex, variant, file: toWebpFile(processed.variants[variant], file, variant) });
         });
-      });
+      }
 
-      // Upload all images in parallel
-      const imageUrls = await Promise.all(uploadPromises);
+      // Upload originals and variants in parallel
+      const results = await Promise.allSettled(
+        uploads.map((upload) => storage.upload(upload.file, { folder: 'ads' }))
+      );
 
-      // Validate that we got URLs for all images
-      if (imageUrls.length !== req.files.length) {
-        logger.error('Image upload count mismatch', {
-          uploaded: imageUrls.length,
-          expected: req.files.length,
+      const failedUpload = results.findIndex((result) => result.status === 'rejected');
+      if (failedUpload !== -1) {
+        const file = req.files[uploads[failedUpload].fileIndex];
+        const { reason } = results[failedUpload];
+        logger.error('Image upload error', {
+          driver: storage.name,
+          message: reason?.message,
+          fileIndex: uploads[failedUpload].fileIndex,
+          fileName: file.originalname,
         });
+
+        // Don't leave the images that did upload behind
+        await Promise.all(
+          results
+            .filter((result) => result.status === 'fulfilled')
+            .map((result) => storage.delete(result.value.publicId).catch(() => null))
+        );
+
         return next(
-          new AppError('Some images failed to upload', 500, {
-            type: 'UPLOAD_PARTIAL_FAILURE',
+          new AppError(`Failed to upload image "${file.originalname}": ${reason?.message}`, 500, {
+            type: 'STORAGE_UPLOAD_ERROR',
+            fileName: file.originalname,
           })
         );
       }
 
-      // Attach image URLs to request body
-      req.body.images = imageUrls;
+      // Group uploaded URLs per image: { url, thumbnail, medium, large, hash }
+      const imageVariants = hashes.map((hash) => ({ hash }));
+      results.forEach((result, index) => {
+        imageVariants[uploads[index].fileIndex][uploads[index].variant] = result.value.url;
+      });
+
+      // Attach image URLs to request body, variants to the request
+      req.body.images = imageVariants.map((entry) => entry.url);
+      req.imageVariants = imageVariants;
 
       logger.info('Images uploaded successfully', {
-        count: imageUrls.length,
+        driver: storage.name,
+        count: req.body.images.length,
         userId: req.user?.id,
       });
 
@@ -242,4 +289,3 @@ export const uploadToCloudinary = (required = true) => {
     }
   };
 };
-
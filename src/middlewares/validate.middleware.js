@@ -1,5 +1,6 @@
 import { body, validationResult } from 'express-validator';
 import { AppError } from './error.middleware.js';
+import { USER_SETTABLE_STATUSES } from '../constants/adStatus.js';
 
 // Middleware to handle validation errors
 // Returns 400 (Bad Request) for validation errors, NOT 401 or 403
@@ -109,8 +110,78 @@ export const validateUpdateStatus = [
     .trim()
     .notEmpty()
     .withMessage('Status is required')
-    .isIn(['draft', 'active', 'sold'])
-    .withMessage('Status must be one of: draft, active, sold'),
+    .isIn(USER_SETTABLE_STATUSES)
+    .withMessage(`Status must be one of: ${USER_SETTABLE_STATUSES.join(', ')}`),
+  handleValidationErrors,
+];
+
+// Validation rules for scheduling a draft ad
+// Only accepts 'publishAt' (ISO 8601 date in the future, at most MAX_SCHEDULE_DAYS ahead)
+const MAX_SCHEDULE_DAYS = 90;
+export const validateScheduleAd = [
+  (req, res, next) => {
+    const extraFields = Object.keys(req.body || {}).filter((key) => key !== 'publishAt');
+
+    if (extraFields.length > 0) {
+      return next(
+        new AppError('Extra fields not allowed', 400, {
+          errors: extraFields.map((field) => ({
+            field,
+            message: `Field '${field}' is not allowed`,
+          })),
+        })
+      );
+    }
+    next();
+  },
+  body('publishAt')
+    .notEmpty()
+    .withMessage('publishAt is required')
+    .isISO8601()
+    .withMessage('publishAt must be an ISO 8601 date')
+    .bail()
+    .custom((value) => {
+      const publishAt = new Date(value);
+      if (publishAt.getTime() <= Date.now()) {
+        throw new Error('publishAt must be in the future');
+      }
+      if (publishAt.getTime() > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+        throw new Error(`publishAt must be within ${MAX_SCHEDULE_DAYS} days`);
+      }
+      return true;
+    })
+    .toDate(),
+  handleValidationErrors,
+];
+
+// Validation rules for refresh and logout (refresh token in body)
+export const validateRefreshToken = [
+  body('refreshToken')
+    .isString()
+    .withMessage('Refresh token is required')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors,
+];
+
+// Validation rules for change password
+export const validateChangePassword = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .notEmpty()
+    .withMessage('New password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .custom((value, { req }) => {
+      if (value === req.body.currentPassword) {
+        throw new Error('New password must be different from the current password');
+      }
+      return true;
+    }),
   handleValidationErrors,
 ];
 
@@ -2,6 +2,10 @@ import { body, validationResult } from 'express-validator';
 import { AppError } from './error.middleware.js';
 import { isValidCategorySlug, isValidSubcategorySlug } from '../constants/categories.js';
 import { validateAttributes } from '../utils/attributeValidator.js';
+import { translate } from '../i18n/index.js';
+import { parseLocationInput } from '../utils/location.js';
+import { USER_SETTABLE_STATUSES } from '../constants/adStatus.js';
+import { applyContentRules, buildContentBlockedError, recordRuleHits } from '../services/contentRule.service.js';
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -42,11 +46,80 @@ const checkExtraFields = (allowedFields) => {
   };
 };
 
+/**
+ * Validate attributes against the category/subcategory schema and replace them with typed values
+ * Runs after field validation so categorySlug/subCategorySlug are known to be valid
+ * Enforces required attributes even when no attributes were sent
+ */
+const checkAttributesSchema = (req, res, next) => {
+  const { categorySlug, subCategorySlug, attributes } = req.body;
+
+  const validation = validateAttributes(categorySlug, subCategorySlug, attributes || {}, req.messageLocale);
+  if (!validation.valid) {
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: validation.errors,
+      })
+    );
+  }
+
+  // Store typed values (numbers, booleans) instead of raw strings
+  req.body.attributes = validation.values;
+  next();
+};
+
+/**
+ * Validate the optional location ({ city, lat?, lng? }) and replace it with the stored shape
+ * ({ city, citySlug, region, point }) - city must be a known Moldova locality
+ */
+const checkLocation = (req, res, next) => {
+  const { location } = req.body;
+  if (location === undefined || location === '') {
+    delete req.body.location;
+    return next();
+  }
+
+  const { value, errors } = parseLocationInput(location);
+  if (errors.length > 0) {
+    return next(
+      new AppError('Validation failed', 400, {
+        errors,
+      })
+    );
+  }
+
+  req.body.location = value;
+  next();
+};
+
+/**
+ * Run the banned-content rules on title and description (services/contentRule.service.js)
+ * Blocked: rejected and the hits are recorded; masked text replaces the body values;
+ * other hits are left in req.contentRuleHits for createAd to record with the new ad
+ */
+const checkContentRules = async (req, res, next) => {
+  try {
+    const { title, description, categorySlug } = req.body;
+    const { blocked, hits, values } = applyContentRules({ title, description }, { categorySlug });
+
+    if (blocked) {
+      await recordRuleHits(hits, { context: 'ad_create', user: req.user.id, categorySlug });
+      return next(buildContentBlockedError(hits));
+    }
+
+    Object.assign(req.body, values);
+    req.contentRuleHits = hits;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Validation rules for create ad
 export const validateCreateAd = [
   // Check for extra fields first - status is NOT allowed at creation
   // Only categorySlug and subCategorySlug are accepted (not category/subcategory)
-  checkExtraFields(['title', 'description', 'price', 'currency', 'images', 'categorySlug', 'subCategorySlug', 'attributes']),
+  checkExtraFields(['title', 'description', 'price', 'currency', 'images', 'categorySlug', 'subCategorySlug', 'attributes', 'location']),
   
   // Validate title
   body('title')
@@ -112,25 +185,22 @@ export const validateCreateAd = [
       return true;
     }),
   
-  // Validate attributes (optional)
+  // Validate attributes shape (optional) - values are checked against the category schema below
   body('attributes')
     .optional()
     .isObject()
-    .withMessage('Attributes must be an object')
-    .custom((attributes, { req }) => {
-      const categorySlug = req.body.categorySlug;
-      if (!categorySlug) {
-        // Category validation will catch this, but we need categorySlug to validate attributes
-        return true;
-      }
-      const validation = validateAttributes(categorySlug, attributes);
-      if (!validation.valid) {
-        throw new Error(`Invalid attributes for category '${categorySlug}': ${validation.invalidKeys.join(', ')}. Allowed: ${validation.invalidKeys.length > 0 ? 'none' : 'see category rules'}`);
-      }
-      return true;
-    }),
+    .withMessage('Attributes must be an object'),
   
   handleValidationErrors,
+
+  // Validate attributes against category/subcategory schema (runs even without attributes to enforce required ones)
+  checkAttributesSchema,
+
+  // Validate location (optional) against the Moldova locality list
+  checkLocation,
+
+  // Banned-content rules (block, mask, flag)
+  checkContentRules,
 ];
 
 // Validation rules for update ad
@@ -184,8 +254,8 @@ export const validateUpdateAd = [
   // Validate status (optional for update)
   body('status')
     .optional()
-    .isIn(['draft', 'active', 'sold'])
-    .withMessage('Status must be one of: draft, active, sold'),
+    .isIn(USER_SETTABLE_STATUSES)
+    .withMessage(`Status must be one of: ${USER_SETTABLE_STATUSES.join(', ')}`),
   
   // Validate categorySlug (optional for update)
   body('categorySlug')
@@ -227,11 +297,21 @@ export const validateUpdateAd = [
         // For now, skip validation if categorySlug is not in the update
         return true;
       }
-      const validation = validateAttributes(categorySlug, attributes);
+      const validation = validateAttributes(categorySlug, req.body.subCategorySlug, attributes, req.messageLocale);
       if (!validation.valid) {
-        throw new Error(`Invalid attributes for category '${categorySlug}': ${validation.invalidKeys.join(', ')}`);
+        // Joined messages don't match catalog entries - translate each one before joining
+        throw new Error(
+          validation.errors.map((error) => translate(error.message, req.messageLocale)).join('; ')
+        );
       }
       return true;
+    })
+    .customSanitizer((attributes, { req }) => {
+      // Store typed values (numbers, booleans) instead of raw strings
+      if (!req.body.categorySlug) {
+        return attributes;
+      }
+      return validateAttributes(req.body.categorySlug, req.body.subCategorySlug, attributes, req.messageLocale).values;
     }),
   
   handleValidationErrors,
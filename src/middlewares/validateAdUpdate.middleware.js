@@ -2,6 +2,8 @@ import { body, validationResult } from 'express-validator';
 import { AppError } from './error.middleware.js';
 import { isValidCategorySlug, isValidSubcategorySlug } from '../constants/categories.js';
 import { validateAttributes } from '../utils/attributeValidator.js';
+import { parseLocationInput } from '../utils/location.js';
+import { applyContentRules, buildContentBlockedError, recordRuleHits } from '../services/contentRule.service.js';
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -44,7 +46,7 @@ const checkExtraFields = (allowedFields) => {
 
 // Check if at least one valid field is provided
 const checkAtLeastOneField = (req, res, next) => {
-  const allowedFields = ['title', 'description', 'price', 'currency', 'categorySlug', 'subCategorySlug', 'attributes'];
+  const allowedFields = ['title', 'description', 'price', 'currency', 'categorySlug', 'subCategorySlug', 'attributes', 'location'];
   const bodyKeys = Object.keys(req.body || {});
   const hasValidField = bodyKeys.some((key) => allowedFields.includes(key));
 
@@ -60,15 +62,123 @@ const checkAtLeastOneField = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate attributes against the schema of the ad's final category/subcategory
+ * Uses the existing ad (req.ad from checkAdOwnership) for values not being updated:
+ * - attributes sent: validated and replaced with typed values (null clears them)
+ * - category/subcategory changed without attributes: existing attributes must fit the new schema
+ */
+const checkAttributesSchema = (req, res, next) => {
+  const ad = req.ad;
+  const { categorySlug, subCategorySlug, attributes } = req.body;
+
+  const categoryChanged = categorySlug !== undefined || subCategorySlug !== undefined;
+  if (attributes === undefined && !categoryChanged) {
+    return next();
+  }
+
+  const finalCategorySlug = categorySlug !== undefined ? categorySlug : ad?.categorySlug;
+  const finalSubCategorySlug = subCategorySlug !== undefined ? subCategorySlug : ad?.subCategorySlug;
+  const attributesToCheck = attributes !== undefined ? (attributes || {}) : (ad?.attributes || {});
+
+  const validation = validateAttributes(
+    finalCategorySlug,
+    finalSubCategorySlug,
+    attributesToCheck,
+    req.messageLocale
+  );
+  if (!validation.valid) {
+    const message = attributes === undefined
+      ? 'Existing attributes are not valid for the new category. Provide attributes for the new category'
+      : 'Validation failed';
+    return next(
+      new AppError(message, 400, {
+        errors: validation.errors,
+      })
+    );
+  }
+
+  // Store typed values (numbers, booleans) instead of raw strings
+  if (attributes !== undefined) {
+    req.body.attributes = validation.values;
+  }
+  next();
+};
+
+/**
+ * Validate location ({ city, lat?, lng? }) and replace it with the stored shape
+ * null removes the location from the ad
+ */
+const checkLocation = (req, res, next) => {
+  const { location } = req.body;
+  if (location === undefined || location === null) {
+    return next();
+  }
+
+  const { value, errors } = parseLocationInput(location);
+  if (errors.length > 0) {
+    return next(
+      new AppError('Validation failed', 400, {
+        errors,
+      })
+    );
+  }
+
+  req.body.location = value;
+  next();
+};
+
+/**
+ * Run the banned-content rules on the updated title/description (services/contentRule.service.js)
+ * When the category changes, the unchanged text is checked too (category-scoped rules)
+ * Blocked: rejected and the hits are recorded; masked text replaces the body values;
+ * other hits are left in req.contentRuleHits for updateAd to record
+ */
+const checkContentRules = async (req, res, next) => {
+  try {
+    const ad = req.ad;
+    const { title, description, categorySlug } = req.body;
+    const categoryChanged = categorySlug !== undefined && categorySlug !== ad?.categorySlug;
+    const finalCategorySlug = categorySlug !== undefined ? categorySlug : ad?.categorySlug;
+
+    const texts = {
+      title: title !== undefined ? title : (categoryChanged ? ad?.title : undefined),
+      description: description !== undefined ? description : (categoryChanged ? ad?.description : undefined),
+    };
+    const { blocked, hits, values } = applyContentRules(texts, { categorySlug: finalCategorySlug });
+
+    if (blocked) {
+      await recordRuleHits(hits, {
+        context: 'ad_update',
+        user: req.user.id,
+        ad: ad?._id,
+        categorySlug: finalCategorySlug,
+      });
+      return next(buildContentBlockedError(hits));
+    }
+
+    // Only fields that were sent or got masked are written back
+    Object.entries(values).forEach(([field, value]) => {
+      if (req.body[field] !== undefined || value !== texts[field]) {
+        req.body[field] = value;
+      }
+    });
+    req.contentRuleHits = hits;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Validation rules for updating an ad
- * Only allows: title, description, price, currency, categorySlug, subCategorySlug, attributes
+ * Only allows: title, description, price, currency, categorySlug, subCategorySlug, attributes, location
  * All fields are optional (PATCH)
  * Does NOT allow: status, user, isDeleted, images
  */
 export const validateAdUpdate = [
-  // Check for extra fields first - only allow title, description, price, currency, categorySlug, subCategorySlug, attributes
-  checkExtraFields(['title', 'description', 'price', 'currency', 'categorySlug', 'subCategorySlug', 'attributes']),
+  // Check for extra fields first - only allow title, description, price, currency, categorySlug, subCategorySlug, attributes, location
+  checkExtraFields(['title', 'description', 'price', 'currency', 'categorySlug', 'subCategorySlug', 'attributes', 'location']),
 
   // Check that at least one field is provided
   checkAtLeastOneField,
@@ -130,26 +240,21 @@ export const validateAdUpdate = [
       return true;
     }),
 
-  // Validate attributes (optional for update)
+  // Validate attributes shape (optional for update) - values are checked against the category schema below
   body('attributes')
-    .optional()
+    .optional({ values: 'null' })
     .isObject()
-    .withMessage('Attributes must be an object')
-    .custom((attributes, { req }) => {
-      // Use categorySlug from body if provided, otherwise we can't validate
-      const categorySlug = req.body.categorySlug;
-      if (!categorySlug) {
-        // If categorySlug is not being updated, we'd need to get it from the existing ad
-        // For now, skip validation if categorySlug is not in the update
-        return true;
-      }
-      const validation = validateAttributes(categorySlug, attributes);
-      if (!validation.valid) {
-        throw new Error(`Invalid attributes for category '${categorySlug}': ${validation.invalidKeys.join(', ')}`);
-      }
-      return true;
-    }),
+    .withMessage('Attributes must be an object'),
 
   handleValidationErrors,
+
+  // Validate attributes against the final category/subcategory schema
+  checkAttributesSchema,
+
+  // Validate location against the Moldova locality list
+  checkLocation,
+
+  // Banned-content rules (block, mask, flag)
+  checkContentRules,
 ];
 
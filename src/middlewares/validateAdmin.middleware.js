@@ -0,0 +1,89 @@
+import { body, validationResult } from 'express-validator';
+import { AppError } from './error.middleware.js';
+import { ROLES } from '../constants/roles.js';
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorDetails = errors.array().map((err) => ({
+      field: err.path || err.param,
+      message: err.msg,
+    }));
+
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: errorDetails,
+      })
+    );
+  }
+  next();
+};
+
+// Check for extra fields (not allowed)
+const checkExtraFields = (allowedFields) => {
+  return (req, res, next) => {
+    const bodyKeys = Object.keys(req.body || {});
+    const extraFields = bodyKeys.filter((key) => !allowedFields.includes(key));
+
+    if (extraFields.length > 0) {
+      return next(
+        new AppError('Extra fields not allowed', 400, {
+          errors: extraFields.map((field) => ({
+            field,
+            message: `Field '${field}' is not allowed`,
+          })),
+        })
+      );
+    }
+
+    next();
+  };
+};
+
+// Reason shown to the affected user (rejections, suspensions, removals)
+const reasonRule = body('reason')
+  .trim()
+  .notEmpty()
+  .withMessage('Reason is required')
+  .isLength({ min: 3, max: 500 })
+  .withMessage('Reason must be between 3 and 500 characters');
+
+// Validation rules for changing a user's role
+export const validateUpdateRole = [
+  checkExtraFields(['role']),
+  body('role')
+    .trim()
+    .notEmpty()
+    .withMessage('Role is required')
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(', ')}`),
+  handleValidationErrors,
+];
+
+// Validation rules for suspending a user
+// until is optional - without it the suspension lasts until lifted
+export const validateSuspendUser = [
+  checkExtraFields(['reason', 'until']),
+  reasonRule,
+  body('until')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('until must be an ISO 8601 date')
+    .bail()
+    .custom((value) => {
+      if (new Date(value).getTime() <= Date.now()) {
+        throw new Error('until must be in the future');
+      }
+      return true;
+    })
+    .toDate(),
+  handleValidationErrors,
+];
+
+// Validation rules for actions that only take a reason (reject ad, remove ad, ban, reinstate)
+export const validateReason = [
+  checkExtraFields(['reason']),
+  reasonRule,
+  handleValidationErrors,
+];
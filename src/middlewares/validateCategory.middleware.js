@@ -0,0 +1,154 @@
+import { body, validationResult } from 'express-validator';
+import { AppError } from './error.middleware.js';
+import { SUPPORTED_LOCALES, DEFAULT_LOCALE } from '../i18n/index.js';
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorDetails = errors.array().map((err) => ({
+      field: err.path || err.param,
+      message: err.msg,
+    }));
+
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: errorDetails,
+      })
+    );
+  }
+  next();
+};
+
+// Check for extra fields (not allowed)
+const checkExtraFields = (allowedFields) => {
+  return (req, res, next) => {
+    const bodyKeys = Object.keys(req.body || {});
+    const extraFields = bodyKeys.filter((key) => !allowedFields.includes(key));
+
+    if (extraFields.length > 0) {
+      return next(
+        new AppError('Extra fields not allowed', 400, {
+          errors: extraFields.map((field) => ({
+            field,
+            message: `Field '${field}' is not allowed`,
+          })),
+        })
+      );
+    }
+
+    next();
+  };
+};
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const TRANSLATED_LOCALES = SUPPORTED_LOCALES.filter((locale) => locale !== DEFAULT_LOCALE);
+
+const slugRule = (field) => body(field)
+  .isString()
+  .withMessage('Slug must be a string')
+  .trim()
+  .toLowerCase()
+  .matches(SLUG_PATTERN)
+  .withMessage('Slug may only contain lowercase letters, digits and hyphens')
+  .isLength({ max: 60 })
+  .withMessage('Slug must not exceed 60 characters');
+
+const labelRule = (field) => body(field)
+  .isString()
+  .withMessage('Label must be a string')
+  .trim()
+  .notEmpty()
+  .withMessage('Label is required')
+  .isLength({ max: 100 })
+  .withMessage('Label must not exceed 100 characters');
+
+// Label translations: { ru?, en? } - Romanian is the default `label`
+const labelsRules = (field) => [
+  body(field)
+    .optional()
+    .isObject()
+    .withMessage('Labels must be an object')
+    .custom((labels) => {
+      const extra = Object.keys(labels).filter((locale) => !TRANSLATED_LOCALES.includes(locale));
+      if (extra.length > 0) {
+        throw new Error(`Unsupported label locales: ${extra.join(', ')}`);
+      }
+      return true;
+    }),
+  ...TRANSLATED_LOCALES.map((locale) => labelRule(`${field}.${locale}`).optional()),
+];
+
+/**
+ * Validation rules for creating a category
+ * Body: { slug, label, labels?: { ru, en }, subcategories?: [{ slug, label, labels? }] }
+ */
+export const validateCreateCategory = [
+  checkExtraFields(['slug', 'label', 'labels', 'subcategories']),
+  slugRule('slug'),
+  labelRule('label'),
+  ...labelsRules('labels'),
+  body('subcategories')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Subcategories must be an array (max 50)')
+    .custom((subcategories) => {
+      const slugs = subcategories.map((sub) => sub?.slug);
+      if (new Set(slugs).size !== slugs.length) {
+        throw new Error('Subcategory slugs must be unique');
+      }
+      return true;
+    }),
+  slugRule('subcategories.*.slug'),
+  labelRule('subcategories.*.label'),
+  ...labelsRules('subcategories.*.labels'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for renaming a category or subcategory
+ * Body: { label?, labels?: { ru, en } } - slugs are immutable
+ */
+export const validateUpdateCategory = [
+  checkExtraFields(['label', 'labels']),
+  (req, res, next) => {
+    if (req.body?.label === undefined && req.body?.labels === undefined) {
+      return next(
+        new AppError('At least one field must be provided for update', 400, {
+          type: 'NO_FIELDS',
+        })
+      );
+    }
+    next();
+  },
+  labelRule('label').optional(),
+  ...labelsRules('labels'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for adding a subcategory
+ * Body: { slug, label, labels?: { ru, en } }
+ */
+export const validateCreateSubcategory = [
+  checkExtraFields(['slug', 'label', 'labels']),
+  slugRule('slug'),
+  labelRule('label'),
+  ...labelsRules('labels'),
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for reordering categories or subcategories
+ * Body: { slugs: [...] }
+ */
+export const validateReorder = [
+  checkExtraFields(['slugs']),
+  body('slugs')
+    .isArray({ min: 1 })
+    .withMessage('slugs must be a non-empty array'),
+  body('slugs.*')
+    .isString()
+    .withMessage('Each slug must be a string'),
+  handleValidationErrors,
+];
@@ -0,0 +1,192 @@
+import { body, validationResult } from 'express-validator';
+import { AppError } from './error.middleware.js';
+import {
+  CONTENT_RULE_TYPES,
+  CONTENT_RULE_ACTIONS,
+  CONTENT_RULE_FIELDS,
+  CONTENT_RULE_REGEX_FLAGS,
+} from '../constants/contentRules.js';
+import { isValidCategorySlug } from '../constants/categories.js';
+import { buildRuleRegex } from '../services/contentRule.service.js';
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorDetails = errors.array().map((err) => ({
+      field: err.path || err.param,
+      message: err.msg,
+    }));
+
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: errorDetails,
+      })
+    );
+  }
+  next();
+};
+
+// Check for extra fields (not allowed)
+const checkExtraFields = (allowedFields) => {
+  return (req, res, next) => {
+    const bodyKeys = Object.keys(req.body || {});
+    const extraFields = bodyKeys.filter((key) => !allowedFields.includes(key));
+
+    if (extraFields.length > 0) {
+      return next(
+        new AppError('Extra fields not allowed', 400, {
+          errors: extraFields.map((field) => ({
+            field,
+            message: `Field '${field}' is not allowed`,
+          })),
+        })
+      );
+    }
+
+    next();
+  };
+};
+
+const RULE_FIELDS = ['name', 'description', 'type', 'keywords', 'pattern', 'flags', 'action', 'fields', 'categories', 'isActive'];
+
+/**
+ * Shared rules for create (required) and update (optional) of a content rule
+ * @param {boolean} isUpdate
+ */
+const contentRuleRules = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .withMessage('Name must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('Name is required')
+      .isLength({ max: 100 })
+      .withMessage('Name must not exceed 100 characters'),
+    body('description')
+      .optional({ values: 'null' })
+      .isString()
+      .withMessage('Description must be a string')
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters'),
+    field('type')
+      .isIn(CONTENT_RULE_TYPES)
+      .withMessage(`Type must be one of: ${CONTENT_RULE_TYPES.join(', ')}`),
+    body('keywords')
+      .optional()
+      .isArray({ min: 1, max: 500 })
+      .withMessage('Keywords must be an array of 1 to 500 items'),
+    body('keywords.*')
+      .isString()
+      .withMessage('Keywords must be strings')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Each keyword must be between 1 and 100 characters'),
+    body('pattern')
+      .optional()
+      .isString()
+      .withMessage('Pattern must be a string')
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Pattern must be between 1 and 500 characters'),
+    body('flags')
+      .optional()
+      .isString()
+      .withMessage('Flags must be a string')
+      .custom((value) => {
+        const chars = [...value];
+        if (chars.some((flag) => !CONTENT_RULE_REGEX_FLAGS.includes(flag)) || new Set(chars).size !== chars.length) {
+          throw new Error(`Flags may only contain: ${CONTENT_RULE_REGEX_FLAGS.join('')}`);
+        }
+        return true;
+      }),
+    field('action')
+      .isIn(CONTENT_RULE_ACTIONS)
+      .withMessage(`Action must be one of: ${CONTENT_RULE_ACTIONS.join(', ')}`),
+    body('fields')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('Fields must be a non-empty array'),
+    body('fields.*')
+      .isIn(CONTENT_RULE_FIELDS)
+      .withMessage(`Fields must be one of: ${CONTENT_RULE_FIELDS.join(', ')}`),
+    body('categories')
+      .optional()
+      .isArray()
+      .withMessage('Categories must be an array'),
+    body('categories.*')
+      .custom((value) => {
+        if (!isValidCategorySlug(value)) {
+          throw new Error('Invalid category');
+        }
+        return true;
+      }),
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('isActive must be a boolean'),
+  ];
+};
+
+/**
+ * Check the rule definition as a whole: keyword rules need keywords, regex rules
+ * need a pattern that compiles
+ * On update, values not sent are taken from the existing rule (req.contentRule)
+ */
+const checkRuleDefinition = (req, res, next) => {
+  const existing = req.contentRule || {};
+  const pick = (name) => (req.body[name] !== undefined ? req.body[name] : existing[name]);
+  const rule = {
+    type: pick('type'),
+    keywords: pick('keywords'),
+    pattern: pick('pattern'),
+    flags: pick('flags'),
+  };
+
+  if (rule.type === 'keyword' && (!rule.keywords || rule.keywords.length === 0)) {
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: [{ field: 'keywords', message: 'Keywords are required for keyword rules' }],
+      })
+    );
+  }
+  if (rule.type === 'regex' && !rule.pattern) {
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: [{ field: 'pattern', message: 'Pattern is required for regex rules' }],
+      })
+    );
+  }
+
+  try {
+    buildRuleRegex(rule);
+  } catch (error) {
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: [{ field: rule.type === 'regex' ? 'pattern' : 'keywords', message: `Invalid pattern: ${error.message}` }],
+      })
+    );
+  }
+
+  next();
+};
+
+// Validation rules for creating a content rule
+export const validateCreateContentRule = [
+  checkExtraFields(RULE_FIELDS),
+  ...contentRuleRules(false),
+  handleValidationErrors,
+  checkRuleDefinition,
+];
+
+// Validation rules for updating a content rule (all fields optional)
+// Runs after the rule is loaded into req.contentRule (loadContentRule)
+export const validateUpdateContentRule = [
+  checkExtraFields(RULE_FIELDS),
+  ...contentRuleRules(true),
+  handleValidationErrors,
+  checkRuleDefinition,
+];
@@ -0,0 +1,73 @@
+import { body, validationResult } from 'express-validator';
+import { AppError } from './error.middleware.js';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES } from '../utils/currency.js';
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorDetails = errors.array().map((err) => ({
+      field: err.path || err.param,
+      message: err.msg,
+    }));
+
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: errorDetails,
+      })
+    );
+  }
+  next();
+};
+
+// Check for extra fields (not allowed)
+const checkExtraFields = (allowedFields) => {
+  return (req, res, next) => {
+    const bodyKeys = Object.keys(req.body || {});
+    const extraFields = bodyKeys.filter((key) => !allowedFields.includes(key));
+
+    if (extraFields.length > 0) {
+      return next(
+        new AppError('Extra fields not allowed', 400, {
+          errors: extraFields.map((field) => ({
+            field,
+            message: `Field '${field}' is not allowed`,
+          })),
+        })
+      );
+    }
+
+    next();
+  };
+};
+
+const RATE_CURRENCIES = SUPPORTED_CURRENCIES.filter((currency) => currency !== BASE_CURRENCY);
+
+/**
+ * Validation rules for manually setting exchange rates
+ * Body: { rates: { USD: 1.08, MDL: null } } - units per 1 EUR, at least one currency
+ * null releases a manual override back to the provider
+ */
+export const validateUpdateRates = [
+  checkExtraFields(['rates']),
+  body('rates')
+    .isObject()
+    .withMessage('Rates must be an object')
+    .custom((rates) => {
+      const keys = Object.keys(rates);
+      if (keys.length === 0) {
+        throw new Error('At least one rate is required');
+      }
+      const invalid = keys.filter((currency) => !RATE_CURRENCIES.includes(currency));
+      if (invalid.length > 0) {
+        throw new Error(`Invalid currencies: ${invalid.join(', ')}. Allowed: ${RATE_CURRENCIES.join(', ')}`);
+      }
+      return true;
+    }),
+  ...RATE_CURRENCIES.map((currency) => body(`rates.${currency}`)
+    .optional({ values: 'null' })
+    .isFloat({ gt: 0 })
+    .withMessage(`${currency} rate must be a positive number`)
+    .toFloat()),
+  handleValidationErrors,
+];
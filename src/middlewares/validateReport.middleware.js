@@ -0,0 +1,90 @@
+import { body, validationResult } from 'express-validator';
+import { AppError } from './error.middleware.js';
+import { REPORT_TARGET_TYPES, REPORT_REASONS } from '../constants/reports.js';
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorDetails = errors.array().map((err) => ({
+      field: err.path || err.param,
+      message: err.msg,
+    }));
+
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: errorDetails,
+      })
+    );
+  }
+  next();
+};
+
+// Check for extra fields (not allowed)
+const checkExtraFields = (allowedFields) => {
+  return (req, res, next) => {
+    const bodyKeys = Object.keys(req.body || {});
+    const extraFields = bodyKeys.filter((key) => !allowedFields.includes(key));
+
+    if (extraFields.length > 0) {
+      return next(
+        new AppError('Extra fields not allowed', 400, {
+          errors: extraFields.map((field) => ({
+            field,
+            message: `Field '${field}' is not allowed`,
+          })),
+        })
+      );
+    }
+
+    next();
+  };
+};
+
+// Free-text note (reporter details or staff triage note)
+const noteRule = body('note')
+  .optional({ values: 'null' })
+  .isString()
+  .withMessage('Note must be a string')
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage('Note must not exceed 1000 characters');
+
+// Validation rules for creating a report
+// A note is required when the reason is 'other'
+export const validateCreateReport = [
+  checkExtraFields(['targetType', 'targetId', 'reason', 'note']),
+  body('targetType')
+    .trim()
+    .notEmpty()
+    .withMessage('Target type is required')
+    .isIn(REPORT_TARGET_TYPES)
+    .withMessage(`Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`),
+  body('targetId')
+    .trim()
+    .notEmpty()
+    .withMessage('Target ID is required')
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  noteRule,
+  body('note').custom((value, { req }) => {
+    if (req.body.reason === 'other' && !value) {
+      throw new Error('Note is required when the reason is "other"');
+    }
+    return true;
+  }),
+  handleValidationErrors,
+];
+
+// Validation rules for triage actions (resolve, dismiss, escalate)
+export const validateTriageReport = [
+  checkExtraFields(['note']),
+  noteRule,
+  handleValidationErrors,
+];
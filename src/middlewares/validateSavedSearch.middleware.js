@@ -0,0 +1,205 @@
+import { body, validationResult } from 'express-validator';
+import { AppError } from './error.middleware.js';
+import { isValidCategorySlug, isValidSubcategorySlug } from '../constants/categories.js';
+import { SAVED_SEARCH_ATTRIBUTE_KEYS } from '../services/savedSearch.service.js';
+import { getAttributeSchemaUnion } from '../utils/attributeValidator.js';
+
+// Middleware to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorDetails = errors.array().map((err) => ({
+      field: err.path || err.param,
+      message: err.msg,
+    }));
+
+    return next(
+      new AppError('Validation failed', 400, {
+        errors: errorDetails,
+      })
+    );
+  }
+  next();
+};
+
+// Check for extra fields (not allowed)
+const checkExtraFields = (allowedFields) => {
+  return (req, res, next) => {
+    const bodyKeys = Object.keys(req.body || {});
+    const extraFields = bodyKeys.filter((key) => !allowedFields.includes(key));
+
+    if (extraFields.length > 0) {
+      return next(
+        new AppError('Extra fields not allowed', 400, {
+          errors: extraFields.map((field) => ({
+            field,
+            message: `Field '${field}' is not allowed`,
+          })),
+        })
+      );
+    }
+
+    next();
+  };
+};
+
+const FILTER_FIELDS = ['search', 'categorySlug', 'subCategorySlug', 'minPrice', 'maxPrice', 'currency', 'attributes'];
+
+// Shared rules for the nested filters object (all optional)
+const filterRules = [
+  body('filters')
+    .optional()
+    .isObject()
+    .withMessage('Filters must be an object')
+    .custom((filters) => {
+      const extra = Object.keys(filters).filter((key) => !FILTER_FIELDS.includes(key));
+      if (extra.length > 0) {
+        throw new Error(`Filter fields not allowed: ${extra.join(', ')}`);
+      }
+      return true;
+    }),
+
+  body('filters.search')
+    .optional()
+    .isString()
+    .withMessage('Search must be a string')
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Search must not exceed 200 characters'),
+
+  body('filters.categorySlug')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Category cannot be empty')
+    .custom((value) => {
+      if (!isValidCategorySlug(value)) {
+        throw new Error('Invalid category');
+      }
+      return true;
+    }),
+
+  body('filters.subCategorySlug')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Subcategory cannot be empty')
+    .custom((value, { req }) => {
+      const categorySlug = req.body.filters?.categorySlug;
+      if (!categorySlug) {
+        throw new Error('Category must be provided before subcategory');
+      }
+      if (!isValidSubcategorySlug(categorySlug, value)) {
+        throw new Error('Invalid subcategory for the selected category');
+      }
+      return true;
+    }),
+
+  body('filters.minPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('minPrice must be a positive number')
+    .toFloat(),
+
+  body('filters.maxPrice')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('maxPrice must be a positive number')
+    .toFloat()
+    .custom((value, { req }) => {
+      const minPrice = req.body.filters?.minPrice;
+      if (minPrice !== undefined && value < minPrice) {
+        throw new Error('maxPrice must be greater than or equal to minPrice');
+      }
+      return true;
+    }),
+
+  body('filters.currency')
+    .optional()
+    .isIn(['EUR', 'USD', 'MDL'])
+    .withMessage('Currency must be one of: EUR, USD, MDL'),
+
+  body('filters.attributes')
+    .optional()
+    .isObject()
+    .withMessage('Attributes must be an object')
+    .custom((attributes) => {
+      const filterableKeys = Object.keys(getAttributeSchemaUnion());
+      const invalidKeys = Object.keys(attributes)
+        .filter((key) => !SAVED_SEARCH_ATTRIBUTE_KEYS.includes(key) && !filterableKeys.includes(key));
+      if (invalidKeys.length > 0) {
+        throw new Error(`Invalid attribute filters: ${invalidKeys.join(', ')}`);
+      }
+      const nonScalar = Object.keys(attributes).filter((key) => !['string', 'number'].includes(typeof attributes[key]));
+      if (nonScalar.length > 0) {
+        throw new Error(`Attribute filter values must be strings or numbers: ${nonScalar.join(', ')}`);
+      }
+      return true;
+    }),
+];
+
+/**
+ * Validation rules for creating a saved search
+ * Requires a name; filters and frequency are optional
+ */
+export const validateCreateSavedSearch = [
+  checkExtraFields(['name', 'filters', 'frequency']),
+
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+
+  body('frequency')
+    .optional()
+    .isIn(['instant', 'daily'])
+    .withMessage('Frequency must be one of: instant, daily'),
+
+  ...filterRules,
+
+  handleValidationErrors,
+];
+
+/**
+ * Validation rules for updating a saved search
+ * All fields optional (PATCH); filters replace the stored filters as a whole
+ */
+export const validateUpdateSavedSearch = [
+  checkExtraFields(['name', 'filters', 'frequency', 'isActive']),
+
+  (req, res, next) => {
+    if (Object.keys(req.body || {}).length === 0) {
+      return next(
+        new AppError('At least one field must be provided for update', 400, {
+          type: 'NO_FIELDS',
+          allowedFields: ['name', 'filters', 'frequency', 'isActive'],
+        })
+      );
+    }
+    next();
+  },
+
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Name cannot be empty')
+    .isLength({ max: 100 })
+    .withMessage('Name must not exceed 100 characters'),
+
+  body('frequency')
+    .optional()
+    .isIn(['instant', 'daily'])
+    .withMessage('Frequency must be one of: instant, daily'),
+
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('isActive must be a boolean'),
+
+  ...filterRules,
+
+  handleValidationErrors,
+];
@@ -1,4 +1,70 @@
 import mongoose from 'mongoose';
+import { buildAdSearchFields } from '../utils/searchText.js';
+import { toBaseCurrency } from '../utils/currency.js';
+import { buildAdFingerprint } from '../utils/fingerprint.js';
+import { AD_STATUSES } from '../constants/adStatus.js';
+
+// Ad location: a locality from constants/localities.js plus a GeoJSON point
+// point defaults to the locality center when the seller gives no exact coordinates
+const locationSchema = new mongoose.Schema(
+  {
+    city: {
+      type: String,
+      trim: true,
+    },
+    citySlug: {
+      type: String,
+      trim: true,
+    },
+    region: {
+      type: String,
+      trim: true,
+    },
+    point: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: 'Point',
+      },
+      // GeoJSON order: [longitude, latitude]
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
+  },
+  { _id: false }
+);
+
+// One status change: who moved the ad from which status to which, and when
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      default: null, // null for the initial draft
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+    // User who made the change (null for system changes such as expiration)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    source: {
+      type: String,
+      enum: ['owner', 'system', 'moderator', 'admin'],
+      default: 'owner',
+    },
+  },
+  { _id: false }
+);
 
 const adSchema = new mongoose.Schema(
   {
@@ -24,10 +90,30 @@ const adSchema = new mongoose.Schema(
       default: 'EUR',
       enum: ['EUR', 'USD', 'MDL'],
     },
+    // Price converted to the base currency (EUR) - used for cross-currency filtering and sorting
+    // Maintained by the pre-save hook and services/exchangeRate.service.js - never set from request body
+    priceNormalized: {
+      type: Number,
+    },
     images: {
       type: [String],
       default: [],
     },
+    // Processed WebP variants per image (matched by url) - set by the upload pipeline
+    // Images uploaded before processing existed have no entry and are served as is
+    imageVariants: {
+      type: [
+        {
+          _id: false,
+          url: { type: String, required: true },
+          thumbnail: String,
+          medium: String,
+          large: String,
+          hash: String, // Perceptual hash for duplicate detection
+        },
+      ],
+      default: [],
+    },
     categorySlug: {
       type: String,
       required: [true, 'Category is required'],
@@ -38,25 +124,149 @@ const adSchema = new mongoose.Schema(
       required: false, // Optional
       trim: true,
     },
+    // Typed attribute values (number, boolean, string) validated against constants/attributeSchemas.js
     attributes: {
       type: Map,
-      of: String,
+      of: mongoose.Schema.Types.Mixed,
       default: {},
     },
+    location: {
+      type: locationSchema,
+      default: undefined,
+    },
     status: {
       type: String,
-      enum: ['draft', 'active', 'sold'],
+      enum: AD_STATUSES, // Transitions: constants/adStatus.js
       default: 'draft',
     },
+    // Last price change, shown publicly as a "price changed" indicator - set by updateAd
+    priceChange: {
+      previousPrice: Number,
+      previousCurrency: String,
+      changedAt: Date,
+      direction: {
+        type: String,
+        enum: ['up', 'down'],
+      },
+    },
+    // Scheduled publication time for drafts - services/adScheduler.service.js activates due drafts
+    publishAt: {
+      type: Date,
+    },
+    // Why the last scheduled publication failed (cleared when rescheduled)
+    publishError: {
+      type: String,
+    },
+    // When the ad was last marked sold - limits the reopen grace window
+    soldAt: {
+      type: Date,
+    },
+    // Last moderation round - maintained by services/moderation.service.js
+    // Visible to the owner (rejection reason) and moderators only
+    moderation: {
+      type: {
+        _id: false,
+        status: { type: String, enum: ['pending', 'approved', 'rejected'] },
+        // activation: first publication; edit: major edit of a listed ad;
+        // reports: hidden after REPORT_AUTO_HIDE_THRESHOLD user reports
+        trigger: { type: String, enum: ['activation', 'edit', 'reports'] },
+        // Status restored on approval of an edit or report review (active/reserved/paused)
+        previousStatus: String,
+        // Auto-approve rule that skipped the queue (trusted_seller, low_risk_category, staff, disabled)
+        autoApproved: String,
+        reason: String,
+        submittedAt: Date,
+        reviewedAt: Date,
+        reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      },
+      default: undefined,
+      select: false,
+    },
+    // Set when a moderator/admin force-removes the ad (ad is soft-deleted)
+    removal: {
+      type: {
+        _id: false,
+        reason: String,
+        removedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        removedAt: Date,
+      },
+      default: undefined,
+      select: false,
+    },
+    // Status changes, oldest first - appended with $push by services/adStatus.service.js
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: [],
+      select: false,
+    },
+    // Expiration lifecycle - maintained by updateAdStatus, renewAd and services/adExpiry.service.js
+    // expiresAt is set on activation; the sweep moves overdue active ads to 'expired'
+    expiresAt: {
+      type: Date,
+    },
+    expiredAt: {
+      type: Date,
+    },
+    // Set once the "expiring soon" reminder went out for the current expiresAt
+    expiryReminderSentAt: {
+      type: Date,
+    },
     isDeleted: {
       type: Boolean,
       default: false,
     },
+    // Set when the ad's category or subcategory is archived - hidden from public listings
+    // Maintained by services/category.service.js - never set from request body
+    categoryArchived: {
+      type: Boolean,
+      default: false,
+    },
+    // Set while the seller is banned or shadow-banned - hidden from everyone except the owner
+    // Maintained by services/accountStatus.service.js - select: false so the owner can't tell
+    sellerHidden: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: [true, 'User is required'],
     },
+    // Normalized (lowercase, no diacritics) copies used by the text index
+    // Maintained by the pre-save hook - never set from request body
+    searchTitle: {
+      type: String,
+      select: false,
+    },
+    searchContent: {
+      type: String,
+      select: false,
+    },
+    // Duplicate-detection fingerprint (text SimHash + image hashes, with LSH bands)
+    // Maintained by the pre-save hook - never set from request body
+    fingerprint: {
+      type: {
+        _id: false,
+        text: String,
+        textBands: [String],
+        images: [String],
+        imageBands: [String],
+      },
+      select: false,
+    },
+    // Set when the ad was saved as a near-duplicate with DUPLICATE_AD_ACTION=flag
+    duplicateOf: {
+      type: {
+        _id: false,
+        ad: { type: mongoose.Schema.Types.ObjectId, ref: 'Ad' },
+        scope: { type: String, enum: ['own', 'catalog'] },
+        matchedOn: [String],
+        detectedAt: Date,
+      },
+      default: undefined,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -66,12 +276,41 @@ const adSchema = new mongoose.Schema(
 
 // Indexes for performance
 adSchema.index({ price: 1 });
+adSchema.index({ priceNormalized: 1 });
 adSchema.index({ createdAt: -1 });
 adSchema.index({ status: 1 });
 adSchema.index({ user: 1 }); // Index for user queries
 adSchema.index({ isDeleted: 1 }); // Index for soft delete queries
+// Keyset (cursor) pagination indexes - sort key plus _id tiebreaker
+adSchema.index({ status: 1, createdAt: -1, _id: -1 });
+adSchema.index({ status: 1, priceNormalized: 1, _id: -1 });
+adSchema.index({ user: 1, createdAt: -1, _id: -1 });
+// Scheduled publishing
+adSchema.index({ status: 1, publishAt: 1 });
+// Moderation queue (oldest submission first)
+adSchema.index({ status: 1, 'moderation.submittedAt': 1 });
+// Expiration sweep and reminders
+adSchema.index({ status: 1, expiresAt: 1 });
+// Geo queries (near/bbox filters, distance sort) and city filter
+adSchema.index({ 'location.point': '2dsphere' });
+adSchema.index({ 'location.citySlug': 1, status: 1 });
 // Compound index for category filtering
 adSchema.index({ categorySlug: 1, subCategorySlug: 1, status: 1, createdAt: -1 });
+// Wildcard index for generic attribute filters (attr[key]=..., attr[key][gte]=...)
+adSchema.index({ 'attributes.$**': 1 });
+// Duplicate detection candidates (LSH bands)
+adSchema.index({ 'fingerprint.textBands': 1 });
+adSchema.index({ 'fingerprint.imageBands': 1 });
+// Full-text search index (title weighted above description + attribute values)
+// default_language 'none' disables stemming - text is already normalized by buildAdSearchFields
+adSchema.index(
+  { searchTitle: 'text', searchContent: 'text' },
+  {
+    name: 'ad_text_search',
+    weights: { searchTitle: 10, searchContent: 3 },
+    default_language: 'none',
+  }
+);
 
 // Prevent modification of protected fields
 adSchema.pre('save', function () {
@@ -88,11 +327,40 @@ adSchema.pre('save', function () {
   }
 });
 
+// Keep normalized search fields in sync with searchable content
+adSchema.pre('save', function () {
+  if (this.isNew || this.isModified('title') || this.isModified('description') || this.isModified('attributes')) {
+    const { searchTitle, searchContent } = buildAdSearchFields(this);
+    this.searchTitle = searchTitle;
+    this.searchContent = searchContent;
+  }
+});
+
+// Keep the duplicate-detection fingerprint in sync with title, description and images
+adSchema.pre('save', function () {
+  if (this.isNew || this.isModified('title') || this.isModified('description') || this.isModified('imageVariants')) {
+    this.fingerprint = buildAdFingerprint(this);
+  }
+});
+
+// Keep the normalized (EUR) price in sync with price/currency
+adSchema.pre('save', function () {
+  if (this.isNew || this.isModified('price') || this.isModified('currency') || this.priceNormalized === undefined) {
+    this.priceNormalized = toBaseCurrency(this.price, this.currency);
+  }
+});
+
+// Fields maintained by the server in update queries - never taken from request bodies
+// (updatedAt is added to $set by timestamps on every update; expiryReminderSentAt claims
+// a reminder in services/adExpiry.service.js; publishError records a failed scheduled
+// publication in services/adScheduler.service.js)
+const SERVER_UPDATE_FIELDS = ['updatedAt', 'expiryReminderSentAt', 'publishError'];
+
 // Prevent setting unknown fields in update operations
 adSchema.pre(['updateOne', 'findOneAndUpdate'], function () {
-  const allowedFields = ['title', 'description', 'price', 'currency', 'images', 'status', 'isDeleted', 'categorySlug', 'subCategorySlug', 'attributes'];
+  const allowedFields = ['title', 'description', 'price', 'currency', 'images', 'status', 'isDeleted', 'categorySlug', 'subCategorySlug', 'attributes', ...SERVER_UPDATE_FIELDS];
   const update = this.getUpdate();
-  
+
   if (update.$set) {
     const fields = Object.keys(update.$set);
     const invalidFields = fields.filter((field) => !allowedFields.includes(field));
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+/**
+ * Immutable snapshot of an ad's editable content after a change
+ * Written by services/adRevision.service.js - never updated or deleted through the API
+ */
+const adRevisionSchema = new mongoose.Schema(
+  {
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ad',
+      required: true,
+    },
+    // 1, 2, 3... per ad
+    revision: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // baseline: state before the first tracked change (ads created before revisions existed)
+    source: {
+      type: String,
+      enum: ['create', 'baseline', 'update', 'images'],
+      required: true,
+    },
+    // Top-level fields that differ from the previous revision
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    snapshot: {
+      title: String,
+      description: String,
+      price: Number,
+      currency: String,
+      categorySlug: String,
+      subCategorySlug: String,
+      attributes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+      },
+      images: {
+        type: [String],
+        default: [],
+      },
+      location: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+      },
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    strict: true,
+  }
+);
+
+adRevisionSchema.index({ ad: 1, revision: 1 }, { unique: true });
+
+// Revisions are append-only
+const rejectMutation = function () {
+  throw new Error('Ad revisions are immutable');
+};
+adRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+adRevisionSchema.pre('save', function () {
+  if (!this.isNew) {
+    throw new Error('Ad revisions are immutable');
+  }
+});
+
+const AdRevision = mongoose.model('AdRevision', adRevisionSchema);
+
+export default AdRevision;
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Label translations keyed by locale (the default Romanian label lives in `label`)
+const labelsSchema = new mongoose.Schema(
+  {
+    ru: { type: String, trim: true, maxlength: [100, 'Label must not exceed 100 characters'] },
+    en: { type: String, trim: true, maxlength: [100, 'Label must not exceed 100 characters'] },
+  },
+  { _id: false }
+);
+
+const subcategorySchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: [true, 'Slug is required'],
+      trim: true,
+      lowercase: true,
+      match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, digits and hyphens'],
+    },
+    label: {
+      type: String,
+      required: [true, 'Label is required'],
+      trim: true,
+      maxlength: [100, 'Label must not exceed 100 characters'],
+    },
+    labels: {
+      type: labelsSchema,
+      default: () => ({}),
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+const categorySchema = new mongoose.Schema(
+  {
+    // Slugs are referenced by ads (Ad.categorySlug) and attribute schemas, so they never change
+    slug: {
+      type: String,
+      required: [true, 'Slug is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      match: [SLUG_PATTERN, 'Slug may only contain lowercase letters, digits and hyphens'],
+      immutable: true,
+    },
+    label: {
+      type: String,
+      required: [true, 'Label is required'],
+      trim: true,
+      maxlength: [100, 'Label must not exceed 100 characters'],
+    },
+    labels: {
+      type: labelsSchema,
+      default: () => ({}),
+    },
+    order: {
+      type: Number,
+      default: 0,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    archivedAt: {
+      type: Date,
+      default: null,
+    },
+    subcategories: {
+      type: [subcategorySchema],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+    strict: true, // Reject unknown fields
+  }
+);
+
+categorySchema.index({ order: 1 });
+
+// Subcategory slugs must be unique within their category
+categorySchema.pre('validate', function () {
+  const slugs = this.subcategories.map((sub) => sub.slug);
+  const duplicate = slugs.find((slug, index) => slugs.indexOf(slug) !== index);
+  if (duplicate) {
+    this.invalidate('subcategories', `Subcategory slug '${duplicate}' already exists`);
+  }
+});
+
+const Category = mongoose.model('Category', categorySchema);
+
+export default Category;
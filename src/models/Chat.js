@@ -41,6 +41,24 @@ const chatSchema = new mongoose.Schema(
       ref: 'Message',
       default: null,
     },
+    // Time of the last visible message (creation time until the first one) - set by sendMessage
+    // Chat lists are ordered by it; unlike updatedAt no other write moves a chat in the list
+    lastMessageAt: {
+      type: Date,
+      default: Date.now,
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Started while the starter was shadow-banned - only the starter sees it, until they send a
+    // message that is not held back (see Message.heldBack). select: false so the starter can't tell
+    heldBack: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -113,6 +131,9 @@ chatSchema.pre('save', function (next) {
 // Indexes for efficient queries (NOT unique - allows unlimited chats)
 chatSchema.index({ participants: 1 });
 chatSchema.index({ user1: 1, user2: 1 });
+// Cursor pagination of a user's chat list (latest message first)
+chatSchema.index({ user1: 1, lastMessageAt: -1, _id: -1 });
+chatSchema.index({ user2: 1, lastMessageAt: -1, _id: -1 });
 
 const Chat = mongoose.model('Chat', chatSchema);
 
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import {
+  CONTENT_RULE_TYPES,
+  CONTENT_RULE_ACTIONS,
+  CONTENT_RULE_FIELDS,
+} from '../constants/contentRules.js';
+
+const contentRuleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name must not exceed 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description must not exceed 500 characters'],
+    },
+    type: {
+      type: String,
+      enum: CONTENT_RULE_TYPES,
+      required: [true, 'Type is required'],
+    },
+    // type: keyword
+    keywords: {
+      type: [String],
+      default: undefined,
+    },
+    // type: regex
+    pattern: {
+      type: String,
+      maxlength: [500, 'Pattern must not exceed 500 characters'],
+    },
+    flags: {
+      type: String,
+      default: 'i',
+    },
+    action: {
+      type: String,
+      enum: CONTENT_RULE_ACTIONS,
+      required: [true, 'Action is required'],
+    },
+    fields: {
+      type: [{ type: String, enum: CONTENT_RULE_FIELDS }],
+      default: CONTENT_RULE_FIELDS,
+    },
+    // Category slugs the rule is limited to (empty = all categories)
+    // Category-scoped rules only apply to ads, never to chat messages
+    categories: {
+      type: [String],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+    strict: true,
+  }
+);
+
+contentRuleSchema.index({ isActive: 1 });
+
+const ContentRule = mongoose.model('ContentRule', contentRuleSchema);
+
+export default ContentRule;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+/**
+ * Exchange rate of one currency against the base currency (EUR)
+ * rate = units of `currency` per 1 EUR
+ */
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: [true, 'Currency is required'],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    rate: {
+      type: Number,
+      required: [true, 'Rate is required'],
+      min: [0, 'Rate must be positive'],
+    },
+    // Provider that produced the rate ('file', 'manual', ...)
+    source: {
+      type: String,
+      default: 'manual',
+    },
+  },
+  {
+    timestamps: true,
+    strict: true, // Reject unknown fields
+  }
+);
+
+const ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
+
+export default ExchangeRate;
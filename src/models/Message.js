@@ -31,6 +31,13 @@ const messageSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    // Sent while the sender was shadow-banned - only the sender sees it
+    // select: false so the sender can't tell
+    heldBack: {
+      type: Boolean,
+      default: false,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -40,6 +47,7 @@ const messageSchema = new mongoose.Schema(
 
 // Compound indexes for efficient message queries
 messageSchema.index({ chat: 1, createdAt: 1 });
+messageSchema.index({ chat: 1, createdAt: -1, _id: -1 }); // Cursor pagination (newest first)
 messageSchema.index({ receiver: 1, isRead: 1 });
 messageSchema.index({ chat: 1, receiver: 1, isRead: 1 });
 
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * One point of an ad's price timeline
+ * Written by services/priceHistory.service.js when updateAd changes price or currency
+ */
+const priceHistorySchema = new mongoose.Schema(
+  {
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ad',
+      required: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      required: true,
+    },
+    // Price in base currency at the time of the change (comparable across currencies)
+    priceNormalized: {
+      type: Number,
+    },
+    // initial: price the ad had before its first tracked change
+    source: {
+      type: String,
+      enum: ['initial', 'update'],
+      default: 'update',
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+    strict: true,
+  }
+);
+
+priceHistorySchema.index({ ad: 1, changedAt: 1 });
+
+const PriceHistory = mongoose.model('PriceHistory', priceHistorySchema);
+
+export default PriceHistory;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// One refresh token of a session - only the SHA-256 hash is stored
+// Every refresh rotates the token: the used one is revoked and points to its successor.
+// All tokens issued from one login share a family, which is revoked as a whole on reuse or logout
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+    },
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    // rotated: replaced by replacedBy; reuse: family revoked after a rotated token came back;
+    // logout / logout_all: revoked by the user; password_change: password changed or reset
+    revokedReason: {
+      type: String,
+      enum: ['rotated', 'reuse', 'logout', 'logout_all', 'password_change'],
+    },
+    replacedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'RefreshToken',
+    },
+    // Client details, for the user's session list and incident review
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+// Expired tokens are dropped by MongoDB - past expiry a token is never accepted, reused or not
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,105 @@
+import mongoose from 'mongoose';
+import { REPORT_TARGET_TYPES, REPORT_REASONS, REPORT_STATUSES } from '../constants/reports.js';
+
+// Triage step (escalate, resolve, dismiss), oldest first
+const triageEntrySchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: ['escalated', 'resolved', 'dismissed'],
+      required: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note must not exceed 1000 characters'],
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const reportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'Reporter is required'],
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: [true, 'Target type is required'],
+    },
+    // Ad, User or Message id (see targetType)
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, 'Target is required'],
+    },
+    // User responsible for the target: ad owner, message sender, or the reported user
+    targetOwner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // Copy of the reported content at report time (ad title, message text)
+    snapshot: {
+      type: String,
+      maxlength: 2000,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: [true, 'Reason is required'],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Note must not exceed 1000 characters'],
+    },
+    status: {
+      type: String,
+      enum: REPORT_STATUSES,
+      default: 'open',
+    },
+    triage: {
+      type: [triageEntrySchema],
+      default: [],
+    },
+    // Set when resolved or dismissed (null while open/escalated)
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    strict: true,
+  }
+);
+
+// One active report per reporter and target (dedupe) - closed reports don't block a new one
+reportSchema.index(
+  { reporter: 1, targetType: 1, target: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { closedAt: { $type: 'null' } },
+  }
+);
+// Unique reporters per target (auto-hide threshold)
+reportSchema.index({ targetType: 1, target: 1, status: 1 });
+// Triage queue, oldest first
+reportSchema.index({ status: 1, createdAt: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
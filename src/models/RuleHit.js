@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import {
+  CONTENT_RULE_ACTIONS,
+  CONTENT_RULE_FIELDS,
+  CONTENT_RULE_CONTEXTS,
+} from '../constants/contentRules.js';
+
+/**
+ * A content rule match, recorded for moderators
+ * Blocked requests have no ad/message (nothing was saved)
+ */
+const ruleHitSchema = new mongoose.Schema(
+  {
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ContentRule',
+      required: true,
+    },
+    // Rule name at hit time (rules can be renamed or deleted)
+    ruleName: {
+      type: String,
+      required: true,
+    },
+    action: {
+      type: String,
+      enum: CONTENT_RULE_ACTIONS,
+      required: true,
+    },
+    context: {
+      type: String,
+      enum: CONTENT_RULE_CONTEXTS,
+      required: true,
+    },
+    field: {
+      type: String,
+      enum: CONTENT_RULE_FIELDS,
+      required: true,
+    },
+    // Matched text (first few matches, truncated)
+    matches: {
+      type: [String],
+      default: [],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    ad: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ad',
+    },
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+    },
+    categorySlug: {
+      type: String,
+    },
+    // Flag hits stay unreviewed until a moderator approves the ad or marks the hit reviewed
+    reviewed: {
+      type: Boolean,
+      default: false,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    reviewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+    strict: true,
+  }
+);
+
+// Moderator list (newest first) and unreviewed flags per ad
+ruleHitSchema.index({ reviewed: 1, createdAt: -1 });
+ruleHitSchema.index({ ad: 1, action: 1, reviewed: 1 });
+ruleHitSchema.index({ rule: 1, createdAt: -1 });
+
+const RuleHit = mongoose.model('RuleHit', ruleHitSchema);
+
+export default RuleHit;
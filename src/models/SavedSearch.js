@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const savedSearchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: [true, 'User is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [100, 'Name must not exceed 100 characters'],
+    },
+    // Same filters accepted by GET /api/ads (see utils/adQuery.js)
+    filters: {
+      search: { type: String, trim: true },
+      categorySlug: { type: String, trim: true },
+      subCategorySlug: { type: String, trim: true },
+      minPrice: { type: Number, min: 0 },
+      maxPrice: { type: Number, min: 0 },
+      currency: { type: String, enum: ['EUR', 'USD', 'MDL'] },
+      attributes: {
+        type: Map,
+        of: String,
+        default: {},
+      },
+    },
+    frequency: {
+      type: String,
+      enum: ['instant', 'daily'],
+      default: 'instant',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Token used in unsubscribe links (no auth required to unsubscribe)
+    unsubscribeToken: {
+      type: String,
+      select: false,
+      index: true,
+    },
+    // Matches waiting for the next daily digest
+    pendingAds: {
+      type: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Ad',
+        },
+      ],
+      default: [],
+      select: false,
+    },
+    lastNotifiedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    strict: true, // Reject unknown fields
+  }
+);
+
+// Candidate lookup when an ad is activated
+savedSearchSchema.index({ isActive: 1, 'filters.categorySlug': 1 });
+
+// Generate unsubscribe token on creation
+savedSearchSchema.pre('save', function () {
+  if (this.isNew && !this.unsubscribeToken) {
+    this.unsubscribeToken = crypto.randomBytes(32).toString('hex');
+  }
+});
+
+const SavedSearch = mongoose.model('SavedSearch', savedSearchSchema);
+
+export default SavedSearch;
@@ -1,6 +1,38 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
+import { ROLES } from '../constants/roles.js';
+import { ACCOUNT_STATUSES } from '../constants/accountStatus.js';
+
+// Account state change (moderator action or expiry), oldest first
+const accountStatusHistorySchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      required: true,
+    },
+    to: {
+      type: String,
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    until: {
+      type: Date,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -22,6 +54,35 @@ const userSchema = new mongoose.Schema(
       minlength: [6, 'Password must be at least 6 characters'],
       select: false, // Don't return password by default
     },
+    role: {
+      type: String,
+      enum: ROLES,
+      default: 'user',
+    },
+    // Account state (constants/accountStatus.js) - changed only through services/accountStatus.service.js
+    // suspendedUntil empty = suspended until lifted by a moderator
+    accountStatus: {
+      type: String,
+      enum: ACCOUNT_STATUSES,
+      default: 'active',
+    },
+    suspendedUntil: {
+      type: Date,
+    },
+    statusReason: {
+      type: String,
+      trim: true,
+    },
+    statusChangedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Every account state change with its reason and moderator
+    accountStatusHistory: {
+      type: [accountStatusHistorySchema],
+      default: [],
+      select: false,
+    },
     favorites: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -40,6 +101,13 @@ const userSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    // Bumped to invalidate every access token issued so far (password change, logout everywhere)
+    // Access tokens carry it as the "tv" claim - checked by protect
+    tokenVersion: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -47,6 +115,9 @@ const userSchema = new mongoose.Schema(
   }
 );
 
+// Lookup of users who favorited an ad (price-drop notifications)
+userSchema.index({ favorites: 1 });
+
 // Prevent modification of protected fields
 userSchema.pre('save', function () {
   // Prevent overriding _id, createdAt, updatedAt
@@ -70,6 +141,34 @@ userSchema.pre('save', async function () {
   this.passwordChangedAt = Date.now();
 });
 
+// Check whether an access token was issued before the last password change
+// iat has second precision - tokens signed in the same second as the change still pass
+// (changes through the API also bump tokenVersion, which covers them)
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt) {
+    return false;
+  }
+  return issuedAt < Math.floor(this.passwordChangedAt.getTime() / 1000);
+};
+
+// Check whether the account is currently suspended (timed suspensions end on their own)
+userSchema.methods.isSuspended = function (now = new Date()) {
+  if (this.accountStatus !== 'suspended') {
+    return false;
+  }
+  return !this.suspendedUntil || this.suspendedUntil > now;
+};
+
+// Check whether the account is banned
+userSchema.methods.isBanned = function () {
+  return this.accountStatus === 'banned';
+};
+
+// Check whether the account is shadow-banned
+userSchema.methods.isShadowBanned = function () {
+  return this.accountStatus === 'shadow_banned';
+};
+
 // Method to compare password
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
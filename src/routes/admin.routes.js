@@ -0,0 +1,243 @@
+import express from 'express';
+import {
+  listUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  banUser,
+  shadowBanUser,
+  reinstateUser,
+  removeAd,
+  getModerationQueue,
+  approveModeration,
+  rejectModeration,
+} from '../controllers/admin.controller.js';
+import {
+  listReports,
+  getReport,
+  resolveReport,
+  dismissReport,
+  escalateReport,
+} from '../controllers/report.controller.js';
+import { protect, requirePermission } from '../middlewares/auth.middleware.js';
+import { apiLimiter } from '../middlewares/rateLimit.middleware.js';
+import { validateUpdateRole, validateSuspendUser, validateReason } from '../middlewares/validateAdmin.middleware.js';
+import {
+  loadContentRule,
+  listContentRules,
+  createContentRule,
+  updateContentRule,
+  deleteContentRule,
+  listRuleHits,
+  reviewRuleHit,
+} from '../controllers/contentRule.controller.js';
+import { validateTriageReport } from '../middlewares/validateReport.middleware.js';
+import {
+  validateCreateContentRule,
+  validateUpdateContentRule,
+} from '../middlewares/validateContentRule.middleware.js';
+import { validateObjectId } from '../middlewares/validateId.middleware.js';
+import { PERMISSIONS } from '../constants/roles.js';
+
+const router = express.Router();
+
+// ============================================
+// STAFF ROUTES (role: moderator or admin - permissions in constants/roles.js)
+// ============================================
+
+router.use(protect, apiLimiter);
+
+/**
+ * @route   GET /api/admin/users
+ * @desc    List/search users (search by name or email, filter by role and accountStatus)
+ * @access  Private (users:read - moderator, admin)
+ */
+router.get('/users', requirePermission(PERMISSIONS.USERS_READ), listUsers);
+
+/**
+ * @route   GET /api/admin/users/:id
+ * @desc    Get a user with ad counts per status and account status history
+ * @access  Private (users:read - moderator, admin)
+ */
+router.get('/users/:id', requirePermission(PERMISSIONS.USERS_READ), getUser);
+
+/**
+ * @route   PATCH /api/admin/users/:id/role
+ * @desc    Change a user's role (user, moderator, admin)
+ * @access  Private (users:manage_roles - admin)
+ */
+router.patch('/users/:id/role', requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), validateUpdateRole, updateUserRole);
+
+/**
+ * @route   POST /api/admin/users/:id/suspend
+ * @desc    Suspend a user - Body: { reason, until? (ISO 8601) }
+ * @access  Private (users:suspend - moderator, admin)
+ */
+router.post('/users/:id/suspend', requirePermission(PERMISSIONS.USERS_SUSPEND), validateSuspendUser, suspendUser);
+
+/**
+ * @route   POST /api/admin/users/:id/ban
+ * @desc    Ban a user (can't sign in, ads hidden) - Body: { reason }
+ * @access  Private (users:suspend - moderator, admin)
+ */
+router.post('/users/:id/ban', requirePermission(PERMISSIONS.USERS_SUSPEND), validateReason, banUser);
+
+/**
+ * @route   POST /api/admin/users/:id/shadow-ban
+ * @desc    Shadow-ban a user (ads hidden from others, messages held back) - Body: { reason }
+ * @access  Private (users:suspend - moderator, admin)
+ */
+router.post('/users/:id/shadow-ban', requirePermission(PERMISSIONS.USERS_SUSPEND), validateReason, shadowBanUser);
+
+/**
+ * @route   POST /api/admin/users/:id/reinstate
+ * @desc    Lift a suspension, ban or shadow-ban - Body: { reason }
+ * @access  Private (users:suspend - moderator, admin)
+ */
+router.post('/users/:id/reinstate', requirePermission(PERMISSIONS.USERS_SUSPEND), validateReason, reinstateUser);
+
+/**
+ * @route   DELETE /api/admin/ads/:id
+ * @desc    Force-remove an ad (soft delete) - Body: { reason }
+ * @access  Private (ads:remove - moderator, admin)
+ */
+router.delete('/ads/:id', requirePermission(PERMISSIONS.ADS_REMOVE), validateReason, removeAd);
+
+/**
+ * @route   GET /api/admin/moderation
+ * @desc    Ads waiting for review, oldest first (?trigger=activation|edit|reports)
+ * @access  Private (ads:moderate - moderator, admin)
+ */
+router.get('/moderation', requirePermission(PERMISSIONS.ADS_MODERATE), getModerationQueue);
+
+/**
+ * @route   POST /api/admin/moderation/:id/approve
+ * @desc    Approve an ad (activation goes live, edit/reports restore the previous status)
+ * @access  Private (ads:moderate - moderator, admin)
+ */
+router.post('/moderation/:id/approve', requirePermission(PERMISSIONS.ADS_MODERATE), approveModeration);
+
+/**
+ * @route   POST /api/admin/moderation/:id/reject
+ * @desc    Reject an ad - it returns to draft with the reason - Body: { reason }
+ * @access  Private (ads:moderate - moderator, admin)
+ */
+router.post('/moderation/:id/reject', requirePermission(PERMISSIONS.ADS_MODERATE), validateReason, rejectModeration);
+
+/**
+ * @route   GET /api/admin/reports
+ * @desc    Reports to triage, oldest first (?status=open|escalated|resolved|dismissed - default open and escalated,
+ *          ?targetType=ad|user|message, ?reason, ?targetId)
+ * @access  Private (reports:triage - moderator, admin)
+ */
+router.get('/reports', requirePermission(PERMISSIONS.REPORTS_TRIAGE), listReports);
+
+/**
+ * @route   GET /api/admin/reports/:id
+ * @desc    Report details with the current target and its number of unique open reporters
+ * @access  Private (reports:triage - moderator, admin)
+ */
+router.get('/reports/:id', requirePermission(PERMISSIONS.REPORTS_TRIAGE), validateObjectId, getReport);
+
+/**
+ * @route   POST /api/admin/reports/:id/resolve
+ * @desc    Resolve a report (action was taken) - Body: { note? }
+ * @access  Private (reports:triage - moderator, admin; escalated reports: reports:escalated - admin)
+ */
+router.post(
+  '/reports/:id/resolve',
+  requirePermission(PERMISSIONS.REPORTS_TRIAGE),
+  validateObjectId,
+  validateTriageReport,
+  resolveReport
+);
+
+/**
+ * @route   POST /api/admin/reports/:id/dismiss
+ * @desc    Dismiss a report (nothing to act on) - Body: { note? }
+ * @access  Private (reports:triage - moderator, admin; escalated reports: reports:escalated - admin)
+ */
+router.post(
+  '/reports/:id/dismiss',
+  requirePermission(PERMISSIONS.REPORTS_TRIAGE),
+  validateObjectId,
+  validateTriageReport,
+  dismissReport
+);
+
+/**
+ * @route   POST /api/admin/reports/:id/escalate
+ * @desc    Escalate an open report to admins - Body: { note? }
+ * @access  Private (reports:triage - moderator, admin)
+ */
+router.post(
+  '/reports/:id/escalate',
+  requirePermission(PERMISSIONS.REPORTS_TRIAGE),
+  validateObjectId,
+  validateTriageReport,
+  escalateReport
+);
+
+/**
+ * @route   GET /api/admin/content-rules
+ * @desc    Banned-content rules (active and inactive) with hit counts
+ * @access  Private (content_rules:manage - admin)
+ */
+router.get('/content-rules', requirePermission(PERMISSIONS.CONTENT_RULES_MANAGE), listContentRules);
+
+/**
+ * @route   POST /api/admin/content-rules
+ * @desc    Create a rule - applies immediately (cache reload, other instances within CONTENT_RULE_CACHE_REFRESH_MS)
+ * @access  Private (content_rules:manage - admin)
+ *
+ * Body: { name, type: keyword|regex, keywords[] | pattern (+ flags), action: block|mask|flag,
+ *         fields?: [title, description, message], categories?: [slug], isActive?, description? }
+ */
+router.post(
+  '/content-rules',
+  requirePermission(PERMISSIONS.CONTENT_RULES_MANAGE),
+  validateCreateContentRule,
+  createContentRule
+);
+
+/**
+ * @route   PATCH /api/admin/content-rules/:id
+ * @desc    Update a rule (isActive: false disables it) - applies immediately
+ * @access  Private (content_rules:manage - admin)
+ */
+router.patch(
+  '/content-rules/:id',
+  requirePermission(PERMISSIONS.CONTENT_RULES_MANAGE),
+  validateObjectId,
+  loadContentRule,
+  validateUpdateContentRule,
+  updateContentRule
+);
+
+/**
+ * @route   DELETE /api/admin/content-rules/:id
+ * @desc    Delete a rule (recorded hits are kept)
+ * @access  Private (content_rules:manage - admin)
+ */
+router.delete(
+  '/content-rules/:id',
+  requirePermission(PERMISSIONS.CONTENT_RULES_MANAGE),
+  validateObjectId,
+  deleteContentRule
+);
+
+/**
+ * @route   GET /api/admin/rule-hits
+ * @desc    Recorded rule hits, newest first (?reviewed=true|false, ?action, ?context, ?rule, ?user, ?ad)
+ * @access  Private (rule_hits:read - moderator, admin)
+ */
+router.get('/rule-hits', requirePermission(PERMISSIONS.RULE_HITS_READ), listRuleHits);
+
+/**
+ * @route   POST /api/admin/rule-hits/:id/review
+ * @desc    Mark a hit as reviewed (approving an ad marks its hits reviewed too)
+ * @access  Private (rule_hits:read - moderator, admin)
+ */
+router.post('/rule-hits/:id/review', requirePermission(PERMISSIONS.RULE_HITS_READ), validateObjectId, reviewRuleHit);
+
+export default router;
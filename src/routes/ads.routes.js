@@ -1,22 +1,33 @@
 import express from 'express';
 import {
   getAds,
+  getAdFacets,
+  getLocalities,
   getAdById,
   getMyAds,
   createAd,
   updateAd,
   updateAdStatus,
+  renewAd,
+  getAdStatusHistory,
+  getAdRevisions,
+  getAdPriceHistory,
+  getAdRevisionDiff,
+  scheduleAd,
+  cancelAdSchedule,
   deleteAd,
   deleteAdImage,
   setAdCover,
+  addAdImages,
+  reorderAdImages,
 } from '../controllers/ads.controller.js';
-import { protect } from '../middlewares/auth.middleware.js';
+import { protect, optionalAuth } from '../middlewares/auth.middleware.js';
 import { apiLimiter } from '../middlewares/rateLimit.middleware.js';
-import { validateUpdateStatus } from '../middlewares/validate.middleware.js';
+import { validateUpdateStatus, validateScheduleAd } from '../middlewares/validate.middleware.js';
 import { validateCreateAd } from '../middlewares/validateAd.middleware.js';
 import { validateAdUpdate } from '../middlewares/validateAdUpdate.middleware.js';
 import { checkAdOwnership } from '../middlewares/adOwnership.middleware.js';
-import { uploadImages, uploadToCloudinary } from '../middlewares/upload.middleware.js';
+import { uploadImages, uploadToStorage, checkAdImageCapacity } from '../middlewares/upload.middleware.js';
 
 const router = express.Router();
 
@@ -28,8 +39,38 @@ const router = express.Router();
  * @route   GET /api/ads
  * @desc    Get all active ads with filters, search, pagination
  * @access  Public
+ *
+ * Attribute filters: attr[fuel]=diesel, attr[fuel][in]=diesel,hybrid,
+ * attr[year][gte]=2015, attr[mileage][lte]=150000 (keys from the category's attribute schema)
+ * Prices: minPrice/maxPrice are in displayCurrency (default EUR) and compared across currencies;
+ * displayCurrency=MDL also adds a converted displayPrice to each ad
+ * Location: city=chisinau, near=lat,lng&radiusKm=10, bbox=minLng,minLat,maxLng,maxLat;
+ * sort=distance (with near) orders nearest first and adds distanceKm to each ad
+ * Pagination: page/limit, or cursor=<pagination.nextCursor> for stable infinite scroll
+ * (newest, price_asc, price_desc); includeTotal=false skips the total count
+ * Images: each ad has `thumbnail` (cover image, small WebP variant); variants are on GET /api/ads/:id
+ * Ads of banned and shadow-banned sellers are hidden (a signed-in shadow-banned seller still sees their own)
  */
-router.get('/', getAds);
+router.get('/', optionalAuth, getAds);
+
+/**
+ * @route   GET /api/ads/facets
+ * @desc    Get facet counts (categories, subcategories, currencies, attributes, price ranges)
+ *          for the same filters accepted by GET /api/ads
+ * @access  Public
+ *
+ * NOTE: This route MUST be before /:id to be matched correctly
+ */
+router.get('/facets', getAdFacets);
+
+/**
+ * @route   GET /api/ads/localities
+ * @desc    Get Moldova localities (slug, name, region, coordinates) for ad locations and the city filter
+ * @access  Public
+ *
+ * NOTE: This route MUST be before /:id to be matched correctly
+ */
+router.get('/localities', getLocalities);
 
 // ============================================
 // PROTECTED ROUTES (Authentication required)
@@ -37,9 +78,12 @@ router.get('/', getAds);
 
 /**
  * @route   GET /api/ads/my
- * @desc    Get current user's ads (all statuses: draft/active/sold)
+ * @desc    Get current user's ads (all statuses: draft/active/reserved/paused/sold/expired)
  * @access  Private
  * @middleware protect - JWT authentication required
+ *
+ * Optional cursor pagination: limit, cursor=<pagination.nextCursor>
+ * Scheduled drafts (publishAt set) are returned separately in `scheduled`
  * 
  * NOTE: This route MUST be before /:id to be matched correctly
  */
@@ -66,22 +110,62 @@ router.get('/:id', getAdById);
  * @access  Private
  * @middleware protect - JWT authentication required
  * @middleware uploadImages - Handle multipart/form-data
- * @middleware uploadToCloudinary - Upload to Cloudinary (required)
+ * @middleware uploadToStorage - Upload to image storage (required)
  * @middleware validateCreateAd - Validate ad data
+ *
+ * Near-duplicates of listed ads are handled by DUPLICATE_AD_ACTION
+ * (flag - default: saved for review, reject: 409 DUPLICATE_AD, merge: 200 with the existing ad and merged: true)
  */
 router.post(
   '/',
   protect,
   apiLimiter,
   uploadImages,
-  uploadToCloudinary(true), // Images required for creation
+  uploadToStorage(true), // Images required for creation
   validateCreateAd,
   createAd
 );
 
+/**
+ * @route   GET /api/ads/:id/history
+ * @desc    Get ad status history (from, to, at, actor) and allowed next statuses
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ * @middleware checkAdOwnership - Only ad owner can view the history
+ */
+router.get('/:id/history', protect, checkAdOwnership, getAdStatusHistory);
+
+/**
+ * @route   GET /api/ads/:id/price-history
+ * @desc    Price timeline of a listed ad (oldest first)
+ * @access  Public
+ */
+router.get('/:id/price-history', getAdPriceHistory);
+
+/**
+ * @route   GET /api/ads/:id/revisions
+ * @desc    List ad revisions (snapshot after each update or image change), newest first
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ * @middleware checkAdOwnership - Only ad owner can view revisions
+ */
+router.get('/:id/revisions', protect, checkAdOwnership, getAdRevisions);
+
+/**
+ * @route   GET /api/ads/:id/revisions/diff?from=1&to=3
+ * @desc    Field-level diff between two revisions (default: latest vs. previous)
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ * @middleware checkAdOwnership - Only ad owner can view revisions
+ */
+router.get('/:id/revisions/diff', protect, checkAdOwnership, getAdRevisionDiff);
+
 /**
  * @route   PATCH /api/ads/:id/status
- * @desc    Update ad status only (draft → active → sold)
+ * @desc    Update ad status only - transitions in constants/adStatus.js
+ *          (draft → active; active ⇄ reserved/paused; → sold; sold → active within the grace window)
+ *          Publishing a draft goes to pending_review unless auto-approved (services/moderation.service.js);
+ *          pending_review → draft withdraws it from the queue
  * @access  Private (Owner only)
  * @middleware protect - JWT authentication required
  * @middleware checkAdOwnership - Only ad owner can update
@@ -91,6 +175,34 @@ router.post(
  */
 router.patch('/:id/status', protect, apiLimiter, checkAdOwnership, validateUpdateStatus, updateAdStatus);
 
+/**
+ * @route   POST /api/ads/:id/schedule
+ * @desc    Schedule a draft ad to be published at publishAt (ISO 8601, future, max 90 days)
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ * @middleware checkAdOwnership - Only ad owner can schedule
+ * @middleware validateScheduleAd - Validate publishAt
+ */
+router.post('/:id/schedule', protect, apiLimiter, checkAdOwnership, validateScheduleAd, scheduleAd);
+
+/**
+ * @route   DELETE /api/ads/:id/schedule
+ * @desc    Cancel a scheduled publication (ad stays draft)
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ * @middleware checkAdOwnership - Only ad owner can cancel
+ */
+router.delete('/:id/schedule', protect, apiLimiter, checkAdOwnership, cancelAdSchedule);
+
+/**
+ * @route   POST /api/ads/:id/renew
+ * @desc    Renew ad: extend an active ad or reactivate an expired one (new expiresAt)
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ * @middleware checkAdOwnership - Only ad owner can renew
+ */
+router.post('/:id/renew', protect, apiLimiter, checkAdOwnership, renewAd);
+
 /**
  * @route   PATCH /api/ads/:id/cover
  * @desc    Set cover image (first image in array)
@@ -98,7 +210,7 @@ router.patch('/:id/status', protect, apiLimiter, checkAdOwnership, validateUpdat
  * @middleware protect - JWT authentication required
  * @middleware checkAdOwnership - Only ad owner can set cover
  * 
- * Body: { "imageUrl": "https://res.cloudinary.com/..." }
+ * Body: { "imageUrl": "https://res.cloudinary.com/..." (or a local /uploads/... URL) }
  * 
  * NOTE: This route MUST be before /:id to be matched correctly
  */
@@ -106,14 +218,14 @@ router.patch('/:id/cover', protect, apiLimiter, checkAdOwnership, setAdCover);
 
 /**
  * @route   PATCH /api/ads/:id
- * @desc    Update ad (title, description, price, currency)
+ * @desc    Update ad (title, description, price, currency, category, attributes, location)
  * @access  Private (Owner only)
  * @middleware protect - JWT authentication required
  * @middleware checkAdOwnership - Only ad owner can update
  * @middleware validateAdUpdate - Validate update fields
  * 
  * NOTE: This route does NOT handle images or status updates
- * - Images: handled separately (if needed in future)
+ * - Images: POST /api/ads/:id/images, PUT /api/ads/:id/images/order, DELETE /api/ads/:id/images
  * - Status: use PATCH /api/ads/:id/status
  */
 router.patch(
@@ -125,6 +237,38 @@ router.patch(
   updateAd
 );
 
+/**
+ * @route   POST /api/ads/:id/images
+ * @desc    Upload images to an existing ad (appended; max 5 images per ad)
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ * @middleware checkAdOwnership - Only ad owner can add images
+ * @middleware uploadImages - Handle multipart/form-data ("images" field)
+ * @middleware checkAdImageCapacity - Reject sold ads and uploads over the cap
+ * @middleware uploadToStorage - Upload to image storage (presence checked by addAdImages)
+ */
+router.post(
+  '/:id/images',
+  protect,
+  apiLimiter,
+  checkAdOwnership,
+  uploadImages,
+  checkAdImageCapacity,
+  uploadToStorage(false),
+  addAdImages
+);
+
+/**
+ * @route   PUT /api/ads/:id/images/order
+ * @desc    Set the full order of an ad's images (first image is the cover)
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ * @middleware checkAdOwnership - Only ad owner can reorder images
+ *
+ * Body: { "images": ["https://res.cloudinary.com/..." (or a local /uploads/... URL), ...] } - all current images, each once
+ */
+router.put('/:id/images/order', protect, apiLimiter, checkAdOwnership, reorderAdImages);
+
 /**
  * @route   DELETE /api/ads/:id/images
  * @desc    Delete an image from an ad
@@ -132,7 +276,7 @@ router.patch(
  * @middleware protect - JWT authentication required
  * @middleware checkAdOwnership - Only ad owner can delete images
  * 
- * Body: { "imageUrl": "https://res.cloudinary.com/..." }
+ * Body: { "imageUrl": "https://res.cloudinary.com/..." (or a local /uploads/... URL) }
  * 
  * NOTE: This route MUST be before /:id to be matched correctly
  */
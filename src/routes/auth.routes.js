@@ -1,7 +1,15 @@
 import express from 'express';
-import { register, login, forgotPassword, resetPassword } from '../controllers/auth.controller.js';
-import { validateRegister, validateLogin, validateForgotPassword, validateResetPassword } from '../middlewares/validate.middleware.js';
-import { authLimiter, forgotPasswordLimiter, resetPasswordLimiter } from '../middlewares/rateLimit.middleware.js';
+import { register, login, refresh, logout, logoutAll, changePassword, forgotPassword, resetPassword } from '../controllers/auth.controller.js';
+import {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
+} from '../middlewares/validate.middleware.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { authLimiter, forgotPasswordLimiter, resetPasswordLimiter, refreshTokenLimiter } from '../middlewares/rateLimit.middleware.js';
 
 const router = express.Router();
 
@@ -11,7 +19,7 @@ const router = express.Router();
 
 /**
  * @route   POST /api/auth/register
- * @desc    Register a new user
+ * @desc    Register a new user (returns an access token + refresh token)
  * @access  Public
  * @middleware validateRegister - Validate input data (name, email, password)
  */
@@ -19,12 +27,29 @@ router.post('/register', validateRegister, register);
 
 /**
  * @route   POST /api/auth/login
- * @desc    Login user and get JWT token
+ * @desc    Login user and get an access token + refresh token
  * @access  Public
  * @middleware validateLogin - Validate input data (email, password format)
  */
 router.post('/login', validateLogin, login);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for new tokens (the refresh token is rotated) - Body: { refreshToken }
+ * @access  Public
+ * @middleware refreshTokenLimiter - Rate limit failed refresh attempts (10 prod / 30 dev per 15min)
+ * @middleware validateRefreshToken - Validate refresh token in body
+ */
+router.post('/refresh', refreshTokenLimiter, validateRefreshToken, refresh);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the session of a refresh token - Body: { refreshToken }
+ * @access  Public
+ * @middleware validateRefreshToken - Validate refresh token in body
+ */
+router.post('/logout', validateRefreshToken, logout);
+
 /**
  * @route   POST /api/auth/forgot-password
  * @desc    Request password reset link
@@ -43,5 +68,25 @@ router.post('/forgot-password', forgotPasswordLimiter, validateForgotPassword, f
  */
 router.post('/reset-password/:token', resetPasswordLimiter, validateResetPassword, resetPassword);
 
+// ============================================
+// PROTECTED ROUTES (Require authentication)
+// ============================================
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke all sessions of the current user (refresh tokens and issued access tokens)
+ * @access  Private
+ */
+router.post('/logout-all', protect, logoutAll);
+
+/**
+ * @route   POST /api/auth/change-password
+ * @desc    Change password and log out all other sessions - Body: { currentPassword, newPassword }
+ * @access  Private
+ * @middleware authLimiter - Rate limit current password guesses (production only)
+ * @middleware validateChangePassword - Validate current and new password
+ */
+router.post('/change-password', protect, authLimiter, validateChangePassword, changePassword);
+
 export default router;
 
@@ -1,14 +1,153 @@
 import express from 'express';
 import { getCategories } from '../controllers/ads.controller.js';
+import {
+  getAllCategoriesAdmin,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  reorderCategories,
+  archiveCategory,
+  unarchiveCategory,
+  addSubcategory,
+  updateSubcategory,
+  deleteSubcategory,
+  reorderSubcategories,
+  archiveSubcategory,
+  unarchiveSubcategory,
+} from '../controllers/category.controller.js';
+import { protect, restrictTo } from '../middlewares/auth.middleware.js';
+import { apiLimiter } from '../middlewares/rateLimit.middleware.js';
+import {
+  validateCreateCategory,
+  validateUpdateCategory,
+  validateCreateSubcategory,
+  validateReorder,
+} from '../middlewares/validateCategory.middleware.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/categories
- * @desc    Get all categories with subcategories
+ * @desc    Get all active categories with subcategories
  * @access  Public
  */
 router.get('/', getCategories);
 
-export default router;
+// ============================================
+// ADMIN ROUTES (role: admin)
+// ============================================
+
+const adminOnly = [protect, restrictTo('admin'), apiLimiter];
+
+/**
+ * @route   GET /api/categories/admin
+ * @desc    Get all categories including archived ones (with order and archive flags)
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin')
+ */
+router.get('/admin', adminOnly, getAllCategoriesAdmin);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a category
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ *
+ * Body: { "slug": "tickets", "label": "Bilete", "subcategories": [{ "slug": "concerts", "label": "Concerte" }] }
+ */
+router.post('/', adminOnly, validateCreateCategory, createCategory);
+
+/**
+ * @route   PUT /api/categories/order
+ * @desc    Reorder categories
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ *
+ * Body: { "slugs": ["auto", "real-estate", ...] }
+ * NOTE: This route MUST be before /:slug to be matched correctly
+ */
+router.put('/order', adminOnly, validateReorder, reorderCategories);
+
+/**
+ * @route   PATCH /api/categories/:slug
+ * @desc    Rename a category (slug cannot change)
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.patch('/:slug', adminOnly, validateUpdateCategory, updateCategory);
+
+/**
+ * @route   DELETE /api/categories/:slug
+ * @desc    Delete an unused category (categories with ads must be archived)
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.delete('/:slug', adminOnly, deleteCategory);
+
+/**
+ * @route   POST /api/categories/:slug/archive
+ * @desc    Archive a category - its ads are flagged and hidden from listings
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.post('/:slug/archive', adminOnly, archiveCategory);
+
+/**
+ * @route   POST /api/categories/:slug/unarchive
+ * @desc    Restore an archived category and its ads
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.post('/:slug/unarchive', adminOnly, unarchiveCategory);
+
+/**
+ * @route   POST /api/categories/:slug/subcategories
+ * @desc    Add a subcategory
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.post('/:slug/subcategories', adminOnly, validateCreateSubcategory, addSubcategory);
+
+/**
+ * @route   PUT /api/categories/:slug/subcategories/order
+ * @desc    Reorder subcategories
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ *
+ * NOTE: This route MUST be before /:slug/subcategories/:subSlug to be matched correctly
+ */
+router.put('/:slug/subcategories/order', adminOnly, validateReorder, reorderSubcategories);
+
+/**
+ * @route   PATCH /api/categories/:slug/subcategories/:subSlug
+ * @desc    Rename a subcategory
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.patch('/:slug/subcategories/:subSlug', adminOnly, validateUpdateCategory, updateSubcategory);
 
+/**
+ * @route   DELETE /api/categories/:slug/subcategories/:subSlug
+ * @desc    Delete an unused subcategory
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.delete('/:slug/subcategories/:subSlug', adminOnly, deleteSubcategory);
+
+/**
+ * @route   POST /api/categories/:slug/subcategories/:subSlug/archive
+ * @desc    Archive a subcategory - its ads are flagged and hidden from listings
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.post('/:slug/subcategories/:subSlug/archive', adminOnly, archiveSubcategory);
+
+/**
+ * @route   POST /api/categories/:slug/subcategories/:subSlug/unarchive
+ * @desc    Restore an archived subcategory and its ads
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.post('/:slug/subcategories/:subSlug/unarchive', adminOnly, unarchiveSubcategory);
+
+export default router;
@@ -33,6 +33,8 @@ router.get('/unread-count', protect, unreadCount);
  * @desc    Get all chats for current user
  * @access  Private
  * @middleware protect - JWT authentication required
+ *
+ * Optional cursor pagination: limit, cursor=<pagination.nextCursor>
  */
 router.get('/', protect, getChats);
 
@@ -51,6 +53,8 @@ router.post('/start', protect, apiLimiter, startChat);
  * @desc    Get messages for a chat
  * @access  Private
  * @middleware protect - JWT authentication required
+ *
+ * Optional cursor pagination: limit (max 100), cursor=<pagination.nextCursor> loads older messages
  */
 router.get('/:id/messages', protect, getMessages);
 
@@ -0,0 +1,34 @@
+import express from 'express';
+import { getRates, updateRates, refreshRates } from '../controllers/exchangeRate.controller.js';
+import { protect, restrictTo } from '../middlewares/auth.middleware.js';
+import { apiLimiter } from '../middlewares/rateLimit.middleware.js';
+import { validateUpdateRates } from '../middlewares/validateExchangeRates.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/exchange-rates
+ * @desc    Get current exchange rates (units per 1 EUR)
+ * @access  Public
+ */
+router.get('/', getRates);
+
+/**
+ * @route   PUT /api/exchange-rates
+ * @desc    Set exchange rates manually (overrides the provider); normalized ad prices are recomputed
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ *
+ * Body: { "rates": { "USD": 1.08, "MDL": null } } - null releases the override back to the provider
+ */
+router.put('/', protect, restrictTo('admin'), apiLimiter, validateUpdateRates, updateRates);
+
+/**
+ * @route   POST /api/exchange-rates/refresh
+ * @desc    Pull rates from the configured provider (EXCHANGE_RATE_PROVIDER)
+ * @access  Private (Admin)
+ * @middleware protect, restrictTo('admin'), apiLimiter
+ */
+router.post('/refresh', protect, restrictTo('admin'), apiLimiter, refreshRates);
+
+export default router;
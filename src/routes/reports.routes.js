@@ -0,0 +1,26 @@
+import express from 'express';
+import { createReport } from '../controllers/report.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { reportLimiter } from '../middlewares/rateLimit.middleware.js';
+import { validateCreateReport } from '../middlewares/validateReport.middleware.js';
+
+const router = express.Router();
+
+// ============================================
+// PROTECTED ROUTES (Authentication required)
+// ============================================
+
+/**
+ * @route   POST /api/reports
+ * @desc    Report an ad, a user profile or a chat message (reason code + optional note)
+ * @access  Private
+ * @middleware protect - JWT authentication required
+ * @middleware reportLimiter - Rate limited per user
+ * @middleware validateCreateReport - Validate target, reason and note
+ *
+ * Body: { "targetType": "ad"|"user"|"message", "targetId": "...", "reason": "scam", "note": "..." }
+ * One open report per user and target (409 ALREADY_REPORTED); triage: /api/admin/reports
+ */
+router.post('/', protect, reportLimiter, validateCreateReport, createReport);
+
+export default router;
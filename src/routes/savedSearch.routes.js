@@ -0,0 +1,70 @@
+import express from 'express';
+import {
+  createSavedSearch,
+  getSavedSearches,
+  getSavedSearchById,
+  updateSavedSearch,
+  deleteSavedSearch,
+  unsubscribeSavedSearch,
+} from '../controllers/savedSearch.controller.js';
+import { protect } from '../middlewares/auth.middleware.js';
+import { apiLimiter } from '../middlewares/rateLimit.middleware.js';
+import {
+  validateCreateSavedSearch,
+  validateUpdateSavedSearch,
+} from '../middlewares/validateSavedSearch.middleware.js';
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/saved-searches/unsubscribe/:token
+ * @desc    Disable alerts for a saved search (link from alert emails)
+ * @access  Public (token-based)
+ *
+ * NOTE: This route MUST be before /:id to be matched correctly
+ */
+router.get('/unsubscribe/:token', apiLimiter, unsubscribeSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches
+ * @desc    Get current user's saved searches
+ * @access  Private
+ * @middleware protect - JWT authentication required
+ */
+router.get('/', protect, getSavedSearches);
+
+/**
+ * @route   POST /api/saved-searches
+ * @desc    Save a search (filters + alert frequency)
+ * @access  Private
+ * @middleware protect - JWT authentication required, apiLimiter - rate limited
+ *
+ * Body: { "name": "...", "filters": { "categorySlug": "auto", "maxPrice": 10000, ... }, "frequency": "instant|daily" }
+ */
+router.post('/', protect, apiLimiter, validateCreateSavedSearch, createSavedSearch);
+
+/**
+ * @route   GET /api/saved-searches/:id
+ * @desc    Get a saved search
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required
+ */
+router.get('/:id', protect, getSavedSearchById);
+
+/**
+ * @route   PATCH /api/saved-searches/:id
+ * @desc    Update a saved search (name, filters, frequency, isActive)
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required, apiLimiter - rate limited
+ */
+router.patch('/:id', protect, apiLimiter, validateUpdateSavedSearch, updateSavedSearch);
+
+/**
+ * @route   DELETE /api/saved-searches/:id
+ * @desc    Delete a saved search
+ * @access  Private (Owner only)
+ * @middleware protect - JWT authentication required, apiLimiter - rate limited
+ */
+router.delete('/:id', protect, apiLimiter, deleteSavedSearch);
+
+export default router;
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+import { buildAdFingerprint } from '../utils/fingerprint.js';
+
+/**
+ * Migration script: Populate the duplicate-detection fingerprint for ads created
+ * before duplicate detection was introduced
+ * - Text fingerprints only - older images have no perceptual hash
+ * - Only touches ads missing fingerprint (safe to run multiple times)
+ * - Writes in batches via bulkWrite to keep memory usage flat
+ *
+ * Runs on server startup after DB connection
+ */
+export const backfillAdFingerprints = async () => {
+  try {
+    const db = mongoose.connection.db;
+    if (!db) {
+      console.log('[FINGERPRINT_BACKFILL] MongoDB connection not ready, skipping backfill');
+      return;
+    }
+
+    const collection = db.collection('ads');
+    const cursor = collection.find(
+      { fingerprint: { $exists: false } },
+      { projection: { title: 1, description: 1, imageVariants: 1 } }
+    );
+
+    let batch = [];
+    let updated = 0;
+
+    for await (const ad of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: ad._id },
+          update: { $set: { fingerprint: buildAdFingerprint(ad) } },
+        },
+      });
+
+      if (batch.length >= 500) {
+        const result = await collection.bulkWrite(batch, { ordered: false });
+        updated += result.modifiedCount;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      const result = await collection.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+    }
+
+    if (updated > 0) {
+      logger.info('[FINGERPRINT_BACKFILL] Fingerprints populated', { updated });
+    }
+    console.log('[FINGERPRINT_BACKFILL] Updated', updated, 'ads');
+  } catch (error) {
+    console.error('[FINGERPRINT_BACKFILL] Error during backfill:', error.message);
+    logger.error('[FINGERPRINT_BACKFILL] Backfill failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+    // Don't crash server - ads without a fingerprint are simply not found as duplicates
+  }
+};
@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+import { buildAdSearchFields } from '../utils/searchText.js';
+
+/**
+ * Migration script: Populate searchTitle/searchContent for ads created
+ * before full-text search was introduced
+ * - Only touches ads missing searchTitle (safe to run multiple times)
+ * - Writes in batches via bulkWrite to keep memory usage flat
+ *
+ * Runs on server startup after DB connection
+ */
+export const backfillAdSearchFields = async () => {
+  try {
+    const db = mongoose.connection.db;
+    if (!db) {
+      console.log('[SEARCH_BACKFILL] MongoDB connection not ready, skipping backfill');
+      return;
+    }
+
+    const collection = db.collection('ads');
+    const cursor = collection.find(
+      { searchTitle: { $exists: false } },
+      { projection: { title: 1, description: 1, attributes: 1 } }
+    );
+
+    let batch = [];
+    let updated = 0;
+
+    for await (const ad of cursor) {
+      batch.push({
+        updateOne: {
+          filter: { _id: ad._id },
+          update: { $set: buildAdSearchFields(ad) },
+        },
+      });
+
+      if (batch.length >= 500) {
+        const result = await collection.bulkWrite(batch, { ordered: false });
+        updated += result.modifiedCount;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      const result = await collection.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+    }
+
+    if (updated > 0) {
+      logger.info('[SEARCH_BACKFILL] Search fields populated', { updated });
+    }
+    console.log('[SEARCH_BACKFILL] Updated', updated, 'ads');
+  } catch (error) {
+    console.error('[SEARCH_BACKFILL] Error during backfill:', error.message);
+    logger.error('[SEARCH_BACKFILL] Backfill failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+    // Don't crash server - ads without search fields just won't match text queries
+  }
+};
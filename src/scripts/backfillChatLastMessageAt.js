@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+
+/**
+ * Migration script: Populate Chat.lastMessageAt for chats created before it existed
+ * - Until then sendMessage bumped updatedAt on every message, so updatedAt is the
+ *   best available "last activity" time (createdAt for chats never updated)
+ * - Only touches chats missing lastMessageAt (safe to run multiple times)
+ * - Runs as a single pipeline update (no documents loaded into memory)
+ *
+ * Runs on server startup after DB connection
+ */
+export const backfillChatLastMessageAt = async () => {
+  try {
+    const db = mongoose.connection.db;
+    if (!db) {
+      console.log('[CHAT_LAST_MESSAGE_BACKFILL] MongoDB connection not ready, skipping backfill');
+      return;
+    }
+
+    const result = await db.collection('chats').updateMany(
+      { lastMessageAt: { $exists: false } },
+      [{ $set: { lastMessageAt: { $ifNull: ['$updatedAt', '$createdAt'] } } }]
+    );
+
+    if (result.modifiedCount > 0) {
+      logger.info('[CHAT_LAST_MESSAGE_BACKFILL] lastMessageAt populated', { updated: result.modifiedCount });
+    }
+    console.log('[CHAT_LAST_MESSAGE_BACKFILL] Updated', result.modifiedCount, 'chats');
+  } catch (error) {
+    console.error('[CHAT_LAST_MESSAGE_BACKFILL] Error during backfill:', error.message);
+    logger.error('[CHAT_LAST_MESSAGE_BACKFILL] Backfill failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+    // Don't crash server - chats without lastMessageAt are listed last
+  }
+};
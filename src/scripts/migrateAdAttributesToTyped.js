@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import logger from '../config/logger.js';
+import { attributeSchemas } from '../constants/attributeSchemas.js';
+import { getAttributeSchema, coerceAttributeValue } from '../utils/attributeValidator.js';
+
+/**
+ * Migration script: Convert string attribute values to their schema types
+ * Ads created before typed attribute schemas stored every value as a string
+ * ("2015", "true"), which breaks numeric range filters
+ * - Only looks at ads that still have at least one string-typed number/boolean value
+ * - Values that can't be converted are left untouched (logged), never deleted
+ * - Safe to run multiple times
+ *
+ * Runs on server startup after DB connection
+ */
+export const migrateAdAttributesToTyped = async () => {
+  try {
+    const db = mongoose.connection.db;
+    if (!db) {
+      console.log('[ATTR_MIGRATION] MongoDB connection not ready, skipping migration');
+      return;
+    }
+
+    const collection = db.collection('ads');
+
+    // Attribute keys that are non-string in at least one schema
+    const typedKeys = new Set();
+    Object.keys(attributeSchemas).forEach((categorySlug) => {
+      const subSlugs = Object.keys(attributeSchemas[categorySlug].subcategories || {});
+      [undefined, ...subSlugs].forEach((subSlug) => {
+        Object.entries(getAttributeSchema(categorySlug, subSlug)).forEach(([key, definition]) => {
+          if (definition.type === 'number' || definition.type === 'boolean') {
+            typedKeys.add(key);
+          }
+        });
+      });
+    });
+
+    if (typedKeys.size === 0) {
+      return;
+    }
+
+    const cursor = collection.find(
+      { $or: [...typedKeys].map((key) => ({ [`attributes.${key}`]: { $type: 'string' } })) },
+      { projection: { categorySlug: 1, subCategorySlug: 1, attributes: 1 } }
+    );
+
+    let batch = [];
+    let updated = 0;
+    let skippedValues = 0;
+
+    for await (const ad of cursor) {
+      const schema = getAttributeSchema(ad.categorySlug, ad.subCategorySlug);
+      const $set = {};
+
+      Object.entries(ad.attributes || {}).forEach(([key, raw]) => {
+        const definition = schema[key];
+        if (!definition || typeof raw !== 'string') return;
+        if (definition.type !== 'number' && definition.type !== 'boolean') return;
+
+        const result = coerceAttributeValue(definition, raw);
+        if (result.error) {
+          skippedValues++;
+          return;
+        }
+        $set[`attributes.${key}`] = result.value;
+      });
+
+      if (Object.keys($set).length === 0) continue;
+
+      batch.push({
+        updateOne: {
+          filter: { _id: ad._id },
+          update: { $set },
+        },
+      });
+
+      if (batch.length >= 500) {
+        const result = await collection.bulkWrite(batch, { ordered: false });
+        updated += result.modifiedCount;
+        batch = [];
+      }
+    }
+
+    if (batch.length > 0) {
+      const result = await collection.bulkWrite(batch, { ordered: false });
+      updated += result.modifiedCount;
+    }
+
+    if (updated > 0 || skippedValues > 0) {
+      logger.info('[ATTR_MIGRATION] Attribute values converted', { updated, skippedValues });
+    }
+    console.log('[ATTR_MIGRATION] Updated', updated, 'ads, skipped', skippedValues, 'unconvertible values');
+  } catch (error) {
+    console.error('[ATTR_MIGRATION] Error during migration:', error.message);
+    logger.error('[ATTR_MIGRATION] Migration failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+    // Don't crash server - unconverted values just won't match typed filters
+  }
+};
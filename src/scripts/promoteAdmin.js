@@ -0,0 +1,63 @@
+import dotenv from 'dotenv';
+dotenv.config({ path: './.env' });
+
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+/**
+ * CLI: Promote a registered user to admin
+ *
+ * Usage: npm run promote-admin -- <email> [--force]
+ * Without --force it only works while there is no admin yet (bootstrapping the first admin);
+ * later admins are promoted through PATCH /api/admin/users/:id/role
+ */
+const promoteAdmin = async () => {
+  const args = process.argv.slice(2);
+  const force = args.includes('--force');
+  const email = args.find((arg) => !arg.startsWith('--'));
+
+  if (!email) {
+    console.error('Usage: npm run promote-admin -- <email> [--force]');
+    return 1;
+  }
+
+  if (!process.env.MONGO_URI) {
+    console.error('[PROMOTE_ADMIN] MONGO_URI is not set');
+    return 1;
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  try {
+    const existingAdmin = await User.exists({ role: 'admin' });
+    if (existingAdmin && !force) {
+      console.error('[PROMOTE_ADMIN] An admin already exists. Use the admin API, or pass --force');
+      return 1;
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user) {
+      console.error(`[PROMOTE_ADMIN] No user with email ${email}. Register the account first`);
+      return 1;
+    }
+
+    if (user.role === 'admin') {
+      console.log(`[PROMOTE_ADMIN] ${user.email} is already an admin`);
+      return 0;
+    }
+
+    user.role = 'admin';
+    await user.save();
+    console.log(`[PROMOTE_ADMIN] ${user.email} is now an admin`);
+    return 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+promoteAdmin()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error('[PROMOTE_ADMIN] Failed:', error.message);
+    process.exit(1);
+  });
@@ -41,6 +41,49 @@ const startServer = async () => {
     const { cleanupBrokenChats } = await import('./scripts/cleanupBrokenChats.js');
     await cleanupBrokenChats();
 
+    // Populate normalized full-text search fields for ads created before text search existed
+    const { backfillAdSearchFields } = await import('./scripts/backfillAdSearchFields.js');
+    await backfillAdSearchFields();
+
+    // Chat list order (lastMessageAt) for chats created before it existed
+    const { backfillChatLastMessageAt } = await import('./scripts/backfillChatLastMessageAt.js');
+    await backfillChatLastMessageAt();
+
+    // Text fingerprints for duplicate detection on ads created before it existed
+    const { backfillAdFingerprints } = await import('./scripts/backfillAdFingerprints.js');
+    await backfillAdFingerprints();
+
+    // Convert legacy string attribute values ("2015", "true") to their schema types
+    const { migrateAdAttributesToTyped } = await import('./scripts/migrateAdAttributesToTyped.js');
+    await migrateAdAttributesToTyped();
+
+    // Seed categories from constants on first run and load the in-process category cache
+    const { initCategories, startCategoryCacheRefresh } = await import('./services/category.service.js');
+    await initCategories();
+
+    // Load the banned-content rules cache (ad text and chat messages)
+    const { initContentRules, startContentRuleCacheRefresh } = await import('./services/contentRule.service.js');
+    await initContentRules();
+
+    // Load exchange rates (provider: EXCHANGE_RATE_PROVIDER) and normalize prices of older ads
+    const { initExchangeRates, startExchangeRateRefreshJob, startExchangeRateReloadJob } = await import('./services/exchangeRate.service.js');
+    await initExchangeRates();
+
+    // Give pre-existing active ads an expiresAt and expire overdue ones
+    const { initAdExpiry, startAdExpiryJob } = await import('./services/adExpiry.service.js');
+    await initAdExpiry();
+
+    // Start in-process background jobs
+    startCategoryCacheRefresh();
+    startContentRuleCacheRefresh();
+    startExchangeRateRefreshJob();
+    startExchangeRateReloadJob();
+    startAdExpiryJob();
+    const { startAdScheduler } = await import('./services/adScheduler.service.js');
+    startAdScheduler();
+    const { startSavedSearchDigestJob } = await import('./services/savedSearch.service.js');
+    startSavedSearchDigestJob();
+
     // Start Express server only if DB connection is successful
     // Listen on 0.0.0.0 to accept connections from Railway
     app.listen(PORT, '0.0.0.0', () => {
@@ -0,0 +1,96 @@
+import User from '../models/User.js';
+import Ad from '../models/Ad.js';
+import logger from '../config/logger.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import { SELLER_HIDDEN_STATUSES } from '../constants/accountStatus.js';
+
+/**
+ * Account states (constants/accountStatus.js)
+ * Every change goes through changeAccountStatus so it lands in User.accountStatusHistory
+ * and the seller's ads follow the new visibility (Ad.sellerHidden)
+ */
+
+/**
+ * Error for accounts that can't use authenticated routes (suspended, banned)
+ * Shadow-banned accounts pass - they must not notice the restriction
+ * @param {object} user - User document
+ * @returns {AppError|null}
+ */
+export const getAccountRestrictionError = (user) => {
+  if (user.isBanned()) {
+    return new AppError('Account banned', 403, {
+      type: 'ACCOUNT_BANNED',
+      reason: user.statusReason || null,
+    });
+  }
+  if (user.isSuspended()) {
+    return new AppError('Account suspended', 403, {
+      type: 'ACCOUNT_SUSPENDED',
+      suspendedUntil: user.suspendedUntil || null,
+      reason: user.statusReason || null,
+    });
+  }
+  return null;
+};
+
+/**
+ * Hide or show all ads of a seller (Ad.sellerHidden)
+ * @param {string} userId
+ * @param {boolean} hidden
+ * @returns {Promise<number>} Number of ads whose flag changed
+ */
+export const syncSellerHiddenFlag = async (userId, hidden) => {
+  const result = await Ad.updateMany(
+    { user: userId, sellerHidden: hidden ? { $ne: true } : true },
+    { $set: { sellerHidden: hidden } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Change a user's account state and record it
+ * @param {object} user - User document
+ * @param {string} status - active | suspended | banned | shadow_banned
+ * @param {{reason: string, until?: Date, changedBy: string}} options - until only applies to suspended
+ * @returns {Promise<object>} The saved user
+ */
+export const changeAccountStatus = async (user, status, { reason, until, changedBy }) => {
+  const from = user.accountStatus || 'active';
+
+  user.accountStatus = status;
+  user.suspendedUntil = status === 'suspended' ? until || undefined : undefined;
+  user.statusReason = status === 'active' ? undefined : reason;
+  user.statusChangedBy = changedBy;
+  await user.save();
+
+  // History is select: false, so it is appended atomically instead of through save()
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        accountStatusHistory: {
+          from,
+          to: status,
+          reason,
+          until: user.suspendedUntil,
+          changedBy,
+          at: new Date(),
+        },
+      },
+    }
+  );
+
+  const wasHidden = SELLER_HIDDEN_STATUSES.includes(from);
+  const isHidden = SELLER_HIDDEN_STATUSES.includes(status);
+  const adsChanged = wasHidden !== isHidden ? await syncSellerHiddenFlag(user._id, isHidden) : 0;
+
+  logger.info('[ACCOUNTS] Account status changed', {
+    userId: user._id,
+    from,
+    to: status,
+    until: user.suspendedUntil || null,
+    changedBy,
+    adsChanged,
+  });
+  return user;
+};
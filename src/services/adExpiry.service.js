@@ -0,0 +1,222 @@
+import Ad from '../models/Ad.js';
+import logger from '../config/logger.js';
+import { sendNotification, getFrontendAdUrl } from './notification.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ad lifetime settings
+ * AD_TTL_DAYS - how long an activated or renewed ad stays live (default 30)
+ * AD_EXPIRY_REMINDER_DAYS - reminder lead time before expiry (default 3, 0 disables reminders)
+ * AD_EXPIRY_SWEEP_MS - how often the sweep runs (default hourly)
+ */
+const getTtlDays = () => parseInt(process.env.AD_TTL_DAYS, 10) || 30;
+const getReminderDays = () => {
+  const days = parseInt(process.env.AD_EXPIRY_REMINDER_DAYS, 10);
+  return isNaN(days) || days < 0 ? 3 : days;
+};
+const SWEEP_INTERVAL_MS = parseInt(process.env.AD_EXPIRY_SWEEP_MS, 10) || 60 * 60 * 1000;
+
+const BATCH_SIZE = 100;
+
+/**
+ * Compute the expiration date for an ad activated (or renewed) now
+ * @param {Date} [from=new Date()]
+ * @returns {Date}
+ */
+export const computeExpiresAt = (from = new Date()) => new Date(from.getTime() + getTtlDays() * DAY_MS);
+
+/**
+ * Start a new lifetime for an ad (activation or renewal)
+ * Sets expiresAt and clears expiry bookkeeping - the caller saves the document
+ *
+ * @param {object} ad - Ad document
+ * @returns {object} The same ad
+ */
+export const startAdLifetime = (ad) => {
+  ad.expiresAt = computeExpiresAt();
+  ad.expiredAt = undefined;
+  ad.expiryReminderSentAt = undefined;
+  return ad;
+};
+
+/**
+ * Move active ads past their expiresAt to 'expired'
+ * @returns {Promise<number>} Number of expired ads
+ */
+export const expireStaleAds = async () => {
+  const now = new Date();
+  const result = await Ad.updateMany(
+    { status: 'active', expiresAt: { $lte: now } },
+    {
+      $set: { status: 'expired', expiredAt: now },
+      $push: { statusHistory: { from: 'active', to: 'expired', at: now, actor: null, source: 'system' } },
+    }
+  );
+
+  if (result.modifiedCount > 0) {
+    logger.info('[AD_EXPIRY] Ads expired', { count: result.modifiedCount });
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Send one "expiring soon" reminder
+ * @param {object} ad - Ad with user populated
+ * @throws {Error} When a configured channel failed to deliver it
+ */
+const sendExpiryReminder = async (ad) => {
+  const url = getFrontendAdUrl(ad._id);
+  const expiresOn = ad.expiresAt.toISOString().slice(0, 10);
+
+  const result = await sendNotification({
+    user: ad.user,
+    event: 'ad_expiring',
+    subject: `Anunțul „${ad.title}” expiră în curând`,
+    text: `Bună ${ad.user.name || ''},\n\nAnunțul „${ad.title}” expiră pe ${expiresOn}. Reînnoiți-l pentru a rămâne vizibil în căutări:\n${url}\n\nCu respect,\nEchipa`,
+    data: {
+      adId: String(ad._id),
+      title: ad.title,
+      expiresAt: ad.expiresAt.toISOString(),
+      url,
+    },
+  });
+
+  // sendNotification never throws - failures are reported per channel
+  // (an email provider that isn't configured is not a failure, there is nothing to retry)
+  const webhookError = result.webhook?.ok === false
+    ? result.webhook.error || `HTTP ${result.webhook.status}`
+    : null;
+  const error = result.email?.error || webhookError;
+  if (error) {
+    throw new Error(`Reminder delivery failed: ${error}`);
+  }
+};
+
+/**
+ * Remind owners of active ads expiring within AD_EXPIRY_REMINDER_DAYS
+ * Each lifetime gets at most one reminder (expiryReminderSentAt is reset on renewal)
+ * A failed delivery releases the claim, so the next sweep tries that ad again
+ *
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendExpiryReminders = async () => {
+  const reminderDays = getReminderDays();
+  if (reminderDays === 0) {
+    return 0;
+  }
+
+  const now = new Date();
+  const remindBefore = new Date(now.getTime() + reminderDays * DAY_MS);
+  let sent = 0;
+  // Failed in this run - skipped until the next sweep
+  const failedIds = [];
+
+  // Claim ads one batch at a time so parallel instances don't send duplicates
+  for (;;) {
+    const ads = await Ad.find({
+      _id: { $nin: failedIds },
+      status: 'active',
+      isDeleted: false,
+      expiresAt: { $gt: now, $lte: remindBefore },
+      expiryReminderSentAt: null,
+    })
+      .limit(BATCH_SIZE)
+      .populate('user', 'name email')
+      .lean();
+
+    if (ads.length === 0) {
+      break;
+    }
+
+    for (const ad of ads) {
+      const claimed = await Ad.updateOne(
+        { _id: ad._id, expiryReminderSentAt: null },
+        { $set: { expiryReminderSentAt: now } }
+      );
+      if (claimed.modifiedCount === 0 || !ad.user) {
+        continue;
+      }
+      try {
+        await sendExpiryReminder(ad);
+        sent++;
+      } catch (error) {
+        failedIds.push(ad._id);
+        logger.error('[AD_EXPIRY] Expiry reminder failed', {
+          adId: ad._id,
+          message: error.message,
+        });
+        await Ad.updateOne(
+          { _id: ad._id, expiryReminderSentAt: now },
+          { $unset: { expiryReminderSentAt: 1 } }
+        );
+      }
+    }
+
+    if (ads.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (sent > 0) {
+    logger.info('[AD_EXPIRY] Expiry reminders sent', { count: sent });
+  }
+  return sent;
+};
+
+/**
+ * Give active ads created before expiration existed a full lifetime from now
+ * (instead of expiring them all at once on the first sweep)
+ *
+ * @returns {Promise<number>} Number of updated ads
+ */
+export const backfillAdExpiration = async () => {
+  const result = await Ad.updateMany(
+    { status: 'active', expiresAt: { $exists: false } },
+    { $set: { expiresAt: computeExpiresAt() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Run one sweep: expire overdue ads, then send reminders
+ */
+export const runAdExpirySweep = async () => {
+  await expireStaleAds();
+  await sendExpiryReminders();
+};
+
+/**
+ * Startup: backfill expiresAt for existing active ads and run a first sweep
+ */
+export const initAdExpiry = async () => {
+  try {
+    const backfilled = await backfillAdExpiration();
+    const expired = await expireStaleAds();
+    console.log('[AD_EXPIRY] TTL', getTtlDays(), 'days, backfilled', backfilled, 'ads, expired', expired, 'ads');
+  } catch (error) {
+    console.error('[AD_EXPIRY] Error during initialization:', error.message);
+    logger.error('[AD_EXPIRY] Initialization failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+    // Don't crash server - the periodic sweep retries
+  }
+};
+
+/**
+ * Start the in-process expiration sweep
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startAdExpiryJob = () => {
+  const interval = setInterval(() => {
+    runAdExpirySweep().catch((error) => {
+      logger.error('[AD_EXPIRY] Sweep failed', {
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  }, SWEEP_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
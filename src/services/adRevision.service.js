@@ -0,0 +1,197 @@
+import AdRevision from '../models/AdRevision.js';
+import logger from '../config/logger.js';
+
+/**
+ * Fields captured in each revision (editable content of an ad)
+ */
+export const REVISION_FIELDS = [
+  'title',
+  'description',
+  'price',
+  'currency',
+  'categorySlug',
+  'subCategorySlug',
+  'attributes',
+  'images',
+  'location',
+];
+
+/**
+ * Convert a value to plain JSON (Maps, subdocuments, ObjectIds)
+ * @param {*} value
+ * @returns {*}
+ */
+const toPlain = (value) => {
+  if (value instanceof Map) {
+    return Object.fromEntries(value);
+  }
+  if (value && typeof value.toObject === 'function') {
+    return value.toObject({ flattenMaps: true, depopulate: true });
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Take a snapshot of an ad's revisioned fields
+ * @param {object} ad - Ad document or plain object
+ * @returns {object}
+ */
+export const buildAdSnapshot = (ad) => {
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = toPlain(ad[field]);
+  });
+  snapshot.attributes = snapshot.attributes || {};
+  snapshot.images = snapshot.images ? [...snapshot.images] : [];
+  return snapshot;
+};
+
+const isSame = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Field-level diff between two snapshots
+ * Attributes are compared per key (reported as attributes.<key>)
+ *
+ * @param {object} from - Older snapshot
+ * @param {object} to - Newer snapshot
+ * @returns {Array<{field: string, from: *, to: *}>}
+ */
+export const diffSnapshots = (from = {}, to = {}) => {
+  const changes = [];
+
+  REVISION_FIELDS.forEach((field) => {
+    if (field === 'attributes') {
+      const fromAttributes = from.attributes || {};
+      const toAttributes = to.attributes || {};
+      const keys = [...new Set([...Object.keys(fromAttributes), ...Object.keys(toAttributes)])].sort();
+      keys.forEach((key) => {
+        if (!isSame(fromAttributes[key], toAttributes[key])) {
+          changes.push({
+            field: `attributes.${key}`,
+            from: fromAttributes[key] ?? null,
+            to: toAttributes[key] ?? null,
+          });
+        }
+      });
+      return;
+    }
+
+    if (!isSame(from[field], to[field])) {
+      changes.push({ field, from: from[field] ?? null, to: to[field] ?? null });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Get the latest revision of an ad
+ * @param {string} adId
+ * @returns {Promise<object|null>}
+ */
+const getLatestRevision = (adId) => AdRevision.findOne({ ad: adId }).sort({ revision: -1 }).lean();
+
+/**
+ * Append a revision with the next revision number
+ * Retries once if another request took the same number
+ */
+const appendRevision = async (adId, data, latestRevision) => {
+  try {
+    return await AdRevision.create({ ad: adId, revision: latestRevision + 1, ...data });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    const latest = await getLatestRevision(adId);
+    return AdRevision.create({ ad: adId, revision: (latest?.revision || 0) + 1, ...data });
+  }
+};
+
+/**
+ * Record a revision after an ad was saved
+ * - create: revision 1 of a new ad
+ * - update/images: ads without revisions (created before revisions existed) first get a
+ *   baseline revision from `before`, so the first diff shows what actually changed.
+ *   Nothing is recorded when the saved state equals the latest revision
+ *
+ * @param {object} ad - Saved ad document
+ * @param {object} options
+ * @param {object} [options.before] - Snapshot taken before the change (buildAdSnapshot)
+ * @param {string} options.actor - User ID
+ * @param {'create'|'update'|'images'} options.source
+ * @returns {Promise<object|null>} Created revision
+ */
+export const recordAdRevision = async (ad, { before, actor, source }) => {
+  let latest = await getLatestRevision(ad._id);
+
+  if (!latest && before) {
+    latest = (await appendRevision(ad._id, { source: 'baseline', actor: null, snapshot: before }, 0)).toObject();
+  }
+
+  const snapshot = buildAdSnapshot(ad);
+  const changes = diffSnapshots(latest?.snapshot, snapshot);
+  if (latest && changes.length === 0) {
+    return null;
+  }
+
+  const changedFields = latest ? [...new Set(changes.map((change) => change.field.split('.')[0]))] : [];
+  return appendRevision(ad._id, { source, actor, changedFields, snapshot }, latest?.revision || 0);
+};
+
+/**
+ * List revisions of an ad, newest first
+ * @param {string} adId
+ * @returns {Promise<Array>}
+ */
+export const listAdRevisions = (adId) => AdRevision.find({ ad: adId })
+  .sort({ revision: -1 })
+  .populate('actor', 'name')
+  .lean();
+
+/**
+ * Diff two revisions of an ad
+ * @param {string} adId
+ * @param {number} fromRevision
+ * @param {number} toRevision
+ * @returns {Promise<{from: object, to: object, changes: Array}|null>} null if a revision doesn't exist
+ */
+export const diffAdRevisions = async (adId, fromRevision, toRevision) => {
+  const revisions = await AdRevision.find({ ad: adId, revision: { $in: [fromRevision, toRevision] } }).lean();
+  const from = revisions.find((revision) => revision.revision === fromRevision);
+  const to = revisions.find((revision) => revision.revision === toRevision);
+  if (!from || !to) {
+    return null;
+  }
+
+  return {
+    from: { revision: from.revision, createdAt: from.createdAt, source: from.source },
+    to: { revision: to.revision, createdAt: to.createdAt, source: to.source },
+    changes: diffSnapshots(from.snapshot, to.snapshot),
+  };
+};
+
+/**
+ * Get the latest revision number of an ad (0 when none)
+ * @param {string} adId
+ * @returns {Promise<number>}
+ */
+export const getLatestRevisionNumber = async (adId) => (await getLatestRevision(adId))?.revision || 0;
+
+/**
+ * Record a revision without failing the request that changed the ad
+ * The change is already saved - a missing revision is logged instead
+ *
+ * @param {object} ad
+ * @param {object} options - See recordAdRevision
+ */
+export const recordAdRevisionSafe = async (ad, options) => {
+  try {
+    await recordAdRevision(ad, options);
+  } catch (error) {
+    logger.error('[AD_REVISION] Failed to record revision', {
+      adId: ad._id,
+      source: options.source,
+      message: error.message,
+    });
+  }
+};
@@ -0,0 +1,108 @@
+import Ad from '../models/Ad.js';
+import logger from '../config/logger.js';
+import { validateStatusChange } from './adStatus.service.js';
+import { publishAd } from './moderation.service.js';
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.AD_SCHEDULER_INTERVAL_MS, 10) || 60 * 1000;
+const BATCH_SIZE = 50;
+
+/**
+ * Publish one due draft
+ * The draft is claimed atomically (publishAt unset) so it is published only once,
+ * then goes through the same validation and moderation as PATCH /api/ads/:id/status
+ * A failed publication is recorded in publishError so the seller can reschedule
+ *
+ * @param {string} adId
+ * @param {Date} now
+ * @returns {Promise<boolean>} true if the ad was published (or sent to moderation)
+ */
+const publishScheduledAd = async (adId, now) => {
+  const ad = await Ad.findOneAndUpdate(
+    { _id: adId, status: 'draft', isDeleted: false, publishAt: { $lte: now } },
+    { $unset: { publishAt: 1 } },
+    { new: true }
+  ).select('+duplicateOf');
+  if (!ad) {
+    return false; // Published, cancelled or deleted in the meantime
+  }
+
+  const statusError = validateStatusChange(ad, 'active');
+  if (statusError) {
+    ad.publishError = statusError.message;
+    await ad.save();
+    logger.warn('[AD_SCHEDULER] Scheduled publication rejected', {
+      adId: ad._id,
+      type: statusError.details?.type,
+      message: statusError.message,
+    });
+    return false;
+  }
+
+  try {
+    await publishAd(ad, { actor: null, source: 'system' });
+  } catch (error) {
+    logger.error('[AD_SCHEDULER] Scheduled publication failed', {
+      adId: ad._id,
+      message: error.message,
+      stack: error.stack,
+    });
+    // Still a draft - the claim removed publishAt, so record why it didn't go live
+    await Ad.updateOne({ _id: ad._id, status: 'draft' }, { $set: { publishError: error.message } });
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Publish all drafts whose publishAt has passed
+ * @returns {Promise<number>} Number of published ads
+ */
+export const publishDueAds = async () => {
+  const now = new Date();
+  let published = 0;
+
+  for (;;) {
+    const due = await Ad.find({ status: 'draft', isDeleted: false, publishAt: { $lte: now } })
+      .select('_id')
+      .sort({ publishAt: 1 })
+      .limit(BATCH_SIZE)
+      .lean();
+
+    for (const { _id } of due) {
+      if (await publishScheduledAd(_id, now)) {
+        published++;
+      }
+    }
+
+    if (due.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (published > 0) {
+    logger.info('[AD_SCHEDULER] Scheduled ads published', { count: published });
+  }
+  return published;
+};
+
+/**
+ * Start the in-process publishing scheduler
+ * Drafts that became due while the server was down are published on the first run
+ *
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startAdScheduler = () => {
+  const run = () => {
+    publishDueAds().catch((error) => {
+      logger.error('[AD_SCHEDULER] Run failed', {
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  };
+
+  run();
+  const interval = setInterval(run, SCHEDULER_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
@@ -0,0 +1,114 @@
+import Ad from '../models/Ad.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import {
+  USER_SETTABLE_STATUSES,
+  getAllowedTransitions,
+  getSoldReopenWindowMs,
+} from '../constants/adStatus.js';
+import { startAdLifetime } from './adExpiry.service.js';
+
+/**
+ * Check a requested status change against the state machine
+ * Shared by PATCH /api/ads/:id/status and background jobs so both follow the same rules
+ *
+ * @param {object} ad - Ad document
+ * @param {string} status - Requested status
+ * @returns {AppError|null} Error to return, or null when the change is allowed
+ */
+export const validateStatusChange = (ad, status) => {
+  if (!USER_SETTABLE_STATUSES.includes(status)) {
+    return new AppError(`Status must be one of: ${USER_SETTABLE_STATUSES.join(', ')}`, 400, {
+      type: 'INVALID_STATUS',
+    });
+  }
+
+  const allowedTransitions = getAllowedTransitions(ad);
+  if (!allowedTransitions.includes(status)) {
+    // Sold ads can only be reopened shortly after being marked sold
+    if (ad.status === 'sold' && status === 'active') {
+      const hours = Math.round(getSoldReopenWindowMs() / (60 * 60 * 1000));
+      return new AppError(`Sold ads can only be reopened within ${hours} hours`, 400, {
+        type: 'SOLD_REOPEN_WINDOW_PASSED',
+        currentStatus: ad.status,
+        requestedStatus: status,
+        soldAt: ad.soldAt || null,
+      });
+    }
+
+    const allowed = allowedTransitions.join(', ') || 'none';
+    return new AppError(
+      `Invalid status transition. Current status: "${ad.status}", Allowed transitions: ${allowed}`,
+      400,
+      {
+        type: 'INVALID_STATUS_TRANSITION',
+        currentStatus: ad.status,
+        requestedStatus: status,
+        allowedTransitions,
+      }
+    );
+  }
+
+  // Ads in archived categories can't be published until the category is restored
+  if (status === 'active' && ad.categoryArchived) {
+    return new AppError('Cannot publish ad in an archived category. Move it to another category first', 400, {
+      type: 'CATEGORY_ARCHIVED',
+      categorySlug: ad.categorySlug,
+      subCategorySlug: ad.subCategorySlug,
+    });
+  }
+
+  return null;
+};
+
+/**
+ * Build a status history entry
+ * @param {string|null} from
+ * @param {string} to
+ * @param {{actor?: string|null, source?: string}} [options]
+ * @returns {object}
+ */
+export const buildStatusHistoryEntry = (from, to, { actor = null, source = 'owner' } = {}) => ({
+  from,
+  to,
+  at: new Date(),
+  actor,
+  source,
+});
+
+/**
+ * Apply an already validated status change, save the ad and record it in the status history
+ * - active: clears the publish schedule and starts a new lifetime when coming from
+ *   draft/expired or when the old one ran out
+ * - sold: remembers soldAt for the reopen grace window
+ *
+ * @param {object} ad - Ad document
+ * @param {string} status - New status
+ * @param {{actor?: string|null, source?: 'owner'|'system'|'admin'}} [options]
+ * @returns {Promise<object>} The saved ad
+ */
+export const changeAdStatus = async (ad, status, options = {}) => {
+  const from = ad.status;
+
+  ad.status = status;
+  if (status === 'active') {
+    // Publishing (manually or by the scheduler) consumes any pending schedule
+    ad.publishAt = undefined;
+    ad.publishError = undefined;
+    const lifetimeOver = !ad.expiresAt || ad.expiresAt <= new Date();
+    if (from === 'draft' || from === 'expired' || lifetimeOver) {
+      startAdLifetime(ad);
+    }
+  }
+  if (status === 'sold') {
+    ad.soldAt = new Date();
+  }
+  await ad.save();
+
+  // History is select: false, so it is appended atomically instead of through save()
+  await Ad.updateOne(
+    { _id: ad._id },
+    { $push: { statusHistory: buildStatusHistoryEntry(from, status, options) } }
+  );
+
+  return ad;
+};
@@ -0,0 +1,204 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import User from '../models/User.js';
+import RefreshToken from '../models/RefreshToken.js';
+import logger from '../config/logger.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import { getAccountRestrictionError } from './accountStatus.service.js';
+
+/**
+ * Sessions: short-lived access JWTs plus long-lived refresh tokens (models/RefreshToken.js)
+ *
+ * Refresh tokens are opaque random strings, stored as SHA-256 hashes and rotated on every use.
+ * A rotated token that comes back means it leaked: its whole family (every token issued
+ * from that login) is revoked, logging out both the thief and the real user.
+ * Access tokens can't be revoked one by one: they carry the user's tokenVersion ("tv" claim),
+ * and bumping it (password change, logout everywhere) invalidates all of them at once.
+ */
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const invalidRefreshTokenError = () => new AppError('Refresh token is invalid or expired', 401, {
+  type: 'REFRESH_TOKEN_INVALID',
+});
+
+/**
+ * Sign a short-lived access JWT
+ * @param {object} user - User document (with tokenVersion selected)
+ * @returns {string} JWT token
+ */
+export const generateAccessToken = (user) => {
+  // Validate JWT_SECRET exists
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not defined in environment variables');
+  }
+
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  });
+};
+
+/**
+ * Store a new refresh token
+ * @param {string} userId
+ * @param {{family?: string, ip?: string, userAgent?: string}} options - family continues a session
+ * @returns {Promise<{token: string, document: object}>} Raw token (only returned once) and its record
+ */
+const createRefreshToken = async (userId, { family, ip, userAgent } = {}) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  const document = await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ip,
+    userAgent,
+  });
+  return { token, document };
+};
+
+/**
+ * Check whether a verified access token was revoked
+ * (tokenVersion bumped, or issued before the last password change)
+ * @param {object} user - User document with passwordChangedAt and tokenVersion selected
+ * @param {{tv?: number, iat: number}} payload - Decoded JWT
+ * @returns {boolean}
+ */
+export const isAccessTokenRevoked = (user, payload) => (
+  (payload.tv || 0) !== (user.tokenVersion || 0) || user.changedPasswordAfter(payload.iat)
+);
+
+/**
+ * Client details recorded with a refresh token
+ * @param {object} req - Express request
+ */
+export const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')?.slice(0, 300),
+});
+
+/**
+ * Start a session: access token plus the first refresh token of a new family
+ * @param {object} user - User document (with tokenVersion selected)
+ * @param {{ip?: string, userAgent?: string}} clientInfo
+ * @returns {Promise<{token: string, refreshToken: string, refreshTokenExpiresAt: Date}>}
+ */
+export const issueSessionTokens = async (user, clientInfo = {}) => {
+  const { token: refreshToken, document } = await createRefreshToken(user._id, clientInfo);
+  return {
+    token: generateAccessToken(user),
+    refreshToken,
+    refreshTokenExpiresAt: document.expiresAt,
+  };
+};
+
+/**
+ * Revoke every active token of a family
+ * @param {string} family
+ * @param {string} reason - RefreshToken.revokedReason
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+const revokeFamily = async (family, reason) => {
+  const result = await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * The used token is revoked; presenting it again revokes the whole family
+ *
+ * @param {string} refreshToken - Raw refresh token
+ * @param {{ip?: string, userAgent?: string}} clientInfo
+ * @returns {Promise<{token: string, refreshToken: string, refreshTokenExpiresAt: Date}>}
+ * @throws {AppError} 401 REFRESH_TOKEN_INVALID / REFRESH_TOKEN_REUSED, 403 for restricted accounts
+ */
+export const rotateRefreshToken = async (refreshToken, clientInfo = {}) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.expiresAt <= new Date()) {
+    throw invalidRefreshTokenError();
+  }
+
+  // Claim the token atomically - of two requests with the same token only one wins,
+  // the other is handled as reuse
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    // Tokens revoked by logout or an earlier reuse are simply invalid
+    if (stored.revokedReason && stored.revokedReason !== 'rotated') {
+      throw invalidRefreshTokenError();
+    }
+
+    const revoked = await revokeFamily(stored.family, 'reuse');
+    logger.warn('[AUTH] Refresh token reuse detected, session revoked', {
+      userId: stored.user,
+      family: stored.family,
+      revoked,
+      ip: clientInfo.ip,
+    });
+    throw new AppError('Refresh token was already used, please log in again', 401, {
+      type: 'REFRESH_TOKEN_REUSED',
+    });
+  }
+
+  const user = await User.findById(stored.user).select('+tokenVersion');
+  if (!user) {
+    throw invalidRefreshTokenError();
+  }
+
+  // Banned and suspended accounts lose their sessions like on login
+  const restrictionError = getAccountRestrictionError(user);
+  if (restrictionError) {
+    await revokeFamily(stored.family, 'logout');
+    throw restrictionError;
+  }
+
+  const { token: nextToken, document } = await createRefreshToken(user._id, {
+    ...clientInfo,
+    family: stored.family,
+  });
+  await RefreshToken.updateOne({ _id: claimed._id }, { $set: { replacedBy: document._id } });
+
+  return {
+    token: generateAccessToken(user),
+    refreshToken: nextToken,
+    refreshTokenExpiresAt: document.expiresAt,
+  };
+};
+
+/**
+ * End the session a refresh token belongs to (idempotent - unknown tokens are ignored)
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<number>} Number of tokens revoked
+ */
+export const revokeSession = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).select('family');
+  if (!stored) {
+    return 0;
+  }
+  return revokeFamily(stored.family, 'logout');
+};
+
+/**
+ * End all sessions of a user: revokes every refresh token and bumps tokenVersion,
+ * so access tokens issued so far stop working too
+ * @param {string} userId
+ * @param {string} [reason] - RefreshToken.revokedReason (logout_all, password_change)
+ * @returns {Promise<number>} Number of refresh tokens revoked
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,164 @@
+import Ad from '../models/Ad.js';
+import Category from '../models/Category.js';
+import logger from '../config/logger.js';
+import { categories as defaultCategories, setCategoryCache } from '../constants/categories.js';
+
+// Other instances pick up admin changes on the next refresh
+const CACHE_REFRESH_INTERVAL_MS = parseInt(process.env.CATEGORY_CACHE_REFRESH_MS, 10) || 60 * 1000;
+
+const byOrder = (a, b) => (a.order - b.order) || a.label.localeCompare(b.label);
+
+/**
+ * Seed the Category collection from the default constants
+ * Only runs when the collection is empty, so admin changes are never overwritten
+ */
+export const seedCategories = async () => {
+  const count = await Category.estimatedDocumentCount();
+  if (count > 0) {
+    return;
+  }
+
+  await Category.insertMany(
+    defaultCategories.map((category, index) => ({
+      slug: category.slug,
+      label: category.label,
+      labels: category.labels,
+      order: index,
+      subcategories: category.subcategories.map((sub, subIndex) => ({
+        slug: sub.slug,
+        label: sub.label,
+        labels: sub.labels,
+        order: subIndex,
+      })),
+    }))
+  );
+
+  console.log('[CATEGORIES] Seeded', defaultCategories.length, 'categories');
+  logger.info('[CATEGORIES] Category collection seeded', { count: defaultCategories.length });
+};
+
+/**
+ * Fill in missing label translations from the default constants
+ * For categories seeded before translations existed; never overwrites admin edits
+ */
+export const backfillCategoryLabels = async () => {
+  const docs = await Category.find({ slug: { $in: defaultCategories.map((category) => category.slug) } });
+  let updated = 0;
+
+  for (const doc of docs) {
+    const defaults = defaultCategories.find((category) => category.slug === doc.slug);
+    let changed = false;
+
+    const fillLabels = (target, source) => {
+      ['ru', 'en'].forEach((locale) => {
+        if (source?.[locale] && !target.get(`labels.${locale}`)) {
+          target.set(`labels.${locale}`, source[locale]);
+          changed = true;
+        }
+      });
+    };
+
+    fillLabels(doc, defaults.labels);
+    doc.subcategories.forEach((sub) => {
+      const subDefaults = defaults.subcategories.find((item) => item.slug === sub.slug);
+      if (subDefaults) {
+        fillLabels(sub, subDefaults.labels);
+      }
+    });
+
+    if (changed) {
+      await doc.save();
+      updated++;
+    }
+  }
+
+  if (updated > 0) {
+    console.log('[CATEGORIES] Backfilled label translations for', updated, 'categories');
+  }
+};
+
+/**
+ * Reload the in-process category cache from MongoDB
+ * The cache holds only active categories/subcategories, sorted for display
+ */
+export const refreshCategoryCache = async () => {
+  const docs = await Category.find({ isArchived: false }).lean();
+
+  setCategoryCache(
+    docs.sort(byOrder).map((category) => ({
+      slug: category.slug,
+      label: category.label,
+      labels: category.labels || {},
+      subcategories: (category.subcategories || [])
+        .filter((sub) => !sub.isArchived)
+        .sort(byOrder)
+        .map((sub) => ({ slug: sub.slug, label: sub.label, labels: sub.labels || {} })),
+    }))
+  );
+};
+
+/**
+ * Seed (if needed) and load the category cache on startup
+ */
+export const initCategories = async () => {
+  await seedCategories();
+  await backfillCategoryLabels();
+  await refreshCategoryCache();
+};
+
+/**
+ * Start periodic cache refresh so every instance sees admin changes
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startCategoryCacheRefresh = () => {
+  const interval = setInterval(() => {
+    refreshCategoryCache().catch((error) => {
+      logger.error('[CATEGORIES] Cache refresh failed', {
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  }, CACHE_REFRESH_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+/**
+ * Re-sync Ad.categoryArchived for every ad in a category
+ * An ad is flagged when its category or its subcategory is archived
+ *
+ * @param {object} category - Category document (after the change was saved)
+ * @returns {Promise<number>} Number of ads whose flag changed
+ */
+export const syncAdsArchivedFlag = async (category) => {
+  const archivedSubSlugs = (category.subcategories || [])
+    .filter((sub) => sub.isArchived)
+    .map((sub) => sub.slug);
+
+  const archivedFilter = category.isArchived
+    ? { categorySlug: category.slug }
+    : { categorySlug: category.slug, subCategorySlug: { $in: archivedSubSlugs } };
+
+  const [flagged, unflagged] = await Promise.all([
+    Ad.updateMany(
+      { ...archivedFilter, categoryArchived: { $ne: true } },
+      { $set: { categoryArchived: true } }
+    ),
+    category.isArchived
+      ? Promise.resolve({ modifiedCount: 0 })
+      : Ad.updateMany(
+        { categorySlug: category.slug, subCategorySlug: { $nin: archivedSubSlugs }, categoryArchived: true },
+        { $set: { categoryArchived: false } }
+      ),
+  ]);
+
+  const changed = flagged.modifiedCount + unflagged.modifiedCount;
+  if (changed > 0) {
+    logger.info('[CATEGORIES] Ad archive flags updated', {
+      categorySlug: category.slug,
+      flagged: flagged.modifiedCount,
+      unflagged: unflagged.modifiedCount,
+    });
+  }
+  return changed;
+};
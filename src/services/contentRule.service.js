@@ -0,0 +1,237 @@
+import ContentRule from '../models/ContentRule.js';
+import RuleHit from '../models/RuleHit.js';
+import logger from '../config/logger.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import { escapeRegex } from '../utils/adQuery.js';
+
+/**
+ * Banned-content rules engine
+ *
+ * Active rules are compiled into an in-process cache. Admin changes reload it right away
+ * (hot reload, no restart); other instances pick them up on the next periodic refresh.
+ * Rules run on ad titles/descriptions (validateCreateAd, validateAdUpdate) and chat
+ * messages (sendMessage); see constants/contentRules.js for types and actions.
+ */
+
+// Other instances pick up admin changes on the next refresh
+const CACHE_REFRESH_INTERVAL_MS = parseInt(process.env.CONTENT_RULE_CACHE_REFRESH_MS, 10) || 60 * 1000;
+
+// Recorded matches per hit, and their max length
+const MAX_RECORDED_MATCHES = 5;
+const MAX_MATCH_LENGTH = 100;
+
+// Letters/digits around a keyword mean it is part of a longer word
+const WORD_BOUNDARY_BEFORE = '(?<![\\p{L}\\p{N}])';
+const WORD_BOUNDARY_AFTER = '(?![\\p{L}\\p{N}])';
+
+let compiledRules = [];
+
+/**
+ * Build the RegExp of a rule
+ * @param {{type: string, keywords?: string[], pattern?: string, flags?: string}} rule
+ * @returns {RegExp} Global RegExp
+ * @throws {SyntaxError} When a regex pattern or its flags are invalid
+ */
+export const buildRuleRegex = (rule) => {
+  if (rule.type === 'keyword') {
+    // Longest first so "western union" wins over "western"
+    const alternatives = [...new Set((rule.keywords || []).map((keyword) => keyword.trim()).filter(Boolean))]
+      .sort((a, b) => b.length - a.length)
+      .map((keyword) => escapeRegex(keyword).replace(/\s+/g, '\\s+'));
+    return new RegExp(`${WORD_BOUNDARY_BEFORE}(?:${alternatives.join('|')})${WORD_BOUNDARY_AFTER}`, 'giu');
+  }
+
+  const flags = [...new Set(`${rule.flags || ''}g`)].join('');
+  return new RegExp(rule.pattern, flags);
+};
+
+/**
+ * Reload the in-process rule cache from MongoDB
+ * Rules that fail to compile are skipped (and logged) instead of breaking every request
+ */
+export const refreshContentRuleCache = async () => {
+  const rules = await ContentRule.find({ isActive: true }).lean();
+
+  compiledRules = rules.flatMap((rule) => {
+    try {
+      return [{
+        id: rule._id,
+        name: rule.name,
+        action: rule.action,
+        fields: rule.fields || [],
+        categories: rule.categories || [],
+        regex: buildRuleRegex(rule),
+      }];
+    } catch (error) {
+      logger.error('[CONTENT_RULES] Rule skipped, pattern does not compile', {
+        ruleId: rule._id,
+        message: error.message,
+      });
+      return [];
+    }
+  });
+};
+
+/**
+ * Load the rule cache on startup
+ */
+export const initContentRules = async () => {
+  await refreshContentRuleCache();
+  logger.info('[CONTENT_RULES] Rules loaded', { count: compiledRules.length });
+};
+
+/**
+ * Start periodic cache refresh so every instance sees admin changes
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startContentRuleCacheRefresh = () => {
+  const interval = setInterval(() => {
+    refreshContentRuleCache().catch((error) => {
+      logger.error('[CONTENT_RULES] Cache refresh failed', {
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  }, CACHE_REFRESH_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+/**
+ * Check whether a rule applies to a field (and category, for ads)
+ * Category-scoped rules never apply to messages
+ */
+const ruleApplies = (rule, field, categorySlug) => {
+  if (!rule.fields.includes(field)) {
+    return false;
+  }
+  if (rule.categories.length === 0) {
+    return true;
+  }
+  return field !== 'message' && rule.categories.includes(categorySlug);
+};
+
+const maskMatch = (match) => '*'.repeat(match.length);
+
+/**
+ * Run the active rules on text fields
+ * Every matching rule produces a hit; the strictest action decides the outcome:
+ * any block hit blocks the request, otherwise mask hits replace the matched text
+ *
+ * @param {object} texts - { field: text } (title, description or message; undefined fields are skipped)
+ * @param {{categorySlug?: string}} [options]
+ * @returns {{blocked: boolean, hits: Array<{rule: string, ruleName: string, action: string, field: string, matches: string[]}>, values: object}}
+ *          values has the (masked) text of every checked field
+ */
+export const applyContentRules = (texts, { categorySlug } = {}) => {
+  const hits = [];
+  const values = {};
+
+  Object.entries(texts).forEach(([field, text]) => {
+    if (typeof text !== 'string' || !text) {
+      return;
+    }
+
+    let value = text;
+    compiledRules
+      .filter((rule) => ruleApplies(rule, field, categorySlug))
+      .forEach((rule) => {
+        // Matches are looked up on the original text, so masks don't hide other rules' hits
+        const matches = [...text.matchAll(rule.regex)].map((match) => match[0]).filter(Boolean);
+        if (matches.length === 0) {
+          return;
+        }
+
+        hits.push({
+          rule: rule.id,
+          ruleName: rule.name,
+          action: rule.action,
+          field,
+          matches: matches.slice(0, MAX_RECORDED_MATCHES).map((match) => match.slice(0, MAX_MATCH_LENGTH)),
+        });
+        if (rule.action === 'mask') {
+          value = value.replace(rule.regex, maskMatch);
+        }
+      });
+
+    values[field] = value;
+  });
+
+  return {
+    blocked: hits.some((hit) => hit.action === 'block'),
+    hits,
+    values,
+  };
+};
+
+/**
+ * Build the error for a blocked request
+ * @param {Array} hits - Hits from applyContentRules
+ * @returns {AppError}
+ */
+export const buildContentBlockedError = (hits) => {
+  const blockHits = hits.filter((hit) => hit.action === 'block');
+  return new AppError('Text contains content that is not allowed', 400, {
+    type: 'CONTENT_BLOCKED',
+    errors: blockHits.map((hit) => ({
+      field: hit.field,
+      message: `Not allowed: ${hit.ruleName}`,
+    })),
+  });
+};
+
+/**
+ * Record rule hits for moderators (never throws - a failed write must not fail the request)
+ * @param {Array} hits - Hits from applyContentRules
+ * @param {{context: string, user: string, ad?: string, message?: string, categorySlug?: string}} details
+ */
+export const recordRuleHits = async (hits, { context, user, ad, message, categorySlug }) => {
+  if (!hits || hits.length === 0) {
+    return;
+  }
+
+  try {
+    await RuleHit.insertMany(
+      hits.map((hit) => ({
+        ...hit,
+        context,
+        user,
+        ad,
+        message,
+        categorySlug,
+        // Only flags wait for a moderator - blocked and masked content never went out as written
+        reviewed: hit.action !== 'flag',
+      }))
+    );
+  } catch (error) {
+    logger.error('[CONTENT_RULES] Failed to record rule hits', {
+      context,
+      count: hits.length,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Check whether an ad has flag hits no moderator has looked at yet
+ * (such ads always go to the moderation queue)
+ * @param {string} adId
+ * @returns {Promise<boolean>}
+ */
+export const hasUnreviewedFlags = async (adId) => Boolean(
+  await RuleHit.exists({ ad: adId, action: 'flag', reviewed: false })
+);
+
+/**
+ * Mark the flag hits of an ad as reviewed (after a moderation decision)
+ * @param {string} adId
+ * @param {string} moderatorId
+ * @returns {Promise<number>} Number of hits marked
+ */
+export const markAdRuleHitsReviewed = async (adId, moderatorId) => {
+  const result = await RuleHit.updateMany(
+    { ad: adId, reviewed: false },
+    { $set: { reviewed: true, reviewedBy: moderatorId, reviewedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
@@ -0,0 +1,164 @@
+import Ad from '../models/Ad.js';
+import logger from '../config/logger.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import { notExpiredCondition } from '../utils/adQuery.js';
+import { hammingDistance, isDistinctiveImageHash, FINGERPRINT_BANDS } from '../utils/fingerprint.js';
+
+/**
+ * Duplicate and near-duplicate ad detection
+ *
+ * A new or edited ad is compared with listed ads through its fingerprint (utils/fingerprint.js):
+ * - own ads: duplicate when the text OR any image matches
+ * - other users' ads (whole catalog): duplicate when any image matches, or the text
+ *   matches within the same category (short generic texts alone are not enough)
+ *
+ * DUPLICATE_AD_ACTION decides what happens with a duplicate:
+ * - reject: 409 DUPLICATE_AD referencing the matching ad
+ * - flag (default): the ad is saved with duplicateOf set, for moderation - a false match
+ *   costs a review, not a blocked seller
+ * - merge: a new ad duplicating one of the seller's own ads is not created - the existing
+ *   ad is returned instead (catalog matches and edits fall back to flag)
+ * - off: no detection
+ */
+
+export const DUPLICATE_ACTIONS = ['reject', 'flag', 'merge', 'off'];
+
+// Ads a duplicate is checked against - drafts and sold/expired ads are not competing listings
+const LISTED_STATUSES = ['active', 'reserved', 'paused'];
+
+// Upper bound on candidates fetched per scope (band collisions between unrelated ads are rare)
+const MAX_CANDIDATES = 100;
+
+/**
+ * Active duplicate action (DUPLICATE_AD_ACTION)
+ * @returns {'reject'|'flag'|'merge'|'off'}
+ */
+export const getDuplicateAction = () => {
+  const action = String(process.env.DUPLICATE_AD_ACTION || 'flag').trim().toLowerCase();
+  return DUPLICATE_ACTIONS.includes(action) ? action : 'flag';
+};
+
+/**
+ * Maximum Hamming distance for a match (0-3; band lookup can't find larger distances)
+ * @param {string} name - Env variable
+ * @param {number} defaultValue
+ * @returns {number}
+ */
+const getMaxDistance = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? Math.min(value, FINGERPRINT_BANDS - 1) : defaultValue;
+};
+
+/**
+ * Compare two fingerprints
+ * @returns {{text: boolean, images: boolean}}
+ */
+const compareFingerprints = (a, b) => {
+  const textMatch = hammingDistance(a.text, b.text) <= getMaxDistance('DUPLICATE_TEXT_MAX_DISTANCE', 3);
+
+  const imageMaxDistance = getMaxDistance('DUPLICATE_IMAGE_MAX_DISTANCE', 3);
+  // Ads fingerprinted before flat hashes were dropped may still store them
+  const otherImages = (b.images || []).filter(isDistinctiveImageHash);
+  const imageMatch = (a.images || []).some((hash) => (
+    otherImages.some((other) => hammingDistance(hash, other) <= imageMaxDistance)
+  ));
+
+  return { text: textMatch, images: imageMatch };
+};
+
+/**
+ * Find a listed ad that the given ad duplicates
+ * Own ads are checked first, then the rest of the catalog
+ *
+ * @param {object} ad - Ad document or plain ad data
+ * @param {string} ad.user - Seller ID
+ * @param {string} ad.categorySlug
+ * @param {object} ad.fingerprint - buildAdFingerprint result
+ * @param {string} [ad._id] - Excluded from the search (edits)
+ * @returns {Promise<{ad: object, scope: 'own'|'catalog', matchedOn: Array<string>}|null>}
+ */
+export const findDuplicateAd = async ({ _id, user, categorySlug, fingerprint }) => {
+  if (!fingerprint || (fingerprint.textBands.length === 0 && fingerprint.imageBands.length === 0)) {
+    return null;
+  }
+
+  const baseQuery = {
+    isDeleted: false,
+    status: { $in: LISTED_STATUSES },
+    expiresAt: notExpiredCondition(),
+    $or: [
+      { 'fingerprint.textBands': { $in: fingerprint.textBands } },
+      { 'fingerprint.imageBands': { $in: fingerprint.imageBands } },
+    ],
+    ...(_id && { _id: { $ne: _id } }),
+  };
+
+  for (const scope of ['own', 'catalog']) {
+    const candidates = await Ad.find({
+      ...baseQuery,
+      user: scope === 'own' ? user : { $ne: user },
+    })
+      .select('+fingerprint title user status categorySlug')
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    for (const candidate of candidates) {
+      const match = compareFingerprints(fingerprint, candidate.fingerprint || {});
+      const isDuplicate = scope === 'own'
+        ? match.text || match.images
+        : match.images || (match.text && candidate.categorySlug === categorySlug);
+
+      if (isDuplicate) {
+        return {
+          ad: candidate,
+          scope,
+          matchedOn: Object.keys(match).filter((key) => match[key]),
+        };
+      }
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the DUPLICATE_AD error for a match
+ * @param {object} duplicate - findDuplicateAd result
+ * @returns {AppError}
+ */
+export const buildDuplicateError = (duplicate) => new AppError('Duplicate ad detected', 409, {
+  type: 'DUPLICATE_AD',
+  duplicateOf: {
+    id: duplicate.ad._id,
+    title: duplicate.ad.title,
+    scope: duplicate.scope,
+    matchedOn: duplicate.matchedOn,
+  },
+});
+
+/**
+ * Build the duplicateOf value stored on flagged ads
+ * @param {object} duplicate - findDuplicateAd result
+ * @returns {object}
+ */
+export const buildDuplicateFlag = (duplicate) => ({
+  ad: duplicate.ad._id,
+  scope: duplicate.scope,
+  matchedOn: duplicate.matchedOn,
+  detectedAt: new Date(),
+});
+
+/**
+ * Log a detected duplicate
+ * @param {object} duplicate - findDuplicateAd result
+ * @param {object} context - { adId?, userId, action }
+ */
+export const logDuplicate = (duplicate, context) => {
+  logger.warn('[DUPLICATE_AD] Duplicate ad detected', {
+    ...context,
+    duplicateOf: duplicate.ad._id,
+    scope: duplicate.scope,
+    matchedOn: duplicate.matchedOn,
+  });
+};
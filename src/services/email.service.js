@@ -85,3 +85,47 @@ export async function sendPasswordResetEmail({ to, name, resetUrl }) {
   }
 }
 
+
+/**
+ * Send a generic transactional email (alerts, notifications)
+ * Same provider and fallback behavior as sendPasswordResetEmail - never throws
+ * @param {Object} params - Email parameters
+ * @param {string} params.to - Recipient email address
+ * @param {string} params.subject - Email subject
+ * @param {string} params.text - Plain text body
+ * @param {string} [params.html] - HTML body (optional)
+ * @returns {Promise<{delivered: boolean, provider: string, id?: string|null, error?: string}>} - Delivery status
+ */
+export async function sendEmail({ to, subject, text, html }) {
+  // If RESEND_API_KEY missing: console.log and return
+  if (!process.env.RESEND_API_KEY) {
+    console.log('[EMAIL] provider not configured -> skipped:', subject);
+    return { delivered: false, provider: 'none' };
+  }
+
+  const emailPayload = {
+    from: process.env.EMAIL_FROM || 'onboarding@resend.dev',
+    to: [to],
+    subject,
+    text,
+    ...(html ? { html } : {}),
+  };
+
+  // Add reply_to if configured
+  if (process.env.EMAIL_REPLY_TO) {
+    emailPayload.reply_to = process.env.EMAIL_REPLY_TO;
+  }
+
+  try {
+    const data = await resend.emails.send(emailPayload);
+    console.log('[EMAIL] sent OK id:', data?.id);
+    return { delivered: true, provider: 'resend', id: data?.id || null };
+  } catch (error) {
+    console.log('[EMAIL] sent FAIL:', error?.message);
+    return {
+      delivered: false,
+      provider: 'resend',
+      error: error?.message || 'unknown',
+    };
+  }
+}
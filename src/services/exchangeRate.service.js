@@ -0,0 +1,266 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ad from '../models/Ad.js';
+import ExchangeRate from '../models/ExchangeRate.js';
+import logger from '../config/logger.js';
+import {
+  BASE_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  setExchangeRates,
+  getExchangeRates,
+} from '../utils/currency.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_RATES_FILE = path.join(__dirname, '../config/exchangeRates.json');
+const REFRESH_INTERVAL_MS = parseInt(process.env.EXCHANGE_RATE_REFRESH_MS, 10) || 6 * 60 * 60 * 1000;
+// Other instances pick up stored rates (manual changes, refreshes) on the next reload
+const RELOAD_INTERVAL_MS = parseInt(process.env.EXCHANGE_RATE_RELOAD_MS, 10) || 60 * 1000;
+
+/**
+ * Exchange rate providers
+ * A provider is { fetchRates: async () => ({ USD: 1.08, MDL: 19.5 }) | null }
+ * with rates expressed as units of currency per 1 BASE_CURRENCY.
+ * Returning null means "no automatic rates" (rates are only set through the admin API)
+ * Rates set through the admin API are overrides: providers never replace them until released
+ */
+const providers = {
+  // Reads { "base": "EUR", "rates": { "USD": 1.08, ... } } from EXCHANGE_RATES_FILE
+  file: {
+    fetchRates: async () => {
+      const filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE;
+      const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      const base = content.base || BASE_CURRENCY;
+      const rates = { ...content.rates, [base]: 1 };
+
+      if (!rates[BASE_CURRENCY]) {
+        throw new Error(`Rates file has no rate for base currency ${BASE_CURRENCY}`);
+      }
+
+      // Rebase if the file uses a different base currency
+      const baseRate = rates[BASE_CURRENCY];
+      return Object.fromEntries(
+        Object.entries(rates).map(([currency, rate]) => [currency, rate / baseRate])
+      );
+    },
+  },
+  // Offline mode: rates are managed by admins via PUT /api/exchange-rates
+  manual: {
+    fetchRates: async () => null,
+  },
+};
+
+/**
+ * Register a custom exchange rate provider (e.g. a bank API)
+ * Select it with EXCHANGE_RATE_PROVIDER=<name>
+ *
+ * @param {string} name
+ * @param {{fetchRates: Function}} provider
+ */
+export const registerExchangeRateProvider = (name, provider) => {
+  if (!provider || typeof provider.fetchRates !== 'function') {
+    throw new Error('Exchange rate provider must implement fetchRates()');
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Get the configured provider name (defaults to the file provider)
+ * @returns {string}
+ */
+export const getExchangeRateProviderName = () => {
+  const name = process.env.EXCHANGE_RATE_PROVIDER || 'file';
+  return providers[name] ? name : 'file';
+};
+
+/**
+ * Keep only supported currencies with positive numeric rates
+ * @param {object} rates
+ * @returns {object}
+ */
+const sanitizeRates = (rates = {}) => {
+  const sanitized = {};
+  SUPPORTED_CURRENCIES.forEach((currency) => {
+    const rate = Number(rates[currency]);
+    if (currency !== BASE_CURRENCY && Number.isFinite(rate) && rate > 0) {
+      sanitized[currency] = rate;
+    }
+  });
+  return sanitized;
+};
+
+/**
+ * Recompute Ad.priceNormalized for ads priced in the given currencies
+ * Runs as a single pipeline update per currency (no documents loaded into memory)
+ *
+ * @param {string[]} [currencies] - Defaults to all supported currencies
+ * @param {object} [extraFilter] - Additional filter (e.g. only ads missing priceNormalized)
+ * @returns {Promise<number>} Number of updated ads
+ */
+export const recomputeNormalizedPrices = async (currencies = SUPPORTED_CURRENCIES, extraFilter = {}) => {
+  const rates = getExchangeRates();
+  let updated = 0;
+
+  for (const currency of currencies) {
+    const rate = rates[currency];
+    if (!rate) continue;
+
+    // Ads without a currency are priced in the default currency (EUR)
+    const currencyFilter = currency === BASE_CURRENCY
+      ? { $or: [{ currency }, { currency: { $exists: false } }] }
+      : { currency };
+
+    const result = await Ad.updateMany(
+      { ...currencyFilter, ...extraFilter },
+      [{ $set: { priceNormalized: { $round: [{ $divide: ['$price', rate] }, 2] } } }],
+      { updatePipeline: true }
+    );
+    updated += result.modifiedCount;
+  }
+
+  return updated;
+};
+
+/**
+ * Store new rates, update the in-process table and re-normalize affected ads
+ * Provider rates skip currencies with a manual override
+ *
+ * @param {object} rates - { USD: 1.08, MDL: 19.5 }
+ * @param {string} source - Provider name or 'manual'
+ * @returns {Promise<{rates: object, changed: string[], updatedAds: number}>}
+ */
+export const saveExchangeRates = async (rates, source) => {
+  const sanitized = sanitizeRates(rates);
+
+  if (source !== 'manual') {
+    const overrides = await ExchangeRate.find({ currency: { $in: Object.keys(sanitized) }, source: 'manual' })
+      .select('currency')
+      .lean();
+    overrides.forEach(({ currency }) => delete sanitized[currency]);
+  }
+
+  const current = getExchangeRates();
+  const changed = Object.keys(sanitized).filter((currency) => current[currency] !== sanitized[currency]);
+
+  if (Object.keys(sanitized).length > 0) {
+    await ExchangeRate.bulkWrite(
+      Object.entries(sanitized).map(([currency, rate]) => ({
+        updateOne: {
+          filter: { currency },
+          update: { $set: { rate, source } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  setExchangeRates(sanitized);
+
+  const updatedAds = changed.length > 0 ? await recomputeNormalizedPrices(changed) : 0;
+  if (changed.length > 0) {
+    logger.info('[EXCHANGE_RATES] Rates updated', { source, changed, updatedAds });
+  }
+
+  return { rates: getExchangeRates(), changed, updatedAds };
+};
+
+/**
+ * Pull rates from the configured provider and save them
+ * @returns {Promise<object|null>} Result of saveExchangeRates, or null if the provider has no rates
+ */
+export const refreshExchangeRates = async () => {
+  const providerName = getExchangeRateProviderName();
+  const rates = await providers[providerName].fetchRates();
+  if (!rates) {
+    return null;
+  }
+  return saveExchangeRates(rates, providerName);
+};
+
+/**
+ * Drop manual overrides and pull the provider rates for these currencies again
+ * @param {string[]} currencies
+ * @returns {Promise<object|null>} Result of refreshExchangeRates
+ */
+export const releaseManualRates = async (currencies) => {
+  await ExchangeRate.deleteMany({ currency: { $in: currencies }, source: 'manual' });
+  return refreshExchangeRates();
+};
+
+/**
+ * Load stored rates into the in-process table
+ * @returns {Promise<Array>} ExchangeRate documents
+ */
+export const loadExchangeRates = async () => {
+  const docs = await ExchangeRate.find().lean();
+  setExchangeRates(Object.fromEntries(docs.map((doc) => [doc.currency, doc.rate])));
+  return docs;
+};
+
+/**
+ * Startup: load stored rates, pull fresh ones from the provider and
+ * normalize prices of ads created before normalized prices existed
+ */
+export const initExchangeRates = async () => {
+  try {
+    await loadExchangeRates();
+
+    try {
+      await refreshExchangeRates();
+    } catch (error) {
+      // Keep stored (or fallback) rates if the provider is unavailable
+      logger.warn('[EXCHANGE_RATES] Provider refresh failed, using stored rates', {
+        provider: getExchangeRateProviderName(),
+        message: error.message,
+      });
+    }
+
+    const backfilled = await recomputeNormalizedPrices(SUPPORTED_CURRENCIES, {
+      priceNormalized: { $exists: false },
+    });
+    console.log('[EXCHANGE_RATES] Provider:', getExchangeRateProviderName(), 'backfilled', backfilled, 'ads');
+  } catch (error) {
+    console.error('[EXCHANGE_RATES] Error during initialization:', error.message);
+    logger.error('[EXCHANGE_RATES] Initialization failed', {
+      error: error.message,
+      stack: error.stack,
+    });
+    // Don't crash server - conversions fall back to built-in rates
+  }
+};
+
+/**
+ * Start periodic provider refresh
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startExchangeRateRefreshJob = () => {
+  const interval = setInterval(() => {
+    refreshExchangeRates().catch((error) => {
+      logger.error('[EXCHANGE_RATES] Scheduled refresh failed', {
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  }, REFRESH_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
+
+/**
+ * Start periodic reload of stored rates so every instance sees manual changes
+ * and refreshes made by other instances
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startExchangeRateReloadJob = () => {
+  const interval = setInterval(() => {
+    loadExchangeRates().catch((error) => {
+      logger.error('[EXCHANGE_RATES] Reload failed', {
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  }, RELOAD_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
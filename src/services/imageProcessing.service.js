@@ -0,0 +1,115 @@
+import sharp from 'sharp';
+
+/**
+ * Image processing for uploads
+ * Every uploaded photo is auto-oriented, stripped of metadata (EXIF/GPS), capped to
+ * IMAGE_MAX_DIMENSION and transcoded to WebP, plus resized variants for listings and sharing
+ */
+
+const DEFAULT_MAX_DIMENSION = 2048;
+const DEFAULT_WEBP_QUALITY = 80;
+
+/**
+ * Variant sizes (longest side, px) - images are never enlarged
+ * - thumbnail: listing cards (getAds)
+ * - medium: ad page gallery on mobile
+ * - large: ad page gallery and OpenGraph image (share page)
+ */
+export const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  medium: 800,
+  large: 1200,
+};
+
+const getMaxDimension = () => parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || DEFAULT_MAX_DIMENSION;
+
+const getWebpQuality = () => {
+  const quality = parseInt(process.env.IMAGE_WEBP_QUALITY, 10);
+  return quality >= 1 && quality <= 100 ? quality : DEFAULT_WEBP_QUALITY;
+};
+
+/**
+ * Auto-orient, resize (longest side) and encode as WebP
+ * sharp drops all metadata unless withMetadata() is called, so EXIF/GPS never reaches storage
+ *
+ * @param {Buffer} input - Source image
+ * @param {number} maxDimension
+ * @returns {Promise<{buffer: Buffer, width: number, height: number}>}
+ */
+const toWebp = async (input, maxDimension) => {
+  const { data, info } = await sharp(input, { failOn: 'error' })
+    .rotate() // Apply EXIF orientation before the metadata is dropped
+    .resize({
+      width: maxDimension,
+      height: maxDimension,
+      fit: 'inside',
+      withoutEnlargement: true,
+    })
+    .webp({ quality: getWebpQuality() })
+    .toBuffer({ resolveWithObject: true });
+
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+/**
+ * Perceptual difference hash (dHash) of an image
+ * Compares neighbouring pixels of a 9x8 grayscale thumbnail - stable across resizing,
+ * recompression and small edits, so re-uploads of the same photo get (almost) the same hash
+ *
+ * @param {Buffer} buffer - Image
+ * @returns {Promise<string>} 16-char hex (64 bits)
+ */
+export const computeImageHash = async (buffer) => {
+  const pixels = await sharp(buffer)
+    .greyscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      hash <<= 1n;
+      if (pixels[row * 9 + col] > pixels[row * 9 + col + 1]) {
+        hash |= 1n;
+      }
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Process an uploaded image into the stored original and its variants
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<{original: object, variants: {thumbnail: object, medium: object, large: object}, hash: string}>}
+ *   Each image entry is { buffer, width, height } (WebP); hash is the perceptual hash (computeImageHash)
+ * @throws {Error} If the buffer is not a decodable image
+ */
+export const processImage = async (buffer) => {
+  const original = await toWebp(buffer, getMaxDimension());
+
+  // Variants are derived from the processed original (smaller and already upright)
+  const variants = {};
+  for (const [name, size] of Object.entries(IMAGE_VARIANTS)) {
+    variants[name] = await toWebp(original.buffer, size);
+  }
+
+  return { original, variants, hash: await computeImageHash(variants.thumbnail.buffer) };
+};
+
+/**
+ * Get the URL of an image variant, falling back to the image itself
+ * (images uploaded before processing existed have no variants)
+ *
+ * @param {object} ad - Ad document or plain object
+ * @param {string} imageUrl - One of ad.images
+ * @param {'thumbnail'|'medium'|'large'} variant
+ * @returns {string|null}
+ */
+export const getImageVariantUrl = (ad, imageUrl, variant) => {
+  if (!imageUrl) {
+    return null;
+  }
+  const entry = (ad.imageVariants || []).find((item) => item.url === imageUrl);
+  return entry?.[variant] || imageUrl;
+};
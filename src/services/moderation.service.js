@@ -0,0 +1,278 @@
+import Ad from '../models/Ad.js';
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import { isStaffRole } from '../constants/roles.js';
+import { changeAdStatus } from './adStatus.service.js';
+import { queueSavedSearchAlerts } from './savedSearch.service.js';
+import { sendNotification, getFrontendAdUrl } from './notification.service.js';
+import { hasReachedReportThreshold, closeAdReports } from './report.service.js';
+import { hasUnreviewedFlags, markAdRuleHitsReviewed } from './contentRule.service.js';
+
+/**
+ * Moderation queue
+ *
+ * Publishing a draft and major edits of listed ads send the ad to 'pending_review',
+ * unless an auto-approve rule applies:
+ * - disabled: MODERATION_ENABLED=false
+ * - staff: the seller is a moderator or admin
+ * - trusted_seller: the seller has at least MODERATION_TRUSTED_SELLER_MIN_APPROVED approved ads (0 = off)
+ * - low_risk_category: the category is listed in MODERATION_AUTO_APPROVE_CATEGORIES (comma-separated slugs)
+ * Ads flagged as duplicates (DUPLICATE_AD_ACTION=flag), ads with unreviewed content rule flags
+ * (services/contentRule.service.js) and ads hidden by user reports (services/report.service.js,
+ * trigger 'reports') always go to the queue
+ */
+
+// Fields whose change sends a listed ad back to review
+export const MAJOR_EDIT_FIELDS = ['title', 'description', 'categorySlug', 'subCategorySlug'];
+
+// Statuses whose major edits are reviewed (the ad is publicly reachable)
+const REVIEWED_EDIT_STATUSES = ['active', 'reserved', 'paused'];
+
+// Review triggers of listed ads - approval restores moderation.previousStatus
+const RESTORING_TRIGGERS = ['edit', 'reports'];
+
+export const isModerationEnabled = () => String(process.env.MODERATION_ENABLED || 'true').toLowerCase() !== 'false';
+
+const getAutoApproveCategories = () => String(process.env.MODERATION_AUTO_APPROVE_CATEGORIES || '')
+  .split(',')
+  .map((slug) => slug.trim())
+  .filter(Boolean);
+
+const getTrustedSellerMinApproved = () => {
+  const value = parseInt(process.env.MODERATION_TRUSTED_SELLER_MIN_APPROVED, 10);
+  return Number.isInteger(value) && value > 0 ? value : 0;
+};
+
+/**
+ * Find the auto-approve rule that lets an ad skip the queue
+ * @param {object} ad - Ad document loaded with +duplicateOf (its in-memory state counts,
+ *                      so an edit that resolved a duplicate flag is not held back by it)
+ * @returns {Promise<string|null>} Rule name, or null when the ad needs review
+ */
+export const getAutoApproveRule = async (ad) => {
+  if (!isModerationEnabled()) {
+    return 'disabled';
+  }
+
+  if (ad.duplicateOf?.ad) {
+    return null;
+  }
+
+  if (await hasReachedReportThreshold(ad._id) || await hasUnreviewedFlags(ad._id)) {
+    return null;
+  }
+
+  const seller = await User.findById(ad.user).select('role');
+  if (seller && isStaffRole(seller.role)) {
+    return 'staff';
+  }
+
+  if (getAutoApproveCategories().includes(ad.categorySlug)) {
+    return 'low_risk_category';
+  }
+
+  const minApproved = getTrustedSellerMinApproved();
+  if (minApproved > 0) {
+    const approved = await Ad.countDocuments({
+      user: ad.user,
+      _id: { $ne: ad._id },
+      'moderation.status': 'approved',
+      'moderation.autoApproved': { $exists: false },
+    });
+    if (approved >= minApproved) {
+      return 'trusted_seller';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether changed fields make an edit "major"
+ * @param {object} before - Snapshot before the edit (buildAdSnapshot)
+ * @param {object} ad - Edited ad document
+ * @returns {boolean}
+ */
+export const isMajorEdit = (before, ad) => MAJOR_EDIT_FIELDS.some((field) => (before[field] ?? null) !== (ad[field] ?? null));
+
+/**
+ * Publish a draft through moderation
+ * Goes live right away when an auto-approve rule applies, otherwise waits in the queue
+ * The caller validates the draft -> active transition first
+ *
+ * @param {object} ad - Draft ad document
+ * @param {{actor?: string|null, source?: string}} options - Status history actor/source
+ * @returns {Promise<{status: 'active'|'pending_review', autoApproved: string|null}>}
+ */
+export const publishAd = async (ad, { actor = null, source = 'owner' } = {}) => {
+  const rule = await getAutoApproveRule(ad);
+  const now = new Date();
+
+  if (rule) {
+    ad.moderation = {
+      status: 'approved',
+      trigger: 'activation',
+      autoApproved: rule,
+      submittedAt: now,
+      reviewedAt: now,
+    };
+    await changeAdStatus(ad, 'active', { actor, source });
+    queueSavedSearchAlerts(ad);
+    return { status: 'active', autoApproved: rule };
+  }
+
+  ad.moderation = {
+    status: 'pending',
+    trigger: 'activation',
+    submittedAt: now,
+  };
+  // A pending publication consumes the schedule like a real one
+  ad.publishAt = undefined;
+  ad.publishError = undefined;
+  await changeAdStatus(ad, 'pending_review', { actor, source });
+  return { status: 'pending_review', autoApproved: null };
+};
+
+/**
+ * Decide whether a major edit of a listed ad needs review, and prepare the ad for it
+ * Only sets fields - the caller saves the ad with changeAdStatus(ad, 'pending_review')
+ *
+ * @param {object} ad - Edited ad document (not saved yet)
+ * @param {object} before - Snapshot before the edit
+ * @returns {Promise<boolean>} true when the ad must go to review
+ */
+export const prepareEditReview = async (ad, before) => {
+  if (!REVIEWED_EDIT_STATUSES.includes(ad.status) || !isMajorEdit(before, ad)) {
+    return false;
+  }
+  if (await getAutoApproveRule(ad)) {
+    return false;
+  }
+
+  ad.moderation = {
+    status: 'pending',
+    trigger: 'edit',
+    previousStatus: ad.status,
+    submittedAt: new Date(),
+  };
+  return true;
+};
+
+/**
+ * Load an ad waiting for review
+ * @param {string} adId
+ * @returns {Promise<object>} Ad document with moderation selected
+ * @throws {AppError} 404 when missing, 400 when not pending review
+ */
+const findPendingAd = async (adId) => {
+  const ad = await Ad.findOne({ _id: adId, isDeleted: false }).select('+moderation +duplicateOf');
+  if (!ad) {
+    throw new AppError('Ad not found', 404, { type: 'NOT_FOUND' });
+  }
+  if (ad.status !== 'pending_review') {
+    throw new AppError('Ad is not pending review', 400, {
+      type: 'NOT_PENDING_REVIEW',
+      currentStatus: ad.status,
+    });
+  }
+  return ad;
+};
+
+/**
+ * Approve an ad from the queue
+ * Activations go live; approved edits and report reviews restore the status the ad had before
+ * (open reports of an ad hidden by reports are dismissed, content rule flags are marked reviewed -
+ * rejected ads keep theirs, so republishing them goes through the queue again)
+ *
+ * @param {string} adId
+ * @param {string} moderatorId
+ * @returns {Promise<object>} Updated ad
+ */
+export const approveAd = async (adId, moderatorId) => {
+  const ad = await findPendingAd(adId);
+  const { trigger, previousStatus, submittedAt } = ad.moderation || {};
+  const status = RESTORING_TRIGGERS.includes(trigger) && previousStatus ? previousStatus : 'active';
+
+  ad.moderation = {
+    status: 'approved',
+    trigger,
+    submittedAt,
+    reviewedAt: new Date(),
+    reviewedBy: moderatorId,
+  };
+  ad.duplicateOf = undefined;
+  await changeAdStatus(ad, status, { actor: moderatorId, source: 'moderator' });
+  await markAdRuleHitsReviewed(ad._id, moderatorId);
+
+  if (trigger === 'reports') {
+    await closeAdReports(ad._id, 'dismissed', moderatorId, 'Ad approved after review');
+  }
+  if (!RESTORING_TRIGGERS.includes(trigger)) {
+    queueSavedSearchAlerts(ad);
+  }
+
+  logger.info('[MODERATION] Ad approved', { adId: ad._id, moderatorId, trigger });
+  return ad;
+};
+
+/**
+ * Reject an ad from the queue - it returns to draft with the reason for the owner
+ * (open reports of an ad hidden by reports are resolved)
+ * @param {string} adId
+ * @param {string} moderatorId
+ * @param {string} reason
+ * @returns {Promise<object>} Updated ad
+ */
+export const rejectAd = async (adId, moderatorId, reason) => {
+  const ad = await findPendingAd(adId);
+  const { trigger, submittedAt } = ad.moderation || {};
+
+  ad.moderation = {
+    status: 'rejected',
+    trigger,
+    reason,
+    submittedAt,
+    reviewedAt: new Date(),
+    reviewedBy: moderatorId,
+  };
+  await changeAdStatus(ad, 'draft', { actor: moderatorId, source: 'moderator' });
+
+  if (trigger === 'reports') {
+    await closeAdReports(ad._id, 'resolved', moderatorId, reason);
+  }
+
+  logger.info('[MODERATION] Ad rejected', { adId: ad._id, moderatorId, trigger });
+  notifyRejection(ad, reason);
+  return ad;
+};
+
+/**
+ * Tell the owner why their ad was rejected (background, never throws)
+ * @param {object} ad
+ * @param {string} reason
+ */
+const notifyRejection = (ad, reason) => {
+  setImmediate(async () => {
+    try {
+      const owner = await User.findById(ad.user).select('name email').lean();
+      await sendNotification({
+        user: owner,
+        event: 'ad_rejected',
+        subject: `Anunțul „${ad.title}” nu a fost aprobat`,
+        text: `Bună ${owner?.name || ''},\n\nAnunțul „${ad.title}” nu a fost aprobat de moderatori.\n\nMotiv: ${reason}\n\nPoți modifica anunțul și îl poți publica din nou: ${getFrontendAdUrl(ad._id)}\n\nCu respect,\nEchipa`,
+        data: {
+          adId: String(ad._id),
+          title: ad.title,
+          reason,
+          url: getFrontendAdUrl(ad._id),
+        },
+      });
+    } catch (error) {
+      logger.error('[MODERATION] Failed to notify owner', {
+        adId: ad._id,
+        message: error.message,
+      });
+    }
+  });
+};
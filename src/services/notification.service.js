@@ -0,0 +1,85 @@
+import logger from '../config/logger.js';
+import { sendEmail } from './email.service.js';
+import { sendToMakeWebhook } from './makeWebhook.service.js';
+
+/**
+ * Notification service
+ * Delivers user-facing alerts through the email service, the Make webhook, or both
+ *
+ * Channel is selected with NOTIFICATION_CHANNEL: "email" (default), "webhook" or "both"
+ */
+
+const getChannel = () => {
+  const channel = String(process.env.NOTIFICATION_CHANNEL || 'email').toLowerCase();
+  return ['email', 'webhook', 'both'].includes(channel) ? channel : 'email';
+};
+
+/**
+ * Build a frontend URL for an ad (HashRouter compatible, same format as share page redirect)
+ * @param {string} adId - Ad ID
+ * @returns {string} Frontend ad URL
+ */
+export const getFrontendAdUrl = (adId) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:3000').trim().replace(/\/+$/, '');
+  return `${base}/#/ads/${adId}`;
+};
+
+/**
+ * Build a public API URL (used for links in emails, e.g. unsubscribe)
+ * @param {string} path - Path starting with "/"
+ * @returns {string} Absolute URL
+ */
+export const getApiPublicUrl = (path) => {
+  const base = (process.env.API_PUBLIC_URL || `http://localhost:${process.env.PORT || 5001}`)
+    .trim()
+    .replace(/\/+$/, '');
+  return `${base}${path}`;
+};
+
+/**
+ * Send a notification to a user
+ * Never throws - delivery failures are logged and reported in the result
+ *
+ * @param {Object} params
+ * @param {{email: string, name?: string}} params.user - Recipient
+ * @param {string} params.event - Event name (sent to webhook as "event")
+ * @param {string} params.subject - Email subject
+ * @param {string} params.text - Plain text body
+ * @param {string} [params.html] - HTML body
+ * @param {Object} [params.data] - Extra structured data for the webhook payload
+ * @returns {Promise<{email: Object|null, webhook: Object|null}>} Delivery results per channel
+ */
+export const sendNotification = async ({ user, event, subject, text, html, data = {} }) => {
+  const channel = getChannel();
+  const result = { email: null, webhook: null };
+
+  if (!user || !user.email) {
+    logger.warn('[NOTIFY] Skipped notification without recipient email', { event });
+    return result;
+  }
+
+  try {
+    if (channel === 'email' || channel === 'both') {
+      result.email = await sendEmail({ to: user.email, subject, text, html });
+    }
+
+    if (channel === 'webhook' || channel === 'both') {
+      result.webhook = await sendToMakeWebhook({
+        event,
+        email: user.email,
+        name: user.name || '',
+        subject,
+        ...data,
+        timestamp: new Date().toISOString(),
+        env: process.env.NODE_ENV || 'development',
+      });
+    }
+  } catch (error) {
+    logger.error('[NOTIFY] Notification delivery failed', {
+      event,
+      message: error.message,
+    });
+  }
+
+  return result;
+};
@@ -0,0 +1,185 @@
+import PriceHistory from '../models/PriceHistory.js';
+import User from '../models/User.js';
+import logger from '../config/logger.js';
+import { toBaseCurrency } from '../utils/currency.js';
+import { sendNotification, getFrontendAdUrl } from './notification.service.js';
+
+const DEFAULT_PRICE_DROP_THRESHOLD_PERCENT = 5;
+
+/**
+ * Minimum drop (percent of the previous price) that notifies users who favorited the ad
+ * Configured with PRICE_DROP_THRESHOLD_PERCENT
+ * @returns {number}
+ */
+export const getPriceDropThresholdPercent = () => {
+  const threshold = parseFloat(process.env.PRICE_DROP_THRESHOLD_PERCENT);
+  return Number.isFinite(threshold) && threshold >= 0 ? threshold : DEFAULT_PRICE_DROP_THRESHOLD_PERCENT;
+};
+
+/**
+ * Percentage drop between two prices (0 when the price didn't go down)
+ * Prices in the same currency are compared directly, otherwise in base currency
+ *
+ * @param {{price: number, currency: string}} previous
+ * @param {{price: number, currency: string}} current
+ * @returns {number}
+ */
+export const getPriceDropPercent = (previous, current) => {
+  const previousAmount = previous.currency === current.currency
+    ? previous.price
+    : toBaseCurrency(previous.price, previous.currency);
+  const currentAmount = previous.currency === current.currency
+    ? current.price
+    : toBaseCurrency(current.price, current.currency);
+
+  if (!previousAmount || currentAmount === null || currentAmount >= previousAmount) {
+    return 0;
+  }
+  return Math.round(((previousAmount - currentAmount) / previousAmount) * 10000) / 100;
+};
+
+/**
+ * Record a price change made through updateAd
+ * Ads without a timeline (created before price history existed) first get an
+ * "initial" point with the previous price dated at ad creation
+ *
+ * @param {object} ad - Saved ad document (new price)
+ * @param {{price: number, currency: string}} previous - Price before the update
+ * @returns {Promise<object>} Created price history entry
+ */
+export const recordPriceChange = async (ad, previous) => {
+  const hasHistory = await PriceHistory.exists({ ad: ad._id });
+  if (!hasHistory) {
+    await PriceHistory.create({
+      ad: ad._id,
+      price: previous.price,
+      currency: previous.currency,
+      priceNormalized: toBaseCurrency(previous.price, previous.currency),
+      source: 'initial',
+      changedAt: ad.createdAt || new Date(),
+    });
+  }
+
+  return PriceHistory.create({
+    ad: ad._id,
+    price: ad.price,
+    currency: ad.currency,
+    priceNormalized: ad.priceNormalized,
+    source: 'update',
+    changedAt: new Date(),
+  });
+};
+
+/**
+ * Price timeline of an ad, oldest first
+ * Ads whose price never changed return a single point with the current price
+ *
+ * @param {object} ad - Ad document
+ * @returns {Promise<Array<{price: number, currency: string, priceNormalized: number, changedAt: Date}>>}
+ */
+export const getPriceHistory = async (ad) => {
+  const entries = await PriceHistory.find({ ad: ad._id })
+    .sort({ changedAt: 1, _id: 1 })
+    .select('price currency priceNormalized changedAt -_id')
+    .lean();
+
+  if (entries.length > 0) {
+    return entries;
+  }
+
+  return [{
+    price: ad.price,
+    currency: ad.currency,
+    priceNormalized: ad.priceNormalized,
+    changedAt: ad.createdAt,
+  }];
+};
+
+/**
+ * Notify every user who has the ad in favorites about a price drop
+ * The seller is never notified about their own ad
+ *
+ * @param {object} ad - Ad document with the new price
+ * @param {{price: number, currency: string}} previous - Price before the update
+ * @param {number} dropPercent
+ * @returns {Promise<number>} Number of notified users
+ */
+const notifyPriceDrop = async (ad, previous, dropPercent) => {
+  const users = await User.find({ favorites: ad._id, _id: { $ne: ad.user } })
+    .select('name email')
+    .lean();
+
+  const adUrl = getFrontendAdUrl(ad._id);
+  for (const user of users) {
+    await sendNotification({
+      user,
+      event: 'favorite_price_drop',
+      subject: `Preț redus: ${ad.title}`,
+      text: `Bună ${user.name || ''},\n\nPrețul anunțului „${ad.title}” din favoritele tale a scăzut de la ${previous.price} ${previous.currency} la ${ad.price} ${ad.currency} (-${dropPercent}%).\n\n${adUrl}\n\nCu respect,\nEchipa`,
+      data: {
+        adId: String(ad._id),
+        title: ad.title,
+        previousPrice: previous.price,
+        previousCurrency: previous.currency,
+        price: ad.price,
+        currency: ad.currency,
+        dropPercent,
+        url: adUrl,
+      },
+    });
+  }
+
+  if (users.length > 0) {
+    logger.info('[PRICE_DROP] Favorites notified', {
+      adId: ad._id,
+      dropPercent,
+      count: users.length,
+    });
+  }
+  return users.length;
+};
+
+/**
+ * Queue price-drop notifications for a price change
+ * Runs after the response is sent - failures are logged, never surfaced to the seller
+ * Only active ads notify, and only when the drop exceeds the threshold
+ *
+ * @param {object} ad - Saved ad document (new price)
+ * @param {{price: number, currency: string}} previous - Price before the update
+ */
+export const queuePriceDropNotifications = (ad, previous) => {
+  const dropPercent = getPriceDropPercent(previous, ad);
+  if (ad.status !== 'active' || dropPercent <= getPriceDropThresholdPercent()) {
+    return;
+  }
+
+  setImmediate(() => {
+    notifyPriceDrop(ad, previous, dropPercent).catch((error) => {
+      logger.error('[PRICE_DROP] Failed to notify favorites', {
+        adId: ad?._id,
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  });
+};
+
+/**
+ * Record a price change and queue price-drop notifications
+ * The ad is already saved - a failed history write is logged instead of failing the request
+ *
+ * @param {object} ad - Saved ad document (new price)
+ * @param {{price: number, currency: string}} previous - Price before the update
+ */
+export const handlePriceChange = async (ad, previous) => {
+  try {
+    await recordPriceChange(ad, previous);
+  } catch (error) {
+    logger.error('[PRICE_HISTORY] Failed to record price change', {
+      adId: ad._id,
+      message: error.message,
+    });
+  }
+
+  queuePriceDropNotifications(ad, previous);
+};
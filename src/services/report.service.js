@@ -0,0 +1,266 @@
+import Report from '../models/Report.js';
+import Ad from '../models/Ad.js';
+import User from '../models/User.js';
+import Message from '../models/Message.js';
+import logger from '../config/logger.js';
+import { AppError } from '../middlewares/error.middleware.js';
+import { REPORT_STATUS_TRANSITIONS } from '../constants/reports.js';
+import { PERMISSIONS, hasPermission } from '../constants/roles.js';
+import { changeAdStatus } from './adStatus.service.js';
+
+/**
+ * User reports
+ *
+ * Each user has at most one open/escalated report per target. Once the number of unique
+ * reporters with open reports on an ad reaches REPORT_AUTO_HIDE_THRESHOLD (default 5, 0 = off),
+ * the ad is hidden by sending it to the moderation queue (trigger 'reports').
+ */
+
+// Listed statuses an ad is hidden from when reported (drafts were never public)
+const HIDEABLE_AD_STATUSES = ['active', 'reserved', 'paused'];
+
+export const getReportAutoHideThreshold = () => {
+  const value = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10);
+  return Number.isInteger(value) && value >= 0 ? value : 5;
+};
+
+const notFound = (targetType) => new AppError(
+  `Reported ${targetType} not found`,
+  404,
+  { type: 'NOT_FOUND', targetType }
+);
+
+/**
+ * Load the reported target and check the reporter may report it
+ * @param {string} targetType - ad | user | message
+ * @param {string} targetId
+ * @param {string} reporterId
+ * @returns {Promise<{targetOwner: object, snapshot?: string}>}
+ * @throws {AppError} 404 when the target is missing, 400 for own content
+ */
+const resolveReportTarget = async (targetType, targetId, reporterId) => {
+  let targetOwner;
+  let snapshot;
+
+  if (targetType === 'ad') {
+    const ad = await Ad.findOne({ _id: targetId, isDeleted: false }).select('user title status').lean();
+    if (!ad || ad.status === 'draft') {
+      throw notFound(targetType);
+    }
+    targetOwner = ad.user;
+    snapshot = ad.title;
+  } else if (targetType === 'user') {
+    const user = await User.exists({ _id: targetId });
+    if (!user) {
+      throw notFound(targetType);
+    }
+    targetOwner = user._id;
+  } else {
+    // Only the receiver of a message can report it - other users get a 404
+    const message = await Message.findOne({ _id: targetId, receiver: reporterId }).select('sender text').lean();
+    if (!message) {
+      throw notFound(targetType);
+    }
+    targetOwner = message.sender;
+    snapshot = message.text;
+  }
+
+  if (String(targetOwner) === String(reporterId)) {
+    throw new AppError('You cannot report your own content', 400, {
+      type: 'CANNOT_REPORT_OWN',
+    });
+  }
+
+  return { targetOwner, snapshot };
+};
+
+/**
+ * Count unique reporters with open/escalated reports on a target
+ * (the unique index allows one active report per reporter and target)
+ * @param {string} targetType
+ * @param {string} targetId
+ * @returns {Promise<number>}
+ */
+export const countActiveReporters = (targetType, targetId) => Report.countDocuments({
+  targetType,
+  target: targetId,
+  closedAt: null,
+});
+
+/**
+ * Check whether an ad has enough open reports to be kept out of listings
+ * Used by the moderation auto-approve rules, so a hidden ad can't skip the queue when republished
+ * @param {string} adId
+ * @returns {Promise<boolean>}
+ */
+export const hasReachedReportThreshold = async (adId) => {
+  const threshold = getReportAutoHideThreshold();
+  if (threshold === 0) {
+    return false;
+  }
+  return (await countActiveReporters('ad', adId)) >= threshold;
+};
+
+/**
+ * Hide a reported ad once it reaches the threshold (sends it to the moderation queue)
+ * @param {string} adId
+ * @returns {Promise<boolean>} true when the ad was hidden
+ */
+const hideAdIfOverThreshold = async (adId) => {
+  if (!(await hasReachedReportThreshold(adId))) {
+    return false;
+  }
+
+  // Claim the ad with a conditional update so concurrent reports hide it once - a second
+  // hide would record pending_review as the status to restore on approval
+  const ad = await Ad.findOneAndUpdate(
+    { _id: adId, isDeleted: false, status: { $in: HIDEABLE_AD_STATUSES } },
+    { $set: { status: 'pending_review' } },
+    { new: false }
+  );
+  if (!ad) {
+    return false; // Already hidden, moderated or not listed
+  }
+
+  ad.moderation = {
+    status: 'pending',
+    trigger: 'reports',
+    previousStatus: ad.status, // Status before the claim
+    submittedAt: new Date(),
+  };
+  await changeAdStatus(ad, 'pending_review', { source: 'system' });
+
+  logger.info('[REPORTS] Ad hidden after reports', {
+    adId: ad._id,
+    previousStatus: ad.moderation.previousStatus,
+    threshold: getReportAutoHideThreshold(),
+  });
+  return true;
+};
+
+/**
+ * Create a report
+ * @param {{reporterId: string, targetType: string, targetId: string, reason: string, note?: string}} data
+ * @returns {Promise<{report: object, adHidden: boolean}>}
+ * @throws {AppError} 409 ALREADY_REPORTED when the user already has an open report on the target
+ */
+export const createReport = async ({ reporterId, targetType, targetId, reason, note }) => {
+  const { targetOwner, snapshot } = await resolveReportTarget(targetType, targetId, reporterId);
+
+  const alreadyReported = () => new AppError('You have already reported this', 409, {
+    type: 'ALREADY_REPORTED',
+  });
+
+  if (await Report.exists({ reporter: reporterId, targetType, target: targetId, closedAt: null })) {
+    throw alreadyReported();
+  }
+
+  let report;
+  try {
+    report = await Report.create({
+      reporter: reporterId,
+      targetType,
+      target: targetId,
+      targetOwner,
+      snapshot,
+      reason,
+      note,
+    });
+  } catch (error) {
+    // Concurrent duplicate (unique partial index)
+    if (error.code === 11000) {
+      throw alreadyReported();
+    }
+    throw error;
+  }
+
+  logger.info('[REPORTS] Report created', {
+    reportId: report._id,
+    targetType,
+    targetId,
+    reason,
+  });
+
+  const adHidden = targetType === 'ad' ? await hideAdIfOverThreshold(targetId) : false;
+  return { report, adHidden };
+};
+
+/**
+ * Apply a triage decision to a report
+ * open -> resolved | dismissed | escalated; escalated -> resolved | dismissed (reports:escalated only)
+ *
+ * @param {string} reportId
+ * @param {string} status - resolved | dismissed | escalated
+ * @param {{user: {id: string, role: string}, note?: string}} options - Acting staff member
+ * @returns {Promise<object>} Updated report
+ */
+export const triageReport = async (reportId, status, { user, note }) => {
+  const report = await Report.findById(reportId).select('status');
+  if (!report) {
+    throw new AppError('Report not found', 404, { type: 'NOT_FOUND' });
+  }
+
+  const allowed = REPORT_STATUS_TRANSITIONS[report.status] || [];
+  if (!allowed.includes(status)) {
+    throw new AppError(`Report is already ${report.status}`, 400, {
+      type: 'INVALID_REPORT_TRANSITION',
+      currentStatus: report.status,
+      allowedTransitions: allowed,
+    });
+  }
+
+  if (report.status === 'escalated' && !hasPermission(user.role, PERMISSIONS.REPORTS_ESCALATED)) {
+    throw new AppError('Only admins can close escalated reports', 403, {
+      type: 'FORBIDDEN',
+    });
+  }
+
+  // Conditional update so two moderators can't both act on the same report
+  const updated = await Report.findOneAndUpdate(
+    { _id: reportId, status: report.status },
+    {
+      $set: {
+        status,
+        closedAt: status === 'escalated' ? null : new Date(),
+      },
+      $push: { triage: { action: status, note, by: user.id, at: new Date() } },
+    },
+    { new: true, runValidators: true }
+  );
+  if (!updated) {
+    throw new AppError('Report was changed by someone else, reload and try again', 409, {
+      type: 'REPORT_CHANGED',
+    });
+  }
+
+  logger.info('[REPORTS] Report triaged', {
+    reportId,
+    from: report.status,
+    to: status,
+    staffId: user.id,
+  });
+  return updated;
+};
+
+/**
+ * Close the open reports of an ad after a moderation decision on it
+ * Approving an ad hidden by reports dismisses them, rejecting it resolves them;
+ * escalated reports are left to admins
+ *
+ * @param {string} adId
+ * @param {'resolved'|'dismissed'} status
+ * @param {string} moderatorId
+ * @param {string} note
+ * @returns {Promise<number>} Number of closed reports
+ */
+export const closeAdReports = async (adId, status, moderatorId, note) => {
+  const now = new Date();
+  const result = await Report.updateMany(
+    { targetType: 'ad', target: adId, status: 'open' },
+    {
+      $set: { status, closedAt: now },
+      $push: { triage: { action: status, note, by: moderatorId, at: now } },
+    }
+  );
+  return result.modifiedCount;
+};
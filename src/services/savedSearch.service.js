@@ -0,0 +1,319 @@
+import Ad from '../models/Ad.js';
+import SavedSearch from '../models/SavedSearch.js';
+import logger from '../config/logger.js';
+import { buildAdQuery, notExpiredCondition } from '../utils/adQuery.js';
+import { sendNotification, getFrontendAdUrl, getApiPublicUrl } from './notification.service.js';
+
+/**
+ * Legacy attribute filter keys a saved search may store
+ * These map 1:1 to the attribute query parameters of GET /api/ads;
+ * any other key is stored as an attribute equality filter (attr[key]=value)
+ */
+export const SAVED_SEARCH_ATTRIBUTE_KEYS = ['brand', 'condition', 'year', 'rooms', 'areaMin', 'areaMax'];
+
+const DIGEST_INTERVAL_MS = 24 * 60 * 60 * 1000; // Daily digests
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000; // Check for due digests hourly
+const DIGEST_MAX_PER_RUN = 1000; // Digests sent per run - the rest wait for the next run
+const BATCH_SIZE = 100; // Saved searches loaded per query
+
+/**
+ * Convert stored saved-search filters to GET /api/ads query parameters
+ * @param {object} filters - SavedSearch.filters (document or plain object)
+ * @returns {object} Query params accepted by buildAdQuery
+ */
+export const toAdQueryParams = (filters = {}) => {
+  const params = {};
+
+  if (filters.search) params.search = filters.search;
+  if (filters.categorySlug) params.categorySlug = filters.categorySlug;
+  if (filters.subCategorySlug) params.subCategorySlug = filters.subCategorySlug;
+  if (filters.minPrice !== undefined && filters.minPrice !== null) params.minPrice = String(filters.minPrice);
+  if (filters.maxPrice !== undefined && filters.maxPrice !== null) params.maxPrice = String(filters.maxPrice);
+  if (filters.currency) params.currency = filters.currency;
+
+  const attributes = filters.attributes instanceof Map
+    ? Object.fromEntries(filters.attributes)
+    : (filters.attributes || {});
+  Object.entries(attributes).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    if (SAVED_SEARCH_ATTRIBUTE_KEYS.includes(key)) {
+      params[key] = String(value);
+    } else {
+      params[`attr[${key}]`] = String(value);
+    }
+  });
+
+  return params;
+};
+
+/**
+ * Find which saved searches an ad matches
+ * Each search's filters go through buildAdQuery restricted to this ad's _id, so matching uses
+ * exactly the same rules as the public listing. All searches are evaluated in one aggregation
+ * ($facet, one sub-pipeline per search) - except full-text searches: $text can't run inside
+ * $facet, so those are checked one query each
+ *
+ * @param {Array<object>} savedSearches - SavedSearch documents
+ * @param {object} ad - Ad document
+ * @returns {Promise<Set<string>>} IDs of the matching saved searches
+ */
+const findMatchingSavedSearches = async (savedSearches, ad) => {
+  const matched = new Set();
+  const facets = {};
+  const textSearches = [];
+
+  savedSearches.forEach((savedSearch) => {
+    try {
+      const { query } = buildAdQuery(toAdQueryParams(savedSearch.filters));
+      if (query.$text) {
+        textSearches.push({ savedSearch, query });
+      } else {
+        facets[String(savedSearch._id)] = [{ $match: query }, { $project: { _id: 1 } }];
+      }
+    } catch (error) {
+      // Filters that became invalid (e.g. removed category) simply don't match
+      logger.warn('[SAVED_SEARCH] Could not evaluate saved search', {
+        savedSearchId: savedSearch._id,
+        message: error.message,
+      });
+    }
+  });
+
+  if (Object.keys(facets).length > 0) {
+    const [result] = await Ad.aggregate([{ $match: { _id: ad._id } }, { $facet: facets }]);
+    Object.entries(result || {}).forEach(([savedSearchId, docs]) => {
+      if (docs.length > 0) {
+        matched.add(savedSearchId);
+      }
+    });
+  }
+
+  for (const { savedSearch, query } of textSearches) {
+    if (await Ad.exists({ ...query, _id: ad._id })) {
+      matched.add(String(savedSearch._id));
+    }
+  }
+
+  return matched;
+};
+
+/**
+ * Send an alert for one saved search with one or more matching ads
+ * @param {object} savedSearch - SavedSearch document (with unsubscribeToken selected)
+ * @param {object} user - Recipient ({ email, name })
+ * @param {Array<object>} ads - Matching ads
+ */
+const sendSavedSearchAlert = async (savedSearch, user, ads) => {
+  const unsubscribeUrl = getApiPublicUrl(`/api/saved-searches/unsubscribe/${savedSearch.unsubscribeToken}`);
+  const adLines = ads.map((ad) => `- ${ad.title} (${ad.price} ${ad.currency}): ${getFrontendAdUrl(ad._id)}`);
+
+  const subject = ads.length === 1
+    ? `Anunț nou pentru „${savedSearch.name}”`
+    : `${ads.length} anunțuri noi pentru „${savedSearch.name}”`;
+
+  const text = `Bună ${user.name || ''},\n\nAm găsit anunțuri noi pentru căutarea salvată „${savedSearch.name}”:\n\n${adLines.join('\n')}\n\nDezabonare: ${unsubscribeUrl}\n\nCu respect,\nEchipa`;
+
+  await sendNotification({
+    user,
+    event: 'saved_search_match',
+    subject,
+    text,
+    data: {
+      savedSearchId: String(savedSearch._id),
+      savedSearchName: savedSearch.name,
+      frequency: savedSearch.frequency,
+      ads: ads.map((ad) => ({
+        id: String(ad._id),
+        title: ad.title,
+        price: ad.price,
+        currency: ad.currency,
+        url: getFrontendAdUrl(ad._id),
+      })),
+      unsubscribeUrl,
+    },
+  });
+};
+
+/**
+ * Run a newly activated ad against stored saved searches
+ * - instant searches are alerted right away
+ * - daily searches collect the ad for the next digest
+ * The ad owner's own saved searches are skipped
+ * Candidates are processed BATCH_SIZE at a time (keyset pagination on _id)
+ *
+ * @param {object} ad - Ad document that just became active
+ */
+export const processAdActivation = async (ad) => {
+  const candidateQuery = {
+    isActive: true,
+    user: { $ne: ad.user },
+    $or: [
+      { 'filters.categorySlug': { $exists: false } },
+      { 'filters.categorySlug': null },
+      { 'filters.categorySlug': ad.categorySlug },
+    ],
+  };
+
+  let candidates = 0;
+  let matched = 0;
+  let lastId = null;
+
+  for (;;) {
+    const batch = await SavedSearch.find(lastId ? { ...candidateQuery, _id: { $gt: lastId } } : candidateQuery)
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .select('+unsubscribeToken')
+      .populate('user', 'name email');
+
+    if (batch.length === 0) {
+      break;
+    }
+    candidates += batch.length;
+    lastId = batch[batch.length - 1]._id;
+
+    // Owner accounts that no longer exist are skipped
+    const matchingIds = await findMatchingSavedSearches(batch.filter((savedSearch) => savedSearch.user), ad);
+    const updates = [];
+
+    for (const savedSearch of batch) {
+      if (!matchingIds.has(String(savedSearch._id))) {
+        continue;
+      }
+      matched++;
+
+      if (savedSearch.frequency === 'instant') {
+        await sendSavedSearchAlert(savedSearch, savedSearch.user, [ad]);
+        updates.push({ updateOne: { filter: { _id: savedSearch._id }, update: { $set: { lastNotifiedAt: new Date() } } } });
+      } else {
+        updates.push({ updateOne: { filter: { _id: savedSearch._id }, update: { $addToSet: { pendingAds: ad._id } } } });
+      }
+    }
+
+    if (updates.length > 0) {
+      await SavedSearch.bulkWrite(updates);
+    }
+    if (batch.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (matched > 0) {
+    logger.info('[SAVED_SEARCH] Ad matched saved searches', {
+      adId: ad._id,
+      candidates,
+      matched,
+    });
+  }
+};
+
+/**
+ * Queue saved-search alerts for an activated ad
+ * Runs after the response is sent - failures are logged, never surfaced to the seller
+ * @param {object} ad - Ad document that just became active
+ */
+export const queueSavedSearchAlerts = (ad) => {
+  setImmediate(() => {
+    processAdActivation(ad).catch((error) => {
+      logger.error('[SAVED_SEARCH] Failed to process ad activation', {
+        adId: ad?._id,
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  });
+};
+
+/**
+ * Send daily digests for searches with pending matches
+ * Only ads that are still active at digest time are included
+ * Searches are processed BATCH_SIZE at a time with one ad lookup per batch; at most
+ * DIGEST_MAX_PER_RUN digests go out per run, the rest are picked up by the next hourly run
+ */
+export const sendDailyDigests = async () => {
+  const dueBefore = new Date(Date.now() - DIGEST_INTERVAL_MS);
+  const dueQuery = {
+    isActive: true,
+    frequency: 'daily',
+    'pendingAds.0': { $exists: true },
+    $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lte: dueBefore } }],
+  };
+
+  let processed = 0;
+  let lastId = null;
+
+  while (processed < DIGEST_MAX_PER_RUN) {
+    const dueSearches = await SavedSearch.find(lastId ? { ...dueQuery, _id: { $gt: lastId } } : dueQuery)
+      .sort({ _id: 1 })
+      .limit(Math.min(BATCH_SIZE, DIGEST_MAX_PER_RUN - processed))
+      .select('+unsubscribeToken +pendingAds')
+      .populate('user', 'name email');
+
+    if (dueSearches.length === 0) {
+      break;
+    }
+    processed += dueSearches.length;
+    lastId = dueSearches[dueSearches.length - 1]._id;
+
+    // Still-active pending ads of the whole batch in one query
+    const pendingIds = [...new Set(dueSearches.flatMap((savedSearch) => savedSearch.pendingAds.map(String)))];
+    const ads = await Ad.find({
+      _id: { $in: pendingIds },
+      status: 'active',
+      isDeleted: false,
+      categoryArchived: { $ne: true },
+      sellerHidden: { $ne: true },
+      expiresAt: notExpiredCondition(),
+    })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const updates = [];
+    for (const savedSearch of dueSearches) {
+      const searchPendingIds = [...savedSearch.pendingAds];
+      const searchPending = new Set(searchPendingIds.map(String));
+      const searchAds = ads.filter((ad) => searchPending.has(String(ad._id)));
+
+      if (savedSearch.user && searchAds.length > 0) {
+        await sendSavedSearchAlert(savedSearch, savedSearch.user, searchAds);
+      }
+
+      updates.push({
+        updateOne: {
+          filter: { _id: savedSearch._id },
+          update: {
+            $pull: { pendingAds: { $in: searchPendingIds } },
+            $set: { lastNotifiedAt: new Date() },
+          },
+        },
+      });
+    }
+    await SavedSearch.bulkWrite(updates);
+
+    if (dueSearches.length < BATCH_SIZE) {
+      break;
+    }
+  }
+
+  if (processed > 0) {
+    logger.info('[SAVED_SEARCH] Daily digests processed', { count: processed });
+  }
+};
+
+/**
+ * Start the in-process daily digest job
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+export const startSavedSearchDigestJob = () => {
+  const run = () => {
+    sendDailyDigests().catch((error) => {
+      logger.error('[SAVED_SEARCH] Daily digest run failed', {
+        message: error.message,
+        stack: error.stack,
+      });
+    });
+  };
+
+  const interval = setInterval(run, DIGEST_CHECK_INTERVAL_MS);
+  interval.unref();
+  return interval;
+};
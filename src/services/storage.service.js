@@ -0,0 +1,34 @@
+import { getStorageDriverName } from '../config/storage.js';
+import cloudinaryDriver from './storage/cloudinary.driver.js';
+import localDriver from './storage/local.driver.js';
+
+/**
+ * Image storage
+ * Every driver implements the same interface:
+ * - name: string
+ * - isConfigured(): boolean
+ * - upload(file, { folder }): Promise<{ url, publicId }>
+ * - delete(publicId): Promise<{ result: 'ok' | 'not found' | string }>
+ * - getPublicId(url): string - throws for URLs the driver doesn't own
+ * - getUrl(publicId): string
+ *
+ * The driver is selected with STORAGE_DRIVER ("cloudinary" or "local")
+ */
+const drivers = {
+  cloudinary: cloudinaryDriver,
+  local: localDriver,
+};
+
+/**
+ * Get the active storage driver
+ * @returns {object} Storage driver
+ * @throws {Error} For unknown STORAGE_DRIVER values (rejected earlier by validateEnv)
+ */
+export const getStorage = () => {
+  const name = getStorageDriverName();
+  const driver = drivers[name];
+  if (!driver) {
+    throw new Error(`Unknown storage driver "${name}"`);
+  }
+  return driver;
+};
@@ -0,0 +1,97 @@
+import { Readable } from 'stream';
+import cloudinary from '../../config/cloudinary.js';
+
+/**
+ * Cloudinary storage driver
+ * publicId is the Cloudinary public_id (folder included, no extension)
+ */
+const cloudinaryDriver = {
+  name: 'cloudinary',
+
+  isConfigured() {
+    return !!cloudinary.config().cloud_name;
+  },
+
+  /**
+   * Upload a file buffer
+   * @param {{buffer: Buffer, originalname: string}} file - Multer file
+   * @param {{folder: string}} options
+   * @returns {Promise<{url: string, publicId: string}>}
+   */
+  upload(file, { folder }) {
+    return new Promise((resolve, reject) => {
+      // Note: Don't use 'format: auto' - it causes "Invalid extension in transformation: auto" error
+      // Cloudinary preserves the original format (png, jpg, jpeg, webp);
+      // optimizations (quality, fetch_format) are applied at delivery via URL transformations
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          resource_type: 'image',
+        },
+        (error, result) => {
+          if (error) {
+            reject(error);
+          } else if (!result || !result.secure_url) {
+            reject(new Error('No URL returned'));
+          } else {
+            resolve({ url: result.secure_url, publicId: result.public_id });
+          }
+        }
+      );
+
+      // Convert buffer to stream and pipe to Cloudinary
+      const bufferStream = new Readable();
+      bufferStream.push(file.buffer);
+      bufferStream.push(null);
+      bufferStream.pipe(uploadStream);
+    });
+  },
+
+  /**
+   * Delete a stored image
+   * @param {string} publicId
+   * @returns {Promise<{result: 'ok'|'not found'|string}>}
+   */
+  async delete(publicId) {
+    const result = await cloudinary.uploader.destroy(publicId, {
+      resource_type: 'image',
+    });
+    return { result: result.result };
+  },
+
+  /**
+   * Extract public_id from a Cloudinary URL
+   * Format: https://res.cloudinary.com/{cloud_name}/image/upload/[v{version}/]{folder}/{public_id}.{format}
+   *
+   * @param {string} imageUrl
+   * @returns {string} public_id (with folder if present)
+   * @throws {Error} If the URL is not a Cloudinary upload URL
+   */
+  getPublicId(imageUrl) {
+    try {
+      const url = new URL(imageUrl);
+
+      // Extract path after /image/upload/
+      const pathParts = url.pathname.split('/image/upload/');
+      if (pathParts.length !== 2) {
+        throw new Error('Invalid Cloudinary URL format');
+      }
+
+      // Remove version prefix (v1234567890/) and file extension
+      return pathParts[1].replace(/^v\d+\//, '').replace(/\.[^/.]+$/, '');
+    } catch (error) {
+      throw new Error(`Invalid Cloudinary URL: ${error.message}`);
+    }
+  },
+
+  /**
+   * Public URL of a stored image
+   * @param {string} publicId
+   * @returns {string}
+   */
+  getUrl(publicId) {
+    return cloudinary.url(publicId, { secure: true, resource_type: 'image' });
+  },
+};
+
+export default cloudinaryDriver;
@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getLocalStorageDir, LOCAL_STORAGE_ROUTE } from '../../config/storage.js';
+import { getApiPublicUrl } from '../notification.service.js';
+
+const ALLOWED_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// {folder}/{name}.{ext} - no dots or slashes elsewhere, so ids can't escape the storage dir
+const PUBLIC_ID_PATTERN = /^[a-z0-9_-]+\/[a-f0-9]{32}\.(jpg|jpeg|png|webp)$/i;
+
+/**
+ * Resolve a publicId to a file path inside the storage directory
+ * @param {string} publicId
+ * @returns {string}
+ */
+const toFilePath = (publicId) => {
+  if (!PUBLIC_ID_PATTERN.test(publicId)) {
+    throw new Error('Invalid local image id');
+  }
+  return path.join(getLocalStorageDir(), publicId);
+};
+
+/**
+ * Local filesystem storage driver
+ * Files are written to STORAGE_LOCAL_DIR and served by app.js under /uploads
+ * publicId is the path relative to the storage directory ({folder}/{name}.{ext})
+ */
+const localDriver = {
+  name: 'local',
+
+  isConfigured() {
+    return true;
+  },
+
+  /**
+   * Write a file buffer to disk
+   * @param {{buffer: Buffer, originalname: string}} file - Multer file
+   * @param {{folder: string}} options
+   * @returns {Promise<{url: string, publicId: string}>}
+   */
+  async upload(file, { folder }) {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(extension)) {
+      throw new Error(`Unsupported file extension "${extension}"`);
+    }
+
+    const publicId = `${folder}/${crypto.randomBytes(16).toString('hex')}${extension}`;
+    const filePath = toFilePath(publicId);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, file.buffer, { flag: 'wx' });
+
+    return { url: localDriver.getUrl(publicId), publicId };
+  },
+
+  /**
+   * Delete a stored image
+   * @param {string} publicId
+   * @returns {Promise<{result: 'ok'|'not found'}>}
+   */
+  async delete(publicId) {
+    try {
+      await fs.unlink(toFilePath(publicId));
+      return { result: 'ok' };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { result: 'not found' };
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Extract publicId from a local image URL ({base}/uploads/{folder}/{name}.{ext})
+   * @param {string} imageUrl
+   * @returns {string}
+   * @throws {Error} If the URL doesn't point to a local image
+   */
+  getPublicId(imageUrl) {
+    try {
+      const url = new URL(imageUrl);
+      const prefix = `${LOCAL_STORAGE_ROUTE}/`;
+      const index = url.pathname.indexOf(prefix);
+      if (index === -1) {
+        throw new Error('Invalid local image URL format');
+      }
+
+      const publicId = decodeURIComponent(url.pathname.slice(index + prefix.length));
+      if (!PUBLIC_ID_PATTERN.test(publicId)) {
+        throw new Error('Invalid local image id');
+      }
+      return publicId;
+    } catch (error) {
+      throw new Error(`Invalid local image URL: ${error.message}`);
+    }
+  },
+
+  /**
+   * Public URL of a stored image
+   * Base is STORAGE_PUBLIC_URL, or API_PUBLIC_URL + /uploads
+   *
+   * @param {string} publicId
+   * @returns {string}
+   */
+  getUrl(publicId) {
+    const base = process.env.STORAGE_PUBLIC_URL
+      ? process.env.STORAGE_PUBLIC_URL.trim().replace(/\/+$/, '')
+      : getApiPublicUrl(LOCAL_STORAGE_ROUTE);
+    return `${base}/${publicId}`;
+  },
+};
+
+export default localDriver;
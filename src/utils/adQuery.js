@@ -0,0 +1,499 @@
+import mongoose from 'mongoose';
+import { AppError } from '../middlewares/error.middleware.js';
+import { normalizeSearchText } from './searchText.js';
+import { getAttributeSchema, getAttributeSchemaUnion, coerceAttributeValue } from './attributeValidator.js';
+import { BASE_CURRENCY, SUPPORTED_CURRENCIES, toBaseCurrency } from './currency.js';
+import { EARTH_RADIUS_KM, parseCoordinate } from './location.js';
+import { findLocality } from '../constants/localities.js';
+
+/**
+ * Escape regex special characters to prevent regex injection
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string safe for use in regex
+ */
+export const escapeRegex = (str) => {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+};
+
+/**
+ * Condition on Ad.expiresAt that excludes ads past their expiration date
+ * Ads without expiresAt (not yet backfilled) still match
+ * Usage: { status: 'active', expiresAt: notExpiredCondition() }
+ *
+ * @returns {object}
+ */
+export const notExpiredCondition = () => ({ $not: { $lte: new Date() } });
+
+/**
+ * Check whether an ad is expired - either already swept or past expiresAt
+ * while still waiting for the next sweep
+ *
+ * @param {object} ad - Ad document or plain object
+ * @returns {boolean}
+ */
+export const isAdExpired = (ad) => {
+  if (ad.status === 'expired') {
+    return true;
+  }
+  return ad.status === 'active' && !!ad.expiresAt && new Date(ad.expiresAt) <= new Date();
+};
+
+/**
+ * Operators supported by generic attribute filters (attr[key][op]=value)
+ * Plain attr[key]=value is an equality match
+ */
+const ATTRIBUTE_FILTER_OPERATORS = ['eq', 'in', 'gte', 'lte', 'gt', 'lt'];
+const RANGE_OPERATORS = ['gte', 'lte', 'gt', 'lt'];
+const MAX_IN_VALUES = 20;
+
+/**
+ * Collect generic attribute filters from query parameters
+ * Accepts both the flat keys produced by Express' simple query parser
+ * ('attr[fuel]', 'attr[year][gte]') and a nested object (attr: { year: { gte } })
+ *
+ * @param {object} params - Query parameters
+ * @returns {Array<{key: string, op: string, raw: *}>}
+ */
+const collectAttributeFilters = (params) => {
+  const filters = [];
+
+  Object.keys(params).forEach((paramKey) => {
+    const match = paramKey.match(/^attr\[([^\]]+)\](?:\[([^\]]+)\])?$/);
+    if (match) {
+      filters.push({ key: match[1], op: match[2] || 'eq', raw: params[paramKey] });
+    }
+  });
+
+  if (params.attr && typeof params.attr === 'object' && !Array.isArray(params.attr)) {
+    Object.entries(params.attr).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([op, raw]) => filters.push({ key, op, raw }));
+      } else {
+        filters.push({ key, op: 'eq', raw: value });
+      }
+    });
+  }
+
+  return filters;
+};
+
+/**
+ * Build MongoDB conditions for generic attribute filters
+ * Keys are checked against the attribute schema of the filtered category
+ * (subcategory schema when given, otherwise the union of its subcategories,
+ * otherwise the union across all categories). Values are coerced to the stored
+ * type so conditions stay plain equality/range matches on attributes.<key>
+ *
+ * @param {Array<{key: string, op: string, raw: *}>} filters
+ * @param {string|null} categorySlug
+ * @param {string|null} subCategorySlug
+ * @param {string} [locale] - Message locale (attribute labels in errors)
+ * @returns {object} Conditions keyed by 'attributes.<key>'
+ */
+const buildAttributeConditions = (filters, categorySlug, subCategorySlug, locale) => {
+  const schema = categorySlug
+    ? (subCategorySlug
+      ? getAttributeSchema(categorySlug, subCategorySlug)
+      : getAttributeSchemaUnion(categorySlug))
+    : getAttributeSchemaUnion();
+  const conditions = {};
+
+  filters.forEach(({ key, op, raw }) => {
+    const field = `attr[${key}]`;
+    const definition = schema[key];
+    if (!definition) {
+      throw new AppError(`Attribute '${key}' cannot be filtered in this category`, 400, {
+        type: 'INVALID_FILTER',
+        field,
+      });
+    }
+    if (!ATTRIBUTE_FILTER_OPERATORS.includes(op)) {
+      throw new AppError(`Unsupported operator '${op}'. Allowed: ${ATTRIBUTE_FILTER_OPERATORS.join(', ')}`, 400, {
+        type: 'INVALID_FILTER',
+        field,
+      });
+    }
+    if (RANGE_OPERATORS.includes(op) && definition.type !== 'number') {
+      throw new AppError('Range operators are only supported for numeric attributes', 400, {
+        type: 'INVALID_FILTER',
+        field,
+      });
+    }
+
+    // Repeated params (attr[fuel]=a&attr[fuel]=b) and comma lists for 'in' become multi-value matches
+    const rawValues = Array.isArray(raw) ? raw : [raw];
+    const values = (op === 'in' || rawValues.length > 1)
+      ? rawValues.flatMap((value) => (typeof value === 'string' ? value.split(',') : [value]))
+      : rawValues;
+    if (values.length > MAX_IN_VALUES) {
+      throw new AppError(`Too many values (max ${MAX_IN_VALUES})`, 400, {
+        type: 'INVALID_FILTER',
+        field,
+      });
+    }
+
+    const typedValues = values.map((value) => {
+      // Range bounds are plain numbers; min/max of the schema don't limit filters
+      const result = coerceAttributeValue(
+        RANGE_OPERATORS.includes(op) ? { ...definition, min: undefined, max: undefined, integer: false } : definition,
+        value,
+        locale
+      );
+      if (result.error) {
+        throw new AppError(result.error, 400, {
+          type: 'INVALID_FILTER',
+          field,
+        });
+      }
+      return result.value;
+    });
+
+    const path = `attributes.${key}`;
+    const existing = conditions[path];
+    const condition = (existing && typeof existing === 'object' && !Array.isArray(existing)) ? existing : {};
+
+    if (RANGE_OPERATORS.includes(op)) {
+      condition[`$${op}`] = typedValues[0];
+      conditions[path] = condition;
+    } else if (typedValues.length > 1 || op === 'in') {
+      conditions[path] = { $in: typedValues };
+    } else {
+      conditions[path] = typedValues[0];
+    }
+  });
+
+  return conditions;
+};
+
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 300;
+
+/**
+ * Parse a comma-separated list of numbers ('47.01,28.86')
+ * @param {*} value
+ * @param {number} count - Expected number of values
+ * @returns {number[]|null}
+ */
+const parseNumberList = (value, count) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const numbers = value.split(',').map(parseCoordinate);
+  return numbers.length === count && numbers.every((num) => num !== null) ? numbers : null;
+};
+
+/**
+ * Build location conditions from near/radiusKm, bbox and city parameters
+ * - near=lat,lng&radiusKm=10: ads within radiusKm (default 10, max 300) of the point
+ * - bbox=minLng,minLat,maxLng,maxLat: ads inside the box (map viewport)
+ * - city=chisinau or city=Chișinău (comma list allowed): ads in those localities
+ *
+ * @param {object} params - Query parameters
+ * @returns {{conditions: object[], near: {lat: number, lng: number}|null}}
+ */
+const buildLocationConditions = (params) => {
+  const { near, radiusKm, bbox, city } = params;
+  const conditions = [];
+  let nearPoint = null;
+
+  if (near !== undefined && near !== '') {
+    const coords = parseNumberList(near, 2);
+    if (!coords || Math.abs(coords[0]) > 90 || Math.abs(coords[1]) > 180) {
+      throw new AppError('near must be "lat,lng"', 400, {
+        type: 'INVALID_FILTER',
+        field: 'near',
+      });
+    }
+
+    let radius = DEFAULT_RADIUS_KM;
+    if (radiusKm !== undefined && radiusKm !== '') {
+      radius = parseCoordinate(radiusKm);
+      if (radius === null || radius <= 0 || radius > MAX_RADIUS_KM) {
+        throw new AppError(`radiusKm must be between 0 and ${MAX_RADIUS_KM}`, 400, {
+          type: 'INVALID_FILTER',
+          field: 'radiusKm',
+        });
+      }
+    }
+
+    const [lat, lng] = coords;
+    nearPoint = { lat, lng };
+    conditions.push({
+      'location.point': {
+        $geoWithin: { $centerSphere: [[lng, lat], radius / EARTH_RADIUS_KM] },
+      },
+    });
+  }
+
+  if (bbox !== undefined && bbox !== '') {
+    const box = parseNumberList(bbox, 4);
+    if (!box || box[0] >= box[2] || box[1] >= box[3] || Math.abs(box[1]) > 90 || Math.abs(box[3]) > 90) {
+      throw new AppError('bbox must be "minLng,minLat,maxLng,maxLat"', 400, {
+        type: 'INVALID_FILTER',
+        field: 'bbox',
+      });
+    }
+    const [minLng, minLat, maxLng, maxLat] = box;
+    conditions.push({
+      'location.point': {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]],
+          },
+        },
+      },
+    });
+  }
+
+  if (city !== undefined && city !== '') {
+    const values = (Array.isArray(city) ? city : [city])
+      .flatMap((value) => (typeof value === 'string' ? value.split(',') : []));
+    const slugs = values.map((value) => findLocality(value)?.slug);
+    if (values.length === 0 || values.length > MAX_IN_VALUES || slugs.some((slug) => !slug)) {
+      throw new AppError('Unknown city', 400, {
+        type: 'INVALID_FILTER',
+        field: 'city',
+      });
+    }
+    conditions.push({ 'location.citySlug': slugs.length === 1 ? slugs[0] : { $in: slugs } });
+  }
+
+  return { conditions, near: nearPoint };
+};
+
+/**
+ * Build the MongoDB filter for public ad listings from query parameters
+ * Shared by GET /api/ads, GET /api/ads/facets and saved searches so that
+ * listings, facet counts and alerts always agree on what "matches" means
+ *
+ * Attribute filters use the generic syntax attr[key]=value, attr[key][in]=a,b and
+ * attr[key][gte|lte|gt|lt]=n; legacy brand/condition/year/rooms/areaMin/areaMax
+ * parameters are still accepted and take effect unless the same attribute is
+ * also filtered through attr[...]
+ *
+ * Location filters: near=lat,lng&radiusKm=, bbox=minLng,minLat,maxLng,maxLat, city=
+ * (near is also returned so listings can sort by distance)
+ *
+ * Throws AppError (400) for malformed filters; ignores invalid legacy numeric values
+ *
+ * @param {object} params - Query parameters (req.query shape)
+ * @param {object} [options]
+ * @param {string} [options.locale] - Message locale of the request (req.messageLocale)
+ * @returns {{query: object, searchTerm: string, normalizedSearch: string, categoryFilter: string|null, near: {lat: number, lng: number}|null}}
+ */
+export const buildAdQuery = (params = {}, { locale } = {}) => {
+  const {
+    q,
+    search,
+    minPrice,
+    maxPrice,
+    currency,
+    displayCurrency,
+    categoryId, // Filter by category ObjectId (if category field exists as ObjectId)
+    category, // Support both 'category' and 'categorySlug' for compatibility (slug-based)
+    categorySlug,
+    subCategorySlug,
+    // Attribute filters
+    brand,
+    condition,
+    year,
+    rooms,
+    areaMin,
+    areaMax,
+  } = params;
+
+  // Build query object - only active, unexpired, non-deleted ads outside archived categories
+  // whose seller isn't banned or shadow-banned
+  const query = {
+    status: 'active',
+    isDeleted: false,
+    categoryArchived: { $ne: true },
+    sellerHidden: { $ne: true },
+    expiresAt: notExpiredCondition(),
+  };
+
+  // Full-text search over title, description and attribute values
+  // Support both 'search' and legacy 'q' parameter (search takes precedence)
+  // Term is normalized the same way as stored search fields (lowercase, no diacritics)
+  const searchRaw = (typeof search === 'string' && search.trim().length > 0)
+    ? search
+    : q;
+  const searchTerm = (typeof searchRaw === 'string' ? searchRaw.trim() : '');
+  const normalizedSearch = normalizeSearchText(searchTerm);
+  if (normalizedSearch.length > 0) {
+    query.$text = { $search: normalizedSearch };
+  }
+
+  // Filter by price range
+  // Bounds are expressed in displayCurrency (or the currency filter, or EUR) and compared
+  // against the normalized EUR price, so ads in different currencies compare correctly
+  // Ignore invalid values (NaN) instead of throwing 400
+  if (minPrice || maxPrice) {
+    const boundsCurrency = [displayCurrency, currency]
+      .map((value) => (typeof value === 'string' ? value.trim().toUpperCase() : null))
+      .find((value) => SUPPORTED_CURRENCIES.includes(value)) || BASE_CURRENCY;
+
+    query.priceNormalized = {};
+    if (minPrice) {
+      const minPriceNum = parseFloat(minPrice);
+      if (!isNaN(minPriceNum) && minPriceNum >= 0) {
+        query.priceNormalized.$gte = toBaseCurrency(minPriceNum, boundsCurrency);
+      }
+    }
+    if (maxPrice) {
+      const maxPriceNum = parseFloat(maxPrice);
+      if (!isNaN(maxPriceNum) && maxPriceNum >= 0) {
+        query.priceNormalized.$lte = toBaseCurrency(maxPriceNum, boundsCurrency);
+      }
+    }
+    // If price object is empty, remove it
+    if (Object.keys(query.priceNormalized).length === 0) {
+      delete query.priceNormalized;
+    }
+  }
+
+  // Filter by currency (exact match if provided)
+  // Trim string and validate it's one of allowed values
+  if (currency && typeof currency === 'string' && currency.trim().length > 0) {
+    const currencyTrimmed = currency.trim();
+    if (SUPPORTED_CURRENCIES.includes(currencyTrimmed)) {
+      query.currency = currencyTrimmed;
+    }
+  }
+
+  // Filter by categoryId (ObjectId) - if category field exists as ObjectId reference
+  // NOTE: Ad model currently uses categorySlug (String), not category (ObjectId)
+  // To enable categoryId filtering, add category field to Ad model:
+  // category: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' }
+  if (categoryId) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      throw new AppError('Invalid categoryId format', 400, {
+        type: 'INVALID_ID',
+        field: 'categoryId',
+      });
+    }
+    // Apply filter - will work when Ad model has 'category' ObjectId field
+    // For now, this won't match anything since Ad model only has categorySlug
+    query.category = new mongoose.Types.ObjectId(categoryId);
+  }
+
+  // Filter by category slug (support both 'category' and 'categorySlug' for compatibility)
+  // Use category if provided, otherwise fall back to categorySlug
+  // Only apply slug filter if categoryId was not provided (categoryId takes precedence)
+  const categoryFilter = !categoryId ? (category || categorySlug) : null;
+
+  // If subCategorySlug is provided without category, return error
+  if (subCategorySlug && !categoryFilter && !categoryId) {
+    throw new AppError('category required when filtering by subCategorySlug', 400, {
+      type: 'INVALID_FILTER',
+      field: 'subCategorySlug',
+    });
+  }
+
+  // Apply category slug filter using regex (case-insensitive) on categorySlug field
+  if (categoryFilter) {
+    if (typeof categoryFilter !== 'string' || categoryFilter.trim().length === 0) {
+      throw new AppError('Invalid category parameter', 400, {
+        type: 'INVALID_CATEGORY',
+        field: 'category',
+      });
+    }
+
+    const categoryTrimmed = categoryFilter.trim();
+    const categoryEscaped = escapeRegex(categoryTrimmed);
+    // Use regex for case-insensitive matching on categorySlug field
+    query.categorySlug = new RegExp(`^${categoryEscaped}$`, 'i');
+
+    // If subCategorySlug is provided, validate it belongs to category
+    if (subCategorySlug) {
+      if (typeof subCategorySlug !== 'string' || subCategorySlug.trim().length === 0) {
+        throw new AppError('Invalid subCategorySlug parameter', 400, {
+          type: 'INVALID_SUBCATEGORY',
+          field: 'subCategorySlug',
+        });
+      }
+
+      const subCategorySlugTrimmed = subCategorySlug.trim();
+      // For subcategory, also use regex matching
+      const subCategoryEscaped = escapeRegex(subCategorySlugTrimmed);
+      query.subCategorySlug = new RegExp(`^${subCategoryEscaped}$`, 'i');
+    }
+  }
+
+  // Filter by attributes
+  // Build attributes query object
+  const attributesQuery = {};
+  if (brand && typeof brand === 'string' && brand.trim().length > 0) {
+    attributesQuery['attributes.brand'] = brand.trim();
+  }
+  if (condition && typeof condition === 'string' && condition.trim().length > 0) {
+    attributesQuery['attributes.condition'] = condition.trim().toLowerCase();
+  }
+  if (year && typeof year === 'string' && year.trim().length > 0) {
+    // Year is stored as a number, validate it's a valid year
+    const yearNum = parseInt(year.trim(), 10);
+    if (!isNaN(yearNum) && yearNum > 1900 && yearNum <= new Date().getFullYear() + 1) {
+      attributesQuery['attributes.year'] = yearNum;
+    }
+  }
+  if (rooms && typeof rooms === 'string' && rooms.trim().length > 0) {
+    const roomsNum = parseInt(rooms.trim(), 10);
+    if (!isNaN(roomsNum) && roomsNum > 0) {
+      attributesQuery['attributes.rooms'] = roomsNum;
+    }
+  }
+  // Area range filter (area is stored as a number)
+  const areaRange = {};
+  if (areaMin) {
+    const areaMinNum = parseFloat(areaMin);
+    if (!isNaN(areaMinNum) && areaMinNum >= 0) {
+      areaRange.$gte = areaMinNum;
+    }
+  }
+  if (areaMax) {
+    const areaMaxNum = parseFloat(areaMax);
+    if (!isNaN(areaMaxNum) && areaMaxNum >= 0) {
+      areaRange.$lte = areaMaxNum;
+    }
+  }
+  if (Object.keys(areaRange).length > 0) {
+    attributesQuery['attributes.area'] = areaRange;
+  }
+
+  // Generic attribute filters (attr[key]...) - override legacy params on the same attribute
+  const attributeFilters = collectAttributeFilters(params);
+  if (attributeFilters.length > 0) {
+    const schemaCategory = typeof categoryFilter === 'string' ? categoryFilter.trim().toLowerCase() : null;
+    const schemaSubCategory = schemaCategory && typeof subCategorySlug === 'string'
+      ? subCategorySlug.trim().toLowerCase()
+      : null;
+    Object.assign(attributesQuery, buildAttributeConditions(
+      attributeFilters,
+      schemaCategory,
+      schemaSubCategory,
+      locale
+    ));
+  }
+
+  // Merge attributes query into main query
+  if (Object.keys(attributesQuery).length > 0) {
+    Object.assign(query, attributesQuery);
+  }
+
+  // Location filters - near and bbox may both target location.point, so combine them with $and
+  const { conditions: locationConditions, near } = buildLocationConditions(params);
+  if (locationConditions.length === 1) {
+    Object.assign(query, locationConditions[0]);
+  } else if (locationConditions.length > 1) {
+    query.$and = [...(query.$and || []), ...locationConditions];
+  }
+
+  return {
+    query,
+    searchTerm,
+    normalizedSearch,
+    categoryFilter,
+    near,
+  };
+};
@@ -1,43 +1,220 @@
+import { attributeSchemas, attributeLabelTranslations } from '../constants/attributeSchemas.js';
+import { DEFAULT_LOCALE, MESSAGE_SOURCE_LOCALE, localizeLabel } from '../i18n/index.js';
+
+// Schemas are looked up by keys from requests - only own properties count, so keys such as
+// 'constructor' or 'toString' never resolve to Object.prototype members
+const getOwn = (object, key) => (object && Object.hasOwn(object, key) ? object[key] : undefined);
+
+// Merged schemas have a null prototype for the same reason (callers look keys up with schema[key])
+const createSchemaMap = (...sources) => Object.assign(Object.create(null), ...sources);
+
+/**
+ * Get the merged attribute schema for a category (and optional subcategory)
+ * Category attributes apply to all subcategories; subcategory definitions win on the same key
+ *
+ * @param {string} categorySlug
+ * @param {string} [subCategorySlug]
+ * @returns {object} Map of attribute key -> definition (empty for unknown category), null prototype
+ */
+export const getAttributeSchema = (categorySlug, subCategorySlug) => {
+  if (!categorySlug || typeof categorySlug !== 'string') {
+    return createSchemaMap();
+  }
+  const categorySchema = getOwn(attributeSchemas, categorySlug);
+  if (!categorySchema) {
+    return createSchemaMap();
+  }
+  const subSchema = subCategorySlug ? getOwn(categorySchema.subcategories, subCategorySlug) : null;
+
+  return createSchemaMap(categorySchema.attributes, subSchema ? subSchema.attributes : {});
+};
+
+/**
+ * Get the union of attribute definitions across all subcategories of a category
+ * Used where the subcategory is unknown (e.g. listing filters by category only)
+ *
+ * @param {string} [categorySlug] - When omitted, union across all categories
+ * @returns {object} Map of attribute key -> definition, null prototype
+ */
+export const getAttributeSchemaUnion = (categorySlug) => {
+  const categorySlugs = categorySlug ? [categorySlug] : Object.keys(attributeSchemas);
+  const union = createSchemaMap();
+
+  categorySlugs.forEach((slug) => {
+    const categorySchema = getOwn(attributeSchemas, slug);
+    if (!categorySchema) return;
+    Object.keys(categorySchema.subcategories || {}).forEach((subSlug) => {
+      Object.assign(union, categorySchema.subcategories[subSlug].attributes);
+    });
+    Object.assign(union, categorySchema.attributes);
+  });
+
+  return union;
+};
+
 /**
- * Category-specific allowed attributes
- * Maps category slugs to their allowed attribute keys
+ * Label of an attribute in a locale (Romanian definition label, falling back to the key)
+ * Validation messages embed it, so it must be in the same language as the message
+ * @param {object} definition - Attribute definition
+ * @param {string} key - Attribute key
+ * @param {string} [locale] - 'ro' | 'ru' | 'en'
+ * @returns {string}
  */
-const categoryAttributes = {
-  auto: ['brand', 'model', 'year', 'fuel'],
-  'real-estate': ['rooms', 'area'],
-  electronics: ['brand', 'condition'],
+export const getAttributeLabel = (definition, key, locale = MESSAGE_SOURCE_LOCALE) => {
+  if (!definition.label) {
+    return key;
+  }
+  return localizeLabel(definition.label, getOwn(attributeLabelTranslations, definition.label), locale);
 };
 
 /**
  * Get allowed attributes for a category
  * @param {string} categorySlug
+ * @param {string} [subCategorySlug]
  * @returns {array} Array of allowed attribute keys
  */
-export const getAllowedAttributes = (categorySlug) => {
-  if (!categorySlug || typeof categorySlug !== 'string') {
-    return [];
+export const getAllowedAttributes = (categorySlug, subCategorySlug) => {
+  return Object.keys(getAttributeSchema(categorySlug, subCategorySlug));
+};
+
+/**
+ * Convert a raw value (string from multipart/query or JSON value) to its typed form
+ * Error messages are English templates ('{label} must be a number') with the label in the
+ * message locale, so the error handler can translate the whole message
+ * @param {object} definition - Attribute definition
+ * @param {*} raw - Raw value
+ * @param {string} [locale] - Message locale of the request (req.messageLocale)
+ * @returns {{value?: *, error?: string}} Typed value or error message
+ */
+export const coerceAttributeValue = (definition, raw, locale = MESSAGE_SOURCE_LOCALE) => {
+  const label = getAttributeLabel(definition, 'Value', locale);
+
+  switch (definition.type) {
+    case 'number': {
+      const num = typeof raw === 'number'
+        ? raw
+        : (typeof raw === 'string' && raw.trim() !== '' ? Number(raw.trim()) : NaN);
+      if (!Number.isFinite(num)) {
+        return { error: `${label} must be a number` };
+      }
+      if (definition.integer && !Number.isInteger(num)) {
+        return { error: `${label} must be a whole number` };
+      }
+      if (definition.min !== undefined && num < definition.min) {
+        return { error: `${label} must be at least ${definition.min}` };
+      }
+      if (definition.max !== undefined && num > definition.max) {
+        return { error: `${label} must be at most ${definition.max}` };
+      }
+      return { value: num };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') {
+        return { value: raw };
+      }
+      const normalized = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+      if (['true', '1', 'yes'].includes(normalized)) {
+        return { value: true };
+      }
+      if (['false', '0', 'no'].includes(normalized)) {
+        return { value: false };
+      }
+      return { error: `${label} must be true or false` };
+    }
+    case 'enum': {
+      const value = typeof raw === 'string' ? raw.trim().toLowerCase() : String(raw ?? '');
+      if (!definition.values.includes(value)) {
+        return { error: `${label} must be one of: ${definition.values.join(', ')}` };
+      }
+      return { value };
+    }
+    case 'string':
+    default: {
+      if (typeof raw !== 'string' && typeof raw !== 'number') {
+        return { error: `${label} must be a string` };
+      }
+      const value = String(raw).trim();
+      if (value.length === 0) {
+        return { error: `${label} cannot be empty` };
+      }
+      if (definition.maxLength && value.length > definition.maxLength) {
+        return { error: `${label} must not exceed ${definition.maxLength} characters` };
+      }
+      return { value };
+    }
   }
-  return categoryAttributes[categorySlug] || [];
 };
 
 /**
- * Validate attributes object against category rules
+ * Validate attributes object against category/subcategory schema
+ * Also returns the typed values that should be stored on the Ad
+ *
  * @param {string} categorySlug
- * @param {object} attributes
- * @returns {object} { valid: boolean, invalidKeys: array }
+ * @param {string} [subCategorySlug]
+ * @param {object} attributes - Raw attributes (plain object or Map)
+ * @param {string} [locale] - Message locale of the request (labels in error messages)
+ * @returns {object} { valid: boolean, invalidKeys: array, errors: array, values: object }
  */
-export const validateAttributes = (categorySlug, attributes) => {
-  if (!attributes || typeof attributes !== 'object' || Array.isArray(attributes)) {
-    return { valid: true, invalidKeys: [] };
-  }
+export const validateAttributes = (categorySlug, subCategorySlug, attributes, locale = MESSAGE_SOURCE_LOCALE) => {
+  const schema = getAttributeSchema(categorySlug, subCategorySlug);
+  const raw = attributes instanceof Map
+    ? Object.fromEntries(attributes)
+    : (attributes && typeof attributes === 'object' && !Array.isArray(attributes) ? attributes : {});
 
-  const allowedKeys = getAllowedAttributes(categorySlug);
-  const providedKeys = Object.keys(attributes);
-  const invalidKeys = providedKeys.filter((key) => !allowedKeys.includes(key));
+  const invalidKeys = [];
+  const errors = [];
+  const values = {};
+
+  Object.keys(raw).forEach((key) => {
+    const definition = schema[key];
+    if (!definition) {
+      invalidKeys.push(key);
+      errors.push({ field: `attributes.${key}`, message: `Attribute '${key}' is not allowed for this category` });
+      return;
+    }
+
+    // Empty values are treated as "not provided"
+    if (raw[key] === null || raw[key] === undefined || raw[key] === '') {
+      return;
+    }
+
+    const result = coerceAttributeValue(definition, raw[key], locale);
+    if (result.error) {
+      errors.push({ field: `attributes.${key}`, message: result.error });
+    } else {
+      values[key] = result.value;
+    }
+  });
+
+  // Required attributes must be present
+  Object.entries(schema).forEach(([key, definition]) => {
+    if (definition.required && values[key] === undefined && !invalidKeys.includes(key)
+      && !errors.some((error) => error.field === `attributes.${key}`)) {
+      errors.push({ field: `attributes.${key}`, message: `${getAttributeLabel(definition, key, locale)} is required` });
+    }
+  });
 
   return {
-    valid: invalidKeys.length === 0,
+    valid: errors.length === 0,
     invalidKeys,
+    errors,
+    values,
   };
 };
 
+/**
+ * Get attribute schemas in public API format (array of definitions with key)
+ * @param {string} categorySlug
+ * @param {string} [subCategorySlug]
+ * @param {string} [locale] - Label locale ('ro' | 'ru' | 'en'), Romanian by default
+ * @returns {array} Array of { key, type, label, unit?, min?, max?, integer?, maxLength?, values?, required }
+ */
+export const getAttributeSchemaPublic = (categorySlug, subCategorySlug, locale = DEFAULT_LOCALE) => {
+  const schema = getAttributeSchema(categorySlug, subCategorySlug);
+  return Object.entries(schema).map(([key, definition]) => ({
+    key,
+    ...definition,
+    label: getAttributeLabel(definition, key, locale),
+    required: !!definition.required,
+  }));
+};
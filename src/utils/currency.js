@@ -0,0 +1,93 @@
+/**
+ * Currency conversion helpers
+ * Rates are kept in an in-process table loaded by services/exchangeRate.service.js
+ * and expressed as "units of currency per 1 unit of BASE_CURRENCY"
+ */
+export const BASE_CURRENCY = 'EUR';
+export const SUPPORTED_CURRENCIES = ['EUR', 'USD', 'MDL'];
+
+// Used until the first load from MongoDB/provider - keeps conversions working offline
+const FALLBACK_RATES = {
+  EUR: 1,
+  USD: 1.08,
+  MDL: 19.5,
+};
+
+let exchangeRates = { ...FALLBACK_RATES };
+
+/**
+ * Replace the in-process exchange rate table
+ * @param {object} rates - { USD: 1.08, MDL: 19.5, ... } (base currency is always 1)
+ */
+export const setExchangeRates = (rates) => {
+  exchangeRates = { ...exchangeRates, ...rates, [BASE_CURRENCY]: 1 };
+};
+
+/**
+ * Get a copy of the current exchange rate table
+ * @returns {object}
+ */
+export const getExchangeRates = () => ({ ...exchangeRates });
+
+/**
+ * Round a money amount to 2 decimals
+ * @param {number} amount
+ * @returns {number}
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Convert an amount between supported currencies
+ * @param {number} amount
+ * @param {string} from - Source currency
+ * @param {string} to - Target currency
+ * @returns {number|null} Converted amount (2 decimals) or null for unknown currencies
+ */
+export const convertAmount = (amount, from, to) => {
+  const fromRate = exchangeRates[from];
+  const toRate = exchangeRates[to];
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || !fromRate || !toRate) {
+    return null;
+  }
+  if (from === to) {
+    return amount;
+  }
+  return roundMoney((amount / fromRate) * toRate);
+};
+
+/**
+ * Convert an amount to the base currency (used for Ad.priceNormalized)
+ * @param {number} amount
+ * @param {string} currency
+ * @returns {number|null}
+ */
+export const toBaseCurrency = (amount, currency) => convertAmount(amount, currency || BASE_CURRENCY, BASE_CURRENCY);
+
+/**
+ * Parse the displayCurrency query parameter
+ * @param {*} value - Raw query value
+ * @returns {string|null} Supported currency code or null
+ */
+export const parseDisplayCurrency = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const normalized = value.trim().toUpperCase();
+  return SUPPORTED_CURRENCIES.includes(normalized) ? normalized : null;
+};
+
+/**
+ * Add a converted displayPrice to an ad (plain object) - original price/currency are kept
+ * @param {object} ad - Lean ad or ad.toObject()
+ * @param {string|null} displayCurrency
+ * @returns {object} The same ad object
+ */
+export const addDisplayPrice = (ad, displayCurrency) => {
+  if (ad && displayCurrency) {
+    ad.displayPrice = {
+      amount: convertAmount(ad.price, ad.currency || BASE_CURRENCY, displayCurrency),
+      currency: displayCurrency,
+    };
+  }
+  return ad;
+};
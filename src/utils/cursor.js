@@ -0,0 +1,199 @@
+import mongoose from 'mongoose';
+import { AppError } from '../middlewares/error.middleware.js';
+
+/**
+ * Opaque cursor pagination helpers
+ *
+ * A sort spec is an ordered list of [field, direction] pairs ending with _id, e.g.
+ * [['createdAt', -1], ['_id', -1]]. The cursor stores the sort key and the values of
+ * those fields for the last returned item, base64url-encoded so clients treat it as opaque.
+ * Keyset filters stay stable when new items are inserted while a user scrolls.
+ */
+
+const MAX_CURSOR_LENGTH = 512;
+
+/**
+ * Serialize a field value for the cursor payload
+ * @param {*} value
+ * @returns {*}
+ */
+const serializeValue = (value) => {
+  if (value instanceof Date) {
+    return { d: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { o: value.toString() };
+  }
+  return value ?? null;
+};
+
+/**
+ * Restore a field value from the cursor payload
+ * @param {*} value
+ * @returns {*}
+ */
+const deserializeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.d === 'string') {
+      const date = new Date(value.d);
+      if (isNaN(date.getTime())) throw new Error('Invalid date');
+      return date;
+    }
+    if (typeof value.o === 'string') {
+      if (!mongoose.Types.ObjectId.isValid(value.o)) throw new Error('Invalid ObjectId');
+      return new mongoose.Types.ObjectId(value.o);
+    }
+    throw new Error('Invalid value');
+  }
+  return value;
+};
+
+/**
+ * Read a (possibly nested) field from a document
+ * @param {object} doc
+ * @param {string} field - e.g. 'createdAt'
+ * @returns {*}
+ */
+const getField = (doc, field) => field.split('.').reduce((value, key) => value?.[key], doc);
+
+/**
+ * Build the MongoDB sort object for a sort spec
+ * @param {Array<[string, number]>} sortSpec
+ * @returns {object}
+ */
+export const toSortObject = (sortSpec) => Object.fromEntries(sortSpec);
+
+/**
+ * Encode a cursor pointing after the given document
+ * @param {object} doc - Last item of the current page
+ * @param {Array<[string, number]>} sortSpec
+ * @param {string} sortKey - Name of the sort (cursor is only valid for the same sort)
+ * @returns {string}
+ */
+export const encodeCursor = (doc, sortSpec, sortKey) => {
+  const payload = {
+    s: sortKey,
+    v: sortSpec.map(([field]) => serializeValue(getField(doc, field))),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor and validate it belongs to the active sort
+ * @param {string} cursor
+ * @param {Array<[string, number]>} sortSpec
+ * @param {string} sortKey
+ * @returns {Array} Field values in sort spec order
+ * @throws {AppError} 400 INVALID_CURSOR
+ */
+export const decodeCursor = (cursor, sortSpec, sortKey) => {
+  try {
+    if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > MAX_CURSOR_LENGTH) {
+      throw new Error('Invalid cursor');
+    }
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload.s !== sortKey || !Array.isArray(payload.v) || payload.v.length !== sortSpec.length) {
+      throw new Error('Cursor does not match sort');
+    }
+    return payload.v.map(deserializeValue);
+  } catch (error) {
+    throw new AppError('Invalid or expired cursor', 400, {
+      type: 'INVALID_CURSOR',
+      field: 'cursor',
+    });
+  }
+};
+
+/**
+ * Condition selecting values strictly after a cursor value in the sort direction
+ * MongoDB sorts null/missing before any value, and range operators never match null,
+ * so null positions need their own conditions (e.g. ads without priceNormalized)
+ *
+ * @param {string} field
+ * @param {number} direction - 1 or -1
+ * @param {*} value - Cursor value (null for null/missing)
+ * @returns {object|null} Condition, or null when nothing sorts after the value
+ */
+const buildAfterCondition = (field, direction, value) => {
+  if (value === null) {
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (direction === 1 || field === '_id') {
+    return { [field]: { [direction === 1 ? '$gt' : '$lt']: value } };
+  }
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+/**
+ * Build a keyset filter selecting items strictly after the cursor position
+ * e.g. for [['priceNormalized', 1], ['_id', -1]]:
+ *   { $or: [{ priceNormalized: { $gt: v0 } }, { priceNormalized: v0, _id: { $lt: v1 } }] }
+ * (descending fields other than _id also match null, which sorts last - see buildAfterCondition)
+ *
+ * @param {Array<[string, number]>} sortSpec
+ * @param {Array} values - Decoded cursor values
+ * @returns {object}
+ */
+export const buildCursorFilter = (sortSpec, values) => {
+  const clauses = sortSpec
+    .map(([field, direction], index) => {
+      const after = buildAfterCondition(field, direction, values[index]);
+      if (!after) {
+        return null;
+      }
+      const clause = {};
+      for (let i = 0; i < index; i++) {
+        clause[sortSpec[i][0]] = values[i];
+      }
+      return { ...clause, ...after };
+    })
+    .filter(Boolean);
+  return { $or: clauses };
+};
+
+/**
+ * Combine a keyset filter with an existing query without clobbering its own $or/$and
+ * The original query is left untouched so it can still be used for counts and facets
+ *
+ * @param {object} query - MongoDB filter
+ * @param {object|null} cursorFilter - Result of buildCursorFilter
+ * @returns {object}
+ */
+export const applyCursorFilter = (query, cursorFilter) => {
+  if (!cursorFilter) {
+    return query;
+  }
+  return { ...query, $and: [...(query.$and || []), cursorFilter] };
+};
+
+/**
+ * Parse the limit query parameter (default 20, clamp 1..max)
+ * @param {*} limit
+ * @param {number} [max=50]
+ * @returns {number}
+ */
+export const parseLimit = (limit, max = 50) => {
+  const limitNum = parseInt(limit, 10);
+  if (isNaN(limitNum) || limitNum < 1) {
+    return 20;
+  }
+  return Math.min(max, limitNum);
+};
+
+/**
+ * Split a "limit + 1" result into the page and the next cursor
+ * @param {Array} items - Query result fetched with limit + 1
+ * @param {number} limit
+ * @param {Array<[string, number]>} sortSpec
+ * @param {string} sortKey
+ * @returns {{items: Array, nextCursor: string|null, hasMore: boolean}}
+ */
+export const paginateResults = (items, limit, sortSpec, sortKey) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1], sortSpec, sortKey) : null,
+    hasMore,
+  };
+};
@@ -0,0 +1,116 @@
+import crypto from 'crypto';
+import { normalizeSearchText } from './searchText.js';
+
+/**
+ * 64-bit fingerprints for duplicate detection
+ * Fingerprints are 16-char hex strings compared by Hamming distance; each one is also
+ * split into FINGERPRINT_BANDS bands so candidates can be found with an indexed $in
+ * (two fingerprints within FINGERPRINT_BANDS - 1 bits always share at least one band)
+ */
+export const FINGERPRINT_BANDS = 4;
+const BAND_HEX_LENGTH = 16 / FINGERPRINT_BANDS;
+
+const BIT_COUNTS = Array.from({ length: 16 }, (_, value) => value.toString(2).replace(/0/g, '').length);
+
+// Image hashes with fewer set (or unset) bits than this come from flat or low-contrast images
+// and match every other flat image in the catalog - they are not used for detection
+const MIN_IMAGE_HASH_BITS = 8;
+
+/**
+ * Hamming distance between two hex fingerprints of equal length
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Number of differing bits (Infinity when not comparable)
+ */
+export const hammingDistance = (a, b) => {
+  if (!a || !b || a.length !== b.length) {
+    return Infinity;
+  }
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += BIT_COUNTS[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+  }
+  return distance;
+};
+
+/**
+ * Check whether an image hash carries enough detail to identify a photo
+ * (all-zero, all-ones and near-flat hashes don't)
+ * @param {string} hash - 16-char hex perceptual hash
+ * @returns {boolean}
+ */
+export const isDistinctiveImageHash = (hash) => {
+  if (typeof hash !== 'string' || !/^[0-9a-f]{16}$/i.test(hash)) {
+    return false;
+  }
+  const setBits = [...hash].reduce((count, digit) => count + BIT_COUNTS[parseInt(digit, 16)], 0);
+  return setBits >= MIN_IMAGE_HASH_BITS && setBits <= 64 - MIN_IMAGE_HASH_BITS;
+};
+
+/**
+ * Split a fingerprint into position-tagged bands ("0:ab12", "1:...")
+ * @param {string} fingerprint - 16-char hex
+ * @returns {Array<string>}
+ */
+export const toBands = (fingerprint) => {
+  const bands = [];
+  for (let i = 0; i < FINGERPRINT_BANDS; i++) {
+    bands.push(`${i}:${fingerprint.slice(i * BAND_HEX_LENGTH, (i + 1) * BAND_HEX_LENGTH)}`);
+  }
+  return bands;
+};
+
+/**
+ * SimHash of a text over word unigrams and bigrams
+ * Text is normalized first (case, diacritics, punctuation), so trivial edits don't change it much
+ *
+ * @param {string} text
+ * @returns {string|null} 16-char hex, or null when the text has no words
+ */
+export const computeSimhash = (text) => {
+  const words = normalizeSearchText(text).split(/[^a-z0-9]+/).filter(Boolean);
+  if (words.length === 0) {
+    return null;
+  }
+
+  const features = [...words];
+  for (let i = 0; i < words.length - 1; i++) {
+    features.push(`${words[i]} ${words[i + 1]}`);
+  }
+
+  const weights = new Array(64).fill(0);
+  features.forEach((feature) => {
+    const hash = crypto.createHash('md5').update(feature).digest().readBigUInt64BE(0);
+    for (let bit = 0; bit < 64; bit++) {
+      weights[bit] += (hash >> BigInt(bit)) & 1n ? 1 : -1;
+    }
+  });
+
+  let simhash = 0n;
+  weights.forEach((weight, bit) => {
+    if (weight > 0) {
+      simhash |= 1n << BigInt(bit);
+    }
+  });
+  return simhash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Build the duplicate-detection fingerprint stored on an Ad
+ * - text: SimHash of title + description
+ * - images: perceptual hashes of the images (from imageVariants[].hash), without flat-image hashes
+ *
+ * @param {object} ad - Ad document or plain object
+ * @returns {{text: string|null, textBands: Array<string>, images: Array<string>, imageBands: Array<string>}}
+ */
+export const buildAdFingerprint = ({ title, description, imageVariants }) => {
+  const text = computeSimhash(`${title || ''} ${description || ''}`);
+  const images = [...new Set((imageVariants || []).map((entry) => entry.hash).filter(isDistinctiveImageHash))];
+
+  return {
+    text,
+    textBands: text ? toBands(text) : [],
+    images,
+    imageBands: [...new Set(images.flatMap(toBands))],
+  };
+};
@@ -0,0 +1,84 @@
+import { findLocality, isWithinMoldova } from '../constants/localities.js';
+
+export const EARTH_RADIUS_KM = 6378.1;
+
+/**
+ * Build a GeoJSON point
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {{type: 'Point', coordinates: number[]}}
+ */
+export const toGeoPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [lng, lat],
+});
+
+/**
+ * Parse a coordinate (number or numeric string from multipart forms)
+ * @param {*} value
+ * @returns {number|null}
+ */
+export const parseCoordinate = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  if (typeof value === 'string' && value.trim() !== '') {
+    const num = Number(value.trim());
+    return Number.isFinite(num) ? num : null;
+  }
+  return null;
+};
+
+/**
+ * Validate an ad location from the request body and convert it to the stored shape
+ * Input: { city: 'chisinau' | 'Chișinău', lat?, lng? } - lat/lng must be given together
+ * and lie inside Moldova; without them the locality center is used
+ *
+ * @param {object} input
+ * @returns {{value: object|null, errors: Array<{field: string, message: string}>}}
+ */
+export const parseLocationInput = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { value: null, errors: [{ field: 'location', message: 'Location must be an object' }] };
+  }
+
+  const errors = [];
+  const extra = Object.keys(input).filter((key) => !['city', 'lat', 'lng'].includes(key));
+  extra.forEach((key) => {
+    errors.push({ field: `location.${key}`, message: `Field '${key}' is not allowed` });
+  });
+
+  const locality = findLocality(input.city);
+  if (!locality) {
+    errors.push({ field: 'location.city', message: 'Unknown city' });
+  }
+
+  let point = locality ? toGeoPoint(locality.lat, locality.lng) : null;
+  const hasLat = input.lat !== undefined && input.lat !== '';
+  const hasLng = input.lng !== undefined && input.lng !== '';
+  if (hasLat || hasLng) {
+    const lat = parseCoordinate(input.lat);
+    const lng = parseCoordinate(input.lng);
+    if (lat === null || lng === null) {
+      errors.push({ field: 'location', message: 'lat and lng must both be valid numbers' });
+    } else if (!isWithinMoldova(lat, lng)) {
+      errors.push({ field: 'location', message: 'Coordinates must be within Moldova' });
+    } else {
+      point = toGeoPoint(lat, lng);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  return {
+    value: {
+      city: locality.name,
+      citySlug: locality.slug,
+      region: locality.region,
+      point,
+    },
+    errors,
+  };
+};
@@ -0,0 +1,58 @@
+/**
+ * Normalize text for full-text search
+ * Lowercases and strips diacritics so that "mașină", "maşină" and "masina"
+ * all produce the same tokens (Romanian comma-below and cedilla forms included)
+ *
+ * @param {string} str - Raw text
+ * @returns {string} Normalized text (empty string for non-string input)
+ */
+export const normalizeSearchText = (str) => {
+  if (!str || typeof str !== 'string') {
+    return '';
+  }
+  return str
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Remove combining marks (ă, â, î, ș, ț, ş, ţ, ...)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Collect attribute values as a single searchable string
+ * Accepts both a Mongoose Map and a plain object
+ *
+ * @param {Map|object} attributes - Ad attributes
+ * @returns {string} Attribute values joined by spaces
+ */
+const getAttributeValuesText = (attributes) => {
+  if (!attributes) {
+    return '';
+  }
+  const values = attributes instanceof Map
+    ? Array.from(attributes.values())
+    : Object.values(attributes);
+  return values
+    .filter((value) => value !== null && value !== undefined && value !== '')
+    .map((value) => String(value))
+    .join(' ');
+};
+
+/**
+ * Build the normalized search fields stored on an Ad
+ * searchTitle is weighted higher than searchContent in the text index
+ *
+ * @param {object} ad - Ad document or plain object
+ * @param {string} ad.title
+ * @param {string} ad.description
+ * @param {Map|object} ad.attributes
+ * @returns {{searchTitle: string, searchContent: string}}
+ */
+export const buildAdSearchFields = ({ title, description, attributes }) => {
+  return {
+    searchTitle: normalizeSearchText(title),
+    searchContent: normalizeSearchText(
+      [description, getAttributeValuesText(attributes)].filter(Boolean).join(' ')
+    ),
+  };
+};
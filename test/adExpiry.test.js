@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Ad from '../src/models/Ad.js';
+import { sendExpiryReminders } from '../src/services/adExpiry.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Ad expiry reminders', { skip: skipWithoutDB }, () => {
+  before(async () => {
+    process.env.AD_EXPIRY_REMINDER_DAYS = '3';
+    await connectTestDB();
+  });
+
+  after(disconnectTestDB);
+
+  it('claims and sends one reminder per lifetime for ads expiring soon', async () => {
+    const user = await createUser();
+    const expiringSoon = await createAd(user, {
+      status: 'active',
+      expiresAt: new Date(Date.now() + DAY_MS),
+    });
+    const expiringLater = await createAd(user, {
+      status: 'active',
+      expiresAt: new Date(Date.now() + 20 * DAY_MS),
+    });
+
+    assert.equal(await sendExpiryReminders(), 1);
+
+    const claimed = await Ad.findById(expiringSoon._id);
+    assert.ok(claimed.expiryReminderSentAt instanceof Date);
+    const untouched = await Ad.findById(expiringLater._id);
+    assert.equal(untouched.expiryReminderSentAt, undefined);
+
+    // Already reminded - the next sweep sends nothing
+    assert.equal(await sendExpiryReminders(), 0);
+  });
+
+  it('releases the claim when a reminder fails and keeps going', async () => {
+    const user = await createUser();
+    const ad = await createAd(user, {
+      status: 'active',
+      expiresAt: new Date(Date.now() + DAY_MS),
+    });
+
+    // Nothing listens on port 9 - the webhook delivery fails
+    process.env.NOTIFICATION_CHANNEL = 'webhook';
+    process.env.MAKE_WEBHOOK_URL = 'http://127.0.0.1:9/';
+    try {
+      assert.equal(await sendExpiryReminders(), 0);
+    } finally {
+      delete process.env.NOTIFICATION_CHANNEL;
+      delete process.env.MAKE_WEBHOOK_URL;
+    }
+    assert.equal((await Ad.findById(ad._id)).expiryReminderSentAt, undefined);
+
+    // The next sweep sends it
+    assert.equal(await sendExpiryReminders(), 1);
+    assert.ok((await Ad.findById(ad._id)).expiryReminderSentAt instanceof Date);
+  });
+});
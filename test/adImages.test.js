@@ -0,0 +1,146 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import Ad from '../src/models/Ad.js';
+import { generateAccessToken } from '../src/services/authToken.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+import { startTestServer } from './helpers/http.js';
+
+/**
+ * Build an upload form with one generated PNG
+ * @param {string} color - Background color (different colors give different perceptual hashes)
+ */
+const buildImageForm = async (color = 'red') => {
+  const buffer = await sharp({
+    create: { width: 64, height: 64, channels: 3, background: color },
+  }).png().toBuffer();
+  const form = new FormData();
+  form.append('images', new Blob([buffer], { type: 'image/png' }), 'photo.png');
+  return form;
+};
+
+/**
+ * Build an upload form with one generated gradient PNG (a distinct perceptual hash,
+ * unlike single-color images)
+ */
+const buildGradientForm = async () => {
+  const size = 64;
+  const pixels = Buffer.alloc(size * size * 3);
+  for (let i = 0; i < size * size; i++) {
+    const x = i % size;
+    const y = Math.floor(i / size);
+    pixels.fill((x * 4 + (y % 16) * 8) % 256, i * 3, i * 3 + 3);
+  }
+  const buffer = await sharp(pixels, { raw: { width: size, height: size, channels: 3 } }).png().toBuffer();
+  const form = new FormData();
+  form.append('images', new Blob([buffer], { type: 'image/png' }), 'photo.png');
+  return form;
+};
+
+describe('Ad images', { skip: skipWithoutDB }, () => {
+  let server;
+  let storageDir;
+
+  before(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ad-images-'));
+    process.env.STORAGE_DRIVER = 'local';
+    process.env.STORAGE_LOCAL_DIR = storageDir;
+    await connectTestDB();
+    const { default: app } = await import('../src/app.js');
+    server = await startTestServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDB();
+    await fs.rm(storageDir, { recursive: true, force: true });
+  });
+
+  it('POST /api/ads/:id/images appends uploaded images', async () => {
+    const user = await createUser();
+    const ad = await createAd(user);
+
+    const response = await server.request('POST', `/api/ads/${ad._id}/images`, {
+      token: generateAccessToken(user),
+      body: await buildImageForm(),
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.images.length, 1);
+    const saved = await Ad.findById(ad._id);
+    assert.deepEqual(saved.images, response.body.images);
+    assert.equal(saved.imageVariants.length, 1);
+  });
+
+  it('POST /api/ads/:id/images rejects sold ads', async () => {
+    const user = await createUser();
+    const ad = await createAd(user, { status: 'sold' });
+
+    const response = await server.request('POST', `/api/ads/${ad._id}/images`, {
+      token: generateAccessToken(user),
+      body: await buildImageForm(),
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.details.type, 'SOLD_AD_NOT_EDITABLE');
+  });
+
+  it('PUT /api/ads/:id/images/order saves the new order', async () => {
+    const user = await createUser();
+    const images = ['https://img.example.com/a.webp', 'https://img.example.com/b.webp'];
+    const ad = await createAd(user, { images });
+
+    const response = await server.request('PUT', `/api/ads/${ad._id}/images/order`, {
+      token: generateAccessToken(user),
+      body: { images: [...images].reverse() },
+    });
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.images, [...images].reverse());
+    const saved = await Ad.findById(ad._id);
+    assert.deepEqual([...saved.images], [...images].reverse());
+  });
+
+  it('POST /api/ads/:id/images runs duplicate detection on the new images', async () => {
+    const seller = await createUser();
+    const listed = await createAd(seller, { status: 'active' });
+    const listedUpload = await server.request('POST', `/api/ads/${listed._id}/images`, {
+      token: generateAccessToken(seller),
+      body: await buildGradientForm(),
+    });
+    assert.equal(listedUpload.status, 201);
+
+    // Another seller uploads the same photo to their ad
+    const copier = await createUser();
+    const copy = await createAd(copier, { title: 'Trotinetă electrică', description: 'Trotinetă electrică, baterie nouă, încărcător inclus.' });
+
+    process.env.DUPLICATE_AD_ACTION = 'reject';
+    try {
+      const rejected = await server.request('POST', `/api/ads/${copy._id}/images`, {
+        token: generateAccessToken(copier),
+        body: await buildGradientForm(),
+      });
+      assert.equal(rejected.status, 409);
+      assert.equal(rejected.body.details.type, 'DUPLICATE_AD');
+      assert.equal((await Ad.findById(copy._id)).images.length, 0);
+    } finally {
+      delete process.env.DUPLICATE_AD_ACTION;
+    }
+
+    // flag (the default) keeps the images and marks the ad for review
+    const flagged = await server.request('POST', `/api/ads/${copy._id}/images`, {
+      token: generateAccessToken(copier),
+      body: await buildGradientForm(),
+    });
+    assert.equal(flagged.status, 201);
+    const saved = await Ad.findById(copy._id).select('+duplicateOf');
+    assert.equal(saved.images.length, 1);
+    assert.equal(saved.duplicateOf.ad.toString(), listed._id.toString());
+    assert.deepEqual([...saved.duplicateOf.matchedOn], ['images']);
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Ad from '../src/models/Ad.js';
+import { publishDueAds } from '../src/services/adScheduler.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+
+describe('Scheduled publishing', { skip: skipWithoutDB }, () => {
+  before(async () => {
+    process.env.MODERATION_ENABLED = 'false';
+    await connectTestDB();
+  });
+
+  after(disconnectTestDB);
+
+  it('publishes due drafts and leaves future ones scheduled', async () => {
+    const user = await createUser();
+    const due = await createAd(user, { publishAt: new Date(Date.now() - 60 * 1000) });
+    const future = await createAd(user, { publishAt: new Date(Date.now() + 60 * 60 * 1000) });
+
+    assert.equal(await publishDueAds(), 1);
+
+    const published = await Ad.findById(due._id).select('+statusHistory');
+    assert.equal(published.status, 'active');
+    assert.equal(published.publishAt, undefined);
+    assert.ok(published.expiresAt > new Date());
+    assert.equal(published.statusHistory.length, 1);
+    assert.equal(published.statusHistory[0].source, 'system');
+
+    const scheduled = await Ad.findById(future._id);
+    assert.equal(scheduled.status, 'draft');
+    assert.ok(scheduled.publishAt instanceof Date);
+
+    // Nothing is due any more
+    assert.equal(await publishDueAds(), 0);
+  });
+
+  it('records publishError when publishing a due draft fails', async () => {
+    const user = await createUser();
+    // A legacy draft that no longer passes validation - saving it on publication fails
+    const { insertedId } = await Ad.collection.insertOne({
+      title: 'Vând',
+      description: 'Prea scurt',
+      price: 10,
+      currency: 'EUR',
+      categorySlug: 'sports',
+      status: 'draft',
+      isDeleted: false,
+      user: user._id,
+      publishAt: new Date(Date.now() - 60 * 1000),
+    });
+
+    assert.equal(await publishDueAds(), 0);
+
+    const failed = await Ad.findById(insertedId);
+    assert.equal(failed.status, 'draft');
+    assert.equal(failed.publishAt, undefined);
+    assert.match(failed.publishError, /Description must be at least 20 characters/);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Ad from '../src/models/Ad.js';
+import { changeAdStatus } from '../src/services/adStatus.service.js';
+import { generateAccessToken } from '../src/services/authToken.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+import { startTestServer } from './helpers/http.js';
+
+describe('Ad status changes', { skip: skipWithoutDB }, () => {
+  let server;
+
+  before(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.MODERATION_ENABLED = 'false';
+    await connectTestDB();
+    const { default: app } = await import('../src/app.js');
+    server = await startTestServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDB();
+  });
+
+  it('changes status and records each change in the history', async () => {
+    const user = await createUser();
+    const ad = await createAd(user);
+
+    await changeAdStatus(ad, 'active', { actor: user._id });
+    await changeAdStatus(ad, 'paused', { actor: user._id });
+
+    const saved = await Ad.findById(ad._id).select('+statusHistory');
+    assert.equal(saved.status, 'paused');
+    assert.ok(saved.expiresAt > new Date());
+    assert.deepEqual(
+      saved.statusHistory.map(({ from, to }) => ({ from, to })),
+      [{ from: 'draft', to: 'active' }, { from: 'active', to: 'paused' }]
+    );
+    assert.equal(String(saved.statusHistory[0].actor), String(user._id));
+  });
+
+  it('PATCH /api/ads/:id/status publishes a draft and GET /api/ads/:id/history returns it', async () => {
+    const user = await createUser();
+    const ad = await createAd(user);
+    const token = generateAccessToken(user);
+
+    const patched = await server.request('PATCH', `/api/ads/${ad._id}/status`, {
+      token,
+      body: { status: 'active' },
+    });
+    assert.equal(patched.status, 200);
+    assert.equal(patched.body.data.status, 'active');
+
+    const history = await server.request('GET', `/api/ads/${ad._id}/history`, { token });
+    assert.equal(history.status, 200);
+    assert.equal(history.body.status, 'active');
+    assert.equal(history.body.history.length, 1);
+    assert.equal(history.body.history[0].from, 'draft');
+    assert.equal(history.body.history[0].to, 'active');
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ad from '../src/models/Ad.js';
+
+/**
+ * The Ad update hook rejects $set of protected fields before the query reaches MongoDB
+ * Without a connection (bufferCommands off) a query that passes the hook fails right after it
+ * with "before initial connection" - any other error comes from the hook
+ */
+
+const NO_CONNECTION = /before initial connection/;
+
+const assertPassesHook = (query) => assert.rejects(query, NO_CONNECTION);
+
+describe('Ad update hook', () => {
+  before(() => {
+    mongoose.set('bufferCommands', false);
+  });
+
+  const id = new mongoose.Types.ObjectId();
+
+  it('allows the updatedAt that timestamps adds to every update', async () => {
+    await assertPassesHook(Ad.updateOne({ _id: id }, { $set: { title: 'Titlu nou' } }));
+  });
+
+  it('allows appending a status history entry', async () => {
+    await assertPassesHook(Ad.updateOne(
+      { _id: id },
+      { $push: { statusHistory: { from: 'draft', to: 'active', source: 'owner' } } }
+    ));
+  });
+
+  it('allows claiming a scheduled draft', async () => {
+    await assertPassesHook(Ad.findOneAndUpdate({ _id: id }, { $unset: { publishAt: 1 } }, { new: true }));
+  });
+
+  it('allows recording a failed scheduled publication', async () => {
+    await assertPassesHook(Ad.updateOne(
+      { _id: id, status: 'draft' },
+      { $set: { publishError: 'Description must be at least 20 characters' } }
+    ));
+  });
+
+  it('allows claiming an expiry reminder', async () => {
+    await assertPassesHook(Ad.updateOne(
+      { _id: id, expiryReminderSentAt: null },
+      { $set: { expiryReminderSentAt: new Date() } }
+    ));
+  });
+
+  it('allows appending and reordering images', async () => {
+    await assertPassesHook(Ad.findOneAndUpdate(
+      { _id: id, status: { $ne: 'sold' } },
+      { $push: { images: { $each: ['https://img/a.webp'] }, imageVariants: { $each: [{ url: 'https://img/a.webp' }] } } },
+      { new: true }
+    ));
+    await assertPassesHook(Ad.findOneAndUpdate(
+      { _id: id, status: { $ne: 'sold' } },
+      { $set: { images: ['https://img/b.webp', 'https://img/a.webp'] } },
+      { new: true }
+    ));
+  });
+
+  it('rejects protected fields', async () => {
+    await assert.rejects(
+      Ad.updateOne({ _id: id }, { $set: { user: new mongoose.Types.ObjectId() } }),
+      /Cannot update protected fields: user/
+    );
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Ad from '../src/models/Ad.js';
+import { generateAccessToken } from '../src/services/authToken.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+import { startTestServer } from './helpers/http.js';
+
+describe('Admin force-remove', { skip: skipWithoutDB }, () => {
+  let server;
+
+  before(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    await connectTestDB();
+    const { default: app } = await import('../src/app.js');
+    server = await startTestServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDB();
+  });
+
+  it('DELETE /api/admin/ads/:id soft-deletes the ad and records the removal in the history', async () => {
+    const seller = await createUser();
+    const moderator = await createUser({ role: 'moderator' });
+    const ad = await createAd(seller, { status: 'active' });
+
+    const response = await server.request('DELETE', `/api/admin/ads/${ad._id}`, {
+      token: generateAccessToken(moderator),
+      body: { reason: 'Counterfeit goods' },
+    });
+
+    assert.equal(response.status, 200);
+    const removed = await Ad.findById(ad._id).select('+statusHistory +removal');
+    assert.equal(removed.isDeleted, true);
+    assert.equal(removed.removal.reason, 'Counterfeit goods');
+    assert.equal(removed.statusHistory.length, 1);
+    assert.equal(removed.statusHistory[0].from, 'active');
+    assert.equal(removed.statusHistory[0].to, 'removed');
+    assert.equal(removed.statusHistory[0].source, 'moderator');
+    assert.equal(String(removed.statusHistory[0].actor), String(moderator._id));
+  });
+});
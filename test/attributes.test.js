@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateAttributes, getAttributeSchema } from '../src/utils/attributeValidator.js';
+import { buildAdQuery } from '../src/utils/adQuery.js';
+import { attributeSchemas, attributeLabelTranslations } from '../src/constants/attributeSchemas.js';
+import { translate } from '../src/i18n/index.js';
+
+const PROTOTYPE_KEYS = ['constructor', 'toString', 'hasOwnProperty', '__proto__'];
+
+describe('Attribute schemas', () => {
+  it('do not resolve prototype keys as attributes', () => {
+    const schema = getAttributeSchema('electronics');
+    PROTOTYPE_KEYS.forEach((key) => {
+      assert.equal(schema[key], undefined, key);
+    });
+  });
+
+  it('do not resolve prototype keys as categories or subcategories', () => {
+    assert.deepEqual(Object.keys(getAttributeSchema('constructor')), []);
+    assert.deepEqual(
+      Object.keys(getAttributeSchema('electronics', 'toString')),
+      Object.keys(getAttributeSchema('electronics'))
+    );
+  });
+});
+
+describe('validateAttributes', () => {
+  it('rejects prototype keys', () => {
+    // JSON.parse makes __proto__ an own key, like a request body would
+    const attributes = JSON.parse('{"constructor": "x", "toString": "x", "hasOwnProperty": "x", "__proto__": "x"}');
+    const result = validateAttributes('electronics', undefined, attributes);
+
+    assert.equal(result.valid, false);
+    assert.deepEqual([...result.invalidKeys].sort(), [...PROTOTYPE_KEYS].sort());
+    assert.deepEqual(Object.keys(result.values), []);
+  });
+
+  it('names attributes in the message locale', () => {
+    const attributes = { year: 'old', fuel: 'steam' };
+    const messages = (locale) => validateAttributes('auto', 'cars', attributes, locale).errors
+      .map((error) => translate(error.message, locale));
+
+    assert.deepEqual(messages('en'), [
+      'Year of manufacture must be a number',
+      'Fuel must be one of: petrol, diesel, hybrid, electric, lpg, cng',
+      'Brand is required',
+    ]);
+    assert.deepEqual(messages('ro'), [
+      'An fabricație trebuie să fie un număr',
+      'Combustibil trebuie să fie una dintre valorile: petrol, diesel, hybrid, electric, lpg, cng',
+      'Marcă este obligatoriu',
+    ]);
+    assert.equal(messages('ru')[2], 'Марка: обязательное поле');
+  });
+});
+
+describe('Attribute labels', () => {
+  it('are translated to every locale', () => {
+    Object.entries(attributeSchemas).forEach(([categorySlug, category]) => {
+      [undefined, ...Object.keys(category.subcategories || {})].forEach((subCategorySlug) => {
+        Object.values(getAttributeSchema(categorySlug, subCategorySlug)).forEach(({ label }) => {
+          const labels = attributeLabelTranslations[label];
+          assert.ok(labels?.ru && labels?.en, label);
+        });
+      });
+    });
+  });
+});
+
+describe('buildAdQuery attribute filters', () => {
+  PROTOTYPE_KEYS.forEach((key) => {
+    it(`rejects attr[${key}]`, () => {
+      assert.throws(
+        () => buildAdQuery({ categorySlug: 'electronics', [`attr[${key}]`]: 'x' }),
+        (error) => error.details?.type === 'INVALID_FILTER'
+      );
+      assert.throws(
+        () => buildAdQuery({ [`attr[${key}]`]: 'x' }),
+        (error) => error.details?.type === 'INVALID_FILTER'
+      );
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Chat from '../src/models/Chat.js';
+import { generateAccessToken } from '../src/services/authToken.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser } from './helpers/fixtures.js';
+import { startTestServer } from './helpers/http.js';
+
+describe('Chat list pagination', { skip: skipWithoutDB }, () => {
+  let server;
+
+  before(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    await connectTestDB();
+    const { default: app } = await import('../src/app.js');
+    server = await startTestServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDB();
+  });
+
+  it('keeps pages consistent when a message arrives between page fetches', async () => {
+    const me = await createUser();
+    const token = generateAccessToken(me);
+
+    // Four chats, oldest message first: a, b, c, d
+    const chats = [];
+    for (let i = 0; i < 4; i++) {
+      const other = await createUser();
+      chats.push(await Chat.create({
+        participants: [me._id, other._id],
+        lastMessageAt: new Date(Date.now() - (4 - i) * 60 * 1000),
+      }));
+    }
+    const [a, b, c, d] = chats.map((chat) => chat._id.toString());
+
+    const first = await server.request('GET', '/api/chats?limit=2', { token });
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.chats.map((chat) => chat._id), [d, c]);
+
+    // A new message moves c to the top; a write that is not a message must not move a
+    const sent = await server.request('POST', `/api/chats/${c}/messages`, {
+      token,
+      body: { text: 'Mai este disponibil?' },
+    });
+    assert.equal(sent.status, 201);
+    await Chat.updateOne({ _id: a }, { $set: { lastMessage: null } });
+
+    const second = await server.request(
+      'GET',
+      `/api/chats?limit=2&cursor=${first.body.pagination.nextCursor}`,
+      { token }
+    );
+    assert.equal(second.status, 200);
+    assert.deepEqual(second.body.chats.map((chat) => chat._id), [b, a]);
+    assert.equal(second.body.pagination.hasNext, false);
+
+    // A fresh first page shows the chat with the new message on top
+    const refreshed = await server.request('GET', '/api/chats?limit=2', { token });
+    assert.deepEqual(refreshed.body.chats.map((chat) => chat._id), [c, d]);
+    assert.equal(refreshed.body.chats[0].lastMessage.text, 'Mai este disponibil?');
+  });
+
+  it('hides chats started by a shadow-banned user from the receiver', async () => {
+    const starter = await createUser({ accountStatus: 'shadow_banned' });
+    const receiver = await createUser();
+    const starterToken = generateAccessToken(starter);
+    const receiverToken = generateAccessToken(receiver);
+
+    const started = await server.request('POST', '/api/chats/start', {
+      token: starterToken,
+      body: { receiverId: receiver._id.toString() },
+    });
+    assert.equal(started.status, 201);
+    const chatId = started.body.chat._id;
+    await server.request('POST', `/api/chats/${chatId}/messages`, {
+      token: starterToken,
+      body: { text: 'Bună, mai este disponibil?' },
+    });
+
+    const starterList = await server.request('GET', '/api/chats', { token: starterToken });
+    assert.deepEqual(starterList.body.chats.map((chat) => chat._id), [chatId]);
+    const receiverList = await server.request('GET', '/api/chats', { token: receiverToken });
+    assert.deepEqual(receiverList.body.chats, []);
+    const opened = await server.request('GET', `/api/chats/${chatId}`, { token: receiverToken });
+    assert.equal(opened.status, 404);
+
+    // Once the starter is no longer restricted, their next message releases the chat
+    await starter.updateOne({ accountStatus: 'active' });
+    await server.request('POST', `/api/chats/${chatId}/messages`, {
+      token: starterToken,
+      body: { text: 'Revin cu întrebarea' },
+    });
+    const released = await server.request('GET', '/api/chats', { token: receiverToken });
+    assert.deepEqual(released.body.chats.map((chat) => chat._id), [chatId]);
+    assert.equal(released.body.totalUnread, 1);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildRuleRegex } from '../src/services/contentRule.service.js';
+
+const matchAll = (regex, text) => [...text.matchAll(regex)].map((match) => match[0]);
+
+describe('Content rule regexes', () => {
+  it('match keywords as whole words, including non-Latin letters', () => {
+    const regex = buildRuleRegex({ type: 'keyword', keywords: ['țeapă', 'скам'] });
+    assert.deepEqual(matchAll(regex, 'Nu e țeapă, nu e скам'), ['țeapă', 'скам']);
+    assert.deepEqual(matchAll(regex, 'țepar, скамейка, țeapă2'), []);
+  });
+
+  it('match keywords case-insensitively across any whitespace', () => {
+    const regex = buildRuleRegex({ type: 'keyword', keywords: ['western union'] });
+    assert.deepEqual(matchAll(regex, 'Plata prin WESTERN\n  Union'), ['WESTERN\n  Union']);
+  });
+
+  it('prefer the longest keyword and escape regex characters', () => {
+    const regex = buildRuleRegex({ type: 'keyword', keywords: [' western ', 'western union', 'a.b', 'western'] });
+    assert.deepEqual(matchAll(regex, 'western union, a.b, axb'), ['western union', 'a.b']);
+  });
+
+  it('keep regex flags and always match globally', () => {
+    const regex = buildRuleRegex({ type: 'regex', pattern: '\\d{3}-\\d{3}', flags: 'ig' });
+    assert.equal(regex.flags, 'gi');
+    assert.deepEqual(matchAll(regex, '069-123 și 079-456'), ['069-123', '079-456']);
+  });
+
+  it('reject patterns that do not compile', () => {
+    assert.throws(() => buildRuleRegex({ type: 'regex', pattern: '(' }), SyntaxError);
+    assert.throws(() => buildRuleRegex({ type: 'regex', pattern: 'a', flags: 'x' }), SyntaxError);
+  });
+});
@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ad from '../src/models/Ad.js';
+import { encodeCursor, decodeCursor, buildCursorFilter } from '../src/utils/cursor.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+import { startTestServer } from './helpers/http.js';
+
+const PRICE_ASC = [['priceNormalized', 1], ['_id', -1]];
+const PRICE_DESC = [['priceNormalized', -1], ['_id', -1]];
+
+describe('Cursors', () => {
+  const id = new mongoose.Types.ObjectId();
+
+  it('round-trip null and missing sort values', () => {
+    const cursor = encodeCursor({ _id: id }, PRICE_ASC, 'price_asc');
+    assert.deepEqual(decodeCursor(cursor, PRICE_ASC, 'price_asc'), [null, id]);
+  });
+
+  it('continue after a null position', () => {
+    // Nulls sort first ascending: the rest of the nulls, then every priced item
+    assert.deepEqual(buildCursorFilter(PRICE_ASC, [null, id]), {
+      $or: [
+        { priceNormalized: { $ne: null } },
+        { priceNormalized: null, _id: { $lt: id } },
+      ],
+    });
+    // Nulls sort last descending: only the rest of the nulls
+    assert.deepEqual(buildCursorFilter(PRICE_DESC, [null, id]), {
+      $or: [{ priceNormalized: null, _id: { $lt: id } }],
+    });
+  });
+
+  it('keep null items after the last value of a descending sort', () => {
+    assert.deepEqual(buildCursorFilter(PRICE_DESC, [100, id]), {
+      $or: [
+        { $or: [{ priceNormalized: { $lt: 100 } }, { priceNormalized: null }] },
+        { priceNormalized: 100, _id: { $lt: id } },
+      ],
+    });
+  });
+
+  it('reject a cursor of another sort', () => {
+    const cursor = encodeCursor({ _id: id, priceNormalized: 5 }, PRICE_ASC, 'price_asc');
+    assert.throws(
+      () => decodeCursor(cursor, PRICE_DESC, 'price_desc'),
+      (error) => error.details?.type === 'INVALID_CURSOR'
+    );
+  });
+});
+
+describe('Ad listing price sort', { skip: skipWithoutDB }, () => {
+  let server;
+
+  before(async () => {
+    await connectTestDB();
+    const { default: app } = await import('../src/app.js');
+    server = await startTestServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDB();
+  });
+
+  it('pages through ads without a normalized price', async () => {
+    const user = await createUser();
+    const ads = [];
+    for (const price of [10, 20, 30, 40]) {
+      ads.push(await createAd(user, { price, status: 'active' }));
+    }
+    // e.g. priced in a currency without an exchange rate
+    await Ad.collection.updateMany(
+      { _id: { $in: [ads[0]._id, ads[1]._id] } },
+      { $unset: { priceNormalized: 1 } }
+    );
+    const ids = ads.map((ad) => ad._id.toString());
+
+    const collect = async (sort) => {
+      const seen = [];
+      let cursor = '';
+      do {
+        const { status, body } = await server.request(
+          'GET',
+          `/api/ads?sort=${sort}&limit=1${cursor ? `&cursor=${cursor}` : ''}`
+        );
+        assert.equal(status, 200);
+        seen.push(...body.ads.map((ad) => ad._id));
+        cursor = body.pagination.nextCursor;
+      } while (cursor && seen.length <= ids.length);
+      return seen;
+    };
+
+    // Ties on null are broken by _id descending
+    assert.deepEqual(await collect('price_asc'), [ids[1], ids[0], ids[2], ids[3]]);
+    assert.deepEqual(await collect('price_desc'), [ids[3], ids[2], ids[1], ids[0]]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import Ad from '../src/models/Ad.js';
+import ExchangeRate from '../src/models/ExchangeRate.js';
+import {
+  saveExchangeRates,
+  refreshExchangeRates,
+  releaseManualRates,
+  loadExchangeRates,
+} from '../src/services/exchangeRate.service.js';
+import { getExchangeRates } from '../src/utils/currency.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+
+describe('Exchange rates', { skip: skipWithoutDB }, () => {
+  let ratesDir;
+
+  before(async () => {
+    ratesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'rates-'));
+    process.env.EXCHANGE_RATE_PROVIDER = 'file';
+    process.env.EXCHANGE_RATES_FILE = path.join(ratesDir, 'rates.json');
+    await fs.writeFile(
+      process.env.EXCHANGE_RATES_FILE,
+      JSON.stringify({ base: 'EUR', rates: { USD: 1.1, MDL: 20 } })
+    );
+    await connectTestDB();
+  });
+
+  after(async () => {
+    await disconnectTestDB();
+    await fs.rm(ratesDir, { recursive: true, force: true });
+  });
+
+  it('keeps manual overrides when the provider refreshes', async () => {
+    const user = await createUser();
+    const ad = await createAd(user, { price: 120, currency: 'USD' });
+
+    await saveExchangeRates({ USD: 1.2 }, 'manual');
+    await refreshExchangeRates();
+
+    assert.equal(getExchangeRates().USD, 1.2);
+    assert.equal(getExchangeRates().MDL, 20);
+    const usd = await ExchangeRate.findOne({ currency: 'USD' }).lean();
+    assert.equal(usd.rate, 1.2);
+    assert.equal(usd.source, 'manual');
+    assert.equal((await Ad.findById(ad._id)).priceNormalized, 100);
+  });
+
+  it('hands released overrides back to the provider', async () => {
+    await releaseManualRates(['USD']);
+
+    assert.equal(getExchangeRates().USD, 1.1);
+    const usd = await ExchangeRate.findOne({ currency: 'USD' }).lean();
+    assert.equal(usd.source, 'file');
+  });
+
+  it('picks up rates stored by another instance on reload', async () => {
+    // Another instance saved a manual rate - this process still has the old one
+    await ExchangeRate.updateOne({ currency: 'MDL' }, { $set: { rate: 19.8, source: 'manual' } });
+    assert.equal(getExchangeRates().MDL, 20);
+
+    await loadExchangeRates();
+    assert.equal(getExchangeRates().MDL, 19.8);
+  });
+});
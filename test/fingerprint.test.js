@@ -0,0 +1,57 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildAdFingerprint,
+  computeSimhash,
+  hammingDistance,
+  isDistinctiveImageHash,
+} from '../src/utils/fingerprint.js';
+import { getDuplicateAction } from '../src/services/duplicateAd.service.js';
+
+describe('Ad fingerprints', () => {
+  it('drops flat and near-flat image hashes before banding', () => {
+    const fingerprint = buildAdFingerprint({
+      imageVariants: [
+        { url: 'a', hash: '0000000000000000' },
+        { url: 'b', hash: 'ffffffffffffffff' },
+        { url: 'c', hash: '0000000000000101' },
+        { url: 'd', hash: 'fffffffffffffefe' },
+        { url: 'e', hash: '030e030e030e030e' },
+      ],
+    });
+
+    assert.deepEqual(fingerprint.images, ['030e030e030e030e']);
+    assert.deepEqual(fingerprint.imageBands, ['0:030e', '1:030e', '2:030e', '3:030e']);
+  });
+
+  it('rejects malformed image hashes', () => {
+    assert.equal(isDistinctiveImageHash(undefined), false);
+    assert.equal(isDistinctiveImageHash('030e'), false);
+    assert.equal(isDistinctiveImageHash('zz0e030e030e030e'), false);
+    assert.equal(isDistinctiveImageHash('030e030e030e030e'), true);
+  });
+
+  it('gives near-identical texts a small Hamming distance', () => {
+    const original = computeSimhash('Bicicletă de oraș în stare bună, folosită un sezon');
+    const edited = computeSimhash('Bicicleta de oras in stare buna, folosita un sezon!');
+    const other = computeSimhash('Apartament cu două camere în centrul orașului');
+
+    assert.equal(hammingDistance(original, edited), 0);
+    assert.ok(hammingDistance(original, other) > 3);
+    assert.equal(computeSimhash('  ,. '), null);
+  });
+});
+
+describe('Duplicate action', () => {
+  afterEach(() => {
+    delete process.env.DUPLICATE_AD_ACTION;
+  });
+
+  it('flags duplicates by default and for invalid values', () => {
+    assert.equal(getDuplicateAction(), 'flag');
+    process.env.DUPLICATE_AD_ACTION = 'block';
+    assert.equal(getDuplicateAction(), 'flag');
+    process.env.DUPLICATE_AD_ACTION = ' Reject ';
+    assert.equal(getDuplicateAction(), 'reject');
+  });
+});
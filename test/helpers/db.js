@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+/**
+ * Test database
+ * Integration tests run against the MongoDB in MONGO_TEST_URI (a throwaway database - it is
+ * dropped before and after each test file) and are skipped when it is not set
+ */
+
+export const MONGO_TEST_URI = process.env.MONGO_TEST_URI;
+
+// Pass as the skip option of describe() for tests that need MongoDB
+export const skipWithoutDB = MONGO_TEST_URI ? false : 'MONGO_TEST_URI is not set';
+
+// Skipped suites still count as passing, so say it where CI logs show it
+if (!MONGO_TEST_URI) {
+  console.warn('[test] MONGO_TEST_URI is not set - database tests are skipped');
+}
+
+export const connectTestDB = async () => {
+  await mongoose.connect(MONGO_TEST_URI);
+  await mongoose.connection.dropDatabase();
+};
+
+export const disconnectTestDB = async () => {
+  await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+};
@@ -0,0 +1,29 @@
+import crypto from 'crypto';
+import User from '../../src/models/User.js';
+import Ad from '../../src/models/Ad.js';
+
+/**
+ * Create a user with a unique email
+ * @param {object} [fields] - Overrides
+ */
+export const createUser = (fields = {}) => User.create({
+  name: 'Test User',
+  email: `user-${crypto.randomUUID()}@example.com`,
+  password: 'secret123',
+  ...fields,
+});
+
+/**
+ * Create an ad (draft by default)
+ * @param {object} user - Owner
+ * @param {object} [fields] - Overrides
+ */
+export const createAd = (user, fields = {}) => Ad.create({
+  title: 'Bicicletă de oraș',
+  description: 'Bicicletă de oraș în stare bună, folosită un sezon.',
+  price: 150,
+  currency: 'EUR',
+  categorySlug: 'sports',
+  user: user._id,
+  ...fields,
+});
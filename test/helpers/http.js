@@ -0,0 +1,31 @@
+/**
+ * Start the Express app on a random port
+ * @param {object} app - Express app
+ * @returns {Promise<{request: Function, close: Function}>}
+ *          request(method, path, {token, body, headers}) resolves to { status, body }
+ *          (a FormData body is sent as multipart/form-data, anything else as JSON)
+ */
+export const startTestServer = async (app) => {
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body, headers = {} } = {}) => {
+    const isJson = body !== undefined && !(body instanceof FormData);
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(isJson && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: isJson ? JSON.stringify(body) : body,
+    });
+    return { status: response.status, body: await response.json().catch(() => null) };
+  };
+
+  const close = () => new Promise((resolve) => server.close(resolve));
+
+  return { request, close };
+};
@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { resolveLocale, resolveMessageLocale, translate } from '../src/i18n/index.js';
+import { startTestServer } from './helpers/http.js';
+
+const request = ({ lang, acceptLanguage } = {}) => ({
+  query: lang ? { lang } : {},
+  headers: acceptLanguage ? { 'accept-language': acceptLanguage } : {},
+});
+
+describe('Locale negotiation', () => {
+  it('keeps messages in English when the client asks for no locale', () => {
+    assert.equal(resolveMessageLocale(request()), 'en');
+    assert.equal(resolveLocale(request()), 'ro');
+  });
+
+  it('uses the requested locale for messages and content', () => {
+    assert.equal(resolveMessageLocale(request({ acceptLanguage: 'ru-RU,ru;q=0.9' })), 'ru');
+    assert.equal(resolveMessageLocale(request({ lang: 'ro', acceptLanguage: 'ru' })), 'ro');
+    assert.equal(resolveLocale(request({ acceptLanguage: 'ru' })), 'ru');
+  });
+
+  it('falls back to English messages for unsupported languages', () => {
+    assert.equal(resolveMessageLocale(request({ acceptLanguage: 'de-DE' })), 'en');
+  });
+});
+
+describe('Error messages', () => {
+  let server;
+
+  before(async () => {
+    const { default: app } = await import('../src/app.js');
+    server = await startTestServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('are sent in English without Accept-Language', async () => {
+    const { status, body } = await server.request('GET', '/api/missing');
+    assert.equal(status, 404);
+    assert.equal(body.message, 'Route /api/missing not found');
+  });
+
+  it('are translated when the client asks for a locale', async () => {
+    const { body } = await server.request('GET', '/api/missing', {
+      headers: { 'Accept-Language': 'ro-RO,ro;q=0.9' },
+    });
+    assert.equal(body.message, 'Ruta /api/missing nu a fost găsită');
+
+    const { body: queryBody } = await server.request('GET', '/api/missing?lang=ro');
+    assert.equal(queryBody.message, 'Ruta /api/missing?lang=ro nu a fost găsită');
+  });
+
+  it('are translated when authentication is missing', async () => {
+    const { status, body } = await server.request('GET', '/api/favorites/my', {
+      headers: { 'Accept-Language': 'ru' },
+    });
+    assert.equal(status, 401);
+    assert.equal(body.message, 'Требуется авторизация');
+  });
+});
+
+describe('Message catalogs', () => {
+  // Literal messages of AppErrors, validators and rate limiters; ${...} parts stand for any text
+  const MESSAGE_PATTERN = /(?:new AppError\(|withMessage\(|localize\(req,)\s*(['"`])((?:\\.|(?!\1).)*)\1/g;
+
+  const listSourceFiles = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return entry.name === 'i18n' ? [] : listSourceFiles(path);
+    }
+    return path.endsWith('.js') ? [path] : [];
+  });
+
+  const messages = listSourceFiles('src').flatMap((file) => (
+    [...readFileSync(file, 'utf8').matchAll(MESSAGE_PATTERN)].map((match) => ({
+      file,
+      message: match[2].replace(/\\(['"])/g, '$1').replace(/\$\{[^}]*\}/g, 'x'),
+    }))
+  ));
+
+  ['ro', 'ru'].forEach((locale) => {
+    it(`translate every error message to ${locale}`, () => {
+      assert.ok(messages.length > 100);
+      const missing = messages
+        .filter(({ message }) => translate(message, locale) === message)
+        .map(({ file, message }) => `${file}: ${message}`);
+      assert.deepEqual(missing, []);
+    });
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Ad from '../src/models/Ad.js';
+import { generateAccessToken } from '../src/services/authToken.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+import { startTestServer } from './helpers/http.js';
+
+describe('Moderation of edits', { skip: skipWithoutDB }, () => {
+  let server;
+
+  before(async () => {
+    process.env.JWT_SECRET = 'test-secret';
+    process.env.MODERATION_ENABLED = 'true';
+    process.env.MODERATION_AUTO_APPROVE_CATEGORIES = 'sports';
+    await connectTestDB();
+    const { default: app } = await import('../src/app.js');
+    server = await startTestServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+    await disconnectTestDB();
+    delete process.env.MODERATION_AUTO_APPROVE_CATEGORIES;
+  });
+
+  it('auto-approves an edit that resolves a duplicate flag', async () => {
+    const user = await createUser();
+    const ad = await createAd(user, {
+      status: 'active',
+      duplicateOf: {
+        ad: new mongoose.Types.ObjectId(),
+        scope: 'catalog',
+        matchedOn: ['text'],
+        detectedAt: new Date(),
+      },
+    });
+
+    const response = await server.request('PATCH', `/api/ads/${ad._id}`, {
+      token: generateAccessToken(user),
+      body: {
+        title: 'Trotinetă electrică pliabilă',
+        description: 'Trotinetă electrică pliabilă, autonomie 25 km, puțin folosită.',
+      },
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.moderation, undefined);
+    const saved = await Ad.findById(ad._id).select('+duplicateOf');
+    assert.equal(saved.status, 'active');
+    assert.equal(saved.duplicateOf, undefined);
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startTestServer } from './helpers/http.js';
+
+describe('Refresh token rate limit', () => {
+  let server;
+
+  before(async () => {
+    const { default: app } = await import('../src/app.js');
+    server = await startTestServer(app);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('blocks repeated failed refresh attempts', async () => {
+    // 30 failed attempts per 15 minutes outside production
+    for (let i = 0; i < 30; i++) {
+      const { status } = await server.request('POST', '/api/auth/refresh', { body: {} });
+      assert.equal(status, 400);
+    }
+
+    const { status, body } = await server.request('POST', '/api/auth/refresh', {
+      body: {},
+      headers: { 'Accept-Language': 'ro' },
+    });
+    assert.equal(status, 429);
+    assert.equal(body.details.type, 'RATE_LIMIT');
+    assert.equal(body.message, 'Prea multe încercări de reîmprospătare, încercați mai târziu');
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Ad from '../src/models/Ad.js';
+import Report from '../src/models/Report.js';
+import { createReport } from '../src/services/report.service.js';
+import { approveAd } from '../src/services/moderation.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+
+describe('Report auto-hide', { skip: skipWithoutDB }, () => {
+  before(async () => {
+    process.env.REPORT_AUTO_HIDE_THRESHOLD = '2';
+    await connectTestDB();
+  });
+
+  after(async () => {
+    delete process.env.REPORT_AUTO_HIDE_THRESHOLD;
+    await disconnectTestDB();
+  });
+
+  it('hides the ad once under concurrent reports and restores it on approval', async () => {
+    const seller = await createUser();
+    const moderator = await createUser();
+    const ad = await createAd(seller, { status: 'paused' });
+    const reporters = await Promise.all([createUser(), createUser(), createUser()]);
+
+    await createReport({ reporterId: reporters[0]._id, targetType: 'ad', targetId: ad._id, reason: 'spam' });
+    const results = await Promise.all(reporters.slice(1).map((reporter) => (
+      createReport({ reporterId: reporter._id, targetType: 'ad', targetId: ad._id, reason: 'spam' })
+    )));
+    assert.equal(results.filter((result) => result.adHidden).length, 1);
+
+    const hidden = await Ad.findById(ad._id).select('+moderation +statusHistory');
+    assert.equal(hidden.status, 'pending_review');
+    assert.equal(hidden.moderation.previousStatus, 'paused');
+    assert.equal(hidden.statusHistory.filter((entry) => entry.to === 'pending_review').length, 1);
+
+    const approved = await approveAd(ad._id, moderator._id);
+    assert.equal(approved.status, 'paused');
+    assert.equal(await Report.countDocuments({ target: ad._id, status: 'open' }), 0);
+  });
+});
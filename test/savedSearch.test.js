@@ -0,0 +1,93 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Ad from '../src/models/Ad.js';
+import SavedSearch from '../src/models/SavedSearch.js';
+import { processAdActivation, sendDailyDigests } from '../src/services/savedSearch.service.js';
+import { skipWithoutDB, connectTestDB, disconnectTestDB } from './helpers/db.js';
+import { createUser, createAd } from './helpers/fixtures.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Saved search alerts', { skip: skipWithoutDB }, () => {
+  before(async () => {
+    await connectTestDB();
+    await Ad.init(); // Text index for full-text saved searches
+  });
+
+  after(disconnectTestDB);
+
+  it('matches an activated ad against many saved searches in batches', async () => {
+    const seller = await createUser();
+    const buyer = await createUser();
+    const ad = await createAd(seller, {
+      status: 'active',
+      price: 150,
+      expiresAt: new Date(Date.now() + 30 * DAY_MS),
+    });
+
+    // More than one batch of matching and non-matching searches
+    const cheap = await SavedSearch.insertMany(Array.from({ length: 120 }, (_, index) => ({
+      user: buyer._id,
+      name: `Cheap ${index}`,
+      filters: { categorySlug: 'sports', maxPrice: 200 },
+      frequency: index % 2 === 0 ? 'instant' : 'daily',
+    })));
+    const expensive = await SavedSearch.create({
+      user: buyer._id,
+      name: 'Expensive',
+      filters: { categorySlug: 'sports', minPrice: 1000 },
+    });
+    const text = await SavedSearch.create({
+      user: buyer._id,
+      name: 'Bicycles',
+      filters: { search: 'bicicletă' },
+      frequency: 'daily',
+    });
+    const own = await SavedSearch.create({ user: seller._id, name: 'Own', filters: { categorySlug: 'sports' } });
+
+    await processAdActivation(ad);
+
+    const saved = await SavedSearch.find().select('+pendingAds').lean();
+    const byId = new Map(saved.map((savedSearch) => [String(savedSearch._id), savedSearch]));
+    cheap.forEach((savedSearch) => {
+      const stored = byId.get(String(savedSearch._id));
+      if (savedSearch.frequency === 'instant') {
+        assert.ok(stored.lastNotifiedAt instanceof Date);
+      } else {
+        assert.deepEqual(stored.pendingAds.map(String), [String(ad._id)]);
+      }
+    });
+    assert.equal(byId.get(String(expensive._id)).lastNotifiedAt, null);
+    assert.deepEqual(byId.get(String(text._id)).pendingAds.map(String), [String(ad._id)]);
+    assert.equal(byId.get(String(own._id)).lastNotifiedAt, null);
+  });
+
+  it('sends due daily digests and clears their pending ads', async () => {
+    const seller = await createUser();
+    const buyer = await createUser();
+    const active = await createAd(seller, { status: 'active', expiresAt: new Date(Date.now() + DAY_MS) });
+    const sold = await createAd(seller, { status: 'sold' });
+
+    const due = await SavedSearch.create({
+      user: buyer._id,
+      name: 'Due',
+      frequency: 'daily',
+      pendingAds: [active._id, sold._id],
+    });
+    const notDue = await SavedSearch.create({
+      user: buyer._id,
+      name: 'Not due',
+      frequency: 'daily',
+      pendingAds: [active._id],
+      lastNotifiedAt: new Date(),
+    });
+
+    await sendDailyDigests();
+
+    const sent = await SavedSearch.findById(due._id).select('+pendingAds');
+    assert.equal(sent.pendingAds.length, 0);
+    assert.ok(sent.lastNotifiedAt instanceof Date);
+    const waiting = await SavedSearch.findById(notDue._id).select('+pendingAds');
+    assert.equal(waiting.pendingAds.length, 1);
+  });
+});